@@ -1,5 +1,8 @@
-let pollInterval;
+let spaceEvents = null;
+let refreshTimer = null;
+let liveUpdatesPaused = false;
 let lastDataHash = null;
+let scoreExplanationStale = true; // Refetch the score breakdown on the next update
 
 document.addEventListener('DOMContentLoaded', async () => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -13,9 +16,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initial load
     await loadData(spaceId);
 
-    // Poll for updates every 30 seconds (not 5) to reduce flickering
+    // Reload when the backend pushes a change for this space
     // Only update if data actually changed
-    pollInterval = setInterval(() => loadData(spaceId), 3000);
+    subscribeToSpaceEvents(spaceId);
 
     // Setup modal
     document.querySelector('.close-modal').onclick = () => {
@@ -23,10 +26,47 @@ document.addEventListener('DOMContentLoaded', async () => {
     };
 });
 
+// Live updates over the space's SSE stream
+async function subscribeToSpaceEvents(spaceId) {
+    spaceEvents = new EventSource(await VeritasConfig.eventsUrl(`/spaces/${spaceId}/events`));
+
+    ['message-created', 'analysis-started', 'analysis-completed', 'credibility-updated', 'space-ended'].forEach(type => {
+        spaceEvents.addEventListener(type, () => {
+            console.log('Space event:', type);
+            if (type === 'credibility-updated') scoreExplanationStale = true;
+            scheduleRefresh(spaceId);
+        });
+    });
+
+    // Catch up on anything missed while disconnected
+    spaceEvents.addEventListener('open', () => {
+        scoreExplanationStale = true;
+        scheduleRefresh(spaceId);
+    });
+}
+
+// Coalesce bursts of events into a single reload
+function scheduleRefresh(spaceId) {
+    if (liveUpdatesPaused) return;
+
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => loadData(spaceId), 300);
+}
+
+function pauseLiveUpdates() {
+    liveUpdatesPaused = true;
+    clearTimeout(refreshTimer);
+}
+
+function resumeLiveUpdates(spaceId) {
+    liveUpdatesPaused = false;
+    scheduleRefresh(spaceId);
+}
+
 async function loadData(spaceId) {
     try {
         console.log('Loading data for space:', spaceId);
-        const response = await fetch(`http://localhost:3000/api/spaces/${spaceId}`);
+        const response = await VeritasConfig.apiFetch(`/spaces/${spaceId}`);
 
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -77,19 +117,15 @@ function updateDashboard(data) {
     // Header
     document.getElementById('space-title').textContent = (space.title || 'X SPACE').toUpperCase();
 
-    // Calculate real-time overall score from messages (out of 100)
-    let overallScore = space.overall_credibility_score;
-    if (messages && messages.length > 0) {
-        const messagesWithScores = messages.filter(m => m.truth_score !== null && m.truth_score !== undefined);
-        if (messagesWithScores.length > 0) {
-            const avgTruthScore = messagesWithScores.reduce((sum, m) => sum + m.truth_score, 0) / messagesWithScores.length;
-            // Convert 1-10 scale to 0-100
-            overallScore = Math.round(avgTruthScore * 10);
-        }
-    }
+    // Overall score (out of 100) is computed by the backend from every scored claim
+    const overallScore = Math.round(space.overall_credibility_score ?? 100);
 
     // Display score out of 100
     document.getElementById('overall-score').textContent = `${overallScore}/100`;
+    if (scoreExplanationStale) {
+        scoreExplanationStale = false;
+        loadScoreExplanation(space.id);
+    }
 
     // Color code score (thresholds for 0-100 scale)
     const scoreEl = document.getElementById('overall-score');
@@ -107,9 +143,37 @@ function updateDashboard(data) {
     }
 }
 
+// Hovering the overall score shows which claims moved it. Fetched on load and
+// after credibility-updated, not on every dashboard update.
+async function loadScoreExplanation(spaceId) {
+    try {
+        const response = await VeritasConfig.apiFetch(`/spaces/${spaceId}/credibility`);
+        const data = await response.json();
+        if (!data.success) {
+            scoreExplanationStale = true;
+            return;
+        }
+
+        const movers = data.breakdown.slice(0, 3).map(item => `• ${item.text.substring(0, 60)}: ${item.explanation}`);
+        document.getElementById('overall-score').title = [data.summary, ...movers].join('\n');
+    } catch (error) {
+        scoreExplanationStale = true;
+        console.warn('Veritas: could not load score breakdown', error);
+    }
+}
+
 // Keep track of timeline scale for zooming
 let currentScale = 1;
 
+// Position in the recording ("1:02:05", "12:31") for messages imported from timed captions
+function formatRecordingTime(seconds) {
+    if (typeof seconds !== 'number') return null;
+    const whole = Math.floor(seconds);
+    const hours = Math.floor(whole / 3600);
+    const mmss = `${String(Math.floor(whole / 60) % 60).padStart(hours ? 2 : 1, '0')}:${String(whole % 60).padStart(2, '0')}`;
+    return hours ? `${hours}:${mmss}` : mmss;
+}
+
 function renderTimeline(messages) {
     const container = document.getElementById('timeline-container');
 
@@ -286,6 +350,12 @@ function renderTimeline(messages) {
             letter-spacing: 0.1em;
         `;
         speakerName.textContent = speaker;
+        speakerName.className = 'speaker-link';
+        speakerName.title = 'View speaker profile';
+        speakerName.onclick = (event) => {
+            event.stopPropagation();
+            openSpeakerProfile(message.speaker_id || message.speaker_username);
+        };
 
         const messageNumber = document.createElement('div');
         messageNumber.style.cssText = `
@@ -294,6 +364,11 @@ function renderTimeline(messages) {
             font-family: 'SF Mono', Monaco, 'Courier New', monospace;
         `;
         messageNumber.textContent = `${String(index + 1).padStart(3, '0')}`;
+        const recordingTime = formatRecordingTime(message.start_seconds);
+        if (recordingTime) {
+            messageNumber.textContent += ` • ${recordingTime}`;
+            messageNumber.title = 'Time in the recording';
+        }
 
         speakerInfo.appendChild(speakerName);
         speakerInfo.appendChild(messageNumber);
@@ -404,6 +479,7 @@ function updateAverageScores(messages) {
 
             if (!speakerScores[speaker]) {
                 speakerScores[speaker] = {
+                    key: msg.speaker_id || msg.speaker_username,
                     scores: [],
                     total: 0,
                     count: 0
@@ -422,7 +498,8 @@ function updateAverageScores(messages) {
         average: speakerScores[speaker].count > 0
             ? (speakerScores[speaker].total / speakerScores[speaker].count).toFixed(1)
             : 0,
-        count: speakerScores[speaker].count
+        count: speakerScores[speaker].count,
+        key: speakerScores[speaker].key
     }));
 
     // Sort by average (highest first)
@@ -434,7 +511,10 @@ function updateAverageScores(messages) {
 
     if (speakers.length >= 1 && speaker1El) {
         const speaker1 = speakers[0];
-        speaker1El.querySelector('.speaker-name').textContent = speaker1.name.toUpperCase();
+        const name1El = speaker1El.querySelector('.speaker-name');
+        name1El.textContent = speaker1.name.toUpperCase();
+        name1El.classList.add('speaker-link');
+        name1El.onclick = () => openSpeakerProfile(speaker1.key);
         const score1El = speaker1El.querySelector('.speaker-avg-score');
         score1El.textContent = speaker1.average + '/10';
 
@@ -451,7 +531,10 @@ function updateAverageScores(messages) {
 
     if (speakers.length >= 2 && speaker2El) {
         const speaker2 = speakers[1];
-        speaker2El.querySelector('.speaker-name').textContent = speaker2.name.toUpperCase();
+        const name2El = speaker2El.querySelector('.speaker-name');
+        name2El.textContent = speaker2.name.toUpperCase();
+        name2El.classList.add('speaker-link');
+        name2El.onclick = () => openSpeakerProfile(speaker2.key);
         const score2El = speaker2El.querySelector('.speaker-avg-score');
         score2El.textContent = speaker2.average + '/10';
 
@@ -916,7 +999,7 @@ window.analyzeConsistency = async function (node) {
     openConsistencyModal();
 
     // Generate cache key
-    const cacheKey = `${node.speaker}-${node.text?.substring(0, 50)}`;
+    const cacheKey = node.claim_id || `${node.speaker}-${node.text?.substring(0, 50)}`;
 
     // Check cache first
     if (window.consistencyCache.has(cacheKey)) {
@@ -978,12 +1061,13 @@ window.analyzeConsistency = async function (node) {
 
     try {
         // Start the API call but don't await yet
-        const fetchPromise = fetch('http://localhost:3000/api/debate/consistency', {
+        const fetchPromise = VeritasConfig.apiFetch('/debate/consistency', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 speaker: node.speaker,
-                claim: node.text
+                claim: node.text,
+                claimId: node.claim_id
             })
         }).then(response => response.json());
 
@@ -1132,6 +1216,38 @@ function renderConsistencyResult(content, data, node) {
     `;
 }
 
+// Rebuild the speaker turn a chunked message came from and highlight the
+// message's span in it. Chunks of a turn share content_span.turn; their
+// offsets place each one in the turn, overlapping chunks included.
+function renderTurnContext(message) {
+    const span = message.content_span;
+    if (!span || span.chunks < 2) return '';
+
+    const chunks = allMessages
+        .filter(m => m.space_id === message.space_id && m.content_span?.turn === span.turn)
+        .sort((a, b) => a.content_span.start - b.content_span.start);
+
+    let turn = '';
+    chunks.forEach(chunk => {
+        const { start } = chunk.content_span;
+        if (start >= turn.length) {
+            turn += ' '.repeat(start - turn.length) + chunk.content;
+        } else {
+            turn += chunk.content.slice(turn.length - start);
+        }
+    });
+
+    const overlapEnd = span.start + (span.overlap || 0);
+    return `
+        <div class="detail-item">
+            <div class="detail-label">FULL TURN • PART ${chunks.findIndex(m => m.id === message.id) + 1} OF ${span.chunks}</div>
+            <div class="detail-value turn-context">
+                ${escapeHtml(turn.slice(0, span.start))}<mark class="turn-overlap" title="Repeated from the previous part">${escapeHtml(turn.slice(span.start, overlapEnd))}</mark><mark>${escapeHtml(turn.slice(overlapEnd, span.end))}</mark>${escapeHtml(turn.slice(span.end))}
+            </div>
+        </div>
+    `;
+}
+
 // New function for showing details from chart clicks
 function showChartPointDetails(message) {
     const container = document.getElementById('node-details');
@@ -1186,10 +1302,17 @@ function showChartPointDetails(message) {
             console.log('Claims array:', claimsArray);
             console.log('Claims array length:', claimsArray ? claimsArray.length : 0);
 
+            // Prefer the claims table rows, which carry stable claim ids
+            const hasClaimRows = Array.isArray(message.claims) && message.claims.length > 0;
+            if (hasClaimRows) {
+                claimsArray = message.claims;
+            }
+
             if (claimsArray && claimsArray.length > 0) {
                 // Store claims data for interaction
                 const claimsData = claimsArray.map((claim, idx) => ({
                     ...claim,
+                    claim_id: hasClaimRows ? claim.id : null,
                     id: `claim-${message.id}-${idx}`
                 }));
 
@@ -1232,7 +1355,7 @@ function showChartPointDetails(message) {
                                         </div>
                                     </div>
                                 </div>
-                                ${(claim.explanation || sourcesCount > 0) ? `
+                                ${(claim.explanation || sourcesCount > 0 || claim.claim_id) ? `
                                 <div class="claim-sources" id="sources-${claim.id}"
                                      style="display: none; border: 1px solid #333; border-top: none;
                                             padding: 8px 12px; background: rgba(0,0,0,0.5);">
@@ -1260,6 +1383,7 @@ function showChartPointDetails(message) {
                                                 class="generate-sources-btn"
                                                 data-message-id="${message.id}"
                                                 data-claim-index="${idx}"
+                                                data-claim-id="${claim.claim_id || ''}"
                                                 data-claim-text="${claim.text.replace(/"/g, '&quot;')}"
                                                 style="background: #000;
                                                        color: #fff;
@@ -1301,6 +1425,22 @@ function showChartPointDetails(message) {
                                         </div>
                                         `;
                     }).join('') : ''}
+                                    ${claim.claim_id ? `
+                                    <div style="display: flex; gap: 8px; padding-top: 8px;">
+                                        <button class="claim-action-btn" data-action="dive" data-claim-idx="${idx}"
+                                                style="flex: 1; background: #000; color: #fff; border: 1px solid #333; padding: 4px 10px;
+                                                       font-size: 8px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em;
+                                                       cursor: pointer; font-family: 'SF Mono', Monaco, monospace;">
+                                            Dive Deeper
+                                        </button>
+                                        <button class="claim-action-btn" data-action="consistency" data-claim-idx="${idx}"
+                                                style="flex: 1; background: #000; color: #f91880; border: 1px solid #f91880; padding: 4px 10px;
+                                                       font-size: 8px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em;
+                                                       cursor: pointer; font-family: 'SF Mono', Monaco, monospace;">
+                                            Consistency
+                                        </button>
+                                    </div>
+                                    ` : ''}
                                 </div>
                                 ` : ''}
                             </div>
@@ -1325,14 +1465,15 @@ function showChartPointDetails(message) {
     container.innerHTML = `
         <div class="detail-item">
             <div class="detail-label">SPEAKER</div>
-            <div class="detail-value">@${speakerName}</div>
+            <div class="detail-value speaker-link" id="speaker-link-${message.id}" title="View speaker profile">@${speakerName}</div>
         </div>
         <div class="detail-item">
-            <div class="detail-label">MESSAGE #${message.sequence_number}</div>
+            <div class="detail-label">MESSAGE #${message.sequence_number}${formatRecordingTime(message.start_seconds) ? ` • ${formatRecordingTime(message.start_seconds)} IN RECORDING` : ''}</div>
             <div class="detail-value quote" style="font-size: 12px; line-height: 1.5; color: #e7e9ea;">
                 "${message.content}"
             </div>
         </div>
+        ${renderTurnContext(message)}
         <div class="detail-item">
             <div class="detail-label">OVERALL VERDICT</div>
             <div class="detail-value" style="color: ${verdictColor}; font-size: 14px; font-weight: 600;">
@@ -1361,6 +1502,12 @@ function showChartPointDetails(message) {
     // Don't auto-scroll - let user control scrolling
     // document.getElementById('details-widget').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 
+    // Speaker name opens their profile
+    const speakerLink = document.getElementById(`speaker-link-${message.id}`);
+    if (speakerLink) {
+        speakerLink.onclick = () => openSpeakerProfile(message.speaker_id || message.speaker_username);
+    }
+
     // Add click handler for dive deeper
     const diveBtn = document.getElementById(`dive-btn-${message.id}`);
     if (diveBtn) {
@@ -1442,6 +1589,27 @@ function showChartPointDetails(message) {
         });
     });
 
+    // Per-claim propagation and consistency, keyed by claim id
+    document.querySelectorAll('.claim-action-btn').forEach(btn => {
+        btn.addEventListener('click', function (e) {
+            e.stopPropagation();
+            const claim = window.currentClaimsData?.[parseInt(this.getAttribute('data-claim-idx'))];
+            if (!claim?.claim_id) return;
+
+            if (this.getAttribute('data-action') === 'dive') {
+                diveDeeper(message.id, claim.text, false, claim.claim_id);
+            } else {
+                analyzeConsistency({
+                    id: claim.claim_id,
+                    claim_id: claim.claim_id,
+                    speaker: speakerName,
+                    text: claim.text,
+                    truth_score: claim.score
+                });
+            }
+        });
+    });
+
     // Add handlers for "Generate More Sources" buttons
     document.querySelectorAll('.generate-sources-btn').forEach(btn => {
         btn.addEventListener('click', async function (e) {
@@ -1449,13 +1617,12 @@ function showChartPointDetails(message) {
 
             const messageId = this.getAttribute('data-message-id');
             const claimIndex = this.getAttribute('data-claim-index');
+            const claimId = this.getAttribute('data-claim-id');
             const claimText = this.getAttribute('data-claim-text');
 
-            // Pause polling to prevent race conditions
+            // Pause live updates to prevent race conditions
             console.log('⏸️  Pausing auto-refresh during source generation');
-            if (window.pollInterval) {
-                clearInterval(window.pollInterval);
-            }
+            pauseLiveUpdates();
 
             // Update button state to loading
             const originalHTML = this.innerHTML;
@@ -1467,7 +1634,10 @@ function showChartPointDetails(message) {
             this.innerHTML = 'Generating...';
 
             try {
-                const response = await fetch(`http://localhost:3000/api/claims/${messageId}/${claimIndex}/generate-sources`, {
+                const sourcesPath = claimId
+                    ? `/claims/${claimId}/generate-sources`
+                    : `/claims/${messageId}/${claimIndex}/generate-sources`;
+                const response = await VeritasConfig.apiFetch(sourcesPath, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
@@ -1506,7 +1676,7 @@ function showChartPointDetails(message) {
                         console.log('💾 Saved open dropdowns:', Array.from(openDropdowns));
 
                         // Re-fetch the message from backend to get updated sources
-                        const refreshResponse = await fetch(`http://localhost:3000/api/debate/debate-results/${spaceId}`);
+                        const refreshResponse = await VeritasConfig.apiFetch(`/debate/debate-results/${spaceId}`);
                         const refreshData = await refreshResponse.json();
 
                         console.log('📥 Refresh response:', refreshData);
@@ -1542,10 +1712,10 @@ function showChartPointDetails(message) {
                                     console.log('✅ Restored dropdown states');
                                 }, 100);
 
-                                // Resume polling
+                                // Resume live updates
                                 console.log('▶️  Resuming auto-refresh');
                                 const finalSpaceId = window.currentSpaceId || new URLSearchParams(window.location.search).get('spaceId');
-                                window.pollInterval = setInterval(() => loadData(finalSpaceId), 3000);
+                                resumeLiveUpdates(finalSpaceId);
                             } else {
                                 console.error('❌ Message not found in refresh data');
                             }
@@ -1565,10 +1735,10 @@ function showChartPointDetails(message) {
                 this.style.border = '1px solid #dc2626';
                 this.innerHTML = 'Failed';
 
-                // Resume polling even on error
+                // Resume live updates even on error
                 console.log('▶️  Resuming auto-refresh after error');
                 const spaceId = window.currentSpaceId || new URLSearchParams(window.location.search).get('spaceId');
-                window.pollInterval = setInterval(() => loadData(spaceId), 3000);
+                resumeLiveUpdates(spaceId);
 
                 // Revert after delay
                 setTimeout(() => {
@@ -1669,7 +1839,7 @@ function normalizeGraphForCache(graphData) {
     };
 }
 
-window.diveDeeper = async function (messageId, claimText, forceExpand = false) {
+window.diveDeeper = async function (messageId, claimText, forceExpand = false, claimId = null) {
     const modal = document.getElementById('propagation-modal');
     modal.style.display = 'block';
 
@@ -1677,7 +1847,7 @@ window.diveDeeper = async function (messageId, claimText, forceExpand = false) {
     const detailsPanel = document.getElementById('propagation-details');
 
     // Generate cache key from claim text - this ensures each claim has its own cache
-    const cacheKey = claimText?.substring(0, 100) || messageId || 'default';
+    const cacheKey = claimId || claimText?.substring(0, 100) || messageId || 'default';
 
     // Check if we're expanding the SAME claim or loading a different one
     const isSameClaim = window.currentClaimKey === cacheKey;
@@ -1717,11 +1887,12 @@ window.diveDeeper = async function (messageId, claimText, forceExpand = false) {
     // Expanding shows loading indicator via the button handler
 
     try {
-        const response = await fetch('http://localhost:3000/api/analytics/dive-deeper', {
+        const response = await VeritasConfig.apiFetch('/analytics/dive-deeper', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 messageId: messageId,
+                claimId: claimId,
                 claim: claimText,
                 skipCache: forceExpand,
                 nodeCount: isExpanding ? (window.currentGraphData?.nodes?.length || 60) + 30 : 60
@@ -2199,3 +2370,146 @@ function drag(simulation) {
         .on("end", dragended);
 }
 
+
+// =====================================================
+// SPEAKER PROFILES
+// =====================================================
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// Same three colors as the timeline and graph
+function profileScoreColor(score) {
+    if (score === null || score === undefined) return '#666';
+    if (score <= 4) return '#8b0000';
+    if (score <= 7) return '#fbbf24';
+    return '#00ba7c';
+}
+
+// Sparkline of the per-space average scores (1-10)
+function renderTrendSparkline(points) {
+    if (points.length < 2) return '';
+
+    const width = 300;
+    const height = 60;
+    const step = width / (points.length - 1);
+    const y = score => height - ((score - 1) / 9) * height;
+    const coords = points.map((p, i) => `${Math.round(i * step)},${Math.round(y(p.average_score))}`).join(' ');
+
+    return `
+        <svg class="profile-sparkline" viewBox="-4 -4 ${width + 8} ${height + 8}" preserveAspectRatio="none">
+            <polyline points="${coords}" fill="none" stroke="#666" stroke-width="1.5" />
+            ${points.map((p, i) => `<circle cx="${Math.round(i * step)}" cy="${Math.round(y(p.average_score))}" r="3" fill="${profileScoreColor(p.average_score)}"><title>${escapeHtml(p.title || p.space_id)}: ${p.average_score}/10</title></circle>`).join('')}
+        </svg>
+    `;
+}
+
+function renderSpeakerProfile(profile) {
+    const { speaker, totals, by_source, verdict_distribution, trend, top_topics, worst_claims } = profile;
+    const verdictTotal = Object.values(verdict_distribution).reduce((sum, n) => sum + n, 0) || 1;
+    const verdictColors = { TRUE: '#00ba7c', MIXED: '#fbbf24', FALSE: '#8b0000', UNVERIFIABLE: '#444' };
+
+    document.getElementById('speaker-profile-title').textContent =
+        `SPEAKER PROFILE / ${(speaker.display_name || speaker.username).toUpperCase()}`;
+
+    if (totals.claims_scored === 0) {
+        return `<div class="placeholder-text">NO FACT-CHECKED CLAIMS FOR @${escapeHtml(speaker.username).toUpperCase()} YET</div>`;
+    }
+
+    return `
+        <div class="profile-section profile-stats">
+            <div><div class="profile-stat-value" style="color: ${profileScoreColor(totals.credibility_score / 10)}">${totals.credibility_score}/100</div><div class="profile-section-title">CREDIBILITY</div></div>
+            <div><div class="profile-stat-value">${totals.average_score}/10</div><div class="profile-section-title">AVG TRUTH SCORE</div></div>
+            <div><div class="profile-stat-value">${totals.claims_scored}</div><div class="profile-section-title">CLAIMS</div></div>
+            <div><div class="profile-stat-value">${totals.spaces}</div><div class="profile-section-title">SPACES / DEBATES / THREADS</div></div>
+        </div>
+
+        <div class="profile-section">
+            <div class="profile-section-title">TREND: ${escapeHtml(trend.direction.replace('_', ' ')).toUpperCase()}</div>
+            ${renderTrendSparkline(trend.points)}
+            ${trend.points.map(p => `
+                <div class="profile-row">
+                    <span>${escapeHtml(p.title || 'Untitled')} <span class="profile-muted">${escapeHtml(p.type)}${p.date ? ' · ' + new Date(p.date).toLocaleDateString() : ''}</span></span>
+                    <span style="color: ${profileScoreColor(p.average_score)}">${p.average_score}/10 <span class="profile-muted">(${p.claims})</span></span>
+                </div>
+            `).join('')}
+        </div>
+
+        <div class="profile-section">
+            <div class="profile-section-title">VERDICTS</div>
+            <div class="profile-verdict-bar">
+                ${Object.entries(verdict_distribution).filter(([, n]) => n > 0).map(([verdict, n]) =>
+                    `<div style="width: ${(n / verdictTotal) * 100}%; background: ${verdictColors[verdict] || '#333'}" title="${verdict}: ${n}"></div>`
+                ).join('')}
+            </div>
+            <div class="profile-row profile-muted">
+                ${Object.entries(verdict_distribution).map(([verdict, n]) => `<span>${verdict} ${n}</span>`).join('')}
+            </div>
+            <div class="profile-row profile-muted">
+                ${Object.entries(by_source).map(([type, s]) => `<span>${escapeHtml(type).toUpperCase()}: ${s.claims} claims, ${s.average_score}/10</span>`).join('')}
+            </div>
+        </div>
+
+        <div class="profile-section">
+            <div class="profile-section-title">TOP TOPICS</div>
+            ${top_topics.map(t => `
+                <div class="profile-row">
+                    <span>${escapeHtml(t.topic)} <span class="profile-muted">(${t.claims})</span></span>
+                    <span style="color: ${profileScoreColor(t.average_score)}">${t.average_score}/10</span>
+                </div>
+            `).join('')}
+        </div>
+
+        <div class="profile-section">
+            <div class="profile-section-title">WORST CLAIMS</div>
+            ${worst_claims.map(c => `
+                <div class="profile-claim" style="border-left-color: ${profileScoreColor(c.score)}">
+                    <div>${escapeHtml(c.text)}</div>
+                    <div class="profile-muted">${c.score}/10 ${escapeHtml(c.verdict || '')} · ${escapeHtml(c.title || c.type)}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Open the profile of a speaker (id or username)
+window.openSpeakerProfile = async function (speakerKey) {
+    if (!speakerKey) return;
+
+    const modal = document.getElementById('speaker-profile-modal');
+    const content = document.getElementById('speaker-profile-content');
+    modal.style.display = 'block';
+    document.body.style.overflow = 'hidden';
+    content.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><div>Loading profile...</div></div>';
+
+    try {
+        const response = await VeritasConfig.apiFetch(`/speakers/${encodeURIComponent(speakerKey)}/profile`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || `HTTP ${response.status}`);
+
+        content.innerHTML = renderSpeakerProfile(data.profile);
+    } catch (error) {
+        console.error('Veritas: could not load speaker profile', error);
+        content.innerHTML = `<div class="error-message">UNABLE TO LOAD PROFILE: ${escapeHtml(error.message)}</div>`;
+    }
+};
+
+window.closeSpeakerProfile = function () {
+    document.getElementById('speaker-profile-modal').style.display = 'none';
+    document.body.style.overflow = '';
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    const modal = document.getElementById('speaker-profile-modal');
+    if (!modal) return;
+
+    modal.addEventListener('click', event => {
+        if (event.target === modal) closeSpeakerProfile();
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') closeSpeakerProfile();
+    });
+});
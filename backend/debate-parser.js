@@ -1,58 +1,361 @@
 import fs from 'fs';
+import { parseTimestamp, formatTimestamp } from './transcript-importers.js';
+
+// Roles whose turns are dropped unless the caller passes its own ignore list
+export const DEFAULT_IGNORE = ['Moderator', 'Announcer', 'Narrator', 'Audience', 'Crowd', 'Crosstalk', 'Unknown', 'Unidentified'];
+
+// Transcript annotations written like speaker labels ("NOTE: ...", "[APPLAUSE]:").
+// However often they appear, they stay text unless an alias names them.
+export const ANNOTATION_LABELS = new Set([
+    'NOTE', 'NOTES', "EDITOR'S NOTE", 'EDITOR’S NOTE', 'EDITORS NOTE', 'UPDATE', 'CORRECTION', 'CLARIFICATION',
+    'DISCLAIMER', 'WARNING', 'SOURCE', 'SOURCES', 'TRANSCRIPT', 'CAPTION', 'CAPTIONS', 'SUMMARY', 'CONTEXT',
+    'FACT CHECK', 'TOPIC', 'SUBJECT', 'SEGMENT', 'SECTION', 'PART', 'BREAK', 'END', 'DATE', 'TIME',
+    'LOCATION', 'PLACE', 'LAUGHTER', 'APPLAUSE', 'MUSIC', 'INAUDIBLE', 'SILENCE', 'PAUSE', 'VIDEO', 'AUDIO'
+]);
+
+// Titles left out of a speaker's name, so "VICE PRESIDENT KAMALA HARRIS" and
+// "KAMALA HARRIS" are recognized as the same person
+const HONORIFICS = new Set([
+    'FORMER', 'VICE', 'PRESIDENT', 'SENATOR', 'SEN', 'SEN.', 'GOVERNOR', 'GOV', 'GOV.', 'REPRESENTATIVE',
+    'REP', 'REP.', 'CONGRESSMAN', 'CONGRESSWOMAN', 'MAYOR', 'SECRETARY', 'MR', 'MR.', 'MRS', 'MRS.', 'MS',
+    'MS.', 'DR', 'DR.', 'PROF', 'PROF.', 'PROFESSOR', 'JUDGE', 'JUSTICE'
+]);
+
+const MAX_LABEL_WORDS = 6;
+
+// Words whose trailing period does not end a sentence
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sen', 'rep', 'gov', 'gen', 'lt', 'col', 'sgt', 'st', 'jr', 'sr', 'vs',
+    'etc', 'e.g', 'i.e', 'approx', 'no', 'vol', 'fig', 'inc', 'ltd', 'co', 'corp', 'dept', 'est', 'jan', 'feb',
+    'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// Quote characters tracked so a quotation is never split; ’ is left out as it is also an apostrophe
+const OPEN_QUOTES = new Set(['"', '“']);
+const CLOSE_QUOTES = new Set(['"', '”']);
+
+// Clause boundaries for sentences longer than a chunk: "; ", ": ", ", ", " — ", " - "
+const CLAUSE_BREAK = /(?:[;:,](?=\s)|\s[—–-](?=\s))/g;
+
+// "[00:01:02] NAME (00:01:02): text" - both timestamps optional. A digit right
+// after the colon means a time of day ("at 10:30"), not a label.
+const LABEL_LINE = /^(?:[[(]?(\d{1,2}:\d{2}(?::\d{2})?)[\])]?\s+)?(\p{Lu}[\p{L}\p{N}.'’\- ]{0,48}?)\s*(?:[[(](\d{1,2}:\d{2}(?::\d{2})?)[\])])?\s*:(?!\d)\s*(.*)$/u;
 
 class DebateParser {
-    constructor() {
-        // Moderators to ignore
-        this.moderators = ['DAVID MUIR', 'LINSEY DAVIS'];
-
-        // Valid debate participants (normalize these)
-        this.validSpeakers = [
-            'VICE PRESIDENT KAMALA HARRIS',
-            'FORMER PRESIDENT DONALD TRUMP',
-            'KAMALA HARRIS',
-            'DONALD TRUMP',
-            'PRESIDENT TRUMP',
-            'VICE PRESIDENT HARRIS'
-        ];
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.aliases] - Raw label -> canonical speaker name, e.g. { "POTUS": "Joe Biden" }
+     * @param {Array<string>} [options.ignore] - Labels (or canonical names) whose turns are dropped, e.g. moderators
+     * @param {number} [options.minTurns=2] - Turns a label needs to count as a speaker when it isn't written like
+     *   the other speaker labels; rarer ones are treated as prose ("Note: ..."). Labels in ANNOTATION_LABELS
+     *   are always prose unless aliased
+     * @param {boolean} [options.mergeVariants=true] - Merge labels like "PRESIDENT TRUMP" into "DONALD TRUMP"
+     * @param {number} [options.chunkSize=500] - Longest message, in characters, a turn is split into
+     * @param {number} [options.chunkOverlap=0] - Sentences each chunk repeats from the end of the previous one
+     */
+    constructor({
+        aliases = {},
+        ignore = DEFAULT_IGNORE,
+        minTurns = 2,
+        mergeVariants = true,
+        chunkSize = 500,
+        chunkOverlap = 0
+    } = {}) {
+        this.aliases = new Map(Object.entries(aliases || {}).map(([label, name]) => [this.labelKey(label), String(name).trim()]));
+        this.ignore = new Set((ignore || []).map(label => this.labelKey(label)));
+        this.minTurns = minTurns;
+        this.mergeVariants = mergeVariants;
+        this.chunkSize = chunkSize;
+        this.chunkOverlap = chunkOverlap;
 
         // Speakers to track
         this.speakers = new Map();
 
         // Messages array for analysis
         this.messages = [];
+
+        // Result of the last detectSpeakers() call, and how each label resolved
+        this.detection = null;
+        this.resolution = new Map();
+    }
+
+    labelKey(label) {
+        return String(label).replace(/[\s_]+/g, ' ').trim().toUpperCase();
+    }
+
+    /**
+     * Match a "LABEL: text" line
+     * @returns {{ label: string, content: string, timestamp: string|null }|null}
+     */
+    matchLabel(line) {
+        const match = LABEL_LINE.exec(line);
+        if (!match) return null;
+
+        const label = match[2].trim();
+        if (label.split(/\s+/).length > MAX_LABEL_WORDS) return null;
+
+        return { label, content: match[4].trim(), timestamp: match[1] || match[3] || null };
+    }
+
+    /**
+     * One entry per transcript line: a labelled turn or a continuation line
+     * @returns {Array<{ label: string|null, content: string, timestamp: string|null, start: number|null, end: number|null }>}
+     */
+    textEntries(transcript) {
+        return transcript.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const match = this.matchLabel(line);
+                if (!match) return { label: null, content: line, line, timestamp: null, start: null, end: null };
+                return { ...match, line, start: parseTimestamp(match.timestamp), end: null };
+            });
     }
 
     /**
-     * Parse a debate transcript into individual messages
-     * @param {string} transcript - The full debate transcript
+     * Entries for timed cues (see transcript-importers.js). A cue's speaker is
+     * explicit; otherwise each caption line may carry its own "NAME:" label,
+     * after a ">>" or "-" speaker-change marker.
+     */
+    cueEntries(cues) {
+        const entries = [];
+        cues.forEach(cue => {
+            const timing = { timestamp: formatTimestamp(cue.start), start: cue.start ?? null, end: cue.end ?? null, cue: true };
+
+            if (cue.speaker) {
+                const content = cue.text.replace(/\s*\n\s*/g, ' ').trim();
+                entries.push({ ...timing, label: cue.speaker, content, line: content, explicit: true });
+                return;
+            }
+
+            cue.text.split('\n').forEach(raw => {
+                const line = raw.replace(/^\s*(?:>>+|-)\s*/, '').trim();
+                if (!line) return;
+                const match = this.matchLabel(line);
+                entries.push(match
+                    ? { ...timing, label: match.label, content: match.content, line }
+                    : { ...timing, label: null, content: line, line });
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Label words without honorifics (kept when nothing else is left)
+     */
+    coreWords(key) {
+        const words = key.split(' ');
+        const core = words.filter(word => !HONORIFICS.has(word));
+        return core.length > 0 ? core : words;
+    }
+
+    /**
+     * Whether a rare label is written like the transcript's speaker labels:
+     * capitalized words, and either all caps like them or a full name ("Speaker 2", "Jane Doe")
+     */
+    looksLikeSpeaker(label, speakerLabels) {
+        const words = label.split(/\s+/);
+        if (!words.every(word => /^[\p{Lu}\p{N}]/u.test(word))) return false;
+
+        if (label === label.toUpperCase()) {
+            return /\p{Lu}{2}/u.test(label) && speakerLabels.length > 0 &&
+                speakerLabels.every(other => other === other.toUpperCase());
+        }
+        return words.length >= 2;
+    }
+
+    /**
+     * Find the speakers in a transcript without parsing its messages
+     * @param {string} transcript
+     * @returns {{ speakers: Array, ignored: Array, rejected: Array }}
+     *   speakers - { name, labels, turns } for every accepted speaker
+     *   ignored  - { name, labels, turns } for labels on the ignore list
+     *   rejected - { label, turns } for label-like lines treated as ordinary text
+     */
+    detectSpeakers(transcript) {
+        return this.detectLabels(this.textEntries(transcript));
+    }
+
+    /**
+     * Find the speakers among parsed entries. Consecutive entries with the same
+     * label are one turn; labels named explicitly by a caption format (voice
+     * tags, diarization) are always speakers unless ignored.
+     */
+    detectLabels(entries) {
+        const labels = new Map(); // key -> { label, turns, explicit }
+        let previousKey = null;
+        entries.forEach(entry => {
+            if (!entry.label) return;
+            const key = this.labelKey(entry.label);
+            if (!labels.has(key)) labels.set(key, { label: entry.label, turns: 0, explicit: false });
+            const info = labels.get(key);
+            if (key !== previousKey || !entry.explicit) info.turns++;
+            if (entry.explicit) info.explicit = true;
+            previousKey = key;
+        });
+
+        // Group labels into speakers: aliases first, then variants of the same name
+        const groups = new Map(); // group key -> { name, core, labels, turns, alias, ignored }
+        const labelGroup = new Map(); // label key -> group key
+
+        const addToGroup = (groupKey, name, core, key, extra = {}) => {
+            if (!groups.has(groupKey)) groups.set(groupKey, { name, core, labels: [], turns: 0, alias: false, ignored: false });
+            const group = groups.get(groupKey);
+            Object.assign(group, extra);
+            group.labels.push(labels.get(key).label);
+            group.turns += labels.get(key).turns;
+            labelGroup.set(key, groupKey);
+        };
+
+        const keys = [...labels.keys()];
+        keys.filter(key => this.aliases.has(key)).forEach(key => {
+            const name = this.aliases.get(key);
+            addToGroup(this.labelKey(name), name, this.coreWords(this.labelKey(name)), key, { alias: true });
+        });
+
+        // Longest names first, so shorter variants can join them
+        keys.filter(key => !this.aliases.has(key))
+            .sort((a, b) => this.coreWords(b).length - this.coreWords(a).length)
+            .forEach(key => {
+                const core = this.coreWords(key);
+                const coreKey = core.join(' ');
+
+                if (groups.has(coreKey)) {
+                    addToGroup(coreKey, null, core, key);
+                    return;
+                }
+
+                if (this.mergeVariants) {
+                    const candidates = [...groups.entries()].filter(([, group]) =>
+                        group.core[group.core.length - 1] === core[core.length - 1] &&
+                        core.every(word => group.core.includes(word)));
+                    if (candidates.length === 1) {
+                        addToGroup(candidates[0][0], null, core, key);
+                        return;
+                    }
+                }
+
+                addToGroup(coreKey, this.normalizeSpeakerName(coreKey), core, key);
+            });
+
+        groups.forEach(group => {
+            group.ignored = group.labels.some(label => this.ignore.has(this.labelKey(label))) ||
+                this.ignore.has(this.labelKey(group.name));
+            group.annotation = !group.alias && group.labels.every(label =>
+                ANNOTATION_LABELS.has(this.labelKey(label)) && !labels.get(this.labelKey(label)).explicit);
+        });
+
+        // A rare label is more likely prose ("Note: ...") than a speaker, unless it
+        // is written like the other speaker labels or nobody reaches minTurns
+        const eligible = [...groups.values()].filter(group => !group.ignored && !group.annotation);
+        const repeated = eligible.filter(group => group.alias || group.turns >= this.minTurns ||
+            group.labels.some(label => labels.get(this.labelKey(label)).explicit));
+        const speakerLabels = repeated.flatMap(group => group.labels);
+        eligible.forEach(group => {
+            group.accepted = repeated.length === 0 || repeated.includes(group) ||
+                group.labels.every(label => this.looksLikeSpeaker(label, speakerLabels));
+        });
+
+        const resolution = new Map(); // label key -> { name, role }
+        labelGroup.forEach((groupKey, key) => {
+            const group = groups.get(groupKey);
+            const role = group.ignored ? 'ignored' : group.accepted ? 'speaker' : 'text';
+            resolution.set(key, { name: group.name, role });
+        });
+
+        const describe = group => ({ name: group.name, labels: group.labels, turns: group.turns });
+        this.resolution = resolution;
+        this.detection = {
+            speakers: [...groups.values()].filter(g => !g.ignored && g.accepted).sort((a, b) => b.turns - a.turns).map(describe),
+            ignored: [...groups.values()].filter(g => g.ignored).map(describe),
+            rejected: [...groups.values()].filter(g => !g.ignored && !g.accepted)
+                .flatMap(group => group.labels.map(label => ({ label, turns: labels.get(this.labelKey(label)).turns })))
+        };
+
+        return this.detection;
+    }
+
+    /**
+     * Parse a transcript into individual messages
+     * @param {string} transcript - The full transcript
      * @returns {Array} Array of message objects ready for database
      */
     parseTranscript(transcript) {
-        // Generic pattern for "SPEAKER NAME:" at start of lines
-        // Captures names in Mixed Case (starting with uppercase) followed by colon
-        const speakerPattern = /^\s*([A-Z][a-zA-Z0-9\s\.]+):/gm;
+        return this.parseEntries(this.textEntries(transcript));
+    }
+
+    /**
+     * Parse timed cues from transcript-importers.js into messages. Consecutive
+     * cues from the same speaker form one turn.
+     * @param {Array} cues - { start, end, speaker, text }
+     * @returns {Array} Array of message objects ready for database
+     */
+    parseCues(cues) {
+        return this.parseEntries(this.cueEntries(cues));
+    }
+
+    /**
+     * Timing of the text between two offsets of a turn's content
+     * @param {Array} pieces - { offset, start, end } for each entry in the turn
+     */
+    timingAt(pieces, from, to) {
+        const pieceAt = offset => pieces.filter(piece => piece.offset <= offset).pop() || pieces[0];
+        const first = pieceAt(from);
+        const last = pieceAt(to);
+        return { start: first.start, end: last.end ?? null };
+    }
 
-        // Split transcript by lines to process sequentially
-        const lines = transcript.split('\n');
+    parseEntries(entries) {
+        this.detectLabels(entries);
+        const { resolution } = this;
 
         let currentSpeaker = null;
+        let currentLabel = null;
+        let currentTimestamp = null;
         let sequenceNumber = 0;
+        let turnIndex = 0;
         let currentContent = '';
+        let pieces = []; // where each entry starts in currentContent, and its timing
+
+        const append = (text, entry) => {
+            const cleaned = this.cleanContent(text);
+            if (!cleaned) return;
+            if (currentContent) currentContent += ' ';
+            // Untimed continuation lines share the timing of the line they continue
+            const previous = pieces[pieces.length - 1];
+            const timing = entry.start == null && previous ? previous : entry;
+            pieces.push({ offset: currentContent.length, start: timing.start ?? null, end: timing.end ?? null });
+            currentContent += cleaned;
+        };
 
         // Helper to flush current message
         const flushMessage = () => {
-            if (currentSpeaker && currentContent.trim()) {
-                // Break long content into chunks
-                const chunks = this.breakIntoChunks(currentContent.trim(), 500);
+            const content = currentContent;
+            if (currentSpeaker && content) {
+                // Break long content into chunks, timed from the entries each one spans
+                const chunks = this.chunkContent(content);
+                turnIndex++;
 
                 for (const chunk of chunks) {
+                    const timing = this.timingAt(pieces, chunk.start, chunk.end - 1);
+
                     sequenceNumber++;
                     const message = {
                         speaker: currentSpeaker,
-                        content: chunk,
+                        raw_label: currentLabel,
+                        content: chunk.text,
                         sequence_number: sequenceNumber,
-                        word_count: chunk.split(/\s+/).length,
-                        timestamp: null,
+                        word_count: chunk.text.split(/\s+/).length,
+                        timestamp: chunk.start === 0 ? currentTimestamp : formatTimestamp(timing.start) ?? currentTimestamp,
+                        start_seconds: timing.start,
+                        end_seconds: timing.end,
+                        content_span: {
+                            turn: turnIndex,
+                            start: chunk.start,
+                            end: chunk.end,
+                            overlap: chunk.overlap,
+                            chunks: chunks.length
+                        },
                         fact_check_status: 'pending'
                     };
 
@@ -73,51 +376,35 @@ class DebateParser {
                 }
             }
             currentContent = '';
+            pieces = [];
         };
 
-        for (let line of lines) {
-            line = line.trim();
-            if (!line) continue;
-
-            // Check for speaker pattern
-            const match = /^\s*([A-Z][a-zA-Z0-9\s\.]+):(.*)/.exec(line);
+        for (const entry of entries) {
+            const resolved = entry.label && resolution.get(this.labelKey(entry.label));
 
-            if (match) {
-                // Found a new speaker
-                const name = match[1].trim();
-                const content = match[2].trim();
-
-                // Only process if it's a valid speaker
-                const normalizedName = this.normalizeSpeakerName(name);
-
-                if (this.isValidSpeaker(normalizedName)) {
+            if (resolved?.role === 'speaker') {
+                // Captions split one turn across many cues; keep them together
+                if (!(entry.cue && resolved.name === currentSpeaker)) {
                     flushMessage(); // Save previous speaker's message
 
-                    // Standardize well-known speaker names, otherwise use normalized name
-                    const lowerName = normalizedName.toLowerCase();
-                    if (lowerName.includes('kamala') || lowerName.includes('harris')) {
-                        currentSpeaker = 'Kamala Harris';
-                    } else if (lowerName.includes('trump') || lowerName.includes('donald')) {
-                        currentSpeaker = 'Donald Trump';
-                    } else {
-                        // Use the normalized (Title Case) name for any other speaker
-                        currentSpeaker = normalizedName;
-                    }
-
-                    if (content) currentContent = content;
-                    continue;
-                } else if (this.isModerator(normalizedName)) {
-                    // Skip moderator content
-                    flushMessage();
-                    currentSpeaker = null;
-                    continue;
+                    currentSpeaker = resolved.name;
+                    currentLabel = entry.label;
+                    currentTimestamp = entry.timestamp;
                 }
-                // If not a valid speaker or moderator, treat as continuation of content
+                append(entry.content, entry);
+                continue;
+            }
+
+            if (resolved?.role === 'ignored') {
+                // Skip moderator (or other ignored) content until the next speaker
+                flushMessage();
+                currentSpeaker = null;
+                continue;
             }
 
-            // Append to current speaker's content
+            // Anything else continues the current speaker's turn
             if (currentSpeaker) {
-                currentContent += (currentContent ? ' ' : '') + line;
+                append(entry.line, entry);
             }
         }
 
@@ -127,13 +414,6 @@ class DebateParser {
         return this.messages;
     }
 
-    /**
-     * Check if a string is a speaker name (Deprecated, using regex now)
-     */
-    isSpeakerName(text) {
-        return /^[A-Z][A-Z\s\.]+$/.test(text);
-    }
-
     /**
      * Normalize speaker names for consistency
      */
@@ -143,73 +423,153 @@ class DebateParser {
     }
 
     /**
-     * Check if a speaker is a moderator
+     * Clean content: drop stage directions like [APPLAUSE] or (LAUGHTER)
+     * and normalize whitespace
      */
-    isModerator(speaker) {
-        const mods = ['Moderator', 'David Muir', 'Linsey Davis', 'Chris Wallace', 'Kristen Welker'];
-        return mods.includes(speaker);
+    cleanContent(content) {
+        return content
+            .replace(/\[[^\]]*\]/g, ' ')
+            .replace(/\((?:[A-Z]+\s*)+\)/g, ' ')
+            .replace(/\s+/g, ' ')  // Normalize whitespace
+            .replace(/--/g, '—')   // Fix dashes
+            .trim();
     }
 
     /**
-     * Check if a speaker is a valid debate participant
-     * Now accepts ANY speaker that's not a moderator
+     * Whether the period at content[index] ends a sentence, rather than
+     * belonging to a number ("3.5"), an abbreviation ("Mr.") or an initialism ("U.S.")
      */
-    isValidSpeaker(speaker) {
-        // First check if it's a moderator (which we want to exclude)
-        if (this.isModerator(speaker)) {
-            return false;
-        }
+    isSentencePeriod(content, index) {
+        if (/\d/.test(content[index - 1] || '') && /\d/.test(content[index + 1] || '')) return false;
 
-        // Accept any speaker that:
-        // 1. Has at least 2 characters
-        // 2. Is not just "SPEAKER" or similar generic terms
-        const normalized = speaker.toUpperCase().trim();
-        const genericTerms = ['SPEAKER', 'MODERATOR', 'HOST', 'ANNOUNCER', 'NARRATOR'];
-        
-        if (normalized.length < 2 || genericTerms.includes(normalized)) {
-            return false;
+        const word = /([\p{L}.]+)$/u.exec(content.slice(0, index))?.[1] || '';
+        if (ABBREVIATIONS.has(word.toLowerCase())) return false;
+        // Single letters and dotted initialisms: "J. Smith", "U.S. troops"
+        return !/^(?:\p{Lu}|(?:\p{L}\.)+\p{L})$/u.test(word);
+    }
+
+    /**
+     * Split content into sentences without breaking numbers, abbreviations or quotations
+     * @returns {Array<{ start: number, end: number }>} Offsets into content
+     */
+    splitSentences(content) {
+        const sentences = [];
+        let start = 0;
+        let inQuote = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuote ? CLOSE_QUOTES.has(char) : OPEN_QUOTES.has(char)) {
+                inQuote = !inQuote;
+                continue;
+            }
+            if (inQuote || !/[.!?…]/.test(char)) continue;
+            if (char === '.' && !this.isSentencePeriod(content, i)) continue;
+
+            // Take the whole "?!" / "..." run and any closing quote or bracket after it
+            let end = i + 1;
+            while (end < content.length && /[.!?…"”’')\]]/.test(content[end])) end++;
+
+            // A sentence ends only where whitespace is followed by a new sentence
+            const next = /^\s+([\p{Lu}\p{N}"“'‘(\[$£€])/u.exec(content.slice(end));
+            if (!next) {
+                i = end - 1;
+                continue;
+            }
+
+            sentences.push({ start, end });
+            start = end + next[0].length - next[1].length;
+            i = start - 1;
         }
 
-        // Accept this as a valid speaker!
-        return true;
+        if (start < content.trimEnd().length) {
+            sentences.push({ start, end: content.trimEnd().length });
+        }
+        return sentences;
     }
 
     /**
-     * Clean content by removing extra whitespace and formatting
+     * Split a span longer than maxLength at clause boundaries, then at spaces.
+     * A space after a number is never used, so "$1.2 trillion" stays together.
+     * @returns {Array<{ start: number, end: number }>}
      */
-    cleanContent(content) {
-        return content
-            .replace(/\s+/g, ' ')  // Normalize whitespace
-            .replace(/--/g, '—')   // Fix dashes
-            .trim();
+    splitLongSpan(content, span, maxLength) {
+        const text = content.slice(span.start, span.end);
+        const breaks = [...text.matchAll(CLAUSE_BREAK)].map(match => match.index + match[0].length);
+        const spaces = [...text.matchAll(/\s+/g)]
+            .filter(match => !/\d\S*$/.test(text.slice(0, match.index)))
+            .map(match => match.index);
+
+        const parts = [];
+        let from = 0;
+        while (text.length - from > maxLength) {
+            const limit = from + maxLength;
+            const cut = breaks.filter(b => b > from && b <= limit).pop() ??
+                spaces.filter(b => b > from && b <= limit).pop() ??
+                spaces.find(b => b > from) ??
+                text.length;
+            parts.push({ start: span.start + from, end: span.start + cut });
+            from = cut;
+            while (from < text.length && /\s/.test(text[from])) from++;
+        }
+        if (from < text.length) parts.push({ start: span.start + from, end: span.end });
+        return parts;
     }
 
     /**
-     * Break long content into smaller chunks
+     * Break a turn into chunks of whole sentences. Each chunk records where it
+     * sits in the turn, so a UI can highlight it in the full text.
+     * @param {string} content - Cleaned turn text
+     * @param {Object} [options]
+     * @param {number} [options.maxLength] - Defaults to the parser's chunkSize
+     * @param {number} [options.overlap] - Sentences repeated from the previous chunk; defaults to chunkOverlap
+     * @returns {Array<{ text: string, start: number, end: number, overlap: number }>}
+     *   start/end are offsets into content; overlap is how many leading characters repeat the previous chunk
      */
-    breakIntoChunks(content, maxLength) {
-        const sentences = content.match(/[^.!?]+[.!?]+/g) || [content];
+    chunkContent(content, { maxLength = this.chunkSize, overlap = this.chunkOverlap } = {}) {
+        const units = this.splitSentences(content)
+            .flatMap(span => span.end - span.start > maxLength ? this.splitLongSpan(content, span, maxLength) : [span]);
+
         const chunks = [];
-        let currentChunk = '';
-
-        for (const sentence of sentences) {
-            if ((currentChunk + sentence).length > maxLength && currentChunk) {
-                chunks.push(currentChunk.trim());
-                currentChunk = sentence;
-            } else {
-                currentChunk += (currentChunk ? ' ' : '') + sentence;
-            }
-        }
+        let current = [];
+        const length = list => list.length > 0 ? list[list.length - 1].end - list[0].start : 0;
+
+        const flush = () => {
+            if (current.length === 0) return;
+            const start = current[0].start;
+            const end = current[current.length - 1].end;
+            const previousEnd = chunks.length > 0 ? chunks[chunks.length - 1].end : start;
+            chunks.push({ text: content.slice(start, end), start, end, overlap: Math.max(0, previousEnd - start) });
+
+            // Carry the last sentences over, as long as they leave room for new text
+            current = overlap > 0 ? current.slice(-overlap) : [];
+            while (current.length > 0 && length(current) > maxLength / 2) current = current.slice(1);
+        };
+        const emitted = unit => unit.end <= (chunks[chunks.length - 1]?.end ?? -1);
 
-        if (currentChunk) {
-            chunks.push(currentChunk.trim());
+        for (const unit of units) {
+            if (current.length > 0 && unit.end - current[0].start > maxLength) {
+                // Nothing new since the last chunk means current only holds carried-over sentences
+                if (!current.every(emitted)) flush();
+                while (current.length > 0 && unit.end - current[0].start > maxLength) current = current.slice(1);
+            }
+            current.push(unit);
         }
+        if (!current.every(emitted)) flush();
 
         return chunks;
     }
 
     /**
-     * Get statistics about the parsed debate
+     * Break long content into smaller chunks (text only; see chunkContent)
+     */
+    breakIntoChunks(content, maxLength = this.chunkSize) {
+        return this.chunkContent(content, { maxLength }).map(chunk => chunk.text);
+    }
+
+    /**
+     * Get statistics about the parsed transcript
      */
     getStatistics() {
         return {
@@ -220,7 +580,9 @@ class DebateParser {
                 count: stats.message_count,
                 words: stats.total_words,
                 avg_words_per_message: Math.round(stats.total_words / stats.message_count)
-            }))
+            })),
+            ignored_speakers: this.detection?.ignored || [],
+            rejected_labels: this.detection?.rejected || []
         };
     }
 
@@ -256,11 +618,10 @@ class DebateParser {
 }
 
 // Example usage - commented out for ES module compatibility
-// To test, run: node debate-parser.js --test
 /*
-const parser = new DebateParser();
+const parser = new DebateParser({ aliases: { 'THE PRESIDENT': 'Joe Biden' }, ignore: ['Lester Holt'] });
 const transcript = fs.readFileSync('debate-transcript.txt', 'utf8');
 const messages = parser.parseTranscript(transcript);
 */
 
-export default DebateParser;
\ No newline at end of file
+export default DebateParser;
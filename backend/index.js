@@ -3,11 +3,33 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createClient } from '@supabase/supabase-js';
 import debateRoutes from './routes/debate-analyzer.js';
 import claimSourcesRoutes from './routes/claim-sources.js';
+import claimsRoutes from './routes/claims.js';
 import spaceEndRoutes from './routes/space-end.js';
-import twitterService, { getThreadTweets } from './services/twitter.js';
+import twitterService, { getThreadTweets, getXApiStatus } from './services/twitter.js';
+import { TwitterBot } from './services/twitter-bot.js';
+import { flaggedClaims } from './services/reply-thread.js';
+import { chatCompletion, describeModels } from './services/llm.js';
+import { parseFactCheck, buildCorrectionPrompt } from './utils/fact-check-schema.js';
+import { JobQueue, createStateStore } from './services/job-queue.js';
+import { publishSpaceEvent } from './services/space-events.js';
+import { findMatchingClaim, linkClaims, reusedAnalysis, backfillFingerprints } from './services/claim-matching.js';
+import {
+  buildConversationContext, shouldAnalyze, isSelfContained, formatContextPrompt, resolveClaimDependencies, describeContext
+} from './services/conversation-context.js';
+import { recomputeSpaceCredibility } from './services/credibility.js';
+import spaceEventsRoutes from './routes/space-events.js';
+import credibilityRoutes from './routes/credibility.js';
+import speakersRoutes from './routes/speakers.js';
+import apiKeysRoutes from './routes/api-keys.js';
+import devRoutes from './routes/dev.js';
+import selectorsRoutes from './routes/selectors.js';
+import { isDevMode, seedFixtures } from './services/fixtures.js';
+import { createAuthMiddleware, authEnabled } from './middleware/auth.js';
+import { corsOptions, allowedOrigins } from './middleware/cors.js';
+import { limitsFor, usageDay } from './services/api-keys.js';
+import { getStorage } from './storage/index.js';
 
 // ES module dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -20,20 +42,26 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Serve static files from parent directory (for test HTML files)
-app.use(express.static(path.join(__dirname, '..')));
+// Serve the extension's pages and assets from the parent directory (for test
+// HTML files). Only top-level pages, scripts, styles and icons, plus libs/:
+// never backend/ (source, .env, the SQLite database) or anything else in the repo
+const STATIC_ASSET = /^\/(?:libs\/[\w.-]+|[\w.-]+\.(?:html|js|css|png))$/;
+const serveExtension = express.static(path.join(__dirname, '..'), { dotfiles: 'ignore', index: false });
+app.use((req, res, next) => {
+  if (!STATIC_ASSET.test(req.path)) return next();
+  serveExtension(req, res, next);
+});
 
-// Initialize Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// Initialize storage (Supabase or SQLite, see storage/index.js)
+const storage = getStorage();
 
-// Middleware - Allow all origins and handle Chrome's Private Network Access
-app.use(cors({
-  origin: true,
-  credentials: true
-}));
+// Dev mode (DEV_MODE=true) registers the test routes and seeds fixture spaces;
+// it is never enabled in production
+const devMode = isDevMode();
+
+// Middleware - CORS for the origins in CORS_ORIGINS (see middleware/cors.js)
+// and Chrome's Private Network Access
+app.use(cors(corsOptions()));
 
 // Add Private Network Access headers for Chrome
 app.use((req, res, next) => {
@@ -41,7 +69,10 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
+
+// API keys, scopes and per-key rate limits (see middleware/auth.js)
+app.use('/api', createAuthMiddleware(storage));
 
 // =====================================================
 // API ROUTES
@@ -61,17 +92,15 @@ app.post('/api/spaces/create', async (req, res) => {
   try {
     const { title, space_url, metadata } = req.body;
 
-    const { data, error } = await supabase.rpc('create_space', {
-      p_title: title || null,
-      p_space_url: space_url || null,
-      p_metadata: metadata || {}
+    const spaceId = await storage.spaces.create({
+      title: title || null,
+      space_url: space_url || null,
+      metadata: metadata || {}
     });
 
-    if (error) throw error;
-
     res.json({
       success: true,
-      space_id: data,
+      space_id: spaceId,
       message: 'Space created successfully'
     });
   } catch (error) {
@@ -89,31 +118,20 @@ app.get('/api/spaces/:id', async (req, res) => {
     const { id } = req.params;
 
     // Get space details
-    const { data: space, error: spaceError } = await supabase
-      .from('spaces')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const space = await storage.spaces.get(id);
 
-    if (spaceError) throw spaceError;
+    if (!space) {
+      return res.status(404).json({
+        success: false,
+        error: 'Space not found'
+      });
+    }
 
     // Get messages with speakers
-    const { data: messages, error: messagesError } = await supabase
-      .from('messages_with_speakers')
-      .select('*')
-      .eq('space_id', id)
-      .order('sequence_number', { ascending: true });
-
-    if (messagesError) throw messagesError;
+    const messages = await storage.messages.listBySpace(id);
 
     // Get statistics
-    const { data: stats, error: statsError } = await supabase
-      .from('space_statistics')
-      .select('*')
-      .eq('space_id', id)
-      .single();
-
-    if (statsError) throw statsError;
+    const stats = await storage.spaces.getStatistics(id);
 
     res.json({
       success: true,
@@ -137,11 +155,9 @@ app.post('/api/spaces/:id/end', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase.rpc('end_space', {
-      p_space_id: id
-    });
+    await storage.spaces.end(id);
 
-    if (error) throw error;
+    publishSpaceEvent(id, 'space-ended', { ended_at: new Date().toISOString() });
 
     res.json({
       success: true,
@@ -161,13 +177,10 @@ app.get('/api/spaces', async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
 
-    const { data, error } = await supabase
-      .from('space_statistics')
-      .select('*')
-      .order('started_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) throw error;
+    const data = await storage.spaces.listStatistics({
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
 
     res.json({
       success: true,
@@ -198,16 +211,11 @@ app.post('/api/speakers/find-or-create', async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase.rpc('get_or_create_speaker', {
-      p_username: username,
-      p_display_name: display_name || null
-    });
-
-    if (error) throw error;
+    const speakerId = await storage.speakers.getOrCreate(username, display_name || null);
 
     res.json({
       success: true,
-      speaker_id: data
+      speaker_id: speakerId
     });
   } catch (error) {
     console.error('Error with speaker:', error);
@@ -225,7 +233,7 @@ app.post('/api/speakers/find-or-create', async (req, res) => {
 // Create a new message
 app.post('/api/messages/create', async (req, res) => {
   try {
-    const { space_id, speaker_username, speaker_display_name, content } = req.body;
+    const { space_id, speaker_username, speaker_display_name, content, captured_at, client_message_id } = req.body;
 
     if (!space_id || !speaker_username || !content) {
       return res.status(400).json({
@@ -233,23 +241,44 @@ app.post('/api/messages/create', async (req, res) => {
         error: 'space_id, speaker_username, and content are required'
       });
     }
+    if (captured_at !== undefined && Number.isNaN(Date.parse(captured_at))) {
+      return res.status(400).json({ success: false, error: 'captured_at must be an ISO 8601 timestamp' });
+    }
 
-    // Create message using helper function
-    const { data: messageId, error } = await supabase.rpc('create_message', {
-      p_space_id: space_id,
-      p_speaker_username: speaker_username,
-      p_speaker_display_name: speaker_display_name || null,
-      p_content: content
-    });
+    // The extension resends buffered messages until it sees a response, so the
+    // same client_message_id can arrive twice
+    if (client_message_id) {
+      const existing = await storage.messages.findByClientId(space_id, String(client_message_id));
+      if (existing) {
+        return res.json({
+          success: true,
+          message_id: existing.id,
+          duplicate: true,
+          message: 'Message already received'
+        });
+      }
+    }
 
-    if (error) throw error;
+    // Create message (assigns speaker and sequence number)
+    const messageId = await storage.messages.create({
+      space_id,
+      speaker_username,
+      speaker_display_name: speaker_display_name || null,
+      content,
+      created_at: captured_at ? new Date(captured_at).toISOString() : null,
+      client_message_id: client_message_id ? String(client_message_id) : null
+    });
 
-    // Trigger Grok fact-checking asynchronously
-    // Don't await - let it process in background
-    analyzeMessageWithGrok(messageId, content, space_id).catch(err => {
-      console.error('Grok analysis error:', err);
+    publishSpaceEvent(space_id, 'message-created', {
+      message_id: messageId,
+      speaker_username,
+      speaker_display_name: speaker_display_name || null,
+      content
     });
 
+    // Queue Grok fact-checking - processed in the background
+    analysisQueue.enqueue(messageId, { messageId, content, spaceId: space_id });
+
     res.json({
       success: true,
       message_id: messageId,
@@ -277,22 +306,19 @@ app.post('/api/spaces/fact-check', async (req, res) => {
     }
 
     // Get message content
-    const { data: message, error: messageError } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('id', messageId)
-      .single();
-
-    if (messageError || !message) {
-      console.error('Error fetching message:', messageError);
+    const message = await storage.messages.get(messageId);
+
+    if (!message) {
+      console.error('Error fetching message: not found', messageId);
       return res.status(404).json({
         success: false,
         error: 'Message not found'
       });
     }
 
-    // Trigger Grok fact-checking
-    await analyzeMessageWithGrok(messageId, message.content, spaceId || message.space_id);
+    // Queue Grok fact-checking and wait for it to finish
+    analysisQueue.enqueue(messageId, { messageId, content: message.content, spaceId: spaceId || message.space_id });
+    await analysisQueue.waitFor(messageId);
 
     res.json({
       success: true,
@@ -312,25 +338,18 @@ app.get('/api/messages/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
-      .from('messages')
-      .select('*, speakers!messages_speaker_id_fkey(username, display_name)')
-      .eq('id', id)
-      .single();
+    const message = await storage.messages.get(id);
 
-    if (error) throw error;
-
-    // Flatten the response to match expected format
-    const response = {
-      ...data,
-      speaker_username: data.speakers?.username || data.speaker_username,
-      speaker_display_name: data.speakers?.display_name || data.speaker_display_name
-    };
-    delete response.speakers;
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: response
+      data: message
     });
   } catch (error) {
     console.error('Error fetching message:', error);
@@ -345,47 +364,8 @@ app.get('/api/messages/:id', async (req, res) => {
 // GROK INTEGRATION
 // =====================================================
 
-async function analyzeMessageWithGrok(messageId, content, spaceId) {
-  try {
-    // Check word count - only analyze if longer than 10 words
-    const wordCount = content.trim().split(/\s+/).length;
-
-    if (wordCount <= 10) {
-      // Skip analysis for short messages
-      await supabase
-        .from('messages')
-        .update({
-          fact_check_status: 'completed',
-          grok_explanation: 'Message too short for analysis'
-        })
-        .eq('id', messageId);
-      console.log(`⊘ Message ${messageId} skipped: too short (${wordCount} words)`);
-      return;
-    }
-
-    // Update status to processing
-    await supabase
-      .from('messages')
-      .update({ fact_check_status: 'processing' })
-      .eq('id', messageId);
-
-    console.log(`\n🔍 Processing message ${messageId}`);
-    console.log(`📨 Content: "${content}"`);
-    console.log(`📏 Content length: ${content.length} characters`);
-
-    // Call Grok API (xAI uses OpenAI-compatible endpoint)
-    const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'grok-4-1-fast-reasoning', // Fast model for widget (Chrome extension)
-        messages: [
-          {
-            role: 'system',
-            content: `You are a fact-checking AI. Extract and verify factual claims, EVEN when embedded in casual language or opinion statements.
+// System prompt shared by message fact-checking and the test endpoint
+const FACT_CHECK_SYSTEM_PROMPT = `You are a fact-checking AI. Extract and verify factual claims, EVEN when embedded in casual language or opinion statements.
 
 === WHAT TO EXTRACT ===
 ✅ FACTUAL CLAIMS (extract these - even if phrased casually):
@@ -409,6 +389,13 @@ async function analyzeMessageWithGrok(messageId, content, spaceId) {
 - Subjective preferences: "I prefer...", "The best approach is..." (without factual basis)
 - Vague statements: "I heard there's a new study" (no specific claim)
 
+=== CONVERSATION CONTEXT ===
+The message may come with the space title and numbered earlier messages ([1], [2], ...).
+- Fact-check ONLY the message to fact-check. Earlier messages are context, not claims to verify.
+- Use the context to resolve pronouns and references: "he raised it by 40%" → "Biden raised the minimum wage by 40%"
+- Write each claim's "text" so it stands on its own, with references resolved
+- List the numbers of the earlier messages a claim relies on in "depends_on" ([] if none)
+
 === SOURCE REQUIREMENTS ===
 ⚠️ CRITICAL: Use ONLY these approved URLs. NO other URLs allowed.
 
@@ -451,7 +438,8 @@ RULES:
         "https://real-source-1.gov/page",
         "https://www.factcheck.org/2024/article",
         "https://grokipedia.com/page/Topic"
-      ]
+      ],
+      "depends_on": [2]
     }
   ],
   "truth_score": 8,
@@ -463,45 +451,152 @@ If NO factual claims (only opinions):
   "claims": [],
   "truth_score": null,
   "summary": "No factual claims to verify"
-}`
-          },
-          {
-            role: 'user',
-            content: content
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1500
-      })
+}`;
+
+/**
+ * Ask Grok to fact-check a message, repairing or re-prompting once on invalid
+ * JSON. A response that still fails validation is recorded on the message.
+ * @param {string} userPrompt - Message content, with its conversation context
+ * @returns {Promise<Object|null>} - Validated result, or null if it failed
+ */
+async function requestFactCheck(messageId, userPrompt, spaceId) {
+  const promptMessages = [
+    { role: 'system', content: FACT_CHECK_SYSTEM_PROMPT },
+    { role: 'user', content: userPrompt }
+  ];
+
+  // Call the fast model (widget / Chrome extension)
+  const { content: grokContent } = await chatCompletion('fast', {
+    messages: promptMessages,
+    temperature: 0.3,
+    max_tokens: 1500
+  });
+
+  // Debug logging
+  console.log('\n=== GROK RESPONSE DEBUG ===');
+  console.log('📝 Raw Grok response:', grokContent);
+  // content may be null (refusals, tool calls); the schema repair below reports it
+  console.log('📝 Response length:', grokContent?.length ?? 0);
+  console.log('📝 Response type:', typeof grokContent);
+
+  // Parse and validate Grok's JSON response, repairing it if possible
+  let { result: analysisResult, errors: validationErrors, repairs } = parseFactCheck(grokContent);
+  const rawResponses = [grokContent];
+
+  if (repairs.length > 0) {
+    console.log('🔧 Repairs applied to Grok JSON:', repairs.join(', '));
+  }
+
+  // One corrective re-prompt before giving up
+  if (!analysisResult) {
+    console.warn('⚠️  Grok response failed validation:', validationErrors);
+    console.log('🔁 Re-prompting Grok with validation errors...');
+
+    const { content: retryContent } = await chatCompletion('fast', {
+      messages: [
+        ...promptMessages,
+        { role: 'assistant', content: grokContent ?? '' },
+        { role: 'user', content: buildCorrectionPrompt(validationErrors) }
+      ],
+      temperature: 0.1,
+      max_tokens: 1500
+    });
+
+    rawResponses.push(retryContent);
+    ({ result: analysisResult, errors: validationErrors } = parseFactCheck(retryContent));
+  }
+
+  // Never fabricate a score - record why the response was rejected instead
+  if (!analysisResult) {
+    console.error('❌ Grok response still invalid after re-prompt:', validationErrors);
+
+    await storage.messages.update(messageId, {
+      fact_check_status: 'failed',
+      grok_explanation: 'Fact-check response failed schema validation',
+      grok_response_raw: {
+        claims: [],
+        validation_errors: validationErrors,
+        raw_responses: rawResponses
+      },
+      processed_at: new Date().toISOString()
+    });
+    await storage.claims.replaceForMessage(messageId, []);
+    publishSpaceEvent(spaceId, 'analysis-completed', {
+      message_id: messageId,
+      fact_check_status: 'failed',
+      truth_score: null,
+      grok_explanation: 'Fact-check response failed schema validation'
     });
+    return null;
+  }
+
+  console.log('✅ Successfully parsed Grok JSON');
+  console.log('📊 Parsed result:', JSON.stringify(analysisResult, null, 2));
+
+  return analysisResult;
+}
+
+async function analyzeMessageWithGrok(messageId, content, spaceId) {
+  try {
+    // Space title plus the messages just before this one, so references can be resolved
+    const message = await storage.messages.get(messageId);
+    const context = await buildConversationContext(storage, message || { id: messageId, space_id: spaceId });
+
+    // Short messages are skipped, unless they follow earlier conversation they may complete
+    const { analyze, wordCount } = shouldAnalyze(content, context);
 
-    if (!grokResponse.ok) {
-      throw new Error(`Grok API error: ${grokResponse.statusText}`);
+    if (!analyze) {
+      // Skip analysis for short messages
+      await storage.messages.update(messageId, {
+        fact_check_status: 'completed',
+        grok_explanation: 'Message too short for analysis'
+      });
+      publishSpaceEvent(spaceId, 'analysis-completed', {
+        message_id: messageId,
+        fact_check_status: 'completed',
+        truth_score: null,
+        grok_explanation: 'Message too short for analysis'
+      });
+      console.log(`⊘ Message ${messageId} skipped: too short (${wordCount} words)`);
+      return;
     }
 
-    const grokData = await grokResponse.json();
-    const grokContent = grokData.choices[0].message.content;
+    // Update status to processing
+    await storage.messages.update(messageId, { fact_check_status: 'processing' });
+    publishSpaceEvent(spaceId, 'analysis-started', { message_id: messageId });
+
+    console.log(`\n🔍 Processing message ${messageId}`);
+    console.log(`📨 Content: "${content}"`);
+    console.log(`📏 Content length: ${content.length} characters`);
+    if (context.messages.length > 0) {
+      console.log(`🧵 Context: ${context.messages.length} earlier message(s)${context.space_title ? ` in "${context.space_title}"` : ''}`);
+    }
 
-    // Debug logging
-    console.log('\n=== GROK RESPONSE DEBUG ===');
-    console.log('📝 Raw Grok response:', grokContent);
-    console.log('📝 Response length:', grokContent.length);
-    console.log('📝 Response type:', typeof grokContent);
+    // Reuse a fresh verdict when this exact claim was already checked in another
+    // space/debate/thread. Only for self-contained messages whose whole text is that
+    // claim: anything else is checked, and its extracted claims are linked afterwards
+    const priorMatch = isSelfContained(content, context)
+      ? await findMatchingClaim(storage, content, { excludeMessageId: messageId, exact: true })
+      : null;
+    const reused = Boolean(priorMatch?.fresh);
 
-    // Parse Grok's JSON response
     let analysisResult;
-    try {
-      analysisResult = JSON.parse(grokContent);
-      console.log('✅ Successfully parsed Grok JSON');
-      console.log('📊 Parsed result:', JSON.stringify(analysisResult, null, 2));
-    } catch (e) {
-      console.error('❌ Failed to parse Grok response:', e.message);
-      console.error('❌ Invalid JSON content:', grokContent);
-      // If Grok didn't return valid JSON, create a default response
+    if (reused) {
+      console.log(`♻️  Reusing verdict of claim ${priorMatch.claim.id} (similarity ${priorMatch.score}, verified ${priorMatch.claim.verified_at})`);
+      analysisResult = reusedAnalysis(priorMatch, content);
+    } else {
+      if (priorMatch) {
+        console.log(`🔄 Matched claim ${priorMatch.claim.id} is stale, refreshing its verdict`);
+      }
+      const speaker = message?.speaker_display_name || message?.speaker_username || null;
+      analysisResult = await requestFactCheck(messageId, formatContextPrompt(content, speaker, context), spaceId);
+      if (!analysisResult) return;
+
+      // depends_on numbers refer to the prompt's context list; store message ids instead
       analysisResult = {
-        claims: [],
-        truth_score: 5,
-        summary: 'Unable to verify this claim with available sources.'
+        ...analysisResult,
+        claims: resolveClaimDependencies(analysisResult.claims || [], context),
+        context: describeContext(context)
       };
     }
 
@@ -519,7 +614,8 @@ If NO factual claims (only opinions):
           text: claim.text,
           score: claim.score,
           verdict: claim.verdict,
-          sources: claim.sources?.length || 0
+          sources: claim.sources?.length || 0,
+          depends_on: claim.depends_on?.length || 0
         });
       });
     }
@@ -527,15 +623,22 @@ If NO factual claims (only opinions):
 
     // Handle cases where no factual claims exist
     if (truthScore === null || truthScore === undefined) {
-      await supabase
-        .from('messages')
-        .update({
-          fact_check_status: 'completed',
-          grok_explanation: summary,
-          grok_response_raw: analysisResult,
-          processed_at: new Date().toISOString()
-        })
-        .eq('id', messageId);
+      await storage.messages.update(messageId, {
+        fact_check_status: 'completed',
+        grok_explanation: summary,
+        grok_response_raw: analysisResult,
+        processed_at: new Date().toISOString()
+      });
+      await storage.claims.replaceForMessage(messageId, []);
+
+      publishSpaceEvent(spaceId, 'analysis-completed', {
+        message_id: messageId,
+        fact_check_status: 'completed',
+        truth_score: null,
+        grok_explanation: summary,
+        grok_response_raw: analysisResult,
+        claims: []
+      });
 
       console.log(`⊘ Message ${messageId} had no factual claims to verify`);
       return;
@@ -553,191 +656,160 @@ If NO factual claims (only opinions):
       verdict = 'False';
     }
 
-    // Get current credibility score for the space
-    const { data: spaceData } = await supabase
-      .from('spaces')
-      .select('overall_credibility_score')
-      .eq('id', spaceId)
-      .single();
-
-    const currentScore = spaceData?.overall_credibility_score || 100;
-
-    // Calculate new score based on truth_score (1-10 scale)
-    // Higher truth score = less penalty
-    const scoreChange = (truthScore - 10) * 1.5; // Max penalty: -13.5 for score of 1
-    const newScore = Math.max(0, Math.min(100, currentScore + scoreChange));
+    // Link each claim to the earlier claim it repeats (reused claims are linked already)
+    const linkedClaims = reused ? claims : await linkClaims(storage, claims, { excludeMessageId: messageId });
+    const matchedClaimId = priorMatch?.root_id || linkedClaims.find(c => c.matched_claim_id)?.matched_claim_id || null;
 
     // Update message with fact-check results
-    const { error } = await supabase
-      .from('messages')
-      .update({
-        fact_check_status: 'completed',
-        grok_verdict: verdict,
-        grok_explanation: summary,
-        truth_score: truthScore,
-        credibility_score: Math.round(newScore),
-        grok_response_raw: analysisResult,
-        processed_at: new Date().toISOString()
-      })
-      .eq('id', messageId);
+    await storage.messages.update(messageId, {
+      fact_check_status: 'completed',
+      grok_verdict: verdict,
+      grok_explanation: summary,
+      truth_score: truthScore,
+      grok_response_raw: analysisResult,
+      matched_claim_id: matchedClaimId,
+      processed_at: new Date().toISOString()
+    });
 
-    // Update space overall score
-    await supabase
-      .from('spaces')
-      .update({ overall_credibility_score: Math.round(newScore) })
-      .eq('id', spaceId);
+    // Claims get their own rows (and ids) for sources, propagation and consistency
+    const savedClaims = await storage.claims.replaceForMessage(messageId, linkedClaims);
 
-    if (error) throw error;
+    // Space score is recomputed from all of its claims (services/credibility.js)
+    const credibility = await recomputeSpaceCredibility(storage, spaceId, { messageId });
+    if (credibility) {
+      await storage.messages.update(messageId, { credibility_score: credibility.score });
+    }
+
+    publishSpaceEvent(spaceId, 'analysis-completed', {
+      message_id: messageId,
+      fact_check_status: 'completed',
+      truth_score: truthScore,
+      grok_verdict: verdict,
+      grok_explanation: summary,
+      grok_response_raw: analysisResult,
+      claims: savedClaims,
+      reused,
+      matched_claim_id: matchedClaimId
+    });
 
-    console.log(`✓ Message ${messageId} analyzed: Truth Score ${truthScore}/10`);
+    console.log(`✓ Message ${messageId} analyzed: Truth Score ${truthScore}/10${reused ? ' (reused verdict)' : ''}`);
   } catch (error) {
     console.error('Error analyzing with Grok:', error);
 
-    // Mark message as failed
-    await supabase
-      .from('messages')
-      .update({ fact_check_status: 'failed' })
-      .eq('id', messageId);
+    // Back to pending until the queue retries or dead-letters it
+    await storage.messages.update(messageId, { fact_check_status: 'pending' });
+
+    throw error;
   }
 }
 
-// Test endpoint for analysis format
-app.post('/api/test-analysis', async (req, res) => {
-  try {
-    const { content = "Elon Musk founded Tesla in 2003 and it's worth $800 billion. Also, eating sugar cures diabetes." } = req.body;
-
-    // Call Grok directly to test
-    const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'grok-4-0709', // Best model for maximum accuracy
-        messages: [
-          {
-            role: 'system',
-            content: `You are a fact-checking AI. Extract and verify factual claims, EVEN when embedded in casual language or opinion statements.
-
-=== WHAT TO EXTRACT ===
-✅ FACTUAL CLAIMS (extract these - even if phrased casually):
-- Statistics & numbers: "Unemployment is 3.5%", "21 million people crossed the border"
-- Historical events: "He appointed three justices", "The bill passed in 2022"
-- Verifiable statements: "He tweeted 'thank you'", "The law provides life in prison"
-- Scientific/medical facts: "Vaccines contain mercury", "COVID originated in China"
-- Economic/efficiency claims: "nuclear energy is a waste of money", "solar is more efficient than nuclear"
-- Comparative claims: "X is better/worse/more expensive than Y" (if objectively measurable)
-- Claims about news/studies: "I heard in the news that X" → verify if X is actually true
-- Casual factual statements: "I heard that...", "they say that..." → extract and verify the underlying claim
-
-⚠️ IMPORTANT: Don't be fooled by casual phrasing!
-- "I heard nuclear is a waste of money" → EXTRACT: "nuclear energy is a waste of money" (verifiable!)
-- "I think solar is more efficient" → EXTRACT: "solar is more efficient" (verifiable!)
-- "all I've seen in the news is..." → EXTRACT the factual claim being referenced
-
-❌ PURE OPINIONS (skip these):
-- Pure value judgments: "She's radical", "He's terrible", "This is immoral"
-- Predictions: "This will destroy America", "We will win"
-- Subjective preferences: "I prefer...", "The best approach is..." (without factual basis)
-- Vague statements: "I heard there's a new study" (no specific claim)
-
-=== SOURCE REQUIREMENTS ===
-⚠️ CRITICAL: Use ONLY these approved URLs. NO other URLs allowed.
-
-APPROVED SOURCES (use ONLY base domains):
-- https://www.factcheck.org/
-- https://www.politifact.com/
-- https://www.snopes.com/
-- https://www.census.gov/
-- https://www.bls.gov/
-- https://www.cdc.gov/
-- https://www.reuters.com/
-- https://apnews.com/
-- https://www.npr.org/
+// Background analysis queue - retries with backoff, persisted in bot_state
+const analysisQueue = new JobQueue({
+  name: 'analysis',
+  handler: ({ messageId, content, spaceId }) => analyzeMessageWithGrok(messageId, content, spaceId),
+  concurrency: parseInt(process.env.ANALYSIS_CONCURRENCY || '3'),
+  maxAttempts: parseInt(process.env.ANALYSIS_MAX_ATTEMPTS || '4'),
+  baseDelayMs: parseInt(process.env.ANALYSIS_RETRY_BASE_MS || '2000'),
+  maxDelayMs: parseInt(process.env.ANALYSIS_RETRY_MAX_MS || '60000'),
+  store: createStateStore(storage.state, 'job_queue:analysis'),
+  onDeadLetter: async (job, error) => {
+    const explanation = `Analysis failed after ${job.attempts} attempts: ${error.message}`;
+
+    await storage.messages.update(job.id, {
+      fact_check_status: 'failed',
+      grok_explanation: explanation,
+      processed_at: new Date().toISOString()
+    });
 
-GROKIPEDIA (REQUIRED - last source):
-Format: https://grokipedia.com/page/[Wikipedia_Article]
-Examples: COVID-19_pandemic, Abortion_in_the_United_States, United_States_federal_budget
+    publishSpaceEvent(job.payload.spaceId, 'analysis-completed', {
+      message_id: job.id,
+      fact_check_status: 'failed',
+      truth_score: null,
+      grok_explanation: explanation
+    });
+  }
+});
 
-RULES:
-1. Use ONLY base domain URLs (no article paths)
-2. Every claim needs 1 Grokipedia link
-3. 2-3 sources total per claim
+/**
+ * Enqueue any message still marked pending/processing (e.g. in flight when
+ * the server last stopped). Runs after the persisted queue is restored.
+ */
+async function recoverAnalysisJobs() {
+  try {
+    const stuck = await storage.messages.listByStatus(['pending', 'processing'], {
+      limit: parseInt(process.env.ANALYSIS_RECOVERY_LIMIT || '200')
+    });
 
-=== SCORING ===
-- 9-10: Verified fact, strong evidence
-- 7-8: Mostly true, minor issues
-- 5-6: Mixed or lacks context
-- 3-4: Mostly false
-- 1-2: Completely false
+    stuck.forEach(m => {
+      analysisQueue.enqueue(m.id, { messageId: m.id, content: m.content, spaceId: m.space_id });
+    });
 
-=== OUTPUT FORMAT ===
-{
-  "claims": [
-    {
-      "text": "exact factual claim",
-      "score": 8,
-      "verdict": "TRUE/FALSE/MIXED/UNVERIFIABLE",
-      "explanation": "Brief explanation with evidence",
-      "sources": [
-        "https://real-source-1.gov/page",
-        "https://www.factcheck.org/2024/article",
-        "https://grokipedia.com/page/Topic"
-      ]
-    }
-  ],
-  "truth_score": 8,
-  "summary": "Overall assessment"
+    console.log(`♻️  Recovered ${stuck.length} pending/processing message(s) for analysis`);
+  } catch (error) {
+    console.error('Error recovering analysis jobs:', error.message);
+  }
 }
 
-If NO factual claims (only opinions):
-{
-  "claims": [],
-  "truth_score": null,
-  "summary": "No factual claims to verify"
-}`
-          },
-          {
-            role: 'user',
-            content: content
-          }
+// Test endpoint for analysis format (dev mode only)
+if (devMode) {
+  app.post('/api/test-analysis', async (req, res) => {
+    try {
+      const { content = "Elon Musk founded Tesla in 2003 and it's worth $800 billion. Also, eating sugar cures diabetes." } = req.body;
+
+      // Call the deep model directly to test
+      const { content: grokContent, raw: grokData } = await chatCompletion('deep', {
+        messages: [
+          { role: 'system', content: FACT_CHECK_SYSTEM_PROMPT },
+          { role: 'user', content: content }
         ],
         temperature: 0.3,
         max_tokens: 1500
-      })
-    });
+      });
 
-    const grokData = await grokResponse.json();
+      const { result: analysisResult, errors: validationErrors, repairs } = parseFactCheck(grokContent);
 
-    // Check if response has error
-    if (!grokResponse.ok || grokData.error) {
-      console.error('Grok API error response:', grokData);
-      throw new Error(grokData.error?.message || `Grok API error: ${grokResponse.statusText}`);
+      res.json({
+        success: true,
+        test_content: content,
+        grok_response: analysisResult || { error: 'Failed to parse Grok response', raw: grokContent },
+        validation_errors: validationErrors,
+        repairs,
+        raw_response: grokData
+      });
+    } catch (error) {
+      console.error('Test analysis error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
     }
+  });
+}
 
-    if (!grokData.choices || !grokData.choices[0]) {
-      console.error('Unexpected Grok response structure:', grokData);
-      throw new Error('Invalid response from Grok API');
-    }
+// Manual trigger for re-analyzing a message
+app.post('/api/messages/:id/analyze', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    const grokContent = grokData.choices[0].message.content;
+    // Get message
+    const message = await storage.messages.get(id);
 
-    let analysisResult;
-    try {
-      analysisResult = JSON.parse(grokContent);
-    } catch (e) {
-      analysisResult = { error: 'Failed to parse Grok response', raw: grokContent };
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
     }
 
+    // Queue analysis
+    analysisQueue.enqueue(id, { messageId: id, content: message.content, spaceId: message.space_id });
+
     res.json({
       success: true,
-      test_content: content,
-      grok_response: analysisResult,
-      raw_response: grokData
+      message: 'Message queued for re-analysis'
     });
   } catch (error) {
-    console.error('Test analysis error:', error);
+    console.error('Error re-analyzing message:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -745,61 +817,46 @@ If NO factual claims (only opinions):
   }
 });
 
-// Manual trigger for re-analyzing a message
-app.post('/api/messages/:id/analyze', async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Get message
-    const { data: message, error } = await supabase
-      .from('messages')
-      .select('content, space_id')
-      .eq('id', id)
-      .single();
-
-    if (error) throw error;
-
-    // Trigger analysis
-    analyzeMessageWithGrok(id, message.content, message.space_id).catch(err => {
-      console.error('Grok analysis error:', err);
-    });
-
-    res.json({
-      success: true,
-      message: 'Message queued for re-analysis'
-    });
-  } catch (error) {
-    console.error('Error re-analyzing message:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// =====================================================
-// ANALYTICS ENDPOINTS
-// =====================================================
+// =====================================================
+// ANALYTICS ENDPOINTS
+// =====================================================
 
 // Dive Deeper - Propagation Graph
 // Dive Deeper - Propagation Graph
 app.post('/api/analytics/dive-deeper', async (req, res) => {
   try {
-    const { messageId, claim, skipCache, nodeCount = 60 } = req.body;
+    const { messageId, claimId, skipCache, nodeCount = 60 } = req.body;
+    let { claim } = req.body;
+
+    // Graphs are cached per claim when a claim id is given, otherwise per message
+    let claimRecord = null;
+    if (claimId) {
+      claimRecord = await storage.claims.get(claimId);
+      if (!claimRecord) {
+        return res.status(404).json({ success: false, error: 'Claim not found' });
+      }
+      claim = claim || claimRecord.text;
+    }
 
     if (!claim) {
       return res.status(400).json({ success: false, error: 'Claim text is required' });
     }
 
+    if (claimRecord?.propagation_analysis && !skipCache) {
+      console.log(`Cache hit for claim ${claimId}`);
+      return res.json({
+        success: true,
+        claim_id: claimId,
+        propagationGraph: claimRecord.propagation_analysis,
+        cached: true
+      });
+    }
+
     // Check cache first if messageId is provided and skipCache is not true
-    if (messageId && !skipCache) {
-      const { data: cachedMsg, error: cacheError } = await supabase
-        .from('messages')
-        .select('propagation_analysis')
-        .eq('id', messageId)
-        .single();
-
-      if (!cacheError && cachedMsg?.propagation_analysis) {
+    if (!claimRecord && messageId && !skipCache) {
+      const cachedMsg = await storage.messages.get(messageId).catch(() => null);
+
+      if (cachedMsg?.propagation_analysis) {
         console.log(`Cache hit for message ${messageId}`);
         return res.json({
           success: true,
@@ -834,18 +891,11 @@ app.post('/api/analytics/dive-deeper', async (req, res) => {
     // Fall back to Grok generation if X API didn't return data
     if (!graphData) {
       console.log('Using Grok to generate propagation graph...');
-      const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-        },
-        body: JSON.stringify({
-          model: 'grok-4-1-fast-reasoning',
-          messages: [
-            {
-              role: 'system',
-              content: `Generate a CONNECTED knowledge graph of X posts about a claim.
+      const { content: responseContent } = await chatCompletion('fast', {
+        messages: [
+          {
+            role: 'system',
+            content: `Generate a CONNECTED knowledge graph of X posts about a claim.
 
 CRITICAL: Every node MUST be connected. Create a web of relationships, not isolated nodes.
 
@@ -887,24 +937,16 @@ RULES:
 - Create reply chains: A -> B -> C -> D
 - Connect hubs to each other
 - 45% supports, 45% contradicts, 10% neutral`
-            },
-            {
-              role: 'user',
-              content: `Generate a DENSE X interaction graph (50-70 nodes in 5-6 clusters) for this claim:\n\n"${claim}"\n\nMake sure to include high-impression accounts and create realistic reply/quote chains within each cluster.`
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 8000
-        })
+          },
+          {
+            role: 'user',
+            content: `Generate a DENSE X interaction graph (50-70 nodes in 5-6 clusters) for this claim:\n\n"${claim}"\n\nMake sure to include high-impression accounts and create realistic reply/quote chains within each cluster.`
+          }
+        ],
+        temperature: 0.7,
+        max_tokens: 8000
       });
 
-      if (!grokResponse.ok) {
-        throw new Error(`Grok API error: ${grokResponse.statusText}`);
-      }
-
-      const grokData = await grokResponse.json();
-      const responseContent = grokData.choices[0].message.content;
-
       // Parse the JSON response
       try {
         const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
@@ -976,22 +1018,22 @@ RULES:
       };
     }
 
-    // Cache the result if messageId is provided
-    if (messageId) {
-      const { error: updateError } = await supabase
-        .from('messages')
-        .update({ propagation_analysis: graphData })
-        .eq('id', messageId);
-
-      if (updateError) {
-        console.warn('Failed to cache propagation analysis:', updateError.message);
-      } else {
+    // Cache the result on the claim, or on the message if only messageId is provided
+    try {
+      if (claimRecord) {
+        await storage.claims.update(claimId, { propagation_analysis: graphData });
+        console.log(`Cached propagation analysis for claim ${claimId}`);
+      } else if (messageId) {
+        await storage.messages.update(messageId, { propagation_analysis: graphData });
         console.log(`Cached propagation analysis for message ${messageId}`);
       }
+    } catch (updateError) {
+      console.warn('Failed to cache propagation analysis:', updateError.message);
     }
 
     res.json({
       success: true,
+      claim_id: claimId || null,
       propagationGraph: graphData,
       cached: false
     });
@@ -1003,395 +1045,202 @@ RULES:
 });
 
 // =====================================================
-// TEST ANALYTICS CACHING
+// DEV MODE
 // =====================================================
 
-// In-memory cache for test data (use file or DB for persistence)
-const testAnalyticsCache = new Map();
-
-/**
- * Generate cached test analytics data
- */
-app.post('/api/test/generate-cached-analytics', async (req, res) => {
-  try {
-    const {
-      speakers = ['Speaker A', 'Speaker B'],
-      messageCount = 15,
-      title = 'Test Debate Analysis'
-    } = req.body;
-
-    // Generate a cache ID
-    const cacheId = `test-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-    // Generate test messages with varied truth scores
-    const messages = [];
-    const verdicts = ['True', 'Misleading', 'False', 'Unverified'];
-
-    for (let i = 0; i < messageCount; i++) {
-      const speaker = speakers[i % speakers.length];
-      const truthScore = Math.floor(Math.random() * 10) + 1;
-      const verdictIndex = truthScore >= 8 ? 0 : truthScore >= 5 ? 1 : truthScore >= 3 ? 2 : 3;
-
-      messages.push({
-        id: `msg-${i + 1}`,
-        speaker_display_name: speaker,
-        speaker_username: speaker.toLowerCase().replace(/\s+/g, ''),
-        content: `Test statement ${i + 1} from ${speaker} about various topics including policy, economy, or social issues.`,
-        sequence_number: i + 1,
-        truth_score: truthScore,
-        grok_verdict: verdicts[verdictIndex],
-        grok_explanation: `This is a test explanation for message ${i + 1}. The claim ${truthScore >= 5 ? 'is mostly accurate' : 'contains inaccuracies'}.`,
-        grok_response_raw: [
-          {
-            text: `Claim ${i + 1} extracted from the statement`,
-            score: truthScore,
-            verdict: verdicts[verdictIndex],
-            explanation: `Explanation for claim ${i + 1}`,
-            sources: [
-              'https://example.com/source1',
-              'https://grokipedia.com/page/Example'
-            ]
-          }
-        ],
-        fact_check_status: 'completed',
-        created_at: new Date(Date.now() - (messageCount - i) * 60000).toISOString()
-      });
-    }
-
-    // Calculate statistics
-    const avgScore = messages.reduce((sum, m) => sum + m.truth_score, 0) / messages.length;
-
-    // Create space data
-    const space = {
-      id: cacheId,
-      title: title,
-      overall_credibility_score: Math.round(avgScore * 10),
-      started_at: new Date(Date.now() - messageCount * 60000).toISOString(),
-      ended_at: new Date().toISOString(),
-      total_messages: messageCount
-    };
-
-    // Generate propagation graph for testing
-    const propagationGraph = {
-      claim_summary: "Test claim for propagation visualization",
-      origin: {
-        id: 'origin',
-        username: '@testorigin',
-        display_name: 'Test Origin Account',
-        impressions: 1500000,
-        followers: 500000,
-        verified: true,
-        tweet_text: 'This is the original test tweet for propagation testing.',
-        timestamp: new Date().toISOString()
-      },
-      nodes: [],
-      links: [],
-      statistics: {
-        total_impressions: 2500000,
-        supporters: 8,
-        contradictors: 4,
-        neutral: 3
-      }
-    };
-
-    // Generate 15 test nodes for propagation
-    for (let i = 0; i < 15; i++) {
-      const impressions = Math.floor(Math.random() * 1000000) + 1000;
-      const stances = ['supports', 'contradicts', 'neutral'];
-      const types = ['retweet', 'quote', 'reply'];
-
-      const node = {
-        id: `node-${i + 1}`,
-        username: `@testuser${i + 1}`,
-        display_name: `Test User ${i + 1}`,
-        impressions: impressions,
-        followers: Math.floor(impressions / 10),
-        verified: Math.random() > 0.7,
-        tweet_text: `Test tweet ${i + 1} discussing the claim with various perspectives.`,
-        stance: stances[i % 3],
-        type: types[i % 3],
-        timestamp: new Date(Date.now() - i * 3600000).toISOString()
-      };
-
-      propagationGraph.nodes.push(node);
-      propagationGraph.links.push({
-        source: i === 0 ? 'origin' : `node-${Math.floor(Math.random() * i) + 1}`,
-        target: `node-${i + 1}`,
-        type: types[i % 3]
-      });
-    }
+// Test routes, backed by fixture spaces (see services/fixtures.js)
+if (devMode) {
+  app.use('/api/test', devRoutes);
+}
 
-    // Add origin to nodes
-    propagationGraph.nodes.unshift({
-      ...propagationGraph.origin,
-      stance: 'original',
-      type: 'original'
-    });
+// =====================================================
+// ERROR HANDLING
+// =====================================================
 
-    // Store in cache
-    testAnalyticsCache.set(cacheId, {
-      space,
-      messages,
-      propagationGraph,
-      createdAt: new Date().toISOString()
-    });
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+});
 
-    console.log(`✓ Generated test analytics cache: ${cacheId}`);
+// Grokipedia Chat Endpoint
+app.post('/api/grokipedia/chat', async (req, res) => {
+  try {
+    const { message, context } = req.body;
 
-    res.json({
-      success: true,
-      cacheId,
-      message: `Generated ${messageCount} test messages for ${speakers.length} speakers`,
-      testUrl: `/test-cached-analytics.html?cacheId=${cacheId}`
+    const { content: reply } = await chatCompletion('chat', {
+      messages: [
+        {
+          role: 'system',
+          content: `You are a helpful assistant on Grokipedia. The user is reading an article. 
+            Context/Claim from the article: "${context || 'No specific context provided'}".
+            Answer the user's question based on this context if relevant, or general knowledge. 
+            Keep answers concise and helpful.`
+        },
+        { role: 'user', content: message }
+      ]
     });
 
+    res.json({ success: true, reply });
   } catch (error) {
-    console.error('Error generating test cache:', error);
+    console.error('Error in Grokipedia chat:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-/**
- * Load cached test analytics data
- */
-app.get('/api/test/cached-analytics/:cacheId', async (req, res) => {
-  try {
-    const { cacheId } = req.params;
+// =====================================================
+// DEBATE ANALYZER ROUTES
+// =====================================================
 
-    const cached = testAnalyticsCache.get(cacheId);
+app.use('/api/debate', debateRoutes);
+app.use('/api/claims', claimSourcesRoutes);
+app.use('/api/claims', claimsRoutes);
+app.use('/api/spaces', spaceEndRoutes);
+app.use('/api/spaces', spaceEventsRoutes);
+app.use('/api/spaces', credibilityRoutes);
+app.use('/api/speakers', speakersRoutes);
 
-    if (!cached) {
-      return res.status(404).json({
-        success: false,
-        error: 'Cache not found or expired'
-      });
+// Caption selector registry for the extension, and its caption health reports
+app.use('/api/selectors', selectorsRoutes);
+
+// =====================================================
+// API KEYS
+// =====================================================
+
+app.use('/api/admin/keys', apiKeysRoutes);
+
+// The key making the request, its limits and today's Grok usage
+app.get('/api/auth/key', async (req, res) => {
+  try {
+    if (!req.apiKey) {
+      return res.json({ success: true, auth: 'off' });
     }
 
+    const { id, name, key_prefix, scopes, created_at, last_used_at } = req.apiKey;
+    const day = usageDay();
     res.json({
       success: true,
-      data: {
-        space: cached.space,
-        messages: cached.messages,
-        propagationGraph: cached.propagationGraph
+      auth: 'required',
+      api_key: { id, name, key_prefix, scopes, created_at, last_used_at },
+      limits: limitsFor(req.apiKey),
+      usage: {
+        day,
+        grok_requests: req.apiKey.bootstrap ? null : await storage.apiKeys.getUsage(id, day)
       }
     });
-
   } catch (error) {
-    console.error('Error loading cached analytics:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error describing API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
-/**
- * List all cached test analytics
- */
-app.get('/api/test/cached-analytics', async (req, res) => {
-  try {
-    const caches = [];
-    for (const [id, data] of testAnalyticsCache) {
-      caches.push({
-        cacheId: id,
-        title: data.space.title,
-        messageCount: data.messages.length,
-        createdAt: data.createdAt
-      });
-    }
+// =====================================================
+// TWITTER BOT ENDPOINTS
+// =====================================================
+
+// The bot worker (services/twitter-bot.js) runs here, with the X credentials
+// from .env. The extension only reads its status and changes its settings.
+const twitterBot = new TwitterBot({
+  state: storage.state,
+  analyzeThread,
+  completeThread
+});
 
-    res.json({ success: true, caches });
+// Bot status: configured, enabled, cursor, last check and recent replies
+app.get('/api/twitter/bot', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      bot: await twitterBot.getStatus()
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error getting bot status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
-/**
- * Load real space data from Supabase for testing
- * This allows testing features with already-analyzed spaces
- */
-app.get('/api/test/load-space/:spaceId', async (req, res) => {
+// Pause/resume the bot, change how often it checks mentions or switch dry run
+app.put('/api/twitter/bot', async (req, res) => {
   try {
-    const { spaceId } = req.params;
-
-    // Fetch space data
-    const { data: space, error: spaceError } = await supabase
-      .from('spaces')
-      .select('*')
-      .eq('id', spaceId)
-      .single();
+    const { enabled, check_interval_minutes, dry_run } = req.body || {};
+    const { errors } = await twitterBot.updateSettings({ enabled, check_interval_minutes, dry_run });
 
-    if (spaceError || !space) {
-      return res.status(404).json({
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Space not found'
-      });
-    }
-
-    // Fetch messages with speaker names using the view
-    const { data: messages, error: messagesError } = await supabase
-      .from('messages_with_speakers')
-      .select('*')
-      .eq('space_id', spaceId)
-      .order('sequence_number', { ascending: true });
-
-    if (messagesError) {
-      // Fallback to regular messages if view doesn't exist
-      console.warn('View query failed, falling back to messages table:', messagesError.message);
-      const { data: rawMessages, error: rawError } = await supabase
-        .from('messages')
-        .select('*')
-        .eq('space_id', spaceId)
-        .order('sequence_number', { ascending: true });
-
-      if (rawError) throw rawError;
-
-      // Cache with raw messages
-      const cacheId = `real-${spaceId}`;
-      testAnalyticsCache.set(cacheId, {
-        space,
-        messages: rawMessages || [],
-        propagationGraph: null,
-        createdAt: new Date().toISOString(),
-        isRealSpace: true
-      });
-
-      console.log(`✓ Loaded real space ${spaceId} with ${rawMessages?.length || 0} messages (fallback)`);
-
-      return res.json({
-        success: true,
-        cacheId,
-        data: {
-          space,
-          messages: rawMessages || []
-        }
+        error: errors.join('; ')
       });
     }
 
-    // Cache it for quick access
-    const cacheId = `real-${spaceId}`;
-    testAnalyticsCache.set(cacheId, {
-      space,
-      messages: messages || [],
-      propagationGraph: null,
-      createdAt: new Date().toISOString(),
-      isRealSpace: true
-    });
-
-    console.log(`✓ Loaded real space ${spaceId} with ${messages?.length || 0} messages (with speakers)`);
-
     res.json({
       success: true,
-      cacheId,
-      data: {
-        space,
-        messages: messages || []
-      }
+      bot: await twitterBot.getStatus()
     });
-
   } catch (error) {
-    console.error('Error loading real space:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error updating bot settings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
-// =====================================================
-// ERROR HANDLING
-// =====================================================
-
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
-});
+// Check mentions now instead of waiting for the next poll
+app.post('/api/twitter/bot/check', async (req, res) => {
+  if (!twitterBot.configured) {
+    return res.status(503).json({
+      success: false,
+      error: `Twitter bot not configured: ${twitterBot.config.missing.join(', ')} not set`
+    });
+  }
 
-// Grokipedia Chat Endpoint
-app.post('/api/grokipedia/chat', async (req, res) => {
   try {
-    const { message, context } = req.body;
+    const result = await twitterBot.checkMentions();
 
-    const completion = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'grok-4-1-fast-non-reasoning',
-        messages: [
-          {
-            role: 'system',
-            content: `You are a helpful assistant on Grokipedia. The user is reading an article. 
-            Context/Claim from the article: "${context || 'No specific context provided'}".
-            Answer the user's question based on this context if relevant, or general knowledge. 
-            Keep answers concise and helpful.`
-          },
-          { role: 'user', content: message }
-        ]
-      })
+    res.json({
+      success: true,
+      ...result
     });
-
-    const data = await completion.json();
-    const reply = data.choices[0].message.content;
-
-    res.json({ success: true, reply });
   } catch (error) {
-    console.error('Error in Grokipedia chat:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-// =====================================================
-// DEBATE ANALYZER ROUTES
-// =====================================================
-
-app.use('/api/debate', debateRoutes);
-app.use('/api/claims', claimSourcesRoutes);
-app.use('/api/spaces', spaceEndRoutes);
-
-// =====================================================
-// TWITTER BOT CONFIG ENDPOINT
-// =====================================================
-
-// Endpoint to provide Twitter credentials to the Chrome extension
-// Credentials are stored in .env (gitignored) so they stay secret
-app.get('/api/twitter/config', (req, res) => {
-  // Only serve if credentials are configured
-  if (!process.env.X_API_KEY) {
-    return res.status(404).json({
+    // Rate limited: the bot has already deferred its next poll to retryAt
+    if (error.retryAt) {
+      res.set('Retry-After', Math.ceil((error.retryAt - Date.now()) / 1000));
+    }
+    res.status(error.status === 429 ? 429 : 502).json({
       success: false,
-      error: 'Twitter credentials not configured on server'
+      error: error.message
     });
   }
+});
 
+// X API rate-limit budgets, response cache and request counters, for the
+// app-only client (search, threads, timelines) and the bot's own client
+app.get('/api/twitter/limits', (req, res) => {
   res.json({
     success: true,
-    config: {
-      API_KEY: process.env.X_API_KEY,
-      API_SECRET: process.env.X_API_SECRET,
-      ACCESS_TOKEN: process.env.X_ACCESS_TOKEN,
-      ACCESS_TOKEN_SECRET: process.env.X_ACCESS_TOKEN_SECRET,
-      BOT_USER_ID: process.env.X_BOT_USER_ID,
-      CHECK_INTERVAL: parseFloat(process.env.X_CHECK_INTERVAL) || 0.5
-    }
+    app: getXApiStatus(),
+    bot: twitterBot.client.getStatus()
   });
 });
 
-// Get bot state from Supabase
+// Get bot state
 app.get('/api/twitter/state/:key', async (req, res) => {
   try {
     const { key } = req.params;
 
-    const { data, error } = await supabase
-      .from('bot_state')
-      .select('value')
-      .eq('key', key)
-      .single();
-
-    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+    const value = await storage.state.get(key);
 
     res.json({
       success: true,
-      value: data?.value || null
+      value: value || null
     });
   } catch (error) {
     console.error('Error getting bot state:', error);
@@ -1402,21 +1251,13 @@ app.get('/api/twitter/state/:key', async (req, res) => {
   }
 });
 
-// Set bot state in Supabase
+// Set bot state
 app.post('/api/twitter/state/:key', async (req, res) => {
   try {
     const { key } = req.params;
     const { value } = req.body;
 
-    const { error } = await supabase
-      .from('bot_state')
-      .upsert({
-        key: key,
-        value: value,
-        updated_at: new Date().toISOString()
-      }, { onConflict: 'key' });
-
-    if (error) throw error;
+    await storage.state.set(key, value);
 
     res.json({
       success: true,
@@ -1431,188 +1272,200 @@ app.post('/api/twitter/state/:key', async (req, res) => {
   }
 });
 
+// =====================================================
+// ANALYSIS QUEUE ENDPOINTS
+// =====================================================
+
+// Queue status: counts, in-flight jobs and dead letters
+app.get('/api/queue/status', (req, res) => {
+  res.json({
+    success: true,
+    queue: analysisQueue.getStatus()
+  });
+});
+
+// Re-queue a dead-lettered message
+app.post('/api/queue/dead-letter/:id/retry', (req, res) => {
+  const job = analysisQueue.retryDeadLetter(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dead-lettered job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Job re-queued',
+    job_id: job.id
+  });
+});
+
 // =====================================================
 // THREAD ANALYSIS ENDPOINTS
 // =====================================================
 
 /**
- * Analyze a Twitter thread
- * POST /api/threads/analyze
+ * Analyze a Twitter thread: fetch its tweets into a new space, fact-check
+ * them and write a summary. Shared by POST /api/threads/analyze and the bot
+ * worker. The space's summary_generated stays false until completeThread().
+ * @param {Object} options - { conversationId, triggeringTweetId, triggeringUsername }
+ * @returns {Promise<{ spaceId: string, summary: string, stats: Object, claims: Array, tweetCount: number }>}
+ *   claims are the false and misleading ones (services/reply-thread.js).
+ *   Throws an error with status 404 when the thread has no tweets
  */
-app.post('/api/threads/analyze', async (req, res) => {
-  try {
-    const { conversationId, triggeringTweetId, triggeringUsername } = req.body;
+async function analyzeThread({ conversationId, triggeringTweetId, triggeringUsername }) {
+  console.log(`\n🧵 Starting thread analysis for conversation: ${conversationId}`);
 
-    if (!conversationId) {
-      return res.status(400).json({
-        success: false,
-        error: 'conversationId is required'
-      });
+  // 1. Fetch all tweets in the thread
+  const threadData = await getThreadTweets(conversationId);
+
+  if (!threadData.tweets || threadData.tweets.length === 0) {
+    const error = new Error('No tweets found in thread');
+    error.status = 404;
+    throw error;
+  }
+
+  console.log(`📊 Found ${threadData.tweets.length} tweets in thread`);
+
+  // 2. Create a space for this thread
+  const spaceId = await storage.spaces.create({
+    title: `Thread Analysis: ${conversationId}`,
+    space_url: `https://x.com/i/status/${conversationId}`,
+    metadata: {
+      type: 'thread',
+      conversation_id: conversationId,
+      triggering_tweet_id: triggeringTweetId,
+      triggering_username: triggeringUsername,
+      tweet_count: threadData.tweets.length
     }
+  });
 
-    console.log(`\n🧵 Starting thread analysis for conversation: ${conversationId}`);
+  console.log(`✅ Created space: ${spaceId}`);
 
-    // 1. Fetch all tweets in the thread
-    const threadData = await getThreadTweets(conversationId);
+  // 3. Mark as not live (thread analysis is instant, not live)
+  await storage.spaces.update(spaceId, {
+    is_live: false,
+    ended_at: new Date().toISOString(),
+    summary_generated: false  // Will be set true after bot posts reply
+  });
 
-    if (!threadData.tweets || threadData.tweets.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'No tweets found in thread'
+  // 4. Process each tweet as a message
+  const analysisPromises = [];
+
+  for (let i = 0; i < threadData.tweets.length; i++) {
+    const tweet = threadData.tweets[i];
+    const username = tweet.user?.username || 'unknown';
+    const displayName = tweet.user?.name || username;
+
+    // Create message
+    let messageId;
+    try {
+      messageId = await storage.messages.create({
+        space_id: spaceId,
+        speaker_username: `@${username}`,
+        speaker_display_name: displayName,
+        content: tweet.text
       });
+    } catch (msgError) {
+      console.error(`Error creating message for tweet ${tweet.id}:`, msgError);
+      continue;
     }
 
-    console.log(`📊 Found ${threadData.tweets.length} tweets in thread`);
-
-    // 2. Create a space for this thread
-    const { data: spaceId, error: spaceError } = await supabase.rpc('create_space', {
-      p_title: `Thread Analysis: ${conversationId}`,
-      p_space_url: `https://x.com/i/status/${conversationId}`,
-      p_metadata: {
-        type: 'thread',
-        conversation_id: conversationId,
-        triggering_tweet_id: triggeringTweetId,
-        triggering_username: triggeringUsername,
-        tweet_count: threadData.tweets.length
-      }
+    publishSpaceEvent(spaceId, 'message-created', {
+      message_id: messageId,
+      speaker_username: `@${username}`,
+      speaker_display_name: displayName,
+      content: tweet.text
     });
 
-    if (spaceError) throw spaceError;
-
-    console.log(`✅ Created space: ${spaceId}`);
-
-    // 3. Mark as not live (thread analysis is instant, not live)
-    await supabase
-      .from('spaces')
-      .update({
-        is_live: false,
-        ended_at: new Date().toISOString(),
-        summary_generated: false  // Will be set true after bot posts reply
+    // Queue Grok analysis
+    analysisQueue.enqueue(messageId, { messageId, content: tweet.text, spaceId });
+    analysisPromises.push(
+      analysisQueue.waitFor(messageId).catch(err => {
+        console.error(`Error analyzing tweet ${tweet.id}:`, err);
       })
-      .eq('id', spaceId);
-
-    // 4. Process each tweet as a message
-    const analysisPromises = [];
-
-    for (let i = 0; i < threadData.tweets.length; i++) {
-      const tweet = threadData.tweets[i];
-      const username = tweet.user?.username || 'unknown';
-      const displayName = tweet.user?.name || username;
-
-      // Create message
-      const { data: messageId, error: msgError } = await supabase.rpc('create_message', {
-        p_space_id: spaceId,
-        p_speaker_username: `@${username}`,
-        p_speaker_display_name: displayName,
-        p_content: tweet.text
-      });
-
-      if (msgError) {
-        console.error(`Error creating message for tweet ${tweet.id}:`, msgError);
-        continue;
-      }
+    );
+  }
 
-      // Queue Grok analysis (run in parallel later)
-      analysisPromises.push(
-        analyzeMessageWithGrok(messageId, tweet.text, spaceId).catch(err => {
-          console.error(`Error analyzing tweet ${tweet.id}:`, err);
-        })
-      );
+  // 5. Wait for all analyses to complete
+  console.log(`🔍 Running Grok analysis on ${analysisPromises.length} tweets...`);
+  await Promise.all(analysisPromises);
+  console.log(`✅ Analysis complete`);
+
+  // 6. Generate summary (but don't set summary_generated = true yet)
+  const messages = await storage.messages.listBySpace(spaceId, { status: 'completed' });
+
+  // Calculate stats
+  const stats = {
+    total: messages?.length || 0,
+    true: 0,
+    false: 0,
+    misleading: 0,
+    unverified: 0
+  };
+
+  messages?.forEach(msg => {
+    const verdict = msg.grok_verdict?.toLowerCase();
+    if (stats[verdict] !== undefined) {
+      stats[verdict]++;
     }
+  });
 
-    // 5. Wait for all analyses to complete
-    console.log(`🔍 Running Grok analysis on ${analysisPromises.length} tweets...`);
-    await Promise.all(analysisPromises);
-    console.log(`✅ Analysis complete`);
-
-    // 6. Generate summary (but don't set summary_generated = true yet)
-    const { data: messages } = await supabase
-      .from('messages_with_speakers')
-      .select('*')
-      .eq('space_id', spaceId)
-      .eq('fact_check_status', 'completed')
-      .order('sequence_number');
-
-    // Calculate stats
-    const stats = {
-      total: messages?.length || 0,
-      true: 0,
-      false: 0,
-      misleading: 0,
-      unverified: 0
-    };
-
-    messages?.forEach(msg => {
-      const verdict = msg.grok_verdict?.toLowerCase();
-      if (stats[verdict] !== undefined) {
-        stats[verdict]++;
+  // Calculate speaker averages and find worst claim per speaker
+  const bySpeaker = {};
+  messages?.forEach(msg => {
+    if (msg.truth_score !== null) {
+      const speaker = msg.speaker_username || 'Unknown';
+      if (!bySpeaker[speaker]) {
+        bySpeaker[speaker] = {
+          displayName: msg.speaker_display_name || speaker,
+          scores: [],
+          messages: []
+        };
       }
-    });
+      bySpeaker[speaker].scores.push(msg.truth_score);
+      bySpeaker[speaker].messages.push(msg);
+    }
+  });
 
-    // Calculate speaker averages and find worst claim per speaker
-    const bySpeaker = {};
-    messages?.forEach(msg => {
-      if (msg.truth_score !== null) {
-        const speaker = msg.speaker_username || 'Unknown';
-        if (!bySpeaker[speaker]) {
-          bySpeaker[speaker] = {
-            displayName: msg.speaker_display_name || speaker,
-            scores: [],
-            messages: []
-          };
-        }
-        bySpeaker[speaker].scores.push(msg.truth_score);
-        bySpeaker[speaker].messages.push(msg);
+  // Calculate averages and find worst claim for each speaker
+  const speakerStats = [];
+  Object.keys(bySpeaker).forEach(username => {
+    const data = bySpeaker[username];
+    const avgScore = data.scores.reduce((a, b) => a + b, 0) / data.scores.length;
+    const worstClaim = data.messages.sort((a, b) => a.truth_score - b.truth_score)[0];
+
+    speakerStats.push({
+      username,
+      displayName: data.displayName,
+      avgScore: avgScore.toFixed(1),
+      worstClaim: {
+        content: worstClaim.content,
+        score: worstClaim.truth_score
       }
     });
+  });
 
-    // Calculate averages and find worst claim for each speaker
-    const speakerStats = [];
-    Object.keys(bySpeaker).forEach(username => {
-      const data = bySpeaker[username];
-      const avgScore = data.scores.reduce((a, b) => a + b, 0) / data.scores.length;
-      const worstClaim = data.messages.sort((a, b) => a.truth_score - b.truth_score)[0];
-
-      speakerStats.push({
-        username,
-        displayName: data.displayName,
-        avgScore: avgScore.toFixed(1),
-        worstClaim: {
-          content: worstClaim.content,
-          score: worstClaim.truth_score
-        }
-      });
-    });
-
-    // Get credibility score
-    const { data: spaceData } = await supabase
-      .from('spaces')
-      .select('overall_credibility_score')
-      .eq('id', spaceId)
-      .single();
+  // Get credibility score
+  const spaceData = await storage.spaces.get(spaceId);
 
-    const credibilityScore = spaceData?.overall_credibility_score || 100;
+  const credibilityScore = spaceData?.overall_credibility_score || 100;
 
-    // Collect all message content for conversation summary
-    const allContent = messages?.map(m => m.content).join(' ') || '';
+  // Collect all message content for conversation summary
+  const allContent = messages?.map(m => m.content).join(' ') || '';
 
-    // Generate summary using Grok
-    console.log('🤖 Calling Grok to generate thread summary...');
+  // Generate summary using Grok
+  console.log('🤖 Calling Grok to generate thread summary...');
 
-    let summaryText;
-    try {
-      const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-        },
-        body: JSON.stringify({
-          model: 'grok-4-1-fast-reasoning',
-          messages: [
-            {
-              role: 'system',
-              content: `Create a professional, journalist-style tweet summarizing this X thread fact-check analysis. 
+  let summaryText;
+  try {
+    const { content: rawSummary } = await chatCompletion('summary', {
+      messages: [
+        {
+          role: 'system',
+          content: `Create a professional, journalist-style tweet summarizing this X thread fact-check analysis. 
 
 CRITICAL RULES:
 - NO EMOJIS whatsoever
@@ -1645,10 +1498,10 @@ Least accurate:
 Mixed accuracy, several claims need verification."
 
 Write naturally. Be direct and informative.`
-            },
-            {
-              role: 'user',
-              content: `Create thread summary:
+        },
+        {
+          role: 'user',
+          content: `Create thread summary:
 
 Thread content (use this to write a 1-sentence topic summary):
 ${allContent.substring(0, 800)}
@@ -1659,59 +1512,91 @@ Verdicts: ${stats.true} true, ${stats.false} false, ${stats.misleading} misleadi
 
 Speakers:
 ${speakerStats.map(s =>
-                `${s.username}: averaged ${s.avgScore}/10, worst claim "${s.worstClaim.content.substring(0, 50)}..." (${s.worstClaim.score}/10)`
-              ).join('\n')}`
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 350
-        })
-      });
+              `${s.username}: averaged ${s.avgScore}/10, worst claim "${s.worstClaim.content.substring(0, 50)}..." (${s.worstClaim.score}/10)`
+            ).join('\n')}`
+        }
+      ],
+      temperature: 0.7,
+      max_tokens: 350
+    });
 
-      if (grokResponse.ok) {
-        const grokData = await grokResponse.json();
-        summaryText = grokData.choices[0]?.message?.content?.trim();
-      }
-    } catch (err) {
-      console.error('Grok summary error:', err);
-    }
+    summaryText = rawSummary?.trim();
+  } catch (err) {
+    console.error('Grok summary error:', err);
+  }
 
-    // Fallback if Grok fails
-    if (!summaryText) {
-      summaryText = `Thread Analyzed (${threadData.tweets.length} tweets)\n`;
-      summaryText += `Credibility Score: ${credibilityScore}/100\n`;
-      summaryText += `Fact-checked ${stats.total} claims: ${stats.true} true, ${stats.false} false, ${stats.misleading + stats.unverified} mixed.\n`;
-      if (stats.false > 0) {
-        summaryText += `Found ${stats.false} false claim(s) in this thread.`;
-      } else {
-        summaryText += `Thread appears mostly accurate.`;
-      }
+  // Fallback if Grok fails
+  if (!summaryText) {
+    summaryText = `Thread Analyzed (${threadData.tweets.length} tweets)\n`;
+    summaryText += `Credibility Score: ${credibilityScore}/100\n`;
+    summaryText += `Fact-checked ${stats.total} claims: ${stats.true} true, ${stats.false} false, ${stats.misleading + stats.unverified} mixed.\n`;
+    if (stats.false > 0) {
+      summaryText += `Found ${stats.false} false claim(s) in this thread.`;
+    } else {
+      summaryText += `Thread appears mostly accurate.`;
     }
+  }
 
-    console.log('✅ Thread summary generated');
+  console.log('✅ Thread summary generated');
 
-    // Store summary but don't trigger edge function yet
-    await supabase
-      .from('spaces')
-      .update({
-        summary_text: summaryText
-        // summary_generated stays false until /complete is called
-      })
-      .eq('id', spaceId);
+  // Store summary but don't trigger edge function yet
+  await storage.spaces.update(spaceId, {
+    summary_text: summaryText
+    // summary_generated stays false until /complete is called
+  });
+
+  console.log(`✅ Thread analysis complete: ${spaceId}`);
+
+  return {
+    spaceId: spaceId,
+    summary: summaryText,
+    stats: stats,
+    claims: flaggedClaims(messages),
+    tweetCount: threadData.tweets.length
+  };
+}
+
+/**
+ * Mark a thread analysis complete; setting summary_generated triggers the edge function
+ * @param {string} spaceId
+ */
+async function completeThread(spaceId) {
+  await storage.spaces.update(spaceId, {
+    summary_generated: true,
+    summary_generated_at: new Date().toISOString()
+  });
+
+  console.log(`✅ Thread ${spaceId} marked as complete (edge function triggered)`);
+}
 
-    console.log(`✅ Thread analysis complete: ${spaceId}`);
+/**
+ * Analyze a Twitter thread
+ * POST /api/threads/analyze
+ */
+app.post('/api/threads/analyze', async (req, res) => {
+  try {
+    const { conversationId, triggeringTweetId, triggeringUsername } = req.body;
+
+    if (!conversationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'conversationId is required'
+      });
+    }
+
+    const result = await analyzeThread({ conversationId, triggeringTweetId, triggeringUsername });
 
     res.json({
       success: true,
-      spaceId: spaceId,
-      summary: summaryText,
-      stats: stats,
-      tweetCount: threadData.tweets.length
+      ...result
     });
 
   } catch (error) {
     console.error('❌ Thread analysis error:', error);
-    res.status(500).json({
+    if (error.retryAt) {
+      res.set('Retry-After', Math.ceil((error.retryAt - Date.now()) / 1000));
+    }
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -1727,15 +1612,7 @@ app.get('/api/threads/lookup/:conversationId', async (req, res) => {
     const { conversationId } = req.params;
 
     // Query spaces where metadata contains this conversation_id
-    const { data, error } = await supabase
-      .from('spaces')
-      .select('id, title, summary_text, metadata')
-      .eq('metadata->>conversation_id', conversationId)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-
-    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+    const data = await storage.spaces.findLatestByConversationId(conversationId);
 
     if (data) {
       res.json({
@@ -1767,19 +1644,7 @@ app.get('/api/threads/lookup/:conversationId', async (req, res) => {
  */
 app.post('/api/threads/:id/complete', async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const { error } = await supabase
-      .from('spaces')
-      .update({
-        summary_generated: true,
-        summary_generated_at: new Date().toISOString()
-      })
-      .eq('id', id);
-
-    if (error) throw error;
-
-    console.log(`✅ Thread ${id} marked as complete (edge function triggered)`);
+    await completeThread(req.params.id);
 
     res.json({
       success: true,
@@ -1799,9 +1664,43 @@ app.post('/api/threads/:id/complete', async (req, res) => {
 // START SERVER
 // =====================================================
 
-app.listen(PORT, () => {
-  console.log(`🚀 Veritas API running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`📝 Debate analyzer: http://localhost:${PORT}/api/debate`);
-});
+// The persisted analysis queue is restored before the server accepts
+// requests; a job enqueued while the snapshot was loading would be lost
+async function start() {
+  try {
+    await analysisQueue.restore();
+  } catch (error) {
+    console.error('Error restoring analysis queue:', error.message);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Veritas API running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+    console.log(`📝 Debate analyzer: http://localhost:${PORT}/api/debate`);
+    if (authEnabled()) {
+      console.log(`🔑 API keys required${process.env.ADMIN_API_KEY ? ' (ADMIN_API_KEY set)' : ''}; create one with npm run keys:create`);
+    } else {
+      console.log('⚠️ API_AUTH=off: every endpoint is open');
+    }
+    console.log(`🌐 CORS origins: ${allowedOrigins().join(', ')}`);
+    Object.entries(describeModels()).forEach(([role, { model, baseUrl }]) => {
+      console.log(`🤖 LLM ${role}: ${model} @ ${baseUrl || '(not configured)'}`);
+    });
+    recoverAnalysisJobs();
+    twitterBot.start().catch(error => {
+      console.error('Error starting Twitter bot:', error.message);
+    });
+    if (devMode) {
+      console.log(`🧪 Dev mode: /api/test/* enabled`);
+      seedFixtures(storage)
+        .then(results => results.forEach(r => console.log(`🧪 Fixture ${r.fixture} v${r.version}: ${r.status} (${r.space_id})`)))
+        .catch(error => console.error('Error seeding fixtures:', error.message));
+    }
+    backfillFingerprints(storage).catch(error => {
+      console.error('Error fingerprinting claims:', error.message);
+    });
+  });
+}
+
+start();
 
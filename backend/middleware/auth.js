@@ -0,0 +1,168 @@
+/**
+ * API Key Authentication
+ * Mounted on /api. Every route except the health check needs a key, sent as
+ * "X-API-Key: <key>" or "Authorization: Bearer <key>". EventSource can't set
+ * headers, so event streams also accept ?api_key=<key>.
+ *
+ * Each route needs a scope (see services/api-keys.js): GET requests need read
+ * and other methods write, except for the rules below. Routes that call Grok
+ * also count against the key's Grok per-minute limit and daily quota.
+ *
+ * API_AUTH=off disables authentication and limits, for local development.
+ */
+
+import {
+    resolveApiKey, hasScope, limitsFor, consumeRateLimit, consumeGrokQuota, touchApiKey
+} from '../services/api-keys.js';
+import { CURSOR_KEYS } from '../services/twitter-bot.js';
+
+const PUBLIC_ROUTES = [
+    { method: 'GET', path: /^\/health$/ }
+];
+
+// First match wins; paths are relative to /api
+const ROUTE_RULES = [
+    { method: '*', path: /^\/admin\//, scope: 'admin' },
+    { method: 'POST', path: /^\/test\/generate-cached-analytics$/, scope: 'admin', grok: true },
+    { method: '*', path: /^\/test\//, scope: 'admin' },
+    { method: 'POST', path: /^\/test-analysis$/, scope: 'admin', grok: true },
+    { method: 'POST', path: /^\/queue\/dead-letter\//, scope: 'admin' },
+    { method: 'GET', path: /^\/auth\/key$/, scope: null },
+    { method: 'PUT', path: /^\/selectors$/, scope: 'admin' },
+    { method: 'DELETE', path: /^\/selectors$/, scope: 'admin' },
+    // Health reports come from extensions, which may only hold read keys
+    { method: 'POST', path: /^\/selectors\/health$/, scope: 'read' },
+
+    // The bot may move its mention cursors; other state (the selector registry,
+    // the job queue, bot settings) is only for admins
+    { method: '*', path: new RegExp(`^/twitter/state/(?!(?:${CURSOR_KEYS.join('|')})$)`), scope: 'admin' },
+    { method: '*', path: /^\/twitter\//, scope: 'bot' },
+    { method: 'POST', path: /^\/threads\/analyze$/, scope: 'bot', grok: true },
+    { method: 'POST', path: /^\/threads\/[^/]+\/complete$/, scope: 'bot' },
+
+    { method: 'POST', path: /^\/debate\/preview-transcript$/, scope: 'read' },
+
+    // Grok-backed. /messages/create only queues analysis, and a live space
+    // sends far more captions than the Grok limit allows, so it isn't counted.
+    { method: 'POST', path: /^\/messages\/[^/]+\/analyze$/, scope: 'write', grok: true },
+    { method: 'POST', path: /^\/spaces\/fact-check$/, scope: 'write', grok: true },
+    { method: 'POST', path: /^\/spaces\/end$/, scope: 'write', grok: true },
+    { method: 'POST', path: /^\/analytics\/dive-deeper$/, scope: 'write', grok: true },
+    { method: 'POST', path: /^\/grokipedia\/chat$/, scope: 'write', grok: true },
+    { method: 'POST', path: /^\/debate\/(find-handle|analyze-transcript|process-debate-with-grok\/[^/]+|consistency)$/, scope: 'write', grok: true },
+    { method: 'POST', path: /^\/claims\/.+\/generate-sources$/, scope: 'write', grok: true }
+];
+
+/**
+ * The scope a request needs and whether it calls Grok
+ * @param {string} method
+ * @param {string} path - Relative to /api
+ * @returns {{ scope: string|null, grok: boolean }}
+ */
+export function ruleFor(method, path) {
+    const rule = ROUTE_RULES.find(r => (r.method === '*' || r.method === method) && r.path.test(path));
+    if (rule) return { scope: rule.scope, grok: Boolean(rule.grok) };
+    return { scope: ['GET', 'HEAD'].includes(method) ? 'read' : 'write', grok: false };
+}
+
+function presentedKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (match) return match[1].trim();
+
+    if (req.method === 'GET' && /\/events$/.test(req.path) && typeof req.query.api_key === 'string') {
+        return req.query.api_key;
+    }
+    return null;
+}
+
+function setRateLimitHeaders(res, prefix, result) {
+    if (!result.limit) return;
+    res.setHeader(`${prefix}-Limit`, result.limit);
+    res.setHeader(`${prefix}-Remaining`, result.remaining);
+    res.setHeader(`${prefix}-Reset`, Math.ceil(result.resetAt / 1000));
+}
+
+function tooManyRequests(res, retryAfterSeconds, error) {
+    res.setHeader('Retry-After', Math.max(1, retryAfterSeconds));
+    return res.status(429).json({ success: false, error });
+}
+
+/**
+ * Whether API_AUTH leaves authentication on (the default)
+ */
+export function authEnabled() {
+    return !['off', 'false', '0'].includes(String(process.env.API_AUTH || '').toLowerCase());
+}
+
+/**
+ * Express middleware that authenticates, authorizes and rate-limits /api requests.
+ * Sets req.apiKey to the key record (null when API_AUTH=off).
+ * @param {Object} storage
+ */
+export function createAuthMiddleware(storage) {
+    const enabled = authEnabled();
+
+    return async function authenticate(req, res, next) {
+        req.apiKey = null;
+        if (!enabled || req.method === 'OPTIONS') return next();
+        if (PUBLIC_ROUTES.some(r => r.method === req.method && r.path.test(req.path))) return next();
+
+        try {
+            const key = presentedKey(req);
+            if (!key) {
+                return res.status(401).json({ success: false, error: 'API key required (X-API-Key header)' });
+            }
+
+            const record = await resolveApiKey(storage, key);
+            if (!record) {
+                return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+            }
+
+            const { scope, grok } = ruleFor(req.method, req.path);
+            if (!hasScope(record, scope)) {
+                return res.status(403).json({ success: false, error: `API key lacks the ${scope} scope` });
+            }
+
+            const limits = limitsFor(record);
+            const requests = consumeRateLimit(`${record.id}:all`, limits.rate_limit);
+            setRateLimitHeaders(res, 'X-RateLimit', requests);
+            if (!requests.allowed) {
+                return tooManyRequests(res, Math.ceil((requests.resetAt - Date.now()) / 1000),
+                    `Rate limit of ${limits.rate_limit} requests per minute exceeded`);
+            }
+
+            if (grok) {
+                const grokRequests = consumeRateLimit(`${record.id}:grok`, limits.grok_rate_limit);
+                setRateLimitHeaders(res, 'X-Grok-RateLimit', grokRequests);
+                if (!grokRequests.allowed) {
+                    return tooManyRequests(res, Math.ceil((grokRequests.resetAt - Date.now()) / 1000),
+                        `Grok rate limit of ${limits.grok_rate_limit} requests per minute exceeded`);
+                }
+
+                const quota = await consumeGrokQuota(storage, record, limits.grok_daily_quota);
+                if (quota.quota) {
+                    res.setHeader('X-Grok-Quota-Limit', quota.quota);
+                    res.setHeader('X-Grok-Quota-Remaining', Math.max(0, quota.quota - quota.used));
+                }
+                if (!quota.allowed) {
+                    const tomorrow = new Date();
+                    tomorrow.setUTCHours(24, 0, 0, 0);
+                    return tooManyRequests(res, Math.ceil((tomorrow.getTime() - Date.now()) / 1000),
+                        `Daily Grok quota of ${quota.quota} requests used up; it resets at 00:00 UTC`);
+                }
+            }
+
+            touchApiKey(storage, record);
+            req.apiKey = record;
+            next();
+        } catch (error) {
+            console.error('Error authenticating request:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    };
+}
+
+export default { createAuthMiddleware, authEnabled, ruleFor };
@@ -0,0 +1,56 @@
+/**
+ * CORS Origins
+ * Browsers may only call the API from the origins in CORS_ORIGINS, a comma
+ * separated list where * matches any run of characters. The default allows
+ * the extension's own pages, the content script on x.com / twitter.com and
+ * pages served from localhost.
+ */
+
+const DEFAULT_ORIGINS = [
+    'chrome-extension://*',
+    'https://x.com',
+    'https://twitter.com',
+    'http://localhost:*',
+    'http://127.0.0.1:*'
+];
+
+function patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Allowed origin patterns from CORS_ORIGINS
+ * @returns {string[]}
+ */
+export function allowedOrigins() {
+    const configured = (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+    return configured.length > 0 ? configured : DEFAULT_ORIGINS;
+}
+
+/**
+ * Options for the cors() middleware. Requests without an Origin header
+ * (curl, server-to-server) aren't affected; API keys still apply to them.
+ */
+export function corsOptions() {
+    const patterns = allowedOrigins().map(patternToRegExp);
+
+    return {
+        origin(origin, callback) {
+            callback(null, !origin || patterns.some(pattern => pattern.test(origin)));
+        },
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID'],
+        exposedHeaders: [
+            'Retry-After',
+            'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+            'X-Grok-RateLimit-Limit', 'X-Grok-RateLimit-Remaining', 'X-Grok-RateLimit-Reset',
+            'X-Grok-Quota-Limit', 'X-Grok-Quota-Remaining'
+        ],
+        credentials: true
+    };
+}
+
+export default corsOptions;
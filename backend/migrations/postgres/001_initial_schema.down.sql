@@ -0,0 +1,16 @@
+-- 001 Initial schema (rollback)
+
+DROP FUNCTION IF EXISTS end_space(UUID);
+DROP FUNCTION IF EXISTS create_message(UUID, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS get_or_create_speaker(TEXT, TEXT);
+DROP FUNCTION IF EXISTS create_space(TEXT, TEXT, JSONB);
+
+DROP VIEW IF EXISTS space_statistics;
+DROP VIEW IF EXISTS messages_with_speakers;
+
+DROP TABLE IF EXISTS bot_state;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS speakers;
+DROP TABLE IF EXISTS spaces;
+
+DROP TYPE IF EXISTS fact_check_verdict;
@@ -0,0 +1,154 @@
+-- 001 Initial schema
+-- Spaces, speakers, messages and bot_state, the messages_with_speakers and
+-- space_statistics views, and the create_space / create_message /
+-- get_or_create_speaker / end_space RPCs used by storage/supabase.js.
+--
+-- Written with IF NOT EXISTS / OR REPLACE so it can also be applied to a
+-- project whose tables were created by hand in the Supabase dashboard.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+DO $$ BEGIN
+    CREATE TYPE fact_check_verdict AS ENUM ('True', 'False', 'Misleading', 'Unverified');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS spaces (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT,
+    space_url TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    ended_at TIMESTAMPTZ,
+    is_live BOOLEAN NOT NULL DEFAULT true,
+    total_messages INTEGER NOT NULL DEFAULT 0,
+    overall_credibility_score REAL NOT NULL DEFAULT 100,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS speakers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+    speaker_id UUID CONSTRAINT messages_speaker_id_fkey REFERENCES speakers(id),
+    content TEXT NOT NULL,
+    sequence_number INTEGER NOT NULL,
+    fact_check_status TEXT NOT NULL DEFAULT 'pending',
+    grok_verdict fact_check_verdict,
+    grok_explanation TEXT,
+    truth_score REAL,
+    credibility_score REAL,
+    processed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Columns the code writes that hand-made projects may be missing
+ALTER TABLE spaces ADD COLUMN IF NOT EXISTS summary_generated BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE spaces ADD COLUMN IF NOT EXISTS summary_text TEXT;
+ALTER TABLE spaces ADD COLUMN IF NOT EXISTS summary_generated_at TIMESTAMPTZ;
+ALTER TABLE spaces ADD COLUMN IF NOT EXISTS posted_to_x BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS grok_response_raw JSONB;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS propagation_analysis JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_messages_space ON messages(space_id, sequence_number);
+CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(fact_check_status);
+
+CREATE TABLE IF NOT EXISTS bot_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at TIMESTAMPTZ
+);
+
+CREATE OR REPLACE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
+
+CREATE OR REPLACE VIEW space_statistics AS
+SELECT
+    sp.id AS space_id,
+    sp.title,
+    sp.space_url,
+    sp.is_live,
+    sp.started_at,
+    sp.ended_at,
+    sp.overall_credibility_score,
+    COUNT(m.id) AS total_messages,
+    COUNT(*) FILTER (WHERE m.fact_check_status = 'completed') AS fact_checked_messages,
+    AVG(m.truth_score) AS avg_truth_score,
+    COUNT(*) FILTER (WHERE m.grok_verdict = 'True') AS true_count,
+    COUNT(*) FILTER (WHERE m.grok_verdict = 'False') AS false_count,
+    COUNT(*) FILTER (WHERE m.grok_verdict = 'Misleading') AS misleading_count,
+    COUNT(*) FILTER (WHERE m.grok_verdict = 'Unverified') AS unverified_count,
+    COUNT(DISTINCT m.speaker_id) AS unique_speakers
+FROM spaces sp
+LEFT JOIN messages m ON m.space_id = sp.id
+GROUP BY sp.id;
+
+CREATE OR REPLACE FUNCTION create_space(p_title TEXT, p_space_url TEXT, p_metadata JSONB DEFAULT '{}'::jsonb)
+RETURNS UUID
+LANGUAGE sql
+AS $$
+    INSERT INTO spaces (title, space_url, metadata)
+    VALUES (p_title, p_space_url, COALESCE(p_metadata, '{}'::jsonb))
+    RETURNING id;
+$$;
+
+CREATE OR REPLACE FUNCTION get_or_create_speaker(p_username TEXT, p_display_name TEXT DEFAULT NULL)
+RETURNS UUID
+LANGUAGE sql
+AS $$
+    INSERT INTO speakers (username, display_name)
+    VALUES (p_username, p_display_name)
+    ON CONFLICT (username) DO UPDATE
+        SET display_name = COALESCE(EXCLUDED.display_name, speakers.display_name)
+    RETURNING id;
+$$;
+
+CREATE OR REPLACE FUNCTION create_message(
+    p_space_id UUID,
+    p_speaker_username TEXT,
+    p_speaker_display_name TEXT,
+    p_content TEXT
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_speaker_id UUID;
+    v_sequence INTEGER;
+    v_message_id UUID;
+BEGIN
+    v_speaker_id := get_or_create_speaker(p_speaker_username, p_speaker_display_name);
+
+    -- Lock the space row so concurrent inserts get distinct sequence numbers
+    PERFORM 1 FROM spaces WHERE id = p_space_id FOR UPDATE;
+
+    SELECT COALESCE(MAX(sequence_number), 0) + 1 INTO v_sequence
+    FROM messages WHERE space_id = p_space_id;
+
+    INSERT INTO messages (space_id, speaker_id, content, sequence_number, fact_check_status)
+    VALUES (p_space_id, v_speaker_id, p_content, v_sequence, 'pending')
+    RETURNING id INTO v_message_id;
+
+    UPDATE spaces SET total_messages = total_messages + 1 WHERE id = p_space_id;
+
+    RETURN v_message_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION end_space(p_space_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+AS $$
+    UPDATE spaces
+    SET is_live = false, ended_at = COALESCE(ended_at, now())
+    WHERE id = p_space_id
+    RETURNING true;
+$$;
@@ -0,0 +1,6 @@
+-- 002 Claims (rollback)
+-- grok_response_raw is left untouched, so the claim text survives a rollback;
+-- sources generated after 002 and per-claim analyses do not.
+
+DROP VIEW IF EXISTS claims_with_speakers;
+DROP TABLE IF EXISTS claims;
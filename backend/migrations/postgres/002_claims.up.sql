@@ -0,0 +1,60 @@
+-- 002 Claims
+-- Claims become their own rows with stable ids instead of living only inside
+-- messages.grok_response_raw. Sources, propagation graphs and consistency
+-- analyses are stored per claim.
+
+CREATE TABLE IF NOT EXISTS claims (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+    speaker_id UUID REFERENCES speakers(id),
+    claim_index INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    score REAL,
+    verdict TEXT,
+    explanation TEXT,
+    sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+    propagation_analysis JSONB,
+    consistency_analysis JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (message_id, claim_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claims_space ON claims(space_id);
+CREATE INDEX IF NOT EXISTS idx_claims_speaker ON claims(speaker_id);
+
+CREATE OR REPLACE VIEW claims_with_speakers AS
+SELECT
+    c.*,
+    s.username AS speaker_username,
+    s.display_name AS speaker_display_name,
+    m.sequence_number AS message_sequence_number
+FROM claims c
+LEFT JOIN speakers s ON s.id = c.speaker_id
+LEFT JOIN messages m ON m.id = c.message_id;
+
+-- Backfill from grok_response_raw, which holds either a claims array or { claims: [...] }
+INSERT INTO claims (message_id, space_id, speaker_id, claim_index, text, score, verdict, explanation, sources, created_at, updated_at)
+SELECT
+    m.id,
+    m.space_id,
+    m.speaker_id,
+    c.ordinality - 1,
+    c.value->>'text',
+    CASE WHEN jsonb_typeof(c.value->'score') = 'number' THEN (c.value->>'score')::real END,
+    upper(c.value->>'verdict'),
+    c.value->>'explanation',
+    CASE WHEN jsonb_typeof(c.value->'sources') = 'array' THEN c.value->'sources' ELSE '[]'::jsonb END,
+    COALESCE(m.processed_at, m.created_at),
+    now()
+FROM messages m
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE
+        WHEN jsonb_typeof(m.grok_response_raw) = 'array' THEN m.grok_response_raw
+        WHEN jsonb_typeof(m.grok_response_raw->'claims') = 'array' THEN m.grok_response_raw->'claims'
+        ELSE '[]'::jsonb
+    END
+) WITH ORDINALITY AS c(value, ordinality)
+WHERE jsonb_typeof(c.value) = 'object' AND c.value->>'text' IS NOT NULL
+ON CONFLICT (message_id, claim_index) DO NOTHING;
@@ -0,0 +1,30 @@
+-- 003 Claim matching (rollback)
+
+DROP VIEW IF EXISTS claims_with_speakers;
+DROP VIEW IF EXISTS messages_with_speakers;
+
+DROP INDEX IF EXISTS idx_claims_matched;
+DROP INDEX IF EXISTS idx_claims_fingerprint;
+
+ALTER TABLE messages DROP COLUMN IF EXISTS matched_claim_id;
+
+ALTER TABLE claims DROP COLUMN IF EXISTS verified_at;
+ALTER TABLE claims DROP COLUMN IF EXISTS match_score;
+ALTER TABLE claims DROP COLUMN IF EXISTS matched_claim_id;
+ALTER TABLE claims DROP COLUMN IF EXISTS normalized_text;
+ALTER TABLE claims DROP COLUMN IF EXISTS fingerprint;
+
+CREATE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
+
+CREATE VIEW claims_with_speakers AS
+SELECT
+    c.*,
+    s.username AS speaker_username,
+    s.display_name AS speaker_display_name,
+    m.sequence_number AS message_sequence_number
+FROM claims c
+LEFT JOIN speakers s ON s.id = c.speaker_id
+LEFT JOIN messages m ON m.id = c.message_id;
@@ -0,0 +1,37 @@
+-- 003 Claim matching
+-- Fingerprints and links for cross-space claim deduplication. A claim that
+-- repeats an earlier one points at it through matched_claim_id; verified_at
+-- is when its verdict was produced, copied from the earlier claim when the
+-- verdict was reused. Existing claims are fingerprinted by the server on
+-- startup, since normalization lives in utils/claim-text.js.
+
+-- The views select c.* / m.*, so they are rebuilt to pick up the new columns
+DROP VIEW IF EXISTS claims_with_speakers;
+DROP VIEW IF EXISTS messages_with_speakers;
+
+ALTER TABLE claims ADD COLUMN fingerprint TEXT;
+ALTER TABLE claims ADD COLUMN normalized_text TEXT;
+ALTER TABLE claims ADD COLUMN matched_claim_id UUID REFERENCES claims(id) ON DELETE SET NULL;
+ALTER TABLE claims ADD COLUMN match_score REAL;
+ALTER TABLE claims ADD COLUMN verified_at TIMESTAMPTZ;
+UPDATE claims SET verified_at = created_at WHERE score IS NOT NULL;
+
+ALTER TABLE messages ADD COLUMN matched_claim_id UUID REFERENCES claims(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_claims_fingerprint ON claims(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_claims_matched ON claims(matched_claim_id);
+
+CREATE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
+
+CREATE VIEW claims_with_speakers AS
+SELECT
+    c.*,
+    s.username AS speaker_username,
+    s.display_name AS speaker_display_name,
+    m.sequence_number AS message_sequence_number
+FROM claims c
+LEFT JOIN speakers s ON s.id = c.speaker_id
+LEFT JOIN messages m ON m.id = c.message_id;
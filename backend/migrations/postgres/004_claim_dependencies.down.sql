@@ -0,0 +1,15 @@
+-- 004 Claim dependencies (rollback)
+
+DROP VIEW IF EXISTS claims_with_speakers;
+
+ALTER TABLE claims DROP COLUMN IF EXISTS depends_on;
+
+CREATE VIEW claims_with_speakers AS
+SELECT
+    c.*,
+    s.username AS speaker_username,
+    s.display_name AS speaker_display_name,
+    m.sequence_number AS message_sequence_number
+FROM claims c
+LEFT JOIN speakers s ON s.id = c.speaker_id
+LEFT JOIN messages m ON m.id = c.message_id;
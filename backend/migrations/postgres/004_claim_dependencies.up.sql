@@ -0,0 +1,19 @@
+-- 004 Claim dependencies
+-- Messages are fact-checked with the conversation before them as context
+-- (services/conversation-context.js). A claim that can only be understood
+-- through earlier messages lists their ids in depends_on.
+
+-- The view selects c.*, so it is rebuilt to pick up the new column
+DROP VIEW IF EXISTS claims_with_speakers;
+
+ALTER TABLE claims ADD COLUMN depends_on JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE VIEW claims_with_speakers AS
+SELECT
+    c.*,
+    s.username AS speaker_username,
+    s.display_name AS speaker_display_name,
+    m.sequence_number AS message_sequence_number
+FROM claims c
+LEFT JOIN speakers s ON s.id = c.speaker_id
+LEFT JOIN messages m ON m.id = c.message_id;
@@ -0,0 +1,4 @@
+-- 005 Speaker profiles
+-- Profiles aggregate a speaker's messages across every space, debate and thread.
+
+CREATE INDEX IF NOT EXISTS idx_messages_speaker ON messages(speaker_id, created_at);
@@ -0,0 +1,15 @@
+-- 006 Message timing
+-- Where in the recording a message was said, in seconds from the start.
+-- Filled from SRT/WebVTT cues, diarized JSON segments, or timestamps in a
+-- plain transcript; NULL for live spaces and untimed transcripts.
+
+-- messages_with_speakers selects m.*, so it is rebuilt to pick up the new columns
+DROP VIEW IF EXISTS messages_with_speakers;
+
+ALTER TABLE messages ADD COLUMN start_seconds REAL;
+ALTER TABLE messages ADD COLUMN end_seconds REAL;
+
+CREATE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
@@ -0,0 +1,10 @@
+-- 007 Message spans (rollback)
+
+DROP VIEW IF EXISTS messages_with_speakers;
+
+ALTER TABLE messages DROP COLUMN IF EXISTS content_span;
+
+CREATE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
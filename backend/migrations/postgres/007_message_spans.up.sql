@@ -0,0 +1,15 @@
+-- 007 Message spans
+-- Where a message sits in the speaker turn it was chunked from:
+-- { turn, start, end, overlap, chunks }, with start/end as character offsets
+-- into the turn and overlap as the leading characters repeated from the
+-- previous chunk. NULL for messages that were never chunked (live spaces).
+
+-- messages_with_speakers selects m.*, so it is rebuilt to pick up the new column
+DROP VIEW IF EXISTS messages_with_speakers;
+
+ALTER TABLE messages ADD COLUMN content_span JSONB;
+
+CREATE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
@@ -0,0 +1,5 @@
+-- 008 API keys (rollback)
+
+DROP FUNCTION IF EXISTS increment_api_key_usage(UUID, DATE);
+DROP TABLE IF EXISTS api_key_usage;
+DROP TABLE IF EXISTS api_keys;
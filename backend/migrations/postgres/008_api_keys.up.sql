@@ -0,0 +1,38 @@
+-- 008 API keys
+-- Keys issued per install or team. Only a SHA-256 hash of each key is stored;
+-- key_prefix keeps the first characters so admins can tell keys apart.
+-- scopes is a JSON array of read / write / bot / admin. The limit columns
+-- override the server defaults for one key (NULL = use the default).
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes JSONB NOT NULL DEFAULT '["read"]'::jsonb,
+    rate_limit INTEGER,
+    grok_rate_limit INTEGER,
+    grok_daily_quota INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
+
+-- Grok-backed requests per key per UTC day, for the daily quota
+CREATE TABLE IF NOT EXISTS api_key_usage (
+    key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    grok_requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day)
+);
+
+CREATE OR REPLACE FUNCTION increment_api_key_usage(p_key_id UUID, p_day DATE)
+RETURNS INTEGER
+LANGUAGE sql
+AS $$
+    INSERT INTO api_key_usage (key_id, day, grok_requests)
+    VALUES (p_key_id, p_day, 1)
+    ON CONFLICT (key_id, day) DO UPDATE
+        SET grok_requests = api_key_usage.grok_requests + 1
+    RETURNING grok_requests;
+$$;
@@ -0,0 +1,45 @@
+-- 009 Message client ids (rollback)
+
+DROP FUNCTION IF EXISTS create_message(UUID, TEXT, TEXT, TEXT, TIMESTAMPTZ, TEXT);
+
+CREATE FUNCTION create_message(
+    p_space_id UUID,
+    p_speaker_username TEXT,
+    p_speaker_display_name TEXT,
+    p_content TEXT
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_speaker_id UUID;
+    v_sequence INTEGER;
+    v_message_id UUID;
+BEGIN
+    v_speaker_id := get_or_create_speaker(p_speaker_username, p_speaker_display_name);
+
+    -- Lock the space row so concurrent inserts get distinct sequence numbers
+    PERFORM 1 FROM spaces WHERE id = p_space_id FOR UPDATE;
+
+    SELECT COALESCE(MAX(sequence_number), 0) + 1 INTO v_sequence
+    FROM messages WHERE space_id = p_space_id;
+
+    INSERT INTO messages (space_id, speaker_id, content, sequence_number, fact_check_status)
+    VALUES (p_space_id, v_speaker_id, p_content, v_sequence, 'pending')
+    RETURNING id INTO v_message_id;
+
+    UPDATE spaces SET total_messages = total_messages + 1 WHERE id = p_space_id;
+
+    RETURN v_message_id;
+END;
+$$;
+
+DROP VIEW IF EXISTS messages_with_speakers;
+
+DROP INDEX IF EXISTS idx_messages_client_message_id;
+ALTER TABLE messages DROP COLUMN IF EXISTS client_message_id;
+
+CREATE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
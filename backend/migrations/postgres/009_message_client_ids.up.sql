@@ -0,0 +1,57 @@
+-- 009 Message client ids
+-- The extension buffers captions while the backend is unreachable and sends
+-- them later, so a message can arrive more than once (a retry after a request
+-- the backend did process) and long after it was said. client_message_id is
+-- the id the extension gave the message; POST /api/messages/create returns the
+-- stored message for an id it has already seen. create_message() now also
+-- takes the capture time as created_at.
+
+-- messages_with_speakers selects m.*, so it is rebuilt to pick up the new column
+DROP VIEW IF EXISTS messages_with_speakers;
+
+ALTER TABLE messages ADD COLUMN client_message_id TEXT;
+
+CREATE UNIQUE INDEX idx_messages_client_message_id
+    ON messages (space_id, client_message_id)
+    WHERE client_message_id IS NOT NULL;
+
+CREATE VIEW messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
+
+DROP FUNCTION IF EXISTS create_message(UUID, TEXT, TEXT, TEXT);
+
+CREATE FUNCTION create_message(
+    p_space_id UUID,
+    p_speaker_username TEXT,
+    p_speaker_display_name TEXT,
+    p_content TEXT,
+    p_created_at TIMESTAMPTZ DEFAULT NULL,
+    p_client_message_id TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_speaker_id UUID;
+    v_sequence INTEGER;
+    v_message_id UUID;
+BEGIN
+    v_speaker_id := get_or_create_speaker(p_speaker_username, p_speaker_display_name);
+
+    -- Lock the space row so concurrent inserts get distinct sequence numbers
+    PERFORM 1 FROM spaces WHERE id = p_space_id FOR UPDATE;
+
+    SELECT COALESCE(MAX(sequence_number), 0) + 1 INTO v_sequence
+    FROM messages WHERE space_id = p_space_id;
+
+    INSERT INTO messages (space_id, speaker_id, content, sequence_number, fact_check_status, client_message_id, created_at)
+    VALUES (p_space_id, v_speaker_id, p_content, v_sequence, 'pending', p_client_message_id, COALESCE(p_created_at, NOW()))
+    RETURNING id INTO v_message_id;
+
+    UPDATE spaces SET total_messages = total_messages + 1 WHERE id = p_space_id;
+
+    RETURN v_message_id;
+END;
+$$;
@@ -0,0 +1,14 @@
+-- 010 API key quota (rollback)
+
+DROP FUNCTION IF EXISTS consume_api_key_usage(UUID, DATE, INTEGER);
+
+CREATE OR REPLACE FUNCTION increment_api_key_usage(p_key_id UUID, p_day DATE)
+RETURNS INTEGER
+LANGUAGE sql
+AS $$
+    INSERT INTO api_key_usage (key_id, day, grok_requests)
+    VALUES (p_key_id, p_day, 1)
+    ON CONFLICT (key_id, day) DO UPDATE
+        SET grok_requests = api_key_usage.grok_requests + 1
+    RETURNING grok_requests;
+$$;
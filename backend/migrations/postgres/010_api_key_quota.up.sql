@@ -0,0 +1,19 @@
+-- 010 API key quota
+-- increment_api_key_usage() counted a request after the quota was checked in a
+-- separate query, so concurrent requests could all pass the check and overshoot
+-- the daily quota. consume_api_key_usage() increments only while the count is
+-- under the quota, in one statement, and returns NULL once it is used up.
+
+DROP FUNCTION IF EXISTS increment_api_key_usage(UUID, DATE);
+
+CREATE OR REPLACE FUNCTION consume_api_key_usage(p_key_id UUID, p_day DATE, p_quota INTEGER)
+RETURNS INTEGER
+LANGUAGE sql
+AS $$
+    INSERT INTO api_key_usage (key_id, day, grok_requests)
+    VALUES (p_key_id, p_day, 1)
+    ON CONFLICT (key_id, day) DO UPDATE
+        SET grok_requests = api_key_usage.grok_requests + 1
+        WHERE api_key_usage.grok_requests < p_quota
+    RETURNING grok_requests;
+$$;
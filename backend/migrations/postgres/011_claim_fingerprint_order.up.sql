@@ -0,0 +1,6 @@
+-- 011 Claim fingerprint order
+-- Fingerprints now keep word order and normalized text spells out negations
+-- ("wasn't" -> "was not"), so both are recomputed: clearing them makes the
+-- server fingerprint these claims again on startup (backfillFingerprints).
+
+UPDATE claims SET fingerprint = NULL, normalized_text = NULL;
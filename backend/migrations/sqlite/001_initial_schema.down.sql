@@ -0,0 +1,9 @@
+-- 001 Initial schema (rollback)
+
+DROP VIEW IF EXISTS space_statistics;
+DROP VIEW IF EXISTS messages_with_speakers;
+
+DROP TABLE IF EXISTS bot_state;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS speakers;
+DROP TABLE IF EXISTS spaces;
@@ -0,0 +1,79 @@
+-- 001 Initial schema
+-- SQLite equivalent of postgres/001_initial_schema.up.sql. The RPCs are
+-- implemented as transactions in storage/sqlite.js.
+
+CREATE TABLE IF NOT EXISTS spaces (
+    id TEXT PRIMARY KEY,
+    title TEXT,
+    space_url TEXT,
+    started_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ended_at TEXT,
+    is_live INTEGER NOT NULL DEFAULT 1,
+    total_messages INTEGER NOT NULL DEFAULT 0,
+    overall_credibility_score REAL NOT NULL DEFAULT 100,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    summary_generated INTEGER NOT NULL DEFAULT 0,
+    summary_text TEXT,
+    summary_generated_at TEXT,
+    posted_to_x INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS speakers (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    space_id TEXT NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+    speaker_id TEXT REFERENCES speakers(id),
+    content TEXT NOT NULL,
+    sequence_number INTEGER NOT NULL,
+    fact_check_status TEXT NOT NULL DEFAULT 'pending',
+    grok_verdict TEXT CHECK (grok_verdict IN ('True', 'False', 'Misleading', 'Unverified')),
+    grok_explanation TEXT,
+    truth_score REAL,
+    credibility_score REAL,
+    grok_response_raw TEXT,
+    propagation_analysis TEXT,
+    processed_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_space ON messages(space_id, sequence_number);
+CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(fact_check_status);
+
+CREATE TABLE IF NOT EXISTS bot_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at TEXT
+);
+
+CREATE VIEW IF NOT EXISTS messages_with_speakers AS
+SELECT m.*, s.username AS speaker_username, s.display_name AS speaker_display_name
+FROM messages m
+LEFT JOIN speakers s ON s.id = m.speaker_id;
+
+CREATE VIEW IF NOT EXISTS space_statistics AS
+SELECT
+    sp.id AS space_id,
+    sp.title,
+    sp.space_url,
+    sp.is_live,
+    sp.started_at,
+    sp.ended_at,
+    sp.overall_credibility_score,
+    COUNT(m.id) AS total_messages,
+    COUNT(CASE WHEN m.fact_check_status = 'completed' THEN 1 END) AS fact_checked_messages,
+    AVG(m.truth_score) AS avg_truth_score,
+    COUNT(CASE WHEN m.grok_verdict = 'True' THEN 1 END) AS true_count,
+    COUNT(CASE WHEN m.grok_verdict = 'False' THEN 1 END) AS false_count,
+    COUNT(CASE WHEN m.grok_verdict = 'Misleading' THEN 1 END) AS misleading_count,
+    COUNT(CASE WHEN m.grok_verdict = 'Unverified' THEN 1 END) AS unverified_count,
+    COUNT(DISTINCT m.speaker_id) AS unique_speakers
+FROM spaces sp
+LEFT JOIN messages m ON m.space_id = sp.id
+GROUP BY sp.id;
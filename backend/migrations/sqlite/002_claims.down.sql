@@ -0,0 +1,4 @@
+-- 002 Claims (rollback)
+
+DROP VIEW IF EXISTS claims_with_speakers;
+DROP TABLE IF EXISTS claims;
@@ -0,0 +1,58 @@
+-- 002 Claims
+-- SQLite equivalent of postgres/002_claims.up.sql.
+
+CREATE TABLE IF NOT EXISTS claims (
+    id TEXT PRIMARY KEY,
+    message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    space_id TEXT NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+    speaker_id TEXT REFERENCES speakers(id),
+    claim_index INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    score REAL,
+    verdict TEXT,
+    explanation TEXT,
+    sources TEXT NOT NULL DEFAULT '[]',
+    propagation_analysis TEXT,
+    consistency_analysis TEXT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (message_id, claim_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claims_space ON claims(space_id);
+CREATE INDEX IF NOT EXISTS idx_claims_speaker ON claims(speaker_id);
+
+CREATE VIEW IF NOT EXISTS claims_with_speakers AS
+SELECT
+    c.*,
+    s.username AS speaker_username,
+    s.display_name AS speaker_display_name,
+    m.sequence_number AS message_sequence_number
+FROM claims c
+LEFT JOIN speakers s ON s.id = c.speaker_id
+LEFT JOIN messages m ON m.id = c.message_id;
+
+-- Backfill from grok_response_raw, which holds either a claims array or { claims: [...] }
+INSERT OR IGNORE INTO claims (id, message_id, space_id, speaker_id, claim_index, text, score, verdict, explanation, sources, created_at)
+SELECT
+    lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-'
+        || substr('89ab', 1 + abs(random()) % 4, 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))),
+    m.id,
+    m.space_id,
+    m.speaker_id,
+    c.key,
+    json_extract(c.value, '$.text'),
+    CASE WHEN json_type(c.value, '$.score') IN ('integer', 'real') THEN json_extract(c.value, '$.score') END,
+    upper(json_extract(c.value, '$.verdict')),
+    json_extract(c.value, '$.explanation'),
+    CASE WHEN json_type(c.value, '$.sources') = 'array' THEN json_extract(c.value, '$.sources') ELSE '[]' END,
+    COALESCE(m.processed_at, m.created_at)
+FROM messages m, json_each(
+    CASE
+        WHEN m.grok_response_raw IS NULL OR NOT json_valid(m.grok_response_raw) THEN '[]'
+        WHEN json_type(m.grok_response_raw) = 'array' THEN m.grok_response_raw
+        WHEN json_type(m.grok_response_raw, '$.claims') = 'array' THEN json_extract(m.grok_response_raw, '$.claims')
+        ELSE '[]'
+    END
+) c
+WHERE c.type = 'object' AND json_extract(c.value, '$.text') IS NOT NULL;
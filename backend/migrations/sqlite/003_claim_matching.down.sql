@@ -0,0 +1,12 @@
+-- 003 Claim matching (rollback)
+
+DROP INDEX IF EXISTS idx_claims_matched;
+DROP INDEX IF EXISTS idx_claims_fingerprint;
+
+ALTER TABLE messages DROP COLUMN matched_claim_id;
+
+ALTER TABLE claims DROP COLUMN verified_at;
+ALTER TABLE claims DROP COLUMN match_score;
+ALTER TABLE claims DROP COLUMN matched_claim_id;
+ALTER TABLE claims DROP COLUMN normalized_text;
+ALTER TABLE claims DROP COLUMN fingerprint;
@@ -0,0 +1,17 @@
+-- 003 Claim matching
+-- SQLite equivalent of postgres/003_claim_matching.up.sql. The link columns
+-- carry no foreign keys here (SQLite cannot drop such columns on rollback);
+-- storage/sqlite.js clears links when a claim is deleted. SQLite views expand
+-- c.* / m.* at query time, so they need no rebuild.
+
+ALTER TABLE claims ADD COLUMN fingerprint TEXT;
+ALTER TABLE claims ADD COLUMN normalized_text TEXT;
+ALTER TABLE claims ADD COLUMN matched_claim_id TEXT;
+ALTER TABLE claims ADD COLUMN match_score REAL;
+ALTER TABLE claims ADD COLUMN verified_at TEXT;
+UPDATE claims SET verified_at = created_at WHERE score IS NOT NULL;
+
+ALTER TABLE messages ADD COLUMN matched_claim_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_claims_fingerprint ON claims(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_claims_matched ON claims(matched_claim_id);
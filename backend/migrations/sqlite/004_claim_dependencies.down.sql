@@ -0,0 +1,3 @@
+-- 004 Claim dependencies (rollback)
+
+ALTER TABLE claims DROP COLUMN depends_on;
@@ -0,0 +1,4 @@
+-- 004 Claim dependencies
+-- SQLite equivalent of postgres/004_claim_dependencies.up.sql (JSON array as text).
+
+ALTER TABLE claims ADD COLUMN depends_on TEXT NOT NULL DEFAULT '[]';
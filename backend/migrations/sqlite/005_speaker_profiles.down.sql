@@ -0,0 +1,3 @@
+-- 005 Speaker profiles (rollback)
+
+DROP INDEX IF EXISTS idx_messages_speaker;
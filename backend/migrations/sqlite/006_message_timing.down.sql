@@ -0,0 +1,4 @@
+-- 006 Message timing (rollback)
+
+ALTER TABLE messages DROP COLUMN end_seconds;
+ALTER TABLE messages DROP COLUMN start_seconds;
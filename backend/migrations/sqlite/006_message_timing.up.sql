@@ -0,0 +1,5 @@
+-- 006 Message timing
+-- SQLite equivalent of postgres/006_message_timing.up.sql.
+
+ALTER TABLE messages ADD COLUMN start_seconds REAL;
+ALTER TABLE messages ADD COLUMN end_seconds REAL;
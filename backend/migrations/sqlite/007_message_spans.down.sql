@@ -0,0 +1,3 @@
+-- 007 Message spans (rollback)
+
+ALTER TABLE messages DROP COLUMN content_span;
@@ -0,0 +1,4 @@
+-- 007 Message spans
+-- SQLite equivalent of postgres/007_message_spans.up.sql (JSON stored as TEXT).
+
+ALTER TABLE messages ADD COLUMN content_span TEXT;
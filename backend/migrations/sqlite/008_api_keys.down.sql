@@ -0,0 +1,4 @@
+-- 008 API keys (rollback)
+
+DROP TABLE IF EXISTS api_key_usage;
+DROP TABLE IF EXISTS api_keys;
@@ -0,0 +1,23 @@
+-- 008 API keys
+-- SQLite equivalent of postgres/008_api_keys.up.sql.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL DEFAULT '["read"]',
+    rate_limit INTEGER,
+    grok_rate_limit INTEGER,
+    grok_daily_quota INTEGER,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_used_at TEXT,
+    revoked_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+    key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    day TEXT NOT NULL,
+    grok_requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day)
+);
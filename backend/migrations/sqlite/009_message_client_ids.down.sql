@@ -0,0 +1,4 @@
+-- 009 Message client ids (rollback)
+
+DROP INDEX IF EXISTS idx_messages_client_message_id;
+ALTER TABLE messages DROP COLUMN client_message_id;
@@ -0,0 +1,8 @@
+-- 009 Message client ids
+-- SQLite equivalent of postgres/009_message_client_ids.up.sql.
+
+ALTER TABLE messages ADD COLUMN client_message_id TEXT;
+
+CREATE UNIQUE INDEX idx_messages_client_message_id
+    ON messages (space_id, client_message_id)
+    WHERE client_message_id IS NOT NULL;
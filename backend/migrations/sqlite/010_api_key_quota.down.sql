@@ -0,0 +1 @@
+-- 010 API key quota (rollback)
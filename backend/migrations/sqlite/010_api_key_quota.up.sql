@@ -0,0 +1,4 @@
+-- 010 API key quota
+-- Postgres replaces increment_api_key_usage() with consume_api_key_usage().
+-- SQLite has no stored functions; storage/sqlite.js runs the same conditional
+-- upsert itself, so there is no schema change here.
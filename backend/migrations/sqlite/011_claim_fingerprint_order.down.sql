@@ -0,0 +1,4 @@
+-- 011 Claim fingerprint order (rollback)
+-- Cleared again so the previous server version recomputes them its own way.
+
+UPDATE claims SET fingerprint = NULL, normalized_text = NULL;
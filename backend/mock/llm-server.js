@@ -0,0 +1,404 @@
+/**
+ * Mock LLM Server
+ * Offline, deterministic stand-in for an OpenAI-compatible chat/completions
+ * endpoint. Recognizes each backend prompt by its system message and answers
+ * with a scripted fixture (mock/fixtures/llm/*.json) or a generated response
+ * that matches the schema the calling route expects.
+ *
+ * Usage:
+ *   npm run mock:llm
+ *   LLM_BASE_URL=http://localhost:3100/v1 npm start
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+/**
+ * Prompt kinds, identified by a phrase from the route's system prompt
+ */
+const PROMPT_KINDS = [
+    { kind: 'debate', marker: 'fact-checking AI analyzing a political debate' },
+    { kind: 'fact-check', marker: 'You are a fact-checking AI' },
+    { kind: 'sources', marker: 'finding credible, verifiable sources' },
+    { kind: 'topic', marker: 'Extract the main topic and key terms' },
+    { kind: 'past-statements', marker: 'Search for REAL, VERIFIABLE past statements' },
+    { kind: 'consistency', marker: 'consistent with THEIR OWN past statements' },
+    { kind: 'summary', marker: 'journalist-style tweet' },
+    { kind: 'chat', marker: 'helpful assistant on Grokipedia' },
+    { kind: 'search-terms', marker: 'extract SPECIFIC search terms' },
+    { kind: 'handle', marker: 'knows Twitter/X handles' },
+    { kind: 'propagation', marker: 'CONNECTED knowledge graph' }
+];
+
+/**
+ * Identify which backend prompt a request came from
+ * @param {Array} messages - Chat messages from the request body
+ * @returns {string} - Prompt kind, or 'unknown'
+ */
+export function detectPromptKind(messages = []) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const match = PROMPT_KINDS.find(({ marker }) => system.includes(marker));
+    return match ? match.kind : 'unknown';
+}
+
+/**
+ * Load fixture files from a directory
+ * Each file holds one fixture or an array of fixtures:
+ *   { "kind": "fact-check", "match": "substring of the user message",
+ *     "response": { ... } | "content": "raw text", "status": 200 }
+ * @param {string} dir - Fixture directory
+ * @returns {Array} - Fixtures, more specific (with "match") first
+ */
+export function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    const fixtures = [];
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            (Array.isArray(parsed) ? parsed : [parsed]).forEach(fixture => {
+                fixtures.push({ ...fixture, file });
+            });
+        });
+
+    return fixtures.sort((a, b) => (b.match ? 1 : 0) - (a.match ? 1 : 0));
+}
+
+/**
+ * The message a fact-check prompt asks about, without the conversation
+ * context sent before it
+ */
+function messageToCheck(userContent) {
+    const [, message] = userContent.match(/Message to fact-check[^:\n]*:\n([\s\S]*)$/) || [null, userContent];
+    return message;
+}
+
+/**
+ * Find the first fixture for a prompt kind whose "match" appears in the user
+ * message (for fact-checks, in the message being checked, not its context)
+ */
+function findFixture(fixtures, kind, userContent) {
+    const haystack = (kind === 'fact-check' ? messageToCheck(userContent) : userContent).toLowerCase();
+    return fixtures.find(f =>
+        f.kind === kind && (!f.match || haystack.includes(f.match.toLowerCase()))
+    ) || null;
+}
+
+/**
+ * Deterministic integer in [min, max] derived from text
+ */
+function seeded(text, min, max, salt = '') {
+    const hash = crypto.createHash('sha1').update(salt + text).digest();
+    return min + (hash.readUInt32BE(0) % (max - min + 1));
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+/)
+        .map(s => s.trim())
+        .filter(Boolean);
+}
+
+function verdictForScore(score) {
+    if (score >= 8) return 'TRUE';
+    if (score >= 5) return 'MIXED';
+    return 'FALSE';
+}
+
+function slugify(text, maxWords = 4) {
+    return text
+        .replace(/[^A-Za-z0-9\s]/g, '')
+        .split(/\s+/)
+        .filter(w => w.length > 3)
+        .slice(0, maxWords)
+        .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+        .join('_') || 'Fact-checking';
+}
+
+/**
+ * Build a claim object in the shape every fact-check prompt asks for
+ */
+function generateClaim(text, origin) {
+    const score = seeded(text, 1, 10, 'claim');
+    return {
+        text,
+        score,
+        verdict: verdictForScore(score),
+        explanation: `Mock analysis: this claim scored ${score}/10 in offline mode.`,
+        sources: [
+            `${origin}/sources/${slugify(text)}`,
+            `https://grokipedia.com/page/${slugify(text, 2)}`
+        ]
+    };
+}
+
+/**
+ * Extract up to two checkable sentences: ones with numbers or at least six words
+ */
+function generateClaims(content, origin) {
+    return splitSentences(content)
+        .filter(s => /\d/.test(s) || s.split(/\s+/).length >= 6)
+        .slice(0, 2)
+        .map(s => generateClaim(s.replace(/[.!?]+$/, ''), origin));
+}
+
+function averageScore(claims) {
+    if (claims.length === 0) return null;
+    return Math.round(claims.reduce((sum, c) => sum + c.score, 0) / claims.length);
+}
+
+/**
+ * Generators for each prompt kind when no fixture matches
+ */
+const GENERATORS = {
+    'fact-check': (user, origin) => {
+        // With conversation context, only the message section is checked; claims
+        // that lean on a reference ("he", "it", ...) depend on the latest context message
+        const message = messageToCheck(user);
+        const contextRefs = [...user.matchAll(/^\[(\d+)\] /gm)].map(m => parseInt(m[1]));
+        const claims = generateClaims(message, origin).map(claim => ({
+            ...claim,
+            depends_on: contextRefs.length > 0 && /\b(he|she|it|they|that|this|his|her|their)\b/i.test(claim.text)
+                ? [contextRefs[contextRefs.length - 1]]
+                : []
+        }));
+        return {
+            claims,
+            truth_score: averageScore(claims),
+            summary: claims.length > 0
+                ? `Mock assessment of ${claims.length} claim(s).`
+                : 'No factual claims to verify'
+        };
+    },
+
+    debate: (user, origin) => {
+        const dialogue = user.replace(/^Analyze this debate transcript:\s*/, '');
+        const turns = dialogue.split(/\n\s*\n/).map(t => t.trim()).filter(Boolean);
+        const messages = [];
+        const bySpeaker = {};
+
+        turns.forEach((turn, idx) => {
+            const sep = turn.indexOf(':');
+            if (sep === -1) return;
+            const speaker = turn.substring(0, sep).trim();
+            const content = turn.substring(sep + 1).trim();
+            const claims = generateClaims(content, origin);
+            const truthScore = averageScore(claims);
+
+            messages.push({
+                speaker,
+                content,
+                sequence_number: idx + 1,
+                truth_score: truthScore,
+                verdict: truthScore === null ? 'UNVERIFIABLE' : verdictForScore(truthScore),
+                explanation: `Mock assessment of ${claims.length} claim(s).`,
+                claims
+            });
+
+            if (truthScore !== null) {
+                bySpeaker[speaker] = bySpeaker[speaker] || [];
+                bySpeaker[speaker].push(truthScore);
+            }
+        });
+
+        const overall_credibility = {};
+        Object.entries(bySpeaker).forEach(([speaker, scores]) => {
+            overall_credibility[speaker] = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length * 10);
+        });
+
+        return { messages, overall_credibility };
+    },
+
+    sources: (user, origin) => {
+        const claim = (user.match(/"([\s\S]*)"/) || [null, user])[1];
+        const slug = slugify(claim);
+        return [
+            `${origin}/sources/${slug}-overview`,
+            `${origin}/sources/${slug}-data`,
+            `${origin}/sources/${slug}-factcheck`,
+            `https://grokipedia.com/page/${slugify(claim, 2)}`
+        ];
+    },
+
+    topic: (user) => {
+        const keywords = user.replace(/[^A-Za-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 4).slice(0, 3);
+        return { topic: slugify(user, 3).replace(/_/g, ' '), keywords };
+    },
+
+    'past-statements': (user) => {
+        const subject = user.replace(/^Find\s+/, '').replace(/'s past public statements about/, ' on');
+        return [
+            { date: 'March 2023', text: `Mock past statement by ${subject}.`, source: 'Mock interview', url: null }
+        ];
+    },
+
+    consistency: (user) => {
+        const score = seeded(user, 3, 9, 'consistency');
+        return {
+            score,
+            x_score: score,
+            web_score: score,
+            verdict: score >= 7 ? 'Consistent' : score >= 4 ? 'Evolving' : 'Contradictory',
+            analysis: 'Mock consistency analysis generated offline. The speaker\'s past statements were compared with the current claim.',
+            topic_match: true,
+            confidence: 'low'
+        };
+    },
+
+    summary: (user) => {
+        const score = (user.match(/Credibility Score: (\d+)\/100/) || [null, '100'])[1];
+        const claims = (user.match(/Total claims: (\d+)/) || [null, '0'])[1];
+        return `Mock summary of the conversation.\n\nCredibility Score: ${score}/100\n\nFact-checked ${claims} claims.`;
+    },
+
+    chat: (user) => `Mock answer: "${user.substring(0, 80)}" would be answered here in online mode.`,
+
+    'search-terms': (user) => {
+        const claim = (user.match(/"([\s\S]*)"/) || [null, user])[1];
+        const entities = claim.replace(/[^A-Za-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 4).slice(0, 3);
+        return {
+            topic: slugify(claim, 3).replace(/_/g, ' '),
+            entities,
+            keyPhrases: entities,
+            searchQuery: entities.join(' '),
+            contraQuery: null
+        };
+    },
+
+    handle: (user) => {
+        const name = user.replace(/^What is the Twitter\/X handle for\s*/, '').replace(/\?$/, '');
+        return '@' + name.replace(/[^A-Za-z0-9_]/g, '').slice(0, 15);
+    },
+
+    propagation: (user) => {
+        const claim = (user.match(/"([\s\S]*)"/) || [null, user])[1];
+        const nodes = [];
+        const links = [];
+        for (let i = 0; i < 6; i++) {
+            nodes.push({
+                id: `mock-${i}`,
+                username: `@mockuser${i}`,
+                display_name: `Mock User ${i}`,
+                impressions: 1000 * (6 - i),
+                followers: 500 * (6 - i),
+                verified: i === 0,
+                tweet_text: `Mock post ${i} about the claim`,
+                tweet_url: `https://x.com/mockuser${i}/status/${i}`,
+                stance: i % 2 === 0 ? 'supports' : 'contradicts',
+                clusterIdx: 0
+            });
+            if (i > 0) links.push({ source: 'mock-0', target: `mock-${i}`, type: 'reply' });
+        }
+        return { claim_summary: claim.substring(0, 100), topic: slugify(claim, 3).replace(/_/g, ' '), nodes, links, statistics: {} };
+    },
+
+    unknown: () => 'Mock response'
+};
+
+/**
+ * Create the mock server app
+ * @param {Object} options
+ * @param {string} [options.fixturesDir] - Directory of fixture files
+ * @returns {express.Application}
+ */
+export function createMockLlmApp({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+    const app = express();
+    const fixtures = loadFixtures(fixturesDir);
+
+    app.use(express.json({ limit: '10mb' }));
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', fixtures: fixtures.length });
+    });
+
+    // Stand-in source pages so URL validation passes offline
+    app.all('/sources/:slug', (req, res) => {
+        res.type('html').send(`<html><body><h1>${req.params.slug}</h1><p>Mock source page.</p></body></html>`);
+    });
+
+    const handleCompletion = (req, res) => {
+        const { model = 'mock-model', messages = [] } = req.body || {};
+        const kind = detectPromptKind(messages);
+        const userContent = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+        const origin = `${req.protocol}://${req.get('host')}`;
+
+        const fixture = findFixture(fixtures, kind, userContent);
+
+        if (fixture?.status && fixture.status >= 400) {
+            console.log(`🧪 Mock LLM ${kind}: scripted ${fixture.status} (${fixture.file})`);
+            return res.status(fixture.status).json({
+                error: { message: fixture.error || `Mock error from ${fixture.file}` }
+            });
+        }
+
+        let content;
+        if (fixture) {
+            content = fixture.content !== undefined
+                ? fixture.content
+                : typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+        } else {
+            const generated = GENERATORS[kind](userContent, origin);
+            content = typeof generated === 'string' ? generated : JSON.stringify(generated);
+        }
+
+        console.log(`🧪 Mock LLM ${kind} (${model}): ${fixture ? `fixture ${fixture.file}` : 'generated'}`);
+
+        res.json({
+            id: `mock-${crypto.createHash('sha1').update(userContent).digest('hex').substring(0, 12)}`,
+            object: 'chat.completion',
+            created: 0,
+            model,
+            choices: [
+                {
+                    index: 0,
+                    message: { role: 'assistant', content },
+                    finish_reason: 'stop'
+                }
+            ],
+            usage: {
+                prompt_tokens: Math.ceil(JSON.stringify(messages).length / 4),
+                completion_tokens: Math.ceil(content.length / 4),
+                total_tokens: Math.ceil((JSON.stringify(messages).length + content.length) / 4)
+            }
+        });
+    };
+
+    app.post('/v1/chat/completions', handleCompletion);
+    app.post('/chat/completions', handleCompletion);
+
+    return app;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options
+ * @param {number} [options.port]
+ * @param {string} [options.fixturesDir]
+ * @returns {Promise<import('http').Server>}
+ */
+export function startMockLlmServer({ port = process.env.MOCK_LLM_PORT || 3100, fixturesDir } = {}) {
+    const app = createMockLlmApp({ fixturesDir });
+    return new Promise(resolve => {
+        const server = app.listen(port, () => {
+            console.log(`🧪 Mock LLM server running on port ${server.address().port}`);
+            console.log(`   Set LLM_BASE_URL=http://localhost:${server.address().port}/v1 to use it`);
+            resolve(server);
+        });
+    });
+}
+
+// Run directly: node mock/llm-server.js
+if (process.argv[1] === __filename) {
+    startMockLlmServer({ fixturesDir: process.env.MOCK_LLM_FIXTURES || DEFAULT_FIXTURES_DIR });
+}
+
+export default { createMockLlmApp, startMockLlmServer, detectPromptKind, loadFixtures };
@@ -0,0 +1,582 @@
+/**
+ * Mock X API Server
+ * Offline stand-in for the X API v2 endpoints the backend calls: recent
+ * search, tweet lookup (conversations are searched with conversation_id:),
+ * user lookup, user timelines, mentions and tweet creation. It serves the
+ * users and tweets in mock/fixtures/x/*.json, with X's response shapes,
+ * field selection, expansions, pagination tokens, rate-limit headers and
+ * error bodies.
+ *
+ * Usage:
+ *   npm run mock:x
+ *   X_API_BASE=http://localhost:3102/2 X_BEARER_TOKEN=mock npm start
+ *
+ * Any bearer token or OAuth 1.0a header is accepted; signatures aren't
+ * checked. Tweets posted with OAuth are authored by the user whose id
+ * starts the access token ("<user id>-..."), as with real X tokens.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tweetLength, MAX_TWEET_LENGTH } from '../utils/tweet-text.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'x');
+
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Requests per 15-minute window, per endpoint and per token, roughly X's
+ * own limits. Override with the rateLimits option or MOCK_X_RATE_LIMITS.
+ */
+export const DEFAULT_RATE_LIMITS = {
+    search: 450,
+    tweet: 450,
+    user: 300,
+    timeline: 1500,
+    mentions: 450,
+    create: 200
+};
+
+const TWEET_DEFAULT_FIELDS = ['id', 'text', 'edit_history_tweet_ids'];
+const USER_DEFAULT_FIELDS = ['id', 'name', 'username'];
+
+/**
+ * Load and merge the dataset files in a directory. Each file holds
+ *   { "name": "...", "users": [{ id, username, name, ... }], "tweets": [{ id, text, author_id, ... }] }
+ * @param {string} dir - Fixture directory
+ * @returns {{ users: Array, tweets: Array, datasets: Array<string> }}
+ */
+export function loadDatasets(dir = DEFAULT_FIXTURES_DIR) {
+    const merged = { users: [], tweets: [], datasets: [] };
+    if (!fs.existsSync(dir)) return merged;
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const dataset = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            merged.users.push(...(dataset.users || []));
+            merged.tweets.push(...(dataset.tweets || []));
+            merged.datasets.push(dataset.name || file);
+        });
+
+    const userIds = new Set();
+    merged.users.forEach(user => {
+        if (userIds.has(user.id)) throw new Error(`Duplicate user id ${user.id} in ${dir}`);
+        userIds.add(user.id);
+    });
+    const tweetIds = new Set();
+    merged.tweets.forEach(tweet => {
+        if (tweetIds.has(tweet.id)) throw new Error(`Duplicate tweet id ${tweet.id} in ${dir}`);
+        if (!userIds.has(tweet.author_id)) throw new Error(`Tweet ${tweet.id} has unknown author ${tweet.author_id}`);
+        tweetIds.add(tweet.id);
+    });
+
+    return merged;
+}
+
+/**
+ * Parse "search=5,mentions=2" into { search: 5, mentions: 2 }
+ */
+export function parseRateLimits(value = '') {
+    const limits = {};
+    value.split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+        const [name, limit] = pair.split('=');
+        if (name && !isNaN(parseInt(limit))) limits[name.trim()] = parseInt(limit);
+    });
+    return limits;
+}
+
+// Tweet ids are 64-bit: compare them as decimal strings, not Numbers
+function compareIds(a, b) {
+    if (a.length !== b.length) return a.length - b.length;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// X API error bodies
+function problem(res, status, title, detail, type = 'about:blank', extra = {}) {
+    return res.status(status).json({ title, detail, type, status, ...extra });
+}
+
+function invalidRequest(res, message, parameter) {
+    return res.status(400).json({
+        errors: [{ parameters: parameter ? { [parameter]: [] } : {}, message }],
+        title: 'Invalid Request',
+        detail: 'One or more parameters to your request was invalid.',
+        type: 'https://api.twitter.com/2/problems/invalid-request'
+    });
+}
+
+/**
+ * Who a request is authenticated as, from its Authorization header
+ * @returns {{ kind: 'app'|'user', key: string, token?: string }|null}
+ */
+function parseAuth(header = '') {
+    const bearer = /^Bearer\s+(.+)$/i.exec(header);
+    if (bearer) return { kind: 'app', key: `app:${bearer[1]}` };
+
+    if (/^OAuth\s/i.test(header)) {
+        const params = {};
+        header.replace(/^OAuth\s+/i, '').split(',').forEach(part => {
+            const match = /^\s*([^=]+)="([^"]*)"/.exec(part);
+            if (match) params[match[1]] = decodeURIComponent(match[2]);
+        });
+        if (!params.oauth_consumer_key || !params.oauth_token || !params.oauth_signature) return null;
+        return { kind: 'user', key: `user:${params.oauth_token}`, token: params.oauth_token };
+    }
+    return null;
+}
+
+function splitList(value) {
+    return typeof value === 'string' ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+function pick(object, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (object[field] !== undefined) picked[field] = object[field];
+    });
+    return picked;
+}
+
+/**
+ * Search query matcher for the operators the backend uses: keywords,
+ * "phrases", @mentions, #hashtags, from:, to:, conversation_id:, lang:,
+ * is:retweet|reply|quote|verified, has:links, negation with - and OR
+ * @returns {{ test: Function }|{ error: string }}
+ */
+export function compileQuery(query, usersById) {
+    const tokens = query.match(/-?"[^"]*"|[()]|[^\s()]+/g) || [];
+    const groups = [[]];
+
+    for (const token of tokens) {
+        if (token === '(' || token === ')') continue;
+        if (token === 'OR') {
+            groups.push([]);
+            continue;
+        }
+
+        const negated = token.startsWith('-') && token.length > 1;
+        const body = negated ? token.slice(1) : token;
+        const operator = /^([a-z_]+):(.+)$/.exec(body);
+        let test;
+
+        if (body.startsWith('"')) {
+            const phrase = body.replace(/"/g, '').toLowerCase();
+            test = tweet => tweet.text.toLowerCase().includes(phrase);
+        } else if (operator) {
+            const [, name, value] = operator;
+            const lower = value.toLowerCase();
+            const referenced = type => tweet => (tweet.referenced_tweets || []).some(r => r.type === type);
+            const is = {
+                retweet: referenced('retweeted'),
+                reply: referenced('replied_to'),
+                quote: referenced('quoted'),
+                verified: tweet => Boolean(usersById.get(tweet.author_id)?.verified)
+            };
+            if (name === 'from') test = tweet => usersById.get(tweet.author_id)?.username.toLowerCase() === lower.replace(/^@/, '');
+            else if (name === 'to') test = tweet => usersById.get(tweet.in_reply_to_user_id)?.username.toLowerCase() === lower.replace(/^@/, '');
+            // Like X, only the replies: the conversation's first tweet isn't returned
+            else if (name === 'conversation_id') test = tweet => tweet.conversation_id === value && tweet.id !== value;
+            else if (name === 'lang') test = tweet => (tweet.lang || 'en') === lower;
+            else if (name === 'has' && lower === 'links') test = tweet => /https?:\/\//.test(tweet.text);
+            else if (name === 'is' && is[lower]) test = is[lower];
+            else return { error: `There were errors processing your request: Reference to invalid operator '${name}:${value}'` };
+        } else {
+            const word = body.toLowerCase().replace(/[.,!?;]+$/, '');
+            if (!word) continue;
+            const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`(^|[^\\w@#])${escaped}(?![\\w])`, 'i');
+            test = tweet => pattern.test(tweet.text);
+        }
+
+        groups[groups.length - 1].push(negated ? tweet => !test(tweet) : test);
+    }
+
+    const clauses = groups.filter(group => group.length > 0);
+    if (clauses.length === 0) return { error: 'There were errors processing your request: Empty query' };
+    return { test: tweet => clauses.some(group => group.every(t => t(tweet))) };
+}
+
+/**
+ * Create the mock server app
+ * @param {Object} options
+ * @param {string} [options.fixturesDir] - Directory of dataset files
+ * @param {Object} [options.rateLimits] - Per-endpoint overrides of DEFAULT_RATE_LIMITS
+ * @param {Function} [options.now] - Clock, for rate-limit windows
+ * @returns {express.Application}
+ */
+export function createMockXApp({ fixturesDir = DEFAULT_FIXTURES_DIR, rateLimits = {}, now = Date.now } = {}) {
+    const app = express();
+    const limits = { ...DEFAULT_RATE_LIMITS, ...rateLimits };
+
+    let users;
+    let usersById;
+    let tweets;
+    let posted;
+    let windows;
+
+    function reset() {
+        const dataset = loadDatasets(fixturesDir);
+        users = dataset.users;
+        usersById = new Map(users.map(u => [u.id, u]));
+        tweets = new Map(dataset.tweets.map(t => [t.id, t]));
+        posted = [];
+        windows = new Map();
+        return dataset;
+    }
+    const { datasets } = reset();
+
+    app.use(express.json({ limit: '1mb' }));
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', datasets, users: users.length, tweets: tweets.size });
+    });
+
+    // ---- Test helpers, not part of the X API ----
+
+    // Tweets created through POST /2/tweets since the last reset
+    app.get('/mock/tweets', (req, res) => {
+        res.json({ data: posted.map(id => tweets.get(id)) });
+    });
+
+    // Add a tweet as any user, e.g. a new mention for the bot to find
+    app.post('/mock/tweets', (req, res) => {
+        const { author_id, username, text, in_reply_to_tweet_id, lang } = req.body || {};
+        const author = author_id ? usersById.get(author_id) : users.find(u => u.username.toLowerCase() === String(username || '').replace(/^@/, '').toLowerCase());
+        if (!author || typeof text !== 'string') {
+            return res.status(400).json({ error: 'author_id or username of a fixture user, and text, are required' });
+        }
+        const result = createTweet(author, text, in_reply_to_tweet_id, lang);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.status(201).json({ data: result.tweet });
+    });
+
+    // Reload the datasets, drop posted tweets and refill every rate-limit window
+    app.post('/mock/reset', (req, res) => {
+        reset();
+        res.json({ success: true });
+    });
+
+    // ---- X API v2 ----
+
+    const api = express.Router();
+
+    api.use((req, res, next) => {
+        const auth = parseAuth(req.get('Authorization'));
+        if (!auth) return problem(res, 401, 'Unauthorized', 'Unauthorized');
+        req.auth = auth;
+        next();
+    });
+
+    // Rate limit per endpoint and token, with X's headers on every response
+    const limited = endpoint => (req, res, next) => {
+        const key = `${endpoint}:${req.auth.key}`;
+        let window = windows.get(key);
+        if (!window || now() >= window.resetAt) {
+            window = { used: 0, resetAt: now() + RATE_LIMIT_WINDOW_MS };
+            windows.set(key, window);
+        }
+
+        const limit = limits[endpoint];
+        res.set('x-rate-limit-limit', String(limit));
+        res.set('x-rate-limit-reset', String(Math.ceil(window.resetAt / 1000)));
+        if (window.used >= limit) {
+            res.set('x-rate-limit-remaining', '0');
+            console.log(`🧪 Mock X ${endpoint}: rate limited`);
+            return problem(res, 429, 'Too Many Requests', 'Too Many Requests');
+        }
+
+        window.used++;
+        res.set('x-rate-limit-remaining', String(limit - window.used));
+        next();
+    };
+
+    function renderTweet(tweet, fields) {
+        return pick({ ...tweet, edit_history_tweet_ids: [tweet.id] }, [...TWEET_DEFAULT_FIELDS, ...fields]);
+    }
+
+    function renderUser(user, fields) {
+        return pick(user, [...USER_DEFAULT_FIELDS, ...fields]);
+    }
+
+    /**
+     * data + includes for a list of tweets, honoring tweet.fields, user.fields and expansions
+     */
+    function tweetsResponse(list, query) {
+        const tweetFields = splitList(query['tweet.fields']);
+        const userFields = splitList(query['user.fields']);
+        const expansions = splitList(query.expansions);
+
+        const includedUsers = new Map();
+        const includedTweets = new Map();
+        const includeUser = id => {
+            if (usersById.has(id)) includedUsers.set(id, renderUser(usersById.get(id), userFields));
+        };
+
+        list.forEach(tweet => {
+            if (expansions.includes('author_id')) includeUser(tweet.author_id);
+            if (expansions.includes('in_reply_to_user_id') && tweet.in_reply_to_user_id) includeUser(tweet.in_reply_to_user_id);
+            (tweet.referenced_tweets || []).forEach(ref => {
+                const referenced = tweets.get(ref.id);
+                if (!referenced) return;
+                if (expansions.includes('referenced_tweets.id')) includedTweets.set(ref.id, renderTweet(referenced, tweetFields));
+                if (expansions.includes('referenced_tweets.id.author_id')) includeUser(referenced.author_id);
+            });
+        });
+
+        const includes = {};
+        if (includedUsers.size > 0) includes.users = [...includedUsers.values()];
+        if (includedTweets.size > 0) includes.tweets = [...includedTweets.values()];
+        return {
+            data: list.map(tweet => renderTweet(tweet, tweetFields)),
+            includes: Object.keys(includes).length > 0 ? includes : undefined
+        };
+    }
+
+    /**
+     * One page of a newest-first tweet list. Tokens are tied to the request
+     * they came from, like X's, so a token from another query is rejected.
+     * @returns {Object|null} - Response body, or null after sending a 400
+     */
+    function paginate(req, res, list, { tokenParam, min, max, defaultMax = 10, previousToken = false }) {
+        const maxResults = req.query.max_results === undefined ? defaultMax : Number(req.query.max_results);
+        if (!Number.isInteger(maxResults) || maxResults < min || maxResults > max) {
+            invalidRequest(res, `The \`max_results\` query parameter value [${req.query.max_results}] is not between ${min} and ${max}`, 'max_results');
+            return null;
+        }
+
+        for (const param of ['since_id', 'until_id']) {
+            if (req.query[param] !== undefined && !/^\d{1,19}$/.test(req.query[param])) {
+                invalidRequest(res, `The \`${param}\` query parameter value [${req.query[param]}] is not valid`, param);
+                return null;
+            }
+        }
+        if (req.query.since_id) list = list.filter(t => compareIds(t.id, req.query.since_id) > 0);
+        if (req.query.until_id) list = list.filter(t => compareIds(t.id, req.query.until_id) < 0);
+
+        // Everything but the token itself identifies the request
+        const { [tokenParam]: token, ...rest } = req.query;
+        const requestKey = crypto.createHash('sha1')
+            .update(req.path + JSON.stringify(Object.entries(rest).sort()))
+            .digest('hex').substring(0, 10);
+
+        let offset = 0;
+        if (token !== undefined) {
+            const [key, position] = Buffer.from(String(token), 'base64url').toString().split(':');
+            offset = parseInt(position);
+            if (key !== requestKey || !Number.isInteger(offset) || offset < 0) {
+                invalidRequest(res, `The \`${tokenParam}\` query parameter value [${token}] is not valid`, tokenParam);
+                return null;
+            }
+        }
+
+        const page = list.slice(offset, offset + maxResults);
+        const makeToken = position => Buffer.from(`${requestKey}:${position}`).toString('base64url');
+        const meta = { result_count: page.length };
+        if (page.length > 0) {
+            meta.newest_id = page[0].id;
+            meta.oldest_id = page[page.length - 1].id;
+        }
+        if (offset + maxResults < list.length) meta.next_token = makeToken(offset + maxResults);
+        if (previousToken && offset > 0) meta.previous_token = makeToken(Math.max(0, offset - maxResults));
+
+        const body = page.length > 0 ? tweetsResponse(page, req.query) : {};
+        return { ...body, meta };
+    }
+
+    const newestFirst = list => list.sort((a, b) => compareIds(b.id, a.id));
+
+    api.get('/tweets/search/recent', limited('search'), (req, res) => {
+        const query = String(req.query.query || '');
+        if (!query) return invalidRequest(res, 'The `query` query parameter can not be empty', 'query');
+        if (query.length > 512) return invalidRequest(res, 'The `query` query parameter value is longer than 512 characters', 'query');
+
+        const matcher = compileQuery(query, usersById);
+        if (matcher.error) return invalidRequest(res, matcher.error, 'query');
+
+        const body = paginate(req, res, newestFirst([...tweets.values()].filter(matcher.test)), {
+            tokenParam: 'next_token', min: 10, max: 100
+        });
+        if (!body) return;
+        console.log(`🧪 Mock X search "${query}": ${body.meta.result_count} tweet(s)${body.meta.next_token ? ', more pages' : ''}`);
+        res.json(body);
+    });
+
+    api.get('/tweets/:id', limited('tweet'), (req, res) => {
+        const tweet = tweets.get(req.params.id);
+        if (!tweet) {
+            return res.json({
+                errors: [{
+                    value: req.params.id,
+                    detail: `Could not find tweet with id: [${req.params.id}].`,
+                    title: 'Not Found Error',
+                    resource_type: 'tweet',
+                    parameter: 'id',
+                    resource_id: req.params.id,
+                    type: 'https://api.twitter.com/2/problems/resource-not-found'
+                }]
+            });
+        }
+        const { data, includes } = tweetsResponse([tweet], req.query);
+        res.json({ data: data[0], includes });
+    });
+
+    const userNotFound = (res, value, parameter) => res.json({
+        errors: [{
+            value,
+            detail: `Could not find user with ${parameter}: [${value}].`,
+            title: 'Not Found Error',
+            resource_type: 'user',
+            parameter,
+            resource_id: value,
+            type: 'https://api.twitter.com/2/problems/resource-not-found'
+        }]
+    });
+
+    api.get('/users/by/username/:username', limited('user'), (req, res) => {
+        const user = users.find(u => u.username.toLowerCase() === req.params.username.toLowerCase());
+        if (!user) return userNotFound(res, req.params.username, 'username');
+        res.json({ data: renderUser(user, splitList(req.query['user.fields'])) });
+    });
+
+    api.get('/users/:id', limited('user'), (req, res) => {
+        const user = usersById.get(req.params.id);
+        if (!user) return userNotFound(res, req.params.id, 'id');
+        res.json({ data: renderUser(user, splitList(req.query['user.fields'])) });
+    });
+
+    api.get('/users/:id/tweets', limited('timeline'), (req, res) => {
+        const user = usersById.get(req.params.id);
+        if (!user) return userNotFound(res, req.params.id, 'id');
+
+        const exclude = splitList(req.query.exclude);
+        const type = { retweets: 'retweeted', replies: 'replied_to' };
+        const list = [...tweets.values()].filter(tweet =>
+            tweet.author_id === user.id
+            && !exclude.some(name => (tweet.referenced_tweets || []).some(r => r.type === type[name]))
+        );
+
+        const body = paginate(req, res, newestFirst(list), {
+            tokenParam: 'pagination_token', min: 5, max: 100, previousToken: true
+        });
+        if (body) res.json(body);
+    });
+
+    api.get('/users/:id/mentions', limited('mentions'), (req, res) => {
+        const user = usersById.get(req.params.id);
+        if (!user) return userNotFound(res, req.params.id, 'id');
+
+        const mention = new RegExp(`@${user.username}(?![\\w])`, 'i');
+        const list = [...tweets.values()].filter(tweet => tweet.author_id !== user.id && mention.test(tweet.text));
+
+        const body = paginate(req, res, newestFirst(list), {
+            tokenParam: 'pagination_token', min: 5, max: 100, previousToken: true
+        });
+        if (!body) return;
+        if (body.meta.result_count > 0) console.log(`🧪 Mock X mentions of @${user.username}: ${body.meta.result_count}`);
+        res.json(body);
+    });
+
+    function nextTweetId() {
+        const ids = [...tweets.keys()].sort(compareIds);
+        return ids.length > 0 ? (BigInt(ids[ids.length - 1]) + 1n).toString() : '1000000000000000000';
+    }
+
+    function createTweet(author, text, inReplyToId, lang) {
+        let parent = null;
+        if (inReplyToId) {
+            parent = tweets.get(String(inReplyToId));
+            if (!parent) return { error: `Tweet ${inReplyToId} not found` };
+        }
+
+        const id = nextTweetId();
+        const tweet = {
+            id,
+            text,
+            author_id: author.id,
+            created_at: new Date(now()).toISOString(),
+            conversation_id: parent ? parent.conversation_id : id,
+            lang: lang || 'en',
+            public_metrics: { retweet_count: 0, reply_count: 0, like_count: 0, quote_count: 0, impression_count: 0 }
+        };
+        if (parent) {
+            tweet.in_reply_to_user_id = parent.author_id;
+            tweet.referenced_tweets = [{ type: 'replied_to', id: parent.id }];
+        }
+        tweets.set(id, tweet);
+        return { tweet };
+    }
+
+    api.post('/tweets', limited('create'), (req, res) => {
+        if (req.auth.kind !== 'user') {
+            return problem(res, 403, 'Unsupported Authentication',
+                'Authenticating with OAuth 2.0 Application-Only is forbidden for this endpoint.  Supported authentication types are [OAuth 1.0a User Context, OAuth 2.0 User Context].',
+                'https://api.twitter.com/2/problems/unsupported-authentication');
+        }
+
+        const author = usersById.get(req.auth.token.split('-')[0]);
+        if (!author) {
+            return problem(res, 401, 'Unauthorized', `No fixture user for access token ${req.auth.token.split('-')[0]}-...`);
+        }
+
+        const { text, reply } = req.body || {};
+        if (typeof text !== 'string' || !text.trim()) {
+            return invalidRequest(res, 'text must be a non-empty string', 'text');
+        }
+        if (tweetLength(text) > MAX_TWEET_LENGTH) {
+            return problem(res, 403, 'Forbidden', 'Your Tweet text is too long. For more information on how Twitter determines text length see https://github.com/twitter/twitter-text.');
+        }
+        if ([...tweets.values()].some(t => t.author_id === author.id && t.text === text)) {
+            return problem(res, 403, 'Forbidden', 'You are not allowed to create a Tweet with duplicate content.');
+        }
+
+        const result = createTweet(author, text, reply?.in_reply_to_tweet_id);
+        if (result.error) {
+            return invalidRequest(res, `The tweet you are replying to does not exist: ${result.error}`, 'reply.in_reply_to_tweet_id');
+        }
+
+        posted.push(result.tweet.id);
+        console.log(`🧪 Mock X @${author.username} posted ${result.tweet.id}${reply ? ` in reply to ${reply.in_reply_to_tweet_id}` : ''}`);
+        res.status(201).json({ data: { id: result.tweet.id, text, edit_history_tweet_ids: [result.tweet.id] } });
+    });
+
+    app.use('/2', api);
+
+    return app;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options
+ * @param {number} [options.port]
+ * @param {string} [options.fixturesDir]
+ * @param {Object} [options.rateLimits]
+ * @returns {Promise<import('http').Server>}
+ */
+export function startMockXServer({ port = process.env.MOCK_X_PORT || 3102, fixturesDir, rateLimits } = {}) {
+    const app = createMockXApp({ fixturesDir, rateLimits });
+    return new Promise(resolve => {
+        const server = app.listen(port, () => {
+            console.log(`🧪 Mock X API server running on port ${server.address().port}`);
+            console.log(`   Set X_API_BASE=http://localhost:${server.address().port}/2 and any X_BEARER_TOKEN to use it`);
+            resolve(server);
+        });
+    });
+}
+
+// Run directly: node mock/x-api-server.js
+if (process.argv[1] === __filename) {
+    startMockXServer({
+        fixturesDir: process.env.MOCK_X_FIXTURES || DEFAULT_FIXTURES_DIR,
+        rateLimits: parseRateLimits(process.env.MOCK_X_RATE_LIMITS)
+    });
+}
+
+export default { createMockXApp, startMockXServer, loadDatasets, compileQuery, parseRateLimits, DEFAULT_RATE_LIMITS };
@@ -0,0 +1,88 @@
+import express from 'express';
+import { getStorage } from '../storage/index.js';
+import {
+    keyFieldsFromBody, createApiKey, revokeApiKey, publicKey, limitsFor, usageDay
+} from '../services/api-keys.js';
+
+// Mounted at /api/admin/keys; the auth middleware requires the admin scope
+const router = express.Router();
+
+/**
+ * List keys (without their hashes), newest first
+ * GET /api/admin/keys
+ */
+router.get('/', async (req, res) => {
+    try {
+        const keys = await getStorage().apiKeys.list();
+        res.json({ success: true, keys: keys.map(publicKey) });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Create a key. The plaintext key is only ever returned here.
+ * POST /api/admin/keys { name, scopes?, rate_limit?, grok_rate_limit?, grok_daily_quota? }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { fields, errors } = keyFieldsFromBody(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; ') });
+        }
+
+        const { key, record } = await createApiKey(getStorage(), fields);
+        console.log(`🔑 Created API key "${record.name}" (${record.scopes.join(', ')})`);
+
+        res.status(201).json({ success: true, key, api_key: record });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * A key with its effective limits and today's Grok usage
+ * GET /api/admin/keys/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const storage = getStorage();
+        const record = await storage.apiKeys.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, error: 'API key not found' });
+        }
+
+        res.json({
+            success: true,
+            api_key: publicKey(record),
+            limits: limitsFor(record),
+            usage: { day: usageDay(), grok_requests: await storage.apiKeys.getUsage(record.id, usageDay()) }
+        });
+    } catch (error) {
+        console.error('Error fetching API key:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Revoke a key
+ * DELETE /api/admin/keys/:id
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const record = await revokeApiKey(getStorage(), req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, error: 'API key not found' });
+        }
+
+        console.log(`🔒 Revoked API key "${record.name}"`);
+        res.json({ success: true, api_key: record });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
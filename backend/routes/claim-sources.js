@@ -1,38 +1,51 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
+import { chatCompletion, getModelConfig } from '../services/llm.js';
+import { getStorage } from '../storage/index.js';
 
 const router = express.Router();
 
-function getSupabase() {
-    return createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_KEY
-    );
-}
+/**
+ * Generate credible sources for a claim
+ * POST /api/claims/:id/generate-sources
+ */
+router.post('/:id/generate-sources', (req, res) =>
+    generateSourcesForClaim(req, res, storage => storage.claims.get(req.params.id)));
 
 /**
- * Generate credible sources for a specific claim
+ * Legacy address: claim by position within its message
  * POST /api/claims/:messageId/:claimIndex/generate-sources
  */
-router.post('/:messageId/:claimIndex/generate-sources', async (req, res) => {
+router.post('/:messageId/:claimIndex/generate-sources', (req, res) => {
+    const claimIndex = parseInt(req.params.claimIndex);
+    return generateSourcesForClaim(req, res, async storage =>
+        Number.isInteger(claimIndex) ? storage.claims.findByMessageIndex(req.params.messageId, claimIndex) : null);
+});
+
+/**
+ * Find the claim, ask Grok for sources, validate them and save them on the claim
+ * @param {Function} findClaim - async (storage) => claim row or null
+ */
+async function generateSourcesForClaim(req, res, findClaim) {
     try {
-        const { messageId, claimIndex } = req.params;
-        const { claimText } = req.body;
+        const storage = getStorage();
 
-        if (!claimText) {
-            return res.status(400).json({
+        const claim = await findClaim(storage);
+        if (!claim) {
+            return res.status(404).json({
                 success: false,
-                error: 'Claim text is required'
+                error: 'Claim not found'
             });
         }
 
-        console.log(`\n🔍 Generating sources for claim ${claimIndex} in message ${messageId}`);
+        const claimText = req.body.claimText || claim.text;
+
+        console.log(`\n🔍 Generating sources for claim ${claim.id} (message ${claim.message_id})`);
         console.log(`📝 Claim: "${claimText}"`);
 
         // Debug: Log model being used
-        const modelToUse = 'grok-4-1-fast-reasoning';
+        const modelToUse = getModelConfig('fast').model;
         console.log(`\n⚡ MODEL DEBUG:`);
-        console.log(`   Using model: ${modelToUse}`);
+        console.log(`   Using model: ${modelToUse} (role: fast)`);
         console.log(`   Model type: Lightning fast (optimized for widget)`);
         console.log(`   Web search: ENABLED`);
         console.log(`   Expected speed: 3-6 seconds (including web search)`);
@@ -40,18 +53,11 @@ router.post('/:messageId/:claimIndex/generate-sources', async (req, res) => {
         const startTime = Date.now();
 
         // Call Grok to generate sources
-        const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: modelToUse, // Lightning fast model for widget
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You are a research assistant specializing in finding credible, verifiable sources using web search.
+        const { content: grokContent, model: modelUsed, usage } = await chatCompletion('fast', {
+            messages: [
+                {
+                    role: 'system',
+                    content: `You are a research assistant specializing in finding credible, verifiable sources using web search.
 
 TASK: Use web search to find 20 REAL, WORKING URLs that verify, discuss, or provide context for the given claim.
 
@@ -94,37 +100,25 @@ Example:
 ["https://www.census.gov/data/tables.html", "https://www.factcheck.org/2024/article-name/", ..., "https://grokipedia.com/page/Topic"]
 
 Use web search to ensure all URLs are current and accessible.`
-                    },
-                    {
-                        role: 'user',
-                        content: `Use web search to find credible sources for this claim:\n\n"${claimText}"`
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 2000
-            })
+                },
+                {
+                    role: 'user',
+                    content: `Use web search to find credible sources for this claim:\n\n"${claimText}"`
+                }
+            ],
+            temperature: 0.3,
+            max_tokens: 2000
         });
 
         const responseTime = Date.now() - startTime;
         console.log(`\n⏱️  TIMING DEBUG:`);
         console.log(`   Grok API responded in: ${responseTime}ms (${(responseTime / 1000).toFixed(2)}s)`);
-        console.log(`   Response status: ${grokResponse.status} ${grokResponse.statusText}`);
-
-        if (!grokResponse.ok) {
-            const errorBody = await grokResponse.text();
-            console.error(`❌ Grok API error ${grokResponse.status}:`, errorBody);
-            throw new Error(`Grok API error: ${grokResponse.statusText}`);
-        }
-
-        const grokData = await grokResponse.json();
 
         // Debug: Log model used in response
         console.log(`\n📊 RESPONSE DEBUG:`);
-        console.log(`   Model used: ${grokData.model || 'not specified'}`);
-        console.log(`   Total tokens: ${grokData.usage?.total_tokens || 'unknown'}`);
-        console.log(`   Completion tokens: ${grokData.usage?.completion_tokens || 'unknown'}`);
-
-        const grokContent = grokData.choices[0]?.message?.content;
+        console.log(`   Model used: ${modelUsed || 'not specified'}`);
+        console.log(`   Total tokens: ${usage?.total_tokens || 'unknown'}`);
+        console.log(`   Completion tokens: ${usage?.completion_tokens || 'unknown'}`);
 
         if (!grokContent) {
             throw new Error('Empty response from Grok');
@@ -181,78 +175,13 @@ Use web search to ensure all URLs are current and accessible.`
             });
         }
 
-        // Update database
-        const supabase = getSupabase();
-
-        // Get current message data
-        const { data: message, error: fetchError } = await supabase
-            .from('messages')
-            .select('grok_response_raw')
-            .eq('id', messageId)
-            .single();
-
-        if (fetchError) {
-            throw new Error(`Database fetch error: ${fetchError.message}`);
-        }
-
-        if (!message || !message.grok_response_raw) {
-            return res.status(404).json({
-                success: false,
-                error: 'Message or claims not found'
-            });
-        }
-
-        // Update the specific claim's sources
-        let messageData = message.grok_response_raw;
-
-        // Handle both array format and object format
-        let claims;
-        if (Array.isArray(messageData)) {
-            claims = messageData;
-        } else if (messageData.claims && Array.isArray(messageData.claims)) {
-            claims = messageData.claims;
-        } else {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid claims data structure'
-            });
-        }
-
-        // Validate claim index
-        const claimIdx = parseInt(claimIndex);
-        if (claimIdx < 0 || claimIdx >= claims.length) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid claim index'
-            });
-        }
-
-        // Update sources
-        console.log(`📝 Updating claim ${claimIdx} with ${validatedSources.length} sources`);
-        console.log('📦 Before update - claim sources:', claims[claimIdx].sources);
-        claims[claimIdx].sources = validatedSources;
-        console.log('📦 After update - claim sources:', claims[claimIdx].sources);
-
-        // Prepare the data to save
-        const dataToSave = Array.isArray(messageData) ? claims : { ...messageData, claims };
-        console.log('💾 Data structure to save:', JSON.stringify(dataToSave, null, 2).substring(0, 500));
-
-        // Save back to database
-        const { data: updateResult, error: updateError } = await supabase
-            .from('messages')
-            .update({
-                grok_response_raw: dataToSave
-            })
-            .eq('id', messageId)
-            .select();
-
-        if (updateError) {
-            console.error('❌ Database update error:', updateError);
-            throw new Error(`Database update error: ${updateError.message}`);
-        }
+        // Save on the claim
+        console.log(`📝 Updating claim ${claim.id} with ${validatedSources.length} sources`);
+        console.log('📦 Before update - claim sources:', claim.sources);
+        const updatedClaim = await storage.claims.update(claim.id, { sources: validatedSources });
+        console.log('📦 After update - claim sources:', updatedClaim?.sources);
 
         console.log('✅ Sources updated successfully in database');
-        console.log('📊 Update result:', updateResult);
 
         const totalTime = Date.now() - startTime;
         console.log(`\n🎉 TOTAL TIME: ${totalTime}ms (${(totalTime / 1000).toFixed(2)}s)`);
@@ -264,6 +193,7 @@ Use web search to ensure all URLs are current and accessible.`
 
         res.json({
             success: true,
+            claim_id: claim.id,
             sources: validatedSources,
             message: `Generated ${validatedSources.length} verified sources`,
             debug: {
@@ -285,7 +215,7 @@ Use web search to ensure all URLs are current and accessible.`
             error: error.message
         });
     }
-});
+}
 
 /**
  * Validate URLs by checking if they're accessible
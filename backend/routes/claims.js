@@ -0,0 +1,238 @@
+import express from 'express';
+import { getStorage } from '../storage/index.js';
+import { CLAIM_VERDICTS } from '../utils/fact-check-schema.js';
+import { findMatchingClaim } from '../services/claim-matching.js';
+import { recomputeSpaceCredibility } from '../services/credibility.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 500;
+
+/**
+ * Validate claim fields from a request body
+ * @param {Object} body
+ * @param {boolean} partial - PATCH (fields optional) vs POST (text required)
+ * @returns {Array<string>} - Errors
+ */
+function validateClaimBody(body, partial) {
+    const errors = [];
+
+    if (!partial || body.text !== undefined) {
+        if (typeof body.text !== 'string' || body.text.trim() === '') {
+            errors.push('text must be a non-empty string');
+        }
+    }
+    if (body.score !== undefined && body.score !== null) {
+        if (typeof body.score !== 'number' || body.score < 1 || body.score > 10) {
+            errors.push('score must be a number from 1 to 10, or null');
+        }
+    }
+    if (body.verdict !== undefined && body.verdict !== null) {
+        if (!CLAIM_VERDICTS.includes(String(body.verdict).toUpperCase())) {
+            errors.push(`verdict must be one of ${CLAIM_VERDICTS.join(', ')}, or null`);
+        }
+    }
+    if (body.sources !== undefined && !Array.isArray(body.sources)) {
+        errors.push('sources must be an array');
+    }
+
+    return errors;
+}
+
+/**
+ * Query claims
+ * GET /api/claims?space_id=&message_id=&speaker_id=&matched_claim_id=&verdict=&q=&min_score=&max_score=&limit=&offset=
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { space_id, message_id, speaker_id, matched_claim_id, verdict, q } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT);
+        const offset = parseInt(req.query.offset) || 0;
+        const min_score = req.query.min_score !== undefined ? parseFloat(req.query.min_score) : undefined;
+        const max_score = req.query.max_score !== undefined ? parseFloat(req.query.max_score) : undefined;
+
+        const claims = await getStorage().claims.list({
+            space_id, message_id, speaker_id, matched_claim_id, verdict, q, min_score, max_score, limit, offset
+        });
+
+        res.json({ success: true, claims, limit, offset });
+    } catch (error) {
+        console.error('Error listing claims:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Preview matching: the earlier verified claim some text would match
+ * GET /api/claims/match?text=
+ */
+router.get('/match', async (req, res) => {
+    try {
+        const { text } = req.query;
+        if (!text) {
+            return res.status(400).json({ success: false, error: 'text is required' });
+        }
+
+        const match = await findMatchingClaim(getStorage(), text);
+        res.json({
+            success: true,
+            match: match && {
+                claim: match.claim,
+                similarity: match.score,
+                matched_claim_id: match.root_id,
+                fresh: match.fresh
+            }
+        });
+    } catch (error) {
+        console.error('Error matching claim:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Get a claim
+ * GET /api/claims/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const claim = await getStorage().claims.get(req.params.id);
+        if (!claim) {
+            return res.status(404).json({ success: false, error: 'Claim not found' });
+        }
+
+        res.json({ success: true, claim });
+    } catch (error) {
+        console.error('Error fetching claim:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * A claim's duplicate group: the first claim plus every claim linked to it
+ * GET /api/claims/:id/matches
+ */
+router.get('/:id/matches', async (req, res) => {
+    try {
+        const storage = getStorage();
+
+        const claim = await storage.claims.get(req.params.id);
+        if (!claim) {
+            return res.status(404).json({ success: false, error: 'Claim not found' });
+        }
+
+        const rootId = claim.matched_claim_id || claim.id;
+        const root = rootId === claim.id ? claim : await storage.claims.get(rootId);
+        const linked = await storage.claims.list({ matched_claim_id: rootId, limit: MAX_LIMIT });
+
+        res.json({
+            success: true,
+            matched_claim_id: rootId,
+            claims: [...(root ? [root] : []), ...linked]
+        });
+    } catch (error) {
+        console.error('Error fetching claim matches:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Add a claim to a message
+ * POST /api/claims { message_id, text, score?, verdict?, explanation?, sources? }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { message_id, ...fields } = req.body;
+
+        if (!message_id) {
+            return res.status(400).json({ success: false, error: 'message_id is required' });
+        }
+
+        const errors = validateClaimBody(fields, false);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; '), validation_errors: errors });
+        }
+
+        const storage = getStorage();
+        const claim = await storage.claims.create(message_id, fields);
+        if (!claim) {
+            return res.status(404).json({ success: false, error: 'Message not found' });
+        }
+        if (claim.score !== null) {
+            await recomputeSpaceCredibility(storage, claim.space_id);
+        }
+
+        console.log(`📝 Claim ${claim.id} added to message ${message_id}`);
+        res.status(201).json({ success: true, claim });
+    } catch (error) {
+        console.error('Error creating claim:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Update a claim's text, score, verdict, explanation or sources
+ * PATCH /api/claims/:id
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const storage = getStorage();
+
+        const errors = validateClaimBody(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; '), validation_errors: errors });
+        }
+
+        const existing = await storage.claims.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Claim not found' });
+        }
+
+        const { text, score, verdict, explanation, sources } = req.body;
+        const fields = { text, score, explanation, sources };
+        if (verdict !== undefined) fields.verdict = verdict === null ? null : String(verdict).toUpperCase();
+        if (score !== undefined) fields.verified_at = score === null ? null : new Date().toISOString();
+
+        // Cached analyses were computed for the old wording
+        if (text !== undefined && text !== existing.text) {
+            fields.propagation_analysis = null;
+            fields.consistency_analysis = null;
+        }
+
+        const claim = await storage.claims.update(req.params.id, fields);
+        if (score !== undefined) {
+            await recomputeSpaceCredibility(storage, claim.space_id);
+        }
+
+        res.json({ success: true, claim });
+    } catch (error) {
+        console.error('Error updating claim:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Delete a claim
+ * DELETE /api/claims/:id
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const storage = getStorage();
+
+        const claim = await storage.claims.get(req.params.id);
+        if (!claim) {
+            return res.status(404).json({ success: false, error: 'Claim not found' });
+        }
+
+        await storage.claims.delete(claim.id);
+        if (claim.score !== null) {
+            await recomputeSpaceCredibility(storage, claim.space_id);
+        }
+
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('Error deleting claim:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
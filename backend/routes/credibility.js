@@ -0,0 +1,93 @@
+import express from 'express';
+import { getStorage } from '../storage/index.js';
+import {
+    STRATEGIES,
+    isStrategy,
+    resolveStrategy,
+    computeCredibility,
+    recomputeSpaceCredibility
+} from '../services/credibility.js';
+
+const router = express.Router();
+
+function listStrategies() {
+    return Object.entries(STRATEGIES).map(([name, { description }]) => ({ name, description }));
+}
+
+/**
+ * A space's credibility score and the claims that moved it
+ * GET /api/spaces/:id/credibility?strategy=
+ *
+ * ?strategy previews another strategy without storing anything.
+ */
+router.get('/:id/credibility', async (req, res) => {
+    try {
+        const storage = getStorage();
+        const { strategy } = req.query;
+
+        if (strategy && !isStrategy(strategy)) {
+            return res.status(400).json({
+                success: false,
+                error: `strategy must be one of ${Object.keys(STRATEGIES).join(', ')}`
+            });
+        }
+
+        const space = await storage.spaces.get(req.params.id);
+        if (!space) {
+            return res.status(404).json({ success: false, error: 'Space not found' });
+        }
+
+        const messages = await storage.messages.listBySpace(space.id);
+        const credibility = computeCredibility(messages, { strategy: resolveStrategy(space, strategy) });
+
+        res.json({
+            success: true,
+            space_id: space.id,
+            stored_score: space.overall_credibility_score,
+            ...credibility,
+            strategies: listStrategies()
+        });
+    } catch (error) {
+        console.error('Error computing credibility:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Recompute and store a space's score, optionally switching its strategy
+ * POST /api/spaces/:id/credibility/recompute { strategy? }
+ */
+router.post('/:id/credibility/recompute', async (req, res) => {
+    try {
+        const storage = getStorage();
+        const { strategy } = req.body || {};
+
+        if (strategy && !isStrategy(strategy)) {
+            return res.status(400).json({
+                success: false,
+                error: `strategy must be one of ${Object.keys(STRATEGIES).join(', ')}`
+            });
+        }
+
+        const space = await storage.spaces.get(req.params.id);
+        if (!space) {
+            return res.status(404).json({ success: false, error: 'Space not found' });
+        }
+
+        if (strategy) {
+            await storage.spaces.update(space.id, {
+                metadata: { ...(space.metadata || {}), credibility_strategy: strategy }
+            });
+        }
+
+        const credibility = await recomputeSpaceCredibility(storage, space.id);
+        console.log(`📊 Space ${space.id} credibility recomputed: ${credibility.previous_score} → ${credibility.score} (${credibility.strategy})`);
+
+        res.json({ success: true, space_id: space.id, ...credibility });
+    } catch (error) {
+        console.error('Error recomputing credibility:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
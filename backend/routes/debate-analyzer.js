@@ -1,10 +1,14 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import DebateParser from '../debate-parser.js';
+import { importTranscript } from '../transcript-importers.js';
 import dotenv from 'dotenv';
 import fetch from 'node-fetch';
 import twitterService from '../services/twitter.js';
+import { chatCompletion } from '../services/llm.js';
 import { findTwitterHandle, findMultipleHandles } from '../utils/handle-finder.js';
+import { getStorage } from '../storage/index.js';
+import { linkClaims } from '../services/claim-matching.js';
+import { recomputeSpaceCredibility } from '../services/credibility.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,13 +16,6 @@ dotenv.config();
 const router = express.Router();
 
 // Initialize Supabase with a function to ensure env vars are loaded
-function getSupabase() {
-    return createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_KEY
-    );
-}
-
 /**
  * Find Twitter handle for a speaker
  * Test endpoint: POST /api/debate/find-handle with body: { "name": "MKBHD" }
@@ -58,7 +55,7 @@ router.post('/find-handle', async (req, res) => {
 router.post('/create-debate-space', async (req, res) => {
     try {
         const { title, description, participants } = req.body;
-        const supabase = getSupabase();
+        const storage = getStorage();
 
         console.log('Creating debate space with:', { title, description, participants });
 
@@ -80,16 +77,7 @@ router.post('/create-debate-space', async (req, res) => {
         console.log('Space data to insert:', spaceData);
 
         // Create a new space for the debate
-        const { data: space, error: spaceError } = await supabase
-            .from('spaces')
-            .insert(spaceData)
-            .select()
-            .single();
-
-        if (spaceError) {
-            console.error('Error creating space:', spaceError);
-            throw spaceError;
-        }
+        const space = await storage.spaces.insert(spaceData);
 
         console.log('Space created successfully:', space);
 
@@ -104,43 +92,10 @@ router.post('/create-debate-space', async (req, res) => {
             const username = handleMap[participant.name];
             console.log(`Using handle ${username} for ${participant.name}`);
 
-            // Try to get existing speaker first
-            let { data: speaker, error: getError } = await supabase
-                .from('speakers')
-                .select()
-                .eq('username', username)
-                .single();
-
-            // If speaker doesn't exist, create them
-            if (!speaker) {
-                const { data: newSpeaker, error: speakerError } = await supabase
-                    .from('speakers')
-                    .insert({
-                        username: username,
-                        display_name: participant.name
-                    })
-                    .select()
-                    .single();
-
-                if (speakerError) {
-                    console.error('Error creating speaker:', speakerError);
-                    // If error is due to duplicate, try to get again
-                    if (speakerError.code === '23505') {
-                        const { data: existingSpeaker } = await supabase
-                            .from('speakers')
-                            .select()
-                            .eq('username', username)
-                            .single();
-                        speaker = existingSpeaker;
-                    } else {
-                        throw speakerError;
-                    }
-                } else {
-                    speaker = newSpeaker;
-                }
-            }
+            // Get existing speaker or create them
+            const speakerId = await storage.speakers.getOrCreate(username, participant.name);
 
-            speakers[participant.name] = speaker.id;
+            speakers[participant.name] = speakerId;
         }
 
         res.json({
@@ -155,13 +110,110 @@ router.post('/create-debate-space', async (req, res) => {
     }
 });
 
+/**
+ * DebateParser options from a request body
+ *   aliases   - { "RAW LABEL": "Canonical Name" }
+ *   ignore    - labels or names whose turns are dropped (array or comma-separated)
+ *   min_turns - turns a prose-like label needs to count as a speaker
+ *   chunk_size    - longest message, in characters, a long turn is split into
+ *   chunk_overlap - sentences each chunk repeats from the previous one
+ * @returns {{ options: Object, errors: Array<string> }}
+ */
+function parserOptionsFromBody({ aliases, ignore, min_turns, chunk_size, chunk_overlap } = {}) {
+    const options = {};
+    const errors = [];
+
+    if (aliases !== undefined) {
+        const valid = aliases && typeof aliases === 'object' && !Array.isArray(aliases) &&
+            Object.values(aliases).every(name => typeof name === 'string' && name.trim());
+        if (valid) options.aliases = aliases;
+        else errors.push('aliases must be an object mapping transcript labels to speaker names');
+    }
+    if (ignore !== undefined) {
+        const list = typeof ignore === 'string' ? ignore.split(',') : ignore;
+        if (Array.isArray(list) && list.every(label => typeof label === 'string')) {
+            options.ignore = list.map(label => label.trim()).filter(Boolean);
+        } else {
+            errors.push('ignore must be an array of labels or a comma-separated string');
+        }
+    }
+    if (min_turns !== undefined) {
+        if (Number.isInteger(min_turns) && min_turns >= 1) options.minTurns = min_turns;
+        else errors.push('min_turns must be a positive integer');
+    }
+    if (chunk_size !== undefined) {
+        if (Number.isInteger(chunk_size) && chunk_size >= 50) options.chunkSize = chunk_size;
+        else errors.push('chunk_size must be an integer of at least 50');
+    }
+    if (chunk_overlap !== undefined) {
+        if (Number.isInteger(chunk_overlap) && chunk_overlap >= 0 && chunk_overlap <= 3) options.chunkOverlap = chunk_overlap;
+        else errors.push('chunk_overlap must be an integer from 0 to 3');
+    }
+
+    return { options, errors };
+}
+
+/**
+ * Parse a transcript in any supported format (transcript-importers.js)
+ * @returns {{ parser: DebateParser, messages: Array, format: string }}
+ */
+function parseTranscriptInput(transcript, format, parserOptions) {
+    const imported = importTranscript(transcript, { format: format || 'auto' });
+    const parser = new DebateParser(parserOptions);
+    const messages = imported.cues ? parser.parseCues(imported.cues) : parser.parseTranscript(transcript);
+    return { parser, messages, format: imported.format };
+}
+
+/**
+ * Detect a transcript's speakers without saving anything
+ * POST /api/debate/preview-transcript { transcript, format?, aliases?, ignore?, min_turns? }
+ *
+ * transcript is plain text, SRT, WebVTT or diarized JSON (a string, or the
+ * parsed JSON itself); format defaults to auto-detection.
+ */
+router.post('/preview-transcript', (req, res) => {
+    try {
+        const { transcript } = req.body;
+        if (!transcript) {
+            return res.status(400).json({ success: false, error: 'transcript is required' });
+        }
+
+        const { options, errors } = parserOptionsFromBody(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; '), validation_errors: errors });
+        }
+
+        let parsed;
+        try {
+            parsed = parseTranscriptInput(transcript, req.body.format, options);
+        } catch (importError) {
+            return res.status(400).json({ success: false, error: importError.message });
+        }
+        const { parser, messages, format } = parsed;
+        const stats = parser.getStatistics();
+
+        res.json({
+            success: true,
+            format,
+            ...parser.detection,
+            statistics: stats,
+            total_messages: messages.length,
+            sample_messages: messages.slice(0, 5)
+        });
+    } catch (error) {
+        console.error('Error previewing transcript:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * Parse and analyze a debate transcript with Grok in one call
+ * Accepts the same format / aliases / ignore / min_turns options as preview-transcript.
  */
 router.post('/analyze-transcript', async (req, res) => {
     try {
         const { transcript, space_id, auto_fact_check = true } = req.body;
-        const supabase = getSupabase();
+        const storage = getStorage();
 
         console.log('Analyzing transcript for space:', space_id);
 
@@ -171,17 +223,23 @@ router.post('/analyze-transcript', async (req, res) => {
             });
         }
 
+        const { options: parserOptions, errors: optionErrors } = parserOptionsFromBody(req.body);
+        if (optionErrors.length > 0) {
+            return res.status(400).json({ error: optionErrors.join('; ') });
+        }
+
         // Parse the transcript to identify speakers
-        const parser = new DebateParser();
-        const parsedMessages = parser.parseTranscript(transcript);
-        console.log(`Parsed ${parsedMessages.length} messages from transcript`);
+        let parsed;
+        try {
+            parsed = parseTranscriptInput(transcript, req.body.format, parserOptions);
+        } catch (importError) {
+            return res.status(400).json({ error: importError.message });
+        }
+        const { parser, messages: parsedMessages, format } = parsed;
+        console.log(`Parsed ${parsedMessages.length} messages from ${format} transcript`);
 
         // Get all speakers and create a map
-        const { data: speakers, error: speakersError } = await supabase
-            .from('speakers')
-            .select('*');
-
-        if (speakersError) throw speakersError;
+        const speakers = await storage.speakers.list();
 
         // Create speaker map by display name
         const speakerMap = {};
@@ -189,6 +247,15 @@ router.post('/analyze-transcript', async (req, res) => {
             speakerMap[s.display_name] = s.id;
         });
 
+        // Speakers found in the transcript but not created with the space
+        for (const { name } of parser.detection.speakers) {
+            if (!speakerMap[name]) {
+                const username = name.toLowerCase().replace(/[^a-z0-9]+/g, '');
+                speakerMap[name] = await storage.speakers.getOrCreate(username || 'speaker', name);
+                speakers.push({ id: speakerMap[name], username, display_name: name });
+            }
+        }
+
         // If auto_fact_check is enabled, send entire debate to Grok for analysis
         let grokAnalysis = null;
         if (auto_fact_check && parsedMessages.length > 0) {
@@ -210,23 +277,12 @@ router.post('/analyze-transcript', async (req, res) => {
                 console.log('Calling Grok API...');
                 const startTime = Date.now();
 
-                // Call Grok with the entire debate at once - with extended timeout for best model
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), 600000); // 600 second timeout (10 mins)
-
-                const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-                    },
-                    signal: controller.signal,
-                    body: JSON.stringify({
-                        model: 'grok-4-0709', // Best model for maximum accuracy
-                        messages: [
-                            {
-                                role: 'system',
-                                content: `You are a precise fact-checking AI analyzing a political debate. Your goal is to extract and verify ONLY factual claims, not opinions.
+                // Call the deep model with the entire debate at once - with extended timeout
+                const { content: analysisText } = await chatCompletion('deep', {
+                    messages: [
+                        {
+                            role: 'system',
+                            content: `You are a precise fact-checking AI analyzing a political debate. Your goal is to extract and verify ONLY factual claims, not opinions.
 
 === CORE PRINCIPLES ===
 1. FACTUAL CLAIMS ONLY - Extract claims that can be objectively verified with evidence
@@ -339,30 +395,20 @@ Output STRICTLY VALID JSON:
     "Speaker 2": 45
   }
 }`
-                            },
-                            {
-                                role: 'user',
-                                content: `Analyze this debate transcript:\n\n${debateDialogue}`
-                            }
-                        ],
-                        temperature: 0.2, // Balanced for accuracy and consistency
-                        max_tokens: 16000  // Increased for comprehensive analysis
-                    })
+                        },
+                        {
+                            role: 'user',
+                            content: `Analyze this debate transcript:\n\n${debateDialogue}`
+                        }
+                    ],
+                    temperature: 0.2, // Balanced for accuracy and consistency
+                    max_tokens: 16000,  // Increased for comprehensive analysis
+                    timeoutMs: 600000   // 600 second timeout (10 mins)
                 });
 
-                clearTimeout(timeout);
                 const responseTime = Date.now() - startTime;
                 console.log(`Grok API responded in ${responseTime}ms`);
 
-                if (!grokResponse.ok) {
-                    const errorBody = await grokResponse.text();
-                    console.error(`Grok API error ${grokResponse.status}:`, errorBody);
-                    throw new Error(`Grok API error: ${grokResponse.status} - ${errorBody}`);
-                }
-
-                const grokData = await grokResponse.json();
-                const analysisText = grokData.choices[0]?.message?.content;
-
                 if (!analysisText) {
                     console.error('Grok returned empty response');
                     throw new Error('Grok returned empty response');
@@ -512,6 +558,9 @@ Output STRICTLY VALID JSON:
                 speaker_id: speaker_id,
                 content: msg.content,
                 sequence_number: msg.sequence_number,
+                start_seconds: msg.start_seconds,
+                end_seconds: msg.end_seconds,
+                content_span: msg.content_span,
                 fact_check_status: grokMsg ? 'completed' : 'pending',
                 created_at: new Date().toISOString()
             };
@@ -539,18 +588,15 @@ Output STRICTLY VALID JSON:
                 messageData.processed_at = new Date().toISOString();
             }
 
-            const { data: insertedMsg, error: msgError } = await supabase
-                .from('messages')
-                .insert(messageData)
-                .select()
-                .single();
-
-            if (msgError) {
+            try {
+                const insertedMsg = await storage.messages.insert(messageData);
+                if (grokMsg?.claims?.length) {
+                    await storage.claims.replaceForMessage(insertedMsg.id, await linkClaims(storage, grokMsg.claims));
+                }
+                insertedMessages.push(insertedMsg);
+            } catch (msgError) {
                 console.error('Error inserting message:', msgError);
-                continue;
             }
-
-            insertedMessages.push(insertedMsg);
         }
 
         // Get statistics
@@ -559,21 +605,10 @@ Output STRICTLY VALID JSON:
         // Count how many messages were processed with Grok
         const processedCount = insertedMessages.filter(m => m.fact_check_status === 'completed').length;
 
-        // Calculate average truth score
-        const messagesWithScores = insertedMessages.filter(m => m.truth_score !== null && m.truth_score !== undefined);
-        let averageScore = 0;
-        if (messagesWithScores.length > 0) {
-            const totalScore = messagesWithScores.reduce((sum, m) => sum + m.truth_score, 0);
-            averageScore = Math.round(totalScore / messagesWithScores.length);
-
-            // Update space with new score
-            await supabase
-                .from('spaces')
-                .update({ overall_credibility_score: averageScore })
-                .eq('id', space_id);
-
-            console.log(`Updated space ${space_id} with overall score: ${averageScore}`);
-        }
+        // Space score from all stored claims (services/credibility.js)
+        const credibility = await recomputeSpaceCredibility(storage, space_id);
+        const overallScore = credibility?.score ?? null;
+        console.log(`Updated space ${space_id} with overall score: ${overallScore} (${credibility?.strategy})`);
 
         // Prepare detailed debug information
         const debugInfo = {
@@ -599,12 +634,13 @@ Output STRICTLY VALID JSON:
         res.json({
             success: true,
             space_id: space_id,
+            format,
             statistics: stats,
             messages_inserted: insertedMessages.length,
             messages_processed: processedCount,
             auto_fact_check: auto_fact_check,
             grok_analysis_completed: grokAnalysis !== null,
-            overall_score: averageScore,
+            overall_score: overallScore,
             debug_info: debugInfo,
             expected_messages: parsedMessages.length,
             grok_full_response: grokAnalysis  // Full Grok response for debugging
@@ -622,19 +658,12 @@ Output STRICTLY VALID JSON:
 router.post('/process-debate-with-grok/:space_id', async (req, res) => {
     try {
         const { space_id } = req.params;
-        const supabase = getSupabase();
+        const storage = getStorage();
 
         console.log('Processing debate messages for space:', space_id);
 
         // Get all messages that need processing
-        const { data: messages, error: fetchError } = await supabase
-            .from('messages_with_speakers')
-            .select('*')
-            .eq('space_id', space_id)
-            .eq('fact_check_status', 'pending')
-            .order('sequence_number');
-
-        if (fetchError) throw fetchError;
+        const messages = await storage.messages.listBySpace(space_id, { status: 'pending' });
 
         console.log(`Found ${messages.length} messages to process`);
 
@@ -705,11 +734,7 @@ router.post('/process-debate-with-grok/:space_id', async (req, res) => {
         }
 
         // Get updated statistics
-        const { data: updatedMessages } = await supabase
-            .from('messages_with_speakers')
-            .select('*')
-            .eq('space_id', space_id)
-            .order('sequence_number');
+        const updatedMessages = await storage.messages.listBySpace(space_id);
 
         // Calculate statistics
         const stats = {
@@ -748,16 +773,10 @@ router.post('/process-debate-with-grok/:space_id', async (req, res) => {
 router.get('/debate-results/:space_id', async (req, res) => {
     try {
         const { space_id } = req.params;
-        const supabase = getSupabase();
+        const storage = getStorage();
 
         // Get all messages with fact-check results
-        const { data: messages, error } = await supabase
-            .from('messages_with_speakers')
-            .select('*')
-            .eq('space_id', space_id)
-            .order('sequence_number');
-
-        if (error) throw error;
+        const messages = await storage.messages.listBySpace(space_id);
 
         // Calculate statistics
         const stats = {
@@ -830,25 +849,38 @@ router.get('/debate-results/:space_id', async (req, res) => {
  */
 router.post('/consistency', async (req, res) => {
     try {
-        const { speaker, claim, topic: providedTopic, handle } = req.body;
+        const { claimId, skipCache, topic: providedTopic, handle } = req.body;
+        let { speaker, claim } = req.body;
+
+        // With a claim id, speaker and text come from the claim and the result is cached on it
+        let claimRecord = null;
+        if (claimId) {
+            claimRecord = await getStorage().claims.get(claimId);
+            if (!claimRecord) {
+                return res.status(404).json({ success: false, error: 'Claim not found' });
+            }
+            if (claimRecord.consistency_analysis && !skipCache) {
+                console.log(`Consistency cache hit for claim ${claimId}`);
+                return res.json({ success: true, ...claimRecord.consistency_analysis, claim_id: claimId, cached: true });
+            }
+            claim = claim || claimRecord.text;
+            speaker = speaker || claimRecord.speaker_display_name || claimRecord.speaker_username;
+        }
+
+        if (!claim || !speaker) {
+            return res.status(400).json({ success: false, error: 'speaker and claim (or claimId) are required' });
+        }
 
         // First, extract the actual topic from the claim using Grok
         let topic = providedTopic;
         let claimKeywords = [];
 
         try {
-            const topicResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-                },
-                body: JSON.stringify({
-                    model: 'grok-4-1-fast-reasoning',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `Extract the main topic and key terms from a claim or statement. This can be about any subject (politics, technology, sports, science, business, etc.).
+            const { content: topicContent } = await chatCompletion('fast', {
+                messages: [
+                    {
+                        role: 'system',
+                        content: `Extract the main topic and key terms from a claim or statement. This can be about any subject (politics, technology, sports, science, business, etc.).
 
 Return JSON:
 {
@@ -864,18 +896,15 @@ Example output:
 }
 
 Return ONLY JSON.`
-                        },
-                        {
-                            role: 'user',
-                            content: claim.substring(0, 500)
-                        }
-                    ],
-                    temperature: 0.1,
-                    max_tokens: 150
-                })
+                    },
+                    {
+                        role: 'user',
+                        content: claim.substring(0, 500)
+                    }
+                ],
+                temperature: 0.1,
+                max_tokens: 150
             });
-            const topicData = await topicResponse.json();
-            const topicContent = topicData.choices[0]?.message?.content;
             const jsonMatch = topicContent.match(/\{[\s\S]*\}/);
             if (jsonMatch) {
                 const parsed = JSON.parse(jsonMatch[0]);
@@ -1015,18 +1044,11 @@ Return ONLY JSON.`
         // This searches the web for past statements by this speaker
         try {
             console.log('Fetching web search context via Grok...');
-            const webSearchResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-                },
-                body: JSON.stringify({
-                    model: 'grok-4-1-fast-reasoning',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `You are a research assistant. Search for REAL, VERIFIABLE past statements by ${speaker} about ${topic}.
+            const { content: webContent } = await chatCompletion('fast', {
+                messages: [
+                    {
+                        role: 'system',
+                        content: `You are a research assistant. Search for REAL, VERIFIABLE past statements by ${speaker} about ${topic}.
                             
 IMPORTANT: Only include statements you can verify with real sources. Include URLs when available.
 
@@ -1041,20 +1063,16 @@ Example output:
 ]
 
 If you cannot find verifiable statements on this topic, return an empty array: []`
-                        },
-                        {
-                            role: 'user',
-                            content: `Find ${speaker}'s past public statements about ${topic}`
-                        }
-                    ],
-                    temperature: 0.1,
-                    max_tokens: 1000
-                })
+                    },
+                    {
+                        role: 'user',
+                        content: `Find ${speaker}'s past public statements about ${topic}`
+                    }
+                ],
+                temperature: 0.1,
+                max_tokens: 1000
             });
 
-            const webData = await webSearchResponse.json();
-            const webContent = webData.choices[0]?.message?.content;
-
             if (webContent) {
                 const jsonMatch = webContent.match(/\[[\s\S]*\]/);
                 if (jsonMatch) {
@@ -1112,18 +1130,11 @@ Current claim by ${speaker}: "${claim}"
 Note: No X timeline data available. Use your knowledge of ${speaker}'s public record but indicate lower confidence.
 If you don't have knowledge of ${speaker}'s past statements on this topic, return "Insufficient Data".`;
 
-        const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'grok-4-1-fast-reasoning',
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You analyze whether a SPEAKER's current claim is consistent with THEIR OWN past statements.
+        const { content } = await chatCompletion('fast', {
+            messages: [
+                {
+                    role: 'system',
+                    content: `You analyze whether a SPEAKER's current claim is consistent with THEIR OWN past statements.
 
 IMPORTANT: You are checking if THIS PERSON (the speaker) has been consistent with their OWN past positions, NOT whether the claim is true or supported by others.
 
@@ -1148,19 +1159,15 @@ Return JSON:
 }
 
 If you cannot find relevant past statements BY THIS SPEAKER, return verdict "Insufficient Data" with score null.`
-                    },
-                    {
-                        role: 'user',
-                        content: analysisPrompt
-                    }
-                ],
-                temperature: 0.1
-            })
+                },
+                {
+                    role: 'user',
+                    content: analysisPrompt
+                }
+            ],
+            temperature: 0.1
         });
 
-        const data = await grokResponse.json();
-        const content = data.choices[0]?.message?.content;
-
         // Robust JSON extraction with error handling
         let result;
         try {
@@ -1247,6 +1254,13 @@ If you cannot find relevant past statements BY THIS SPEAKER, return verdict "Ins
 
         console.log(`Consistency analysis complete: ${result.verdict} (${result.score}/10) from ${dataSource}`);
 
+        if (claimRecord) {
+            await getStorage().claims.update(claimId, { consistency_analysis: result }).catch(err => {
+                console.warn('Failed to cache consistency analysis:', err.message);
+            });
+            result.claim_id = claimId;
+        }
+
         res.json({ success: true, ...result });
 
     } catch (error) {
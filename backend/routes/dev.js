@@ -0,0 +1,133 @@
+import express from 'express';
+import { getStorage } from '../storage/index.js';
+import { seedFixtures, generateTestSpace, listTestSpaces } from '../services/fixtures.js';
+
+// Mounted at /api/test, and only in dev mode (DEV_MODE=true, see services/fixtures.js)
+const router = express.Router();
+
+/**
+ * Space, messages (with claims) and the first propagation graph found, the
+ * shape the analytics page loads
+ */
+async function loadAnalyticsData(storage, spaceId) {
+    const space = await storage.spaces.get(spaceId);
+    if (!space) return null;
+
+    const messages = await storage.messages.listBySpace(spaceId);
+    const withGraph = messages.flatMap(m => m.claims || []).find(c => c.propagation_analysis)
+        || messages.find(m => m.propagation_analysis);
+
+    return {
+        space,
+        messages,
+        propagationGraph: withGraph?.propagation_analysis || null
+    };
+}
+
+/**
+ * Generate a synthetic space in storage; the same seed gives the same content
+ * POST /api/test/generate-cached-analytics { speakers?, messageCount?, title?, seed? }
+ */
+router.post('/generate-cached-analytics', async (req, res) => {
+    try {
+        const { speakers, messageCount, title, seed = 1 } = req.body;
+        if (messageCount !== undefined && (!Number.isInteger(messageCount) || messageCount < 1 || messageCount > 500)) {
+            return res.status(400).json({ success: false, error: 'messageCount must be an integer from 1 to 500' });
+        }
+        if (speakers !== undefined && (!Array.isArray(speakers) || speakers.length === 0)) {
+            return res.status(400).json({ success: false, error: 'speakers must be a non-empty array' });
+        }
+
+        const result = await generateTestSpace(getStorage(), { speakers, messageCount, title, seed: parseInt(seed) || 1 });
+        console.log(`✓ Generated test space: ${result.space_id}`);
+
+        res.json({
+            success: true,
+            cacheId: result.space_id,
+            space_id: result.space_id,
+            message: `Generated ${messageCount || 15} test messages for ${(speakers || ['Speaker A', 'Speaker B']).length} speakers`,
+            analyticsUrl: `/analytics.html?spaceId=${result.space_id}`
+        });
+    } catch (error) {
+        console.error('Error generating test space:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Analytics data for a fixture, generated or real space
+ * GET /api/test/cached-analytics/:cacheId
+ */
+router.get('/cached-analytics/:cacheId', async (req, res) => {
+    try {
+        // Ids handed out by load-space before fixtures were stored
+        const spaceId = req.params.cacheId.replace(/^real-/, '');
+        const data = await loadAnalyticsData(getStorage(), spaceId);
+
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Space not found' });
+        }
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error loading cached analytics:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * List fixture and generated spaces
+ * GET /api/test/cached-analytics
+ */
+router.get('/cached-analytics', async (req, res) => {
+    try {
+        const spaces = await listTestSpaces(getStorage());
+        res.json({
+            success: true,
+            caches: spaces.map(space => ({ cacheId: space.space_id, ...space }))
+        });
+    } catch (error) {
+        console.error('Error listing test spaces:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Load a real space for testing features against already-analyzed data
+ * GET /api/test/load-space/:spaceId
+ */
+router.get('/load-space/:spaceId', async (req, res) => {
+    try {
+        const data = await loadAnalyticsData(getStorage(), req.params.spaceId);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Space not found' });
+        }
+
+        console.log(`✓ Loaded space ${req.params.spaceId} with ${data.messages.length} messages (with speakers)`);
+
+        res.json({
+            success: true,
+            cacheId: req.params.spaceId,
+            data: { space: data.space, messages: data.messages }
+        });
+    } catch (error) {
+        console.error('Error loading real space:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Re-seed the fixture files (force re-seeds even unchanged versions)
+ * POST /api/test/fixtures/seed { force? }
+ */
+router.post('/fixtures/seed', async (req, res) => {
+    try {
+        const fixtures = await seedFixtures(getStorage(), { force: req.body?.force === true });
+        res.json({ success: true, fixtures });
+    } catch (error) {
+        console.error('Error seeding fixtures:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
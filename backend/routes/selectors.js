@@ -0,0 +1,89 @@
+import express from 'express';
+import { getStorage } from '../storage/index.js';
+import {
+    getRegistry, publishRegistry, clearRegistry, recordHealthReport, getHealthSummary
+} from '../services/selector-registry.js';
+
+// Mounted at /api/selectors (see services/selector-registry.js)
+const router = express.Router();
+
+/**
+ * The published selector registry; version 0 means "use the built-in selectors"
+ * GET /api/selectors
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ success: true, registry: await getRegistry(getStorage().state) });
+    } catch (error) {
+        console.error('Error loading selector registry:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Publish selector corrections (admin)
+ * PUT /api/selectors { version, targets }
+ */
+router.put('/', async (req, res) => {
+    try {
+        const { registry, errors } = await publishRegistry(getStorage().state, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join('; ') });
+        }
+
+        console.log(`🧭 Published selector registry v${registry.version} (${Object.keys(registry.targets).join(', ')})`);
+        res.json({ success: true, registry });
+    } catch (error) {
+        console.error('Error publishing selector registry:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Withdraw the published registry (admin)
+ * DELETE /api/selectors
+ */
+router.delete('/', async (req, res) => {
+    try {
+        await clearRegistry(getStorage().state);
+        console.log('🧭 Selector registry withdrawn; extensions use their built-in selectors');
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error clearing selector registry:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Caption health report from an extension, sent when its status changes
+ * POST /api/selectors/health { status, detail, strategies, ... }
+ */
+router.post('/health', async (req, res) => {
+    try {
+        const report = await recordHealthReport(getStorage().state, req.body || {}, {
+            apiKeyName: req.apiKey?.name || null
+        });
+        if (['degraded', 'stale', 'failing'].includes(report.status)) {
+            console.warn(`⚠️ Caption scraping ${report.status}: ${report.detail} (${JSON.stringify(report.strategies)})`);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error recording selector health:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Recent caption health reports
+ * GET /api/selectors/health
+ */
+router.get('/health', async (req, res) => {
+    try {
+        res.json({ success: true, ...await getHealthSummary(getStorage().state) });
+    } catch (error) {
+        console.error('Error loading selector health:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -1,15 +1,10 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
+import { chatCompletion } from '../services/llm.js';
+import { publishSpaceEvent } from '../services/space-events.js';
+import { getStorage } from '../storage/index.js';
 
 const router = express.Router();
 
-function getSupabase() {
-    return createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_KEY
-    );
-}
-
 /**
  * Mark space as ended and trigger summary generation
  * POST /api/spaces/end
@@ -17,7 +12,7 @@ function getSupabase() {
 router.post('/end', async (req, res) => {
     try {
         const { space_id } = req.body;
-        const supabase = getSupabase();
+        const storage = getStorage();
 
         if (!space_id) {
             return res.status(400).json({
@@ -29,13 +24,9 @@ router.post('/end', async (req, res) => {
         console.log(`\n🏁 Ending space: ${space_id}`);
 
         // Check if space exists
-        const { data: space, error: fetchError } = await supabase
-            .from('spaces')
-            .select('*')
-            .eq('id', space_id)
-            .single();
+        const space = await storage.spaces.get(space_id);
 
-        if (fetchError || !space) {
+        if (!space) {
             return res.status(404).json({
                 success: false,
                 error: 'Space not found'
@@ -53,20 +44,15 @@ router.post('/end', async (req, res) => {
         }
 
         // Mark space as ended
-        const { error: updateError } = await supabase
-            .from('spaces')
-            .update({
-                is_live: false,
-                ended_at: new Date().toISOString()
-            })
-            .eq('id', space_id);
-
-        if (updateError) {
-            throw updateError;
-        }
+        await storage.spaces.update(space_id, {
+            is_live: false,
+            ended_at: new Date().toISOString()
+        });
 
         console.log('✅ Space marked as ended');
 
+        publishSpaceEvent(space_id, 'space-ended', { ended_at: new Date().toISOString() });
+
         // Trigger summary generation asynchronously (don't wait for it)
         generateSummaryAsync(space_id).catch(err => {
             console.error('Error generating summary:', err);
@@ -94,15 +80,16 @@ router.post('/end', async (req, res) => {
 router.get('/:space_id/summary', async (req, res) => {
     try {
         const { space_id } = req.params;
-        const supabase = getSupabase();
+        const storage = getStorage();
 
-        const { data: space, error } = await supabase
-            .from('spaces')
-            .select('summary_generated, summary_text, summary_generated_at, posted_to_x')
-            .eq('id', space_id)
-            .single();
+        const space = await storage.spaces.get(space_id);
 
-        if (error) throw error;
+        if (!space) {
+            return res.status(404).json({
+                success: false,
+                error: 'Space not found'
+            });
+        }
 
         res.json({
             success: true,
@@ -127,20 +114,13 @@ router.get('/:space_id/summary', async (req, res) => {
  * Generate summary asynchronously
  */
 async function generateSummaryAsync(space_id) {
-    const supabase = getSupabase();
+    const storage = getStorage();
 
     try {
         console.log(`\n📝 Generating summary for space: ${space_id}`);
 
         // Get all fact-checked messages
-        const { data: messages, error: messagesError } = await supabase
-            .from('messages_with_speakers')
-            .select('*')
-            .eq('space_id', space_id)
-            .eq('fact_check_status', 'completed')
-            .order('sequence_number');
-
-        if (messagesError) throw messagesError;
+        const messages = await storage.messages.listBySpace(space_id, { status: 'completed' });
 
         if (!messages || messages.length === 0) {
             console.log('⚠️  No fact-checked messages found. Skipping summary.');
@@ -203,11 +183,7 @@ async function generateSummaryAsync(space_id) {
         speakerStats.sort((a, b) => bySpeaker[b.username].messages.length - bySpeaker[a.username].messages.length);
 
         // Get space info for credibility score
-        const { data: spaceData } = await supabase
-            .from('spaces')
-            .select('overall_credibility_score, title')
-            .eq('id', space_id)
-            .single();
+        const spaceData = await storage.spaces.get(space_id);
 
         const credibilityScore = spaceData?.overall_credibility_score || 100;
 
@@ -217,18 +193,11 @@ async function generateSummaryAsync(space_id) {
         // Call Grok for summary
         console.log('🤖 Calling Grok to generate tweet summary...');
 
-        const grokResponse = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'grok-4-1-fast-reasoning',
-                messages: [
-                    {
-                        role: 'system',
-                        content: `Create a professional, journalist-style tweet summarizing this X Space fact-check analysis. 
+        const { content: rawSummary } = await chatCompletion('summary', {
+            messages: [
+                {
+                    role: 'system',
+                    content: `Create a professional, journalist-style tweet summarizing this X Space fact-check analysis. 
 
 CRITICAL RULES:
 - NO EMOJIS whatsoever
@@ -261,10 +230,10 @@ Least accurate:
 Mixed accuracy overall, several claims need context."
 
 Write naturally. Be direct and informative.`
-                    },
-                    {
-                        role: 'user',
-                        content: `Create tweet summary:
+                },
+                {
+                    role: 'user',
+                    content: `Create tweet summary:
 
 Conversation content (use this to write a 1-sentence topic summary):
 ${allContent.substring(0, 800)}
@@ -277,19 +246,13 @@ Speakers:
 ${speakerStats.map(s =>
                             `@${s.username}: averaged ${s.avgScore}/10, worst claim "${s.worstClaim.content.substring(0, 50)}..." (${s.worstClaim.score}/10)`
                         ).join('\n')}`
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 350
-            })
+                }
+            ],
+            temperature: 0.7,
+            max_tokens: 350
         });
 
-        if (!grokResponse.ok) {
-            throw new Error(`Grok API error: ${grokResponse.statusText}`);
-        }
-
-        const grokData = await grokResponse.json();
-        const summaryText = grokData.choices[0]?.message?.content?.trim();
+        const summaryText = rawSummary?.trim();
 
         if (!summaryText) {
             throw new Error('Empty summary from Grok');
@@ -298,18 +261,11 @@ ${speakerStats.map(s =>
         console.log('✅ Summary generated:', summaryText);
 
         // Store summary in database
-        const { error: updateError } = await supabase
-            .from('spaces')
-            .update({
-                summary_generated: true,
-                summary_text: summaryText,
-                summary_generated_at: new Date().toISOString()
-            })
-            .eq('id', space_id);
-
-        if (updateError) {
-            throw updateError;
-        }
+        await storage.spaces.update(space_id, {
+            summary_generated: true,
+            summary_text: summaryText,
+            summary_generated_at: new Date().toISOString()
+        });
 
         console.log('✅ Summary saved to database');
 
@@ -317,13 +273,10 @@ ${speakerStats.map(s =>
         console.error('❌ Error generating summary:', error);
 
         // Mark as failed but don't throw
-        await supabase
-            .from('spaces')
-            .update({
-                summary_generated: false,
-                summary_text: `Error generating summary: ${error.message}`
-            })
-            .eq('id', space_id);
+        await storage.spaces.update(space_id, {
+            summary_generated: false,
+            summary_text: `Error generating summary: ${error.message}`
+        }).catch(err => console.error('Error recording summary failure:', err));
     }
 }
 
@@ -0,0 +1,56 @@
+import express from 'express';
+import { subscribeToSpace, getEventsSince } from '../services/space-events.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Write one event in SSE wire format
+ */
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * Live event stream for a space
+ * GET /api/spaces/:id/events
+ *
+ * Events: message-created, analysis-started, analysis-completed,
+ * credibility-updated, space-ended
+ */
+router.get('/:id/events', (req, res) => {
+    const { id: spaceId } = req.params;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Tell the browser how long to wait before reconnecting
+    res.write('retry: 3000\n\n');
+
+    // Replay anything missed since the client's last event
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        getEventsSince(spaceId, lastEventId).forEach(event => writeEvent(res, event));
+    }
+
+    const unsubscribe = subscribeToSpace(spaceId, event => writeEvent(res, event));
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    console.log(`📡 SSE client connected to space ${spaceId}`);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        console.log(`📡 SSE client disconnected from space ${spaceId}`);
+    });
+});
+
+export default router;
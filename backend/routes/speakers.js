@@ -0,0 +1,49 @@
+import express from 'express';
+import { getStorage } from '../storage/index.js';
+import { buildSpeakerProfile } from '../services/speaker-profiles.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Speakers are usually stored as "@name", but not always (speakers found
+ * in a debate transcript get a plain name): try the name as given, then
+ * with and without the @
+ */
+async function findByUsername(storage, username) {
+    const bare = username.replace(/^@/, '');
+    for (const candidate of new Set([username, `@${bare}`, bare])) {
+        const speaker = await storage.speakers.findByUsername(candidate);
+        if (speaker) return speaker;
+    }
+    return null;
+}
+
+/**
+ * A speaker's credibility profile across every space, debate and thread
+ * GET /api/speakers/:id/profile
+ *
+ * :id is a speaker id, or a username (with or without the @)
+ */
+router.get('/:id/profile', async (req, res) => {
+    try {
+        const storage = getStorage();
+        const { id } = req.params;
+
+        const speaker = UUID_PATTERN.test(id)
+            ? await storage.speakers.get(id)
+            : await findByUsername(storage, id);
+        if (!speaker) {
+            return res.status(404).json({ success: false, error: 'Speaker not found' });
+        }
+
+        const profile = await buildSpeakerProfile(storage, speaker);
+        res.json({ success: true, profile });
+    } catch (error) {
+        console.error('Error building speaker profile:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
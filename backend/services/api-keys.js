@@ -0,0 +1,330 @@
+/**
+ * API Keys Service
+ * Keys issued per extension install or team, each with scopes and optional
+ * per-key limits. Only a SHA-256 hash of a key is stored; the key itself is
+ * shown once, when it is created.
+ *
+ * Scopes:
+ *   read  - GET endpoints, transcript previews
+ *   write - creating spaces and messages, fact-checks, debate analysis
+ *   bot   - the Twitter bot's state, thread analysis and completion
+ *   admin - key management, the job queue and /api/test/*; implies every scope
+ *
+ * Limits default to API_RATE_LIMIT_PER_MINUTE, API_GROK_RATE_LIMIT_PER_MINUTE
+ * and API_GROK_DAILY_QUOTA; a key's own values override them and 0 means
+ * unlimited. ADMIN_API_KEY, when set, is accepted as an unlimited admin key
+ * without being stored, to bootstrap the first real keys.
+ */
+
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+export const SCOPES = ['read', 'write', 'bot', 'admin'];
+
+const KEY_PREFIX = 'vk_';
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+    rate_limit: 120,       // requests per minute
+    grok_rate_limit: 10,   // Grok-backed requests per minute
+    grok_daily_quota: 500  // Grok-backed requests per UTC day
+};
+
+const windows = new Map();  // bucket -> { start, count }
+
+/**
+ * A new random key, e.g. "vk_3q2Z..."
+ * @returns {string}
+ */
+export function generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+export function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Whether a key may use a scope (admin implies every scope)
+ * @param {Object} record - API key record
+ * @param {string|null} scope - null means any valid key
+ */
+export function hasScope(record, scope) {
+    if (!scope) return true;
+    const scopes = record?.scopes || [];
+    return scopes.includes('admin') || scopes.includes(scope);
+}
+
+/**
+ * Server-wide default limits from the environment
+ * @returns {{ rate_limit: number, grok_rate_limit: number, grok_daily_quota: number }}
+ */
+export function defaultLimits() {
+    const fromEnv = (name, fallback) => {
+        const value = parseInt(process.env[name]);
+        return Number.isInteger(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        rate_limit: fromEnv('API_RATE_LIMIT_PER_MINUTE', DEFAULT_LIMITS.rate_limit),
+        grok_rate_limit: fromEnv('API_GROK_RATE_LIMIT_PER_MINUTE', DEFAULT_LIMITS.grok_rate_limit),
+        grok_daily_quota: fromEnv('API_GROK_DAILY_QUOTA', DEFAULT_LIMITS.grok_daily_quota)
+    };
+}
+
+/**
+ * Effective limits for a key: its own values, else the server defaults
+ */
+export function limitsFor(record) {
+    const defaults = defaultLimits();
+    const limits = {};
+    Object.keys(defaults).forEach(field => {
+        limits[field] = record?.[field] ?? defaults[field];
+    });
+    return limits;
+}
+
+/**
+ * A key record without its hash, safe to return from the API
+ */
+export function publicKey(record) {
+    if (!record) return null;
+    const { key_hash, ...rest } = record;
+    return rest;
+}
+
+/**
+ * Validate the fields of a key to create
+ * @param {Object} body - { name, scopes, rate_limit, grok_rate_limit, grok_daily_quota }
+ * @returns {{ fields: Object, errors: string[] }}
+ */
+export function keyFieldsFromBody(body = {}) {
+    const errors = [];
+    const fields = {};
+
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+        errors.push('name is required');
+    } else {
+        fields.name = body.name.trim();
+    }
+
+    const scopes = body.scopes === undefined ? ['read', 'write'] : body.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        errors.push(`scopes must be a non-empty array of ${SCOPES.join(', ')}`);
+    } else {
+        fields.scopes = [...new Set(scopes)];
+    }
+
+    ['rate_limit', 'grok_rate_limit', 'grok_daily_quota'].forEach(field => {
+        const value = body[field];
+        if (value === undefined || value === null) return;
+        if (!Number.isInteger(value) || value < 0) {
+            errors.push(`${field} must be a non-negative integer (0 = unlimited)`);
+        } else {
+            fields[field] = value;
+        }
+    });
+
+    return { fields, errors };
+}
+
+/**
+ * Create and store a key
+ * @param {Object} storage
+ * @param {Object} fields - Validated by keyFieldsFromBody()
+ * @returns {Promise<{ key: string, record: Object }>} - key is only available here
+ */
+export async function createApiKey(storage, fields) {
+    const key = generateKey();
+    const record = await storage.apiKeys.insert({
+        ...fields,
+        key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+        key_hash: hashKey(key),
+        created_at: new Date().toISOString()
+    });
+    return { key, record: publicKey(record) };
+}
+
+/**
+ * Revoke a key; it stops working on its next request, in every process
+ * @returns {Promise<Object|null>} - The revoked key, or null if it doesn't exist
+ */
+export async function revokeApiKey(storage, id) {
+    const existing = await storage.apiKeys.get(id);
+    if (!existing) return null;
+
+    const record = existing.revoked_at
+        ? existing
+        : await storage.apiKeys.update(id, { revoked_at: new Date().toISOString() });
+    return publicKey(record);
+}
+
+function bootstrapAdmin(presented) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) return null;
+
+    const a = Buffer.from(hashKey(adminKey));
+    const b = Buffer.from(hashKey(presented));
+    if (!crypto.timingSafeEqual(a, b)) return null;
+
+    return {
+        id: 'admin',
+        name: 'ADMIN_API_KEY',
+        scopes: ['admin'],
+        rate_limit: 0,
+        grok_rate_limit: 0,
+        grok_daily_quota: 0,
+        bootstrap: true
+    };
+}
+
+/**
+ * Look up the key a request presented. Keys aren't cached: the CLI revokes
+ * them from another process, and a revoked key must stop working at once.
+ * @param {Object} storage
+ * @param {string} presented - Plaintext key
+ * @returns {Promise<Object|null>} - The key record, or null if unknown or revoked
+ */
+export async function resolveApiKey(storage, presented) {
+    if (!presented) return null;
+
+    const bootstrap = bootstrapAdmin(presented);
+    if (bootstrap) return bootstrap;
+
+    const record = await storage.apiKeys.findByHash(hashKey(presented));
+    if (!record || record.revoked_at) return null;
+    return record;
+}
+
+/**
+ * Count a request against a per-minute window
+ * @param {string} bucket - e.g. "<key id>:all"
+ * @param {number} limit - Requests per minute; 0 = unlimited
+ * @returns {{ allowed: boolean, limit: number, remaining: number|null, resetAt: number }}
+ */
+export function consumeRateLimit(bucket, limit) {
+    const now = Date.now();
+    let window = windows.get(bucket);
+    if (!window || now - window.start >= WINDOW_MS) {
+        window = { start: now, count: 0 };
+        windows.set(bucket, window);
+    }
+    const resetAt = window.start + WINDOW_MS;
+
+    if (!limit) return { allowed: true, limit, remaining: null, resetAt };
+    if (window.count >= limit) return { allowed: false, limit, remaining: 0, resetAt };
+
+    window.count++;
+    return { allowed: true, limit, remaining: limit - window.count, resetAt };
+}
+
+/**
+ * Today's UTC date, the day Grok quotas are counted against
+ */
+export function usageDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Count a Grok-backed request against a key's daily quota. The check and the
+ * increment are one statement, so concurrent requests can't overshoot it.
+ * @returns {Promise<{ allowed: boolean, quota: number, used: number }>}
+ */
+export async function consumeGrokQuota(storage, record, quota) {
+    if (!quota || record.bootstrap) return { allowed: true, quota, used: 0 };
+
+    const day = usageDay();
+    const used = await storage.apiKeys.consumeUsage(record.id, day, quota);
+    if (used === null) return { allowed: false, quota, used: quota };
+    return { allowed: true, quota, used };
+}
+
+/**
+ * Record that a key was used, at most once a minute per key
+ */
+export function touchApiKey(storage, record) {
+    if (record.bootstrap) return;
+
+    const lastUsed = record.last_used_at ? new Date(record.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < WINDOW_MS) return;
+
+    record.last_used_at = new Date().toISOString();
+    storage.apiKeys.update(record.id, { last_used_at: record.last_used_at }).catch(error => {
+        console.error('⚠️ Could not record API key use:', error.message);
+    });
+}
+
+function parseArgs(argv) {
+    const [command = 'list', ...rest] = argv;
+    const options = { positional: [] };
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--name') options.name = rest[++i];
+        else if (rest[i] === '--scopes') options.scopes = rest[++i].split(',').map(s => s.trim());
+        else if (rest[i] === '--rate-limit') options.rate_limit = parseInt(rest[++i]);
+        else if (rest[i] === '--grok-rate-limit') options.grok_rate_limit = parseInt(rest[++i]);
+        else if (rest[i] === '--grok-daily-quota') options.grok_daily_quota = parseInt(rest[++i]);
+        else options.positional.push(rest[i]);
+    }
+    return { command, options };
+}
+
+async function main() {
+    const { default: dotenv } = await import('dotenv');
+    dotenv.config();
+
+    const { getStorage } = await import('../storage/index.js');
+    const storage = getStorage();
+    const { command, options } = parseArgs(process.argv.slice(2));
+
+    if (command === 'create') {
+        const { positional, ...body } = options;
+        const { fields, errors } = keyFieldsFromBody(body);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+
+        const { key, record } = await createApiKey(storage, fields);
+        console.log(`✅ Created key "${record.name}" (${record.id}) with scopes ${record.scopes.join(', ')}`);
+        console.log(`🔑 ${key}`);
+        console.log('   Store it now - it cannot be shown again.');
+    } else if (command === 'list') {
+        const keys = await storage.apiKeys.list();
+        if (keys.length === 0) console.log('No API keys yet. Create one with: npm run keys:create -- --name <name>');
+        keys.forEach(record => {
+            const status = record.revoked_at ? `revoked ${record.revoked_at}` : `last used ${record.last_used_at || 'never'}`;
+            console.log(`   ${record.revoked_at ? '·' : '✔'} ${record.id}  ${record.key_prefix}…  ${record.name}  [${record.scopes.join(', ')}]  ${status}`);
+        });
+    } else if (command === 'revoke') {
+        const [id] = options.positional;
+        if (!id) throw new Error('Usage: npm run keys:revoke -- <key id>');
+
+        const record = await revokeApiKey(storage, id);
+        if (!record) throw new Error(`No API key ${id}`);
+        console.log(`✅ Revoked key "${record.name}" (${record.id})`);
+    } else {
+        throw new Error(`Unknown command "${command}". Use create, list or revoke`);
+    }
+}
+
+// Run directly: node services/api-keys.js <create|list|revoke>
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error('❌ API key command failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export default {
+    SCOPES,
+    generateKey,
+    hashKey,
+    hasScope,
+    defaultLimits,
+    limitsFor,
+    publicKey,
+    keyFieldsFromBody,
+    createApiKey,
+    revokeApiKey,
+    resolveApiKey,
+    consumeRateLimit,
+    usageDay,
+    consumeGrokQuota,
+    touchApiKey
+};
@@ -0,0 +1,141 @@
+/**
+ * Claim Matching Service
+ * Finds earlier verified claims that a new claim repeats, across spaces,
+ * debates and threads. A match verified within the freshness window has its
+ * verdict reused instead of paying for another Grok call; an older match is
+ * re-checked and the new claim is linked to it. Duplicates all link to the
+ * first claim of their group (matched_claim_id).
+ *
+ *   CLAIM_MATCHING=false         - disable matching and reuse
+ *   CLAIM_MATCH_THRESHOLD=0.8    - minimum similarity (0-1) to count as the same claim
+ *   CLAIM_REUSE_MAX_AGE_HOURS=168 - how long a verdict may be reused
+ */
+
+import { fingerprintClaim, claimKeywords, claimSimilarity, normalizeClaimText } from '../utils/claim-text.js';
+
+const FINGERPRINT_BACKFILL_LIMIT = 5000;
+
+/**
+ * Matching settings from the environment
+ */
+export function getMatchingConfig() {
+    return {
+        enabled: process.env.CLAIM_MATCHING !== 'false',
+        threshold: parseFloat(process.env.CLAIM_MATCH_THRESHOLD || '0.8'),
+        maxAgeHours: parseFloat(process.env.CLAIM_REUSE_MAX_AGE_HOURS || '168')
+    };
+}
+
+/**
+ * Best earlier verified claim matching some text
+ * @param {Object} storage
+ * @param {string} text - Claim or message text
+ * @param {Object} [options]
+ * @param {string} [options.excludeMessageId] - Ignore this message's own claims (re-analysis)
+ * @param {number} [options.threshold]
+ * @param {number} [options.maxAgeHours]
+ * @param {boolean} [options.exact] - Only a claim whose normalized text equals the text's
+ * @returns {Promise<{ claim: Object, score: number, root_id: string, fresh: boolean }|null>}
+ */
+export async function findMatchingClaim(storage, text, options = {}) {
+    const config = { ...getMatchingConfig(), ...options };
+    if (!config.enabled) return null;
+
+    const fingerprint = fingerprintClaim(text);
+    if (!fingerprint) return null;
+
+    const candidates = await storage.claims.findCandidates({
+        fingerprint,
+        keywords: claimKeywords(text),
+        excludeMessageId: config.excludeMessageId
+    });
+
+    // Candidates come newest verdict first, so the first match carries the group's latest verdict
+    const normalized = normalizeClaimText(text);
+    const match = candidates
+        .filter(claim => !config.exact || normalizeClaimText(claim.text) === normalized)
+        .map(claim => ({ claim, score: claimSimilarity(text, claim.text) }))
+        .find(({ score }) => score >= config.threshold);
+    if (!match) return null;
+
+    const verifiedAt = match.claim.verified_at ? new Date(match.claim.verified_at).getTime() : 0;
+    const ageHours = (Date.now() - verifiedAt) / 3600000;
+
+    return {
+        claim: match.claim,
+        score: Math.round(match.score * 1000) / 1000,
+        root_id: match.claim.matched_claim_id || match.claim.id,
+        fresh: ageHours <= config.maxAgeHours
+    };
+}
+
+/**
+ * Link each claim to the earlier claim it repeats
+ * @param {Object} storage
+ * @param {Array} claims - Analysis claims ({ text, score, verdict, ... })
+ * @param {Object} [options] - Passed to findMatchingClaim
+ * @returns {Promise<Array>} - Claims, with matched_claim_id / match_score where a match was found
+ */
+export async function linkClaims(storage, claims, options = {}) {
+    return Promise.all(claims.map(async claim => {
+        const match = await findMatchingClaim(storage, claim.text, options);
+        if (!match) return claim;
+
+        console.log(`🔗 Claim "${claim.text.substring(0, 50)}..." matches claim ${match.root_id} (${match.score})`);
+        return { ...claim, matched_claim_id: match.root_id, match_score: match.score };
+    }));
+}
+
+/**
+ * Fact-check result built from an earlier claim's verdict, in the same shape
+ * parseFactCheck() returns, so it flows through the normal scoring path. The
+ * claim keeps the new message's own wording.
+ * @param {Object} match - From findMatchingClaim with exact: true
+ * @param {string} text - The message the verdict is reused for
+ * @returns {Object}
+ */
+export function reusedAnalysis(match, text) {
+    const { claim } = match;
+
+    return {
+        claims: [{
+            text,
+            score: claim.score,
+            verdict: claim.verdict,
+            explanation: claim.explanation,
+            sources: claim.sources || [],
+            matched_claim_id: match.root_id,
+            match_score: match.score,
+            verified_at: claim.verified_at
+        }],
+        truth_score: claim.score,
+        summary: claim.explanation || 'Matches a previously verified claim.',
+        reused_from: {
+            claim_id: claim.id,
+            matched_claim_id: match.root_id,
+            match_score: match.score,
+            verified_at: claim.verified_at
+        }
+    };
+}
+
+/**
+ * Fingerprint claims stored before matching existed (normalization lives in
+ * JS, so the migration cannot do it)
+ * @param {Object} storage
+ * @returns {Promise<number>} - Claims fingerprinted
+ */
+export async function backfillFingerprints(storage) {
+    const claims = await storage.claims.listUnfingerprinted(FINGERPRINT_BACKFILL_LIMIT);
+
+    for (const claim of claims) {
+        await storage.claims.update(claim.id, { text: claim.text });
+    }
+
+    if (claims.length > 0) {
+        console.log(`🔏 Fingerprinted ${claims.length} existing claim(s) for matching`);
+    }
+    return claims.length;
+}
+
+export default { getMatchingConfig, findMatchingClaim, linkClaims, reusedAnalysis, backfillFingerprints };
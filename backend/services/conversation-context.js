@@ -0,0 +1,158 @@
+/**
+ * Conversation Context Service
+ * Live speech leans on what was just said ("he raised it by 40%"), so each
+ * message is fact-checked together with the space title and a rolling window
+ * of the messages before it. Earlier messages are numbered in the prompt;
+ * claims cite those numbers in depends_on, which are mapped back to message ids.
+ *
+ *   ANALYSIS_CONTEXT_MESSAGES=6       - earlier messages sent as context (0 disables)
+ *   ANALYSIS_CONTEXT_MAX_CHARS=2000   - cap on context text, oldest messages dropped first
+ *   ANALYSIS_MIN_WORDS=11             - shortest message analyzed on its own
+ *   ANALYSIS_MIN_FOLLOWUP_WORDS=4     - shortest message analyzed when it has context
+ */
+
+export const MESSAGE_TO_CHECK_HEADING = 'Message to fact-check';
+
+/**
+ * Context settings from the environment
+ */
+export function getContextConfig() {
+    return {
+        windowSize: parseInt(process.env.ANALYSIS_CONTEXT_MESSAGES || '6'),
+        maxChars: parseInt(process.env.ANALYSIS_CONTEXT_MAX_CHARS || '2000'),
+        minWords: parseInt(process.env.ANALYSIS_MIN_WORDS || '11'),
+        minFollowupWords: parseInt(process.env.ANALYSIS_MIN_FOLLOWUP_WORDS || '4')
+    };
+}
+
+export function countWords(text) {
+    const trimmed = (text || '').trim();
+    return trimmed === '' ? 0 : trimmed.split(/\s+/).length;
+}
+
+/**
+ * Space title and the messages preceding one message, oldest first
+ * @param {Object} storage
+ * @param {Object} message - Message row (id, space_id, sequence_number)
+ * @param {Object} [options] - Overrides for getContextConfig()
+ * @returns {Promise<{ space_title: string|null, messages: Array<{ ref: number, message_id: string, speaker: string, content: string }> }>}
+ */
+export async function buildConversationContext(storage, message, options = {}) {
+    const config = { ...getContextConfig(), ...options };
+
+    const space = await storage.spaces.get(message.space_id);
+    const context = { space_title: space?.title || null, messages: [] };
+    if (config.windowSize <= 0 || !message.sequence_number) return context;
+
+    const preceding = await storage.messages.listPreceding(message.space_id, message.sequence_number, {
+        limit: config.windowSize
+    });
+
+    // Newest messages matter most, so trim the window from the oldest end
+    let chars = 0;
+    const kept = [];
+    for (const prior of [...preceding].reverse()) {
+        const content = (prior.content || '').trim();
+        if (!content) continue;
+        chars += content.length;
+        if (chars > config.maxChars && kept.length > 0) break;
+        kept.unshift(prior);
+    }
+
+    context.messages = kept.map((prior, idx) => ({
+        ref: idx + 1,
+        message_id: prior.id,
+        speaker: prior.speaker_display_name || prior.speaker_username || 'Unknown',
+        content: prior.content.trim()
+    }));
+    return context;
+}
+
+/**
+ * Whether a message is worth fact-checking. Short follow-ups are kept when
+ * there is earlier conversation they may complete.
+ * @returns {{ analyze: boolean, wordCount: number }}
+ */
+export function shouldAnalyze(content, context, options = {}) {
+    const config = { ...getContextConfig(), ...options };
+    const wordCount = countWords(content);
+    const minWords = context?.messages?.length > 0 ? config.minFollowupWords : config.minWords;
+
+    return { analyze: wordCount >= minWords, wordCount };
+}
+
+// Words that point at something said earlier ("he cut taxes", "that number")
+const REFERENCE_WORDS = /\b(he|she|they|him|her|them|his|hers|their|theirs|it|its|this|these|those|former|latter)\b/i;
+
+/**
+ * Whether a message can be understood without the conversation around it:
+ * no earlier messages and no pronouns that would refer to them. Only such
+ * messages may reuse another space's verdict by matching their raw text.
+ */
+export function isSelfContained(content, context) {
+    if (context?.messages?.length > 0) return false;
+    return !REFERENCE_WORDS.test(content || '');
+}
+
+/**
+ * User prompt for a message and its context. A message without context is
+ * sent as-is.
+ * @param {string} content
+ * @param {string|null} speaker
+ * @param {Object} context - From buildConversationContext
+ * @returns {string}
+ */
+export function formatContextPrompt(content, speaker, context) {
+    if (!context || (!context.space_title && context.messages.length === 0)) return content;
+
+    const sections = [];
+    if (context.space_title) {
+        sections.push(`Space: "${context.space_title}"`);
+    }
+    if (context.messages.length > 0) {
+        sections.push('Earlier in the conversation (context only, do not fact-check these):\n' +
+            context.messages.map(m => `[${m.ref}] ${m.speaker}: ${m.content}`).join('\n'));
+    }
+    sections.push(`${MESSAGE_TO_CHECK_HEADING}${speaker ? ` (${speaker})` : ''}:\n${content}`);
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Map each claim's depends_on context numbers to message ids, dropping
+ * numbers that don't refer to a context message
+ * @param {Array} claims - Parsed fact-check claims
+ * @param {Object} context - From buildConversationContext
+ * @returns {Array} - Claims with depends_on as an array of message ids
+ */
+export function resolveClaimDependencies(claims, context) {
+    const byRef = new Map((context?.messages || []).map(m => [m.ref, m.message_id]));
+
+    return claims.map(claim => {
+        const refs = Array.isArray(claim.depends_on) ? claim.depends_on : [];
+        const ids = [...new Set(refs.map(ref => byRef.get(Number(ref))).filter(Boolean))];
+        return { ...claim, depends_on: ids };
+    });
+}
+
+/**
+ * Compact record of the context a message was analyzed with, kept in grok_response_raw
+ */
+export function describeContext(context) {
+    return {
+        space_title: context.space_title,
+        message_ids: context.messages.map(m => m.message_id)
+    };
+}
+
+export default {
+    MESSAGE_TO_CHECK_HEADING,
+    getContextConfig,
+    countWords,
+    buildConversationContext,
+    shouldAnalyze,
+    isSelfContained,
+    formatContextPrompt,
+    resolveClaimDependencies,
+    describeContext
+};
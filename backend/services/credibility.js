@@ -0,0 +1,240 @@
+/**
+ * Credibility Scoring Service
+ * A space's overall_credibility_score (0-100) is derived from every scored
+ * claim in the space, never accumulated message by message, so it does not
+ * depend on the order analyses finish in. Recomputation is serialized per
+ * space, so concurrent analyses always end on a score that includes all of
+ * their claims.
+ *
+ * Strategies (CREDIBILITY_STRATEGY, or a space's metadata.credibility_strategy):
+ *   weighted_mean     - each message counts once, its weight split across its claims
+ *   claim_weighted    - each claim counts once
+ *   severity_weighted - each claim counts once, false claims pull harder (CREDIBILITY_SEVERITY)
+ *   bayesian          - claim mean shrunk towards a prior (CREDIBILITY_PRIOR_SCORE / CREDIBILITY_PRIOR_WEIGHT)
+ *
+ * Messages analyzed before claims had their own rows count as one claim
+ * scored with the message's truth_score.
+ */
+
+import { publishSpaceEvent } from './space-events.js';
+
+export const DEFAULT_STRATEGY = 'weighted_mean';
+
+// Score of a space with nothing scored yet (matches the spaces column default)
+const EMPTY_SCORE = 100;
+
+export const STRATEGIES = {
+    weighted_mean: {
+        description: 'Each message counts once; a message with several claims splits its weight between them',
+        weight: item => 1 / item.claims_in_message
+    },
+    claim_weighted: {
+        description: 'Each claim counts once, so messages with more claims weigh more',
+        weight: () => 1
+    },
+    severity_weighted: {
+        description: 'Each claim counts once, and false claims weigh up to 1 + CREDIBILITY_SEVERITY times more',
+        weight: (item, config) => 1 + config.severity * (10 - item.score) / 9
+    },
+    bayesian: {
+        description: 'Claim average pulled towards a prior, so a few claims cannot swing the score to an extreme',
+        weight: () => 1,
+        prior: true
+    }
+};
+
+/**
+ * Scoring settings from the environment
+ */
+export function getCredibilityConfig() {
+    return {
+        strategy: process.env.CREDIBILITY_STRATEGY || DEFAULT_STRATEGY,
+        severity: parseFloat(process.env.CREDIBILITY_SEVERITY || '2'),
+        priorScore: parseFloat(process.env.CREDIBILITY_PRIOR_SCORE || '7'),
+        priorWeight: parseFloat(process.env.CREDIBILITY_PRIOR_WEIGHT || '5')
+    };
+}
+
+export function isStrategy(name) {
+    return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+}
+
+/**
+ * Strategy for a space: explicit override, then the space's metadata, then the environment
+ * @param {Object|null} space
+ * @param {string} [override]
+ * @returns {string}
+ */
+export function resolveStrategy(space, override) {
+    const candidates = [override, space?.metadata?.credibility_strategy, getCredibilityConfig().strategy];
+    return candidates.find(name => name && isStrategy(name)) || DEFAULT_STRATEGY;
+}
+
+/**
+ * One scored item per claim (or per legacy message without claim rows)
+ * @param {Array} messages - Messages with their claims attached
+ * @returns {Array}
+ */
+export function scoredItems(messages) {
+    const items = [];
+
+    messages.forEach(message => {
+        const claims = (message.claims || []).filter(claim => typeof claim.score === 'number');
+        const base = {
+            message_id: message.id,
+            space_id: message.space_id,
+            sequence_number: message.sequence_number,
+            created_at: message.created_at,
+            speaker_username: message.speaker_username || null
+        };
+
+        if (claims.length > 0) {
+            claims.forEach(claim => items.push({
+                ...base,
+                claim_id: claim.id,
+                text: claim.text,
+                score: claim.score,
+                verdict: claim.verdict,
+                claims_in_message: claims.length
+            }));
+        } else if (typeof message.truth_score === 'number') {
+            items.push({
+                ...base,
+                claim_id: null,
+                text: message.content,
+                score: message.truth_score,
+                verdict: message.grok_verdict || null,
+                claims_in_message: 1
+            });
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Score (0-100, unrounded) from the weighted sum of item scores and the sum of weights
+ */
+function scoreFrom(total, weights, strategy, config) {
+    if (STRATEGIES[strategy].prior) {
+        return (config.priorScore * config.priorWeight + total) / (config.priorWeight + weights) * 10;
+    }
+    return weights > 0 ? total / weights * 10 : EMPTY_SCORE;
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function describeImpact(item, impact) {
+    const verdict = item.verdict ? ` (${item.verdict})` : '';
+    if (Math.abs(impact) < 0.05) return `Scored ${item.score}/10${verdict}, no effect on the score`;
+    return `Scored ${item.score}/10${verdict}, ${impact < 0 ? 'lowered' : 'raised'} the score by ${Math.abs(round1(impact))}`;
+}
+
+/**
+ * Compute a space's credibility score with an explanation of what moved it.
+ * Each item's impact is the score with it minus the score without it; the
+ * score without it comes straight from the sums, so this stays linear.
+ * @param {Array} messages - Messages with their claims attached
+ * @param {Object} [options]
+ * @param {string} [options.strategy]
+ * @param {boolean} [options.breakdown=true] - false leaves out the per-item breakdown
+ * @returns {{ strategy: string, score: number, raw_score: number, claims_scored: number, summary: string, breakdown?: Array }}
+ */
+export function computeCredibility(messages, options = {}) {
+    const config = { ...getCredibilityConfig(), ...options };
+    const strategy = isStrategy(config.strategy) ? config.strategy : DEFAULT_STRATEGY;
+
+    const items = scoredItems(messages).map(item => ({ item, weight: STRATEGIES[strategy].weight(item, config) }));
+    const total = items.reduce((sum, { item, weight }) => sum + weight * item.score, 0);
+    const weights = items.reduce((sum, { weight }) => sum + weight, 0);
+    const score = scoreFrom(total, weights, strategy, config);
+
+    const impacts = items.map(({ item, weight }) => ({
+        item,
+        weight,
+        impact: score - scoreFrom(total - weight * item.score, weights - weight, strategy, config)
+    }));
+
+    // Largest drop, the same item the sorted breakdown lists first among negative impacts
+    const biggestDrop = impacts
+        .filter(({ impact }) => round1(impact) < 0)
+        .reduce((worst, entry) => (!worst || round1(entry.impact) < round1(worst.impact) ? entry : worst), null);
+    const summary = items.length === 0
+        ? `No scored claims yet (${strategy})`
+        : `${Math.round(score)}/100 from ${items.length} scored claim(s) (${strategy})` +
+          (biggestDrop ? `. Biggest drop: "${biggestDrop.item.text.substring(0, 60)}" (${round1(biggestDrop.impact)})` : '');
+
+    const result = {
+        strategy,
+        score: Math.round(score),
+        raw_score: round1(score),
+        claims_scored: items.length,
+        summary
+    };
+    if (config.breakdown === false) return result;
+
+    result.breakdown = impacts
+        .map(({ item, weight, impact }) => ({
+            ...item,
+            weight: Math.round(weight * 100) / 100,
+            impact: round1(impact),
+            explanation: describeImpact(item, impact)
+        }))
+        .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact));
+    return result;
+}
+
+// spaceId -> promise of the latest recomputation
+const recomputing = new Map();
+
+async function recompute(storage, spaceId, messageId) {
+    const space = await storage.spaces.get(spaceId);
+    if (!space) return null;
+
+    const messages = await storage.messages.listBySpace(spaceId);
+    // Every analysis lands here; the breakdown is left to GET /spaces/:id/credibility
+    const result = computeCredibility(messages, { strategy: resolveStrategy(space), breakdown: false });
+    const previousScore = Math.round(space.overall_credibility_score ?? EMPTY_SCORE);
+
+    await storage.spaces.update(spaceId, { overall_credibility_score: result.score });
+
+    publishSpaceEvent(spaceId, 'credibility-updated', {
+        ...(messageId ? { message_id: messageId } : {}),
+        previous_score: previousScore,
+        overall_credibility_score: result.score,
+        strategy: result.strategy
+    });
+
+    return { ...result, previous_score: previousScore };
+}
+
+/**
+ * Recompute and store a space's score from its current claims, and announce it
+ * @param {Object} storage
+ * @param {string} spaceId
+ * @param {Object} [options]
+ * @param {string} [options.messageId] - Message whose analysis triggered this
+ * @returns {Promise<Object|null>} - computeCredibility() result plus previous_score, or null if the space is gone
+ */
+export function recomputeSpaceCredibility(storage, spaceId, { messageId } = {}) {
+    const previous = recomputing.get(spaceId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => recompute(storage, spaceId, messageId));
+
+    recomputing.set(spaceId, run);
+    run.catch(() => {}).finally(() => {
+        if (recomputing.get(spaceId) === run) recomputing.delete(spaceId);
+    });
+
+    return run;
+}
+
+export default {
+    DEFAULT_STRATEGY,
+    STRATEGIES,
+    getCredibilityConfig,
+    isStrategy,
+    resolveStrategy,
+    scoredItems,
+    computeCredibility,
+    recomputeSpaceCredibility
+};
@@ -0,0 +1,321 @@
+/**
+ * Fixtures Service
+ * Dev mode (DEV_MODE=true) seeds fixture spaces from the versioned JSON files
+ * in backend/fixtures/spaces and registers the /api/test/* routes. Fixtures
+ * are ordinary spaces, messages and claims in storage, so they survive
+ * restarts and every endpoint (analytics, claims, credibility, events) works
+ * on them.
+ *
+ * Each file has a fixed space id and a version. A fixture is re-seeded when
+ * its version differs from the fixture_version recorded in the space's
+ * metadata - bump the version whenever a file changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { recomputeSpaceCredibility } from './credibility.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'spaces');
+
+// Ids of spaces made by generateTestSpace(), kept in the state store
+const GENERATED_STATE_KEY = 'dev_generated_spaces';
+
+/**
+ * Whether dev mode is enabled (DEV_MODE=true)
+ */
+export function isDevMode() {
+    return ['true', '1', 'yes'].includes(String(process.env.DEV_MODE || '').toLowerCase());
+}
+
+function validateFixture(fixture, file) {
+    const errors = [];
+    if (typeof fixture.fixture !== 'string' || !fixture.fixture) errors.push('fixture name is required');
+    if (!Number.isInteger(fixture.version) || fixture.version < 1) errors.push('version must be a positive integer');
+    if (!fixture.space?.id) errors.push('space.id is required');
+    if (!fixture.space?.started_at) errors.push('space.started_at is required');
+    if (!Array.isArray(fixture.messages) || fixture.messages.length === 0) {
+        errors.push('messages must be a non-empty array');
+    } else {
+        fixture.messages.forEach((message, i) => {
+            if (!message.speaker?.username) errors.push(`messages[${i}].speaker.username is required`);
+            if (typeof message.content !== 'string' || !message.content) errors.push(`messages[${i}].content is required`);
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid fixture ${path.basename(file)}: ${errors.join('; ')}`);
+    }
+}
+
+/**
+ * Read and validate every fixture file
+ * @param {string} [dir]
+ * @returns {Array<Object>} - Fixtures, ordered by file name
+ */
+export function loadFixtures(dir = FIXTURES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const fullPath = path.join(dir, file);
+            let fixture;
+            try {
+                fixture = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+            } catch (e) {
+                throw new Error(`Invalid fixture ${file}: ${e.message}`);
+            }
+            validateFixture(fixture, fullPath);
+            return fixture;
+        });
+}
+
+const offsetTime = (startedAt, seconds) => new Date(new Date(startedAt).getTime() + seconds * 1000).toISOString();
+
+/**
+ * Write one fixture into storage, replacing an older version of it
+ * @param {Object} storage
+ * @param {Object} fixture
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Re-seed even when the version matches
+ * @returns {Promise<{ fixture: string, space_id: string, version: number, status: string }>}
+ *   status is 'created', 'updated' or 'unchanged'
+ */
+export async function seedFixture(storage, fixture, { force = false } = {}) {
+    const { space, messages } = fixture;
+    const result = { fixture: fixture.fixture, space_id: space.id, version: fixture.version };
+
+    const existing = await storage.spaces.get(space.id);
+    if (existing && existing.metadata?.fixture_version === fixture.version && !force) {
+        return { ...result, status: 'unchanged' };
+    }
+    if (existing) await storage.spaces.delete(space.id);
+
+    await storage.spaces.insert({
+        id: space.id,
+        title: space.title || fixture.fixture,
+        space_url: space.space_url || null,
+        started_at: space.started_at,
+        ended_at: space.ended_at || null,
+        is_live: Boolean(space.is_live),
+        total_messages: 0,
+        metadata: { ...(space.metadata || {}), fixture: fixture.fixture, fixture_version: fixture.version },
+        created_at: space.started_at
+    });
+
+    for (const [index, message] of messages.entries()) {
+        const speakerId = await storage.speakers.getOrCreate(message.speaker.username, message.speaker.display_name || null);
+        const createdAt = offsetTime(space.started_at, message.offset_seconds ?? index * 30);
+        const scored = typeof message.truth_score === 'number';
+        const claims = Array.isArray(message.claims) ? message.claims : [];
+
+        const row = await storage.messages.insert({
+            space_id: space.id,
+            speaker_id: speakerId,
+            content: message.content,
+            sequence_number: index + 1,
+            start_seconds: message.start_seconds ?? null,
+            end_seconds: message.end_seconds ?? null,
+            // Never 'pending': recoverAnalysisJobs() would send it to the LLM on startup
+            fact_check_status: message.fact_check_status || 'completed',
+            truth_score: scored ? message.truth_score : null,
+            grok_verdict: message.grok_verdict || null,
+            grok_explanation: message.grok_explanation || null,
+            grok_response_raw: claims.length > 0 ? claims : null,
+            propagation_analysis: message.propagation_analysis || null,
+            processed_at: scored ? createdAt : null,
+            created_at: createdAt
+        });
+
+        if (claims.length > 0) {
+            const stored = await storage.claims.replaceForMessage(row.id, claims.map(claim => ({ ...claim, verified_at: createdAt })));
+            for (const [claimIndex, claim] of claims.entries()) {
+                if (claim.propagation_analysis && stored[claimIndex]) {
+                    await storage.claims.update(stored[claimIndex].id, { propagation_analysis: claim.propagation_analysis });
+                }
+            }
+        }
+    }
+
+    await storage.spaces.update(space.id, { total_messages: messages.length });
+    await recomputeSpaceCredibility(storage, space.id);
+
+    return { ...result, status: existing ? 'updated' : 'created' };
+}
+
+/**
+ * Seed every fixture file
+ * @param {Object} storage
+ * @param {Object} [options] - Passed to seedFixture()
+ * @returns {Promise<Array>} - One seedFixture() result per fixture
+ */
+export async function seedFixtures(storage, options = {}) {
+    const results = [];
+    for (const fixture of loadFixtures(options.dir)) {
+        results.push(await seedFixture(storage, fixture, options));
+    }
+    return results;
+}
+
+// Small seeded PRNG (mulberry32) so generated spaces are reproducible
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const VERDICTS = [
+    { min: 8, message: 'True', claim: 'TRUE', explanation: 'is mostly accurate' },
+    { min: 5, message: 'Misleading', claim: 'MIXED', explanation: 'is partly accurate' },
+    { min: 3, message: 'False', claim: 'FALSE', explanation: 'contains inaccuracies' },
+    { min: 0, message: 'Unverified', claim: 'UNVERIFIABLE', explanation: 'could not be verified' }
+];
+
+/**
+ * Build a synthetic space for load and layout testing. The same seed gives
+ * the same messages, scores and claims.
+ * @param {Object} options
+ * @param {Array<string>} [options.speakers]
+ * @param {number} [options.messageCount=15]
+ * @param {string} [options.title]
+ * @param {number} [options.seed=1]
+ * @returns {Object} - A fixture, ready for seedFixture()
+ */
+export function buildTestFixture({
+    speakers = ['Speaker A', 'Speaker B'],
+    messageCount = 15,
+    title = 'Test Debate Analysis',
+    seed = 1
+} = {}) {
+    const random = seededRandom(seed);
+    const startedAt = new Date(Date.UTC(2025, 0, 1, 20, 0, 0)).toISOString();
+
+    const messages = Array.from({ length: messageCount }, (_, i) => {
+        const speaker = speakers[i % speakers.length];
+        const truthScore = Math.floor(random() * 10) + 1;
+        const verdict = VERDICTS.find(v => truthScore >= v.min);
+
+        return {
+            speaker: { username: speaker.toLowerCase().replace(/\s+/g, ''), display_name: speaker },
+            content: `Test statement ${i + 1} from ${speaker} about various topics including policy, economy, or social issues.`,
+            offset_seconds: i * 60,
+            truth_score: truthScore,
+            grok_verdict: verdict.message,
+            grok_explanation: `This is a test explanation for message ${i + 1}. The claim ${verdict.explanation}.`,
+            claims: [{
+                text: `Claim ${i + 1} extracted from the statement`,
+                score: truthScore,
+                verdict: verdict.claim,
+                explanation: `Explanation for claim ${i + 1}`,
+                sources: ['https://example.com/source1', 'https://grokipedia.com/page/Example']
+            }]
+        };
+    });
+
+    return {
+        fixture: `generated-${seed}`,
+        version: 1,
+        space: {
+            id: crypto.randomUUID(),
+            title,
+            started_at: startedAt,
+            ended_at: offsetTime(startedAt, messageCount * 60),
+            metadata: { type: 'debate', generated: true, seed, participants: speakers }
+        },
+        messages
+    };
+}
+
+/**
+ * Generate and store a synthetic space (see buildTestFixture())
+ * @returns {Promise<Object>} - seedFixture() result
+ */
+export async function generateTestSpace(storage, options = {}) {
+    const result = await seedFixture(storage, buildTestFixture(options));
+
+    const generated = await listGeneratedSpaceIds(storage);
+    await storage.state.set(GENERATED_STATE_KEY, JSON.stringify([...generated, result.space_id]));
+    return result;
+}
+
+async function listGeneratedSpaceIds(storage) {
+    const value = await storage.state.get(GENERATED_STATE_KEY);
+    if (!value) return [];
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Every fixture and generated space still in storage
+ * @returns {Promise<Array<{ space_id, title, fixture, version, messageCount, createdAt, generated }>>}
+ */
+export async function listTestSpaces(storage) {
+    const fixtureIds = loadFixtures().map(fixture => fixture.space.id);
+    const ids = [...fixtureIds, ...await listGeneratedSpaceIds(storage)];
+
+    const spaces = [];
+    for (const id of ids) {
+        const space = await storage.spaces.get(id);
+        if (!space) continue;
+        spaces.push({
+            space_id: space.id,
+            title: space.title,
+            fixture: space.metadata?.fixture || null,
+            version: space.metadata?.fixture_version ?? null,
+            messageCount: space.total_messages,
+            createdAt: space.created_at,
+            generated: Boolean(space.metadata?.generated)
+        });
+    }
+    return spaces;
+}
+
+function parseArgs(argv) {
+    const [command = 'seed', ...rest] = argv;
+    return { command, options: { force: rest.includes('--force') } };
+}
+
+async function main() {
+    const { default: dotenv } = await import('dotenv');
+    dotenv.config();
+
+    const { getStorage } = await import('../storage/index.js');
+    const { command, options } = parseArgs(process.argv.slice(2));
+
+    if (command !== 'seed') {
+        throw new Error(`Unknown command "${command}". Use seed [--force]`);
+    }
+
+    const results = await seedFixtures(getStorage(), options);
+    results.forEach(r => console.log(`   ${r.status === 'unchanged' ? '·' : '✔'} ${r.fixture} v${r.version} (${r.space_id}) ${r.status}`));
+    console.log(`✅ ${results.length} fixture(s) checked`);
+}
+
+// Run directly: node services/fixtures.js seed [--force]
+if (process.argv[1] === __filename) {
+    main().catch(error => {
+        console.error('❌ Fixture seeding failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export default {
+    FIXTURES_DIR,
+    isDevMode,
+    loadFixtures,
+    seedFixture,
+    seedFixtures,
+    buildTestFixture,
+    generateTestSpace,
+    listTestSpaces
+};
@@ -0,0 +1,278 @@
+/**
+ * Job Queue Service
+ * In-process job queue with configurable concurrency, exponential-backoff
+ * retries and a dead-letter list. Queue state is persisted through a pluggable
+ * store (by default a key in the storage layer's key/value state) so a
+ * restart resumes where it left off.
+ */
+
+const MAX_DEAD_LETTERS = 100;
+
+/**
+ * Store that keeps the queue snapshot as JSON under a key/value state key
+ * @param {Object} state - Storage state repository (get/set)
+ * @param {string} key - State key, e.g. 'job_queue:analysis'
+ * @returns {{ load: Function, save: Function }}
+ */
+export function createStateStore(state, key) {
+    return {
+        async load() {
+            const value = await state.get(key);
+            if (!value) return null;
+
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        },
+
+        async save(snapshot) {
+            await state.set(key, JSON.stringify(snapshot));
+        }
+    };
+}
+
+/**
+ * Backoff delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} baseDelayMs
+ * @param {number} maxDelayMs
+ * @returns {number}
+ */
+export function backoffDelay(attempts, baseDelayMs, maxDelayMs) {
+    return Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempts - 1));
+}
+
+export class JobQueue {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Queue name, used in logs and status
+     * @param {Function} options.handler - async (payload, job) => result; throw to retry
+     * @param {number} [options.concurrency=3]
+     * @param {number} [options.maxAttempts=4]
+     * @param {number} [options.baseDelayMs=2000]
+     * @param {number} [options.maxDelayMs=60000]
+     * @param {Object} [options.store] - { load, save } persistence
+     * @param {Function} [options.onDeadLetter] - async (job, error) when retries are exhausted
+     */
+    constructor({
+        name,
+        handler,
+        concurrency = 3,
+        maxAttempts = 4,
+        baseDelayMs = 2000,
+        maxDelayMs = 60000,
+        store = null,
+        onDeadLetter = null
+    }) {
+        this.name = name;
+        this.handler = handler;
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.store = store;
+        this.onDeadLetter = onDeadLetter;
+
+        this.jobs = new Map();          // id -> job (queued, running, retrying)
+        this.deadLetters = [];
+        this.running = 0;
+        this.stats = { completed: 0, retried: 0, dead_lettered: 0 };
+        this.waiters = new Map();       // id -> [{ resolve, reject }]
+        this.timer = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Restore persisted jobs; jobs that were running when the process died are re-queued.
+     * Await it before enqueuing; a job already enqueued is kept over its snapshot copy.
+     * @returns {Promise<number>} - Number of jobs restored
+     */
+    async restore() {
+        if (!this.store) return 0;
+
+        const snapshot = await this.store.load();
+        if (!snapshot) return 0;
+
+        (snapshot.jobs || []).forEach(job => {
+            if (this.jobs.has(job.id)) return;
+            this.jobs.set(job.id, { ...job, status: job.status === 'running' ? 'queued' : job.status });
+        });
+        this.deadLetters = [...this.deadLetters, ...(snapshot.dead_letters || [])]
+            .filter(d => !this.jobs.has(d.id))
+            .slice(0, MAX_DEAD_LETTERS);
+
+        console.log(`📦 Queue ${this.name}: restored ${this.jobs.size} job(s), ${this.deadLetters.length} dead letter(s)`);
+        this.schedule();
+        return this.jobs.size;
+    }
+
+    /**
+     * Add a job; enqueuing an id that is already pending is a no-op
+     * @param {string} id - Job id (e.g. message id)
+     * @param {Object} payload - Data passed to the handler
+     * @returns {Object} - The job
+     */
+    enqueue(id, payload) {
+        const existing = this.jobs.get(id);
+        if (existing) return existing;
+
+        const now = new Date().toISOString();
+        const job = {
+            id,
+            payload,
+            status: 'queued',
+            attempts: 0,
+            next_run_at: now,
+            last_error: null,
+            created_at: now,
+            updated_at: now
+        };
+
+        this.jobs.set(id, job);
+        this.deadLetters = this.deadLetters.filter(d => d.id !== id);
+        this.persist();
+        this.schedule();
+        return job;
+    }
+
+    /**
+     * Resolve when a job completes, reject when it is dead-lettered
+     * @param {string} id
+     * @returns {Promise<any>} - Handler result
+     */
+    waitFor(id) {
+        if (!this.jobs.has(id)) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const list = this.waiters.get(id) || [];
+            list.push({ resolve, reject });
+            this.waiters.set(id, list);
+        });
+    }
+
+    /**
+     * Move a dead-lettered job back onto the queue with a fresh attempt count
+     * @param {string} id
+     * @returns {Object|null} - The re-queued job, or null if not found
+     */
+    retryDeadLetter(id) {
+        const dead = this.deadLetters.find(d => d.id === id);
+        if (!dead) return null;
+
+        this.deadLetters = this.deadLetters.filter(d => d.id !== id);
+        return this.enqueue(id, dead.payload);
+    }
+
+    /**
+     * Snapshot of queue state for the status API
+     */
+    getStatus() {
+        const jobs = [...this.jobs.values()];
+        const count = status => jobs.filter(j => j.status === status).length;
+
+        return {
+            name: this.name,
+            concurrency: this.concurrency,
+            max_attempts: this.maxAttempts,
+            queued: count('queued'),
+            running: count('running'),
+            retrying: count('retrying'),
+            dead_lettered: this.deadLetters.length,
+            totals: { ...this.stats },
+            jobs: jobs.map(({ payload, ...job }) => job),
+            dead_letters: this.deadLetters.map(({ payload, ...job }) => job)
+        };
+    }
+
+    /**
+     * Start as many due jobs as concurrency allows, and arm a timer for the next retry
+     */
+    schedule() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = Date.now();
+        const waiting = [...this.jobs.values()]
+            .filter(j => j.status === 'queued' || j.status === 'retrying')
+            .sort((a, b) => new Date(a.next_run_at) - new Date(b.next_run_at));
+
+        for (const job of waiting) {
+            if (this.running >= this.concurrency) break;
+            if (new Date(job.next_run_at).getTime() > now) break;
+            this.run(job);
+        }
+
+        const retrying = [...this.jobs.values()].filter(j => j.status === 'retrying');
+        if (retrying.length > 0 && this.running < this.concurrency) {
+            const earliest = Math.min(...retrying.map(j => new Date(j.next_run_at).getTime()));
+            this.timer = setTimeout(() => this.schedule(), Math.max(0, earliest - now));
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        job.status = 'running';
+        job.attempts++;
+        job.updated_at = new Date().toISOString();
+        this.persist();
+
+        try {
+            const result = await this.handler(job.payload, job);
+            this.jobs.delete(job.id);
+            this.stats.completed++;
+            this.settle(job.id, 'resolve', result);
+        } catch (error) {
+            job.last_error = error.message;
+            job.updated_at = new Date().toISOString();
+
+            if (job.attempts < this.maxAttempts) {
+                const delay = backoffDelay(job.attempts, this.baseDelayMs, this.maxDelayMs);
+                job.status = 'retrying';
+                job.next_run_at = new Date(Date.now() + delay).toISOString();
+                this.stats.retried++;
+                console.warn(`🔁 Queue ${this.name}: job ${job.id} failed (attempt ${job.attempts}/${this.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+            } else {
+                this.jobs.delete(job.id);
+                job.status = 'dead';
+                this.deadLetters.unshift(job);
+                this.deadLetters = this.deadLetters.slice(0, MAX_DEAD_LETTERS);
+                this.stats.dead_lettered++;
+                console.error(`☠️  Queue ${this.name}: job ${job.id} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+
+                if (this.onDeadLetter) {
+                    await this.onDeadLetter(job, error).catch(err => {
+                        console.error(`Queue ${this.name}: dead-letter handler failed:`, err);
+                    });
+                }
+                this.settle(job.id, 'reject', error);
+            }
+        } finally {
+            this.running--;
+            this.persist();
+            this.schedule();
+        }
+    }
+
+    settle(id, outcome, value) {
+        (this.waiters.get(id) || []).forEach(waiter => waiter[outcome](value));
+        this.waiters.delete(id);
+    }
+
+    /**
+     * Write the snapshot; saves are serialized so they land in order
+     */
+    persist() {
+        if (!this.store) return;
+
+        const snapshot = {
+            jobs: [...this.jobs.values()],
+            dead_letters: this.deadLetters
+        };
+
+        this.saving = this.saving
+            .then(() => this.store.save(snapshot))
+            .catch(err => console.error(`Queue ${this.name}: failed to persist state:`, err.message));
+    }
+}
+
+export default { JobQueue, createStateStore, backoffDelay };
@@ -0,0 +1,137 @@
+/**
+ * LLM Provider Service
+ * Single entry point for every chat/completions call the backend makes.
+ * Models are addressed by role instead of by name so a deployment can point
+ * any role at a different model or OpenAI-compatible endpoint (xAI, a local
+ * server, ...) from the environment alone.
+ */
+
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Default model for each role. Override per deployment with
+ * LLM_<ROLE>_MODEL, LLM_<ROLE>_BASE_URL and LLM_<ROLE>_API_KEY.
+ */
+const DEFAULT_MODELS = {
+    fast: 'grok-4-1-fast-reasoning',     // Widget fact-checks, sources, search terms, consistency
+    deep: 'grok-4-0709',                 // Full debate transcripts - best accuracy
+    summary: 'grok-4-1-fast-reasoning',  // Space / thread summary tweets
+    chat: 'grok-4-1-fast-non-reasoning', // Grokipedia chat
+    lookup: 'grok-3-mini-fast'           // Tiny lookups such as Twitter handles
+};
+
+export const MODEL_ROLES = Object.keys(DEFAULT_MODELS);
+
+/**
+ * Resolve the endpoint, key and model configured for a role
+ * @param {string} role - One of MODEL_ROLES
+ * @returns {{role: string, model: string, baseUrl: string, apiKey: string|null}}
+ */
+export function getModelConfig(role) {
+    if (!DEFAULT_MODELS[role]) {
+        throw new Error(`Unknown LLM model role: ${role}`);
+    }
+
+    const prefix = `LLM_${role.toUpperCase()}`;
+    const baseUrl = process.env[`${prefix}_BASE_URL`] ||
+        process.env.LLM_BASE_URL ||
+        process.env.GROK_API_URL;
+    const apiKey = process.env[`${prefix}_API_KEY`] ||
+        process.env.LLM_API_KEY ||
+        process.env.GROK_API_KEY ||
+        null;
+
+    return {
+        role,
+        model: process.env[`${prefix}_MODEL`] || DEFAULT_MODELS[role],
+        baseUrl: (baseUrl || '').replace(/\/+$/, ''),
+        apiKey
+    };
+}
+
+/**
+ * Describe the configured model for every role (for logging/health output)
+ * @returns {Object} - Map of role to { model, baseUrl }
+ */
+export function describeModels() {
+    const description = {};
+    MODEL_ROLES.forEach(role => {
+        const { model, baseUrl } = getModelConfig(role);
+        description[role] = { model, baseUrl };
+    });
+    return description;
+}
+
+/**
+ * Call the chat/completions endpoint configured for a role
+ * @param {string} role - One of MODEL_ROLES
+ * @param {Object} options
+ * @param {Array} options.messages - OpenAI-style chat messages
+ * @param {number} [options.temperature]
+ * @param {number} [options.max_tokens]
+ * @param {number} [options.timeoutMs] - Abort the request after this many ms
+ * @returns {Promise<{content: string|null, model: string, usage: Object|null, raw: Object}>}
+ */
+export async function chatCompletion(role, { messages, temperature, max_tokens, timeoutMs } = {}) {
+    const config = getModelConfig(role);
+
+    if (!config.baseUrl) {
+        throw new Error('LLM endpoint not configured (set LLM_BASE_URL or GROK_API_URL)');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+        headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+
+    const body = { model: config.model, messages };
+    if (temperature !== undefined) body.temperature = temperature;
+    if (max_tokens !== undefined) body.max_tokens = max_tokens;
+
+    let controller = null;
+    let timeout = null;
+    if (timeoutMs) {
+        controller = new AbortController();
+        timeout = setTimeout(() => controller.abort(), timeoutMs);
+    }
+
+    try {
+        const response = await fetch(`${config.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal: controller?.signal,
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            console.error(`LLM API error ${response.status} (${role}/${config.model}):`, errorBody);
+            throw new Error(`LLM API error: ${response.status} - ${errorBody || response.statusText}`);
+        }
+
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(data.error.message || 'LLM API returned an error');
+        }
+
+        return {
+            content: data.choices?.[0]?.message?.content ?? null,
+            model: data.model || config.model,
+            usage: data.usage || null,
+            raw: data
+        };
+    } finally {
+        if (timeout) clearTimeout(timeout);
+    }
+}
+
+export default {
+    MODEL_ROLES,
+    getModelConfig,
+    describeModels,
+    chatCompletion
+};
@@ -0,0 +1,113 @@
+/**
+ * Reply Threads
+ * Turns a thread analysis into the replies the bot posts: the summary, one
+ * tweet per false or misleading claim with its verdict and a source, and a
+ * link to the analytics page when ANALYTICS_URL gives it a public address
+ * (without one, a last tweet counts the claims left out).
+ * Every tweet is fitted to X's 280 characters as X counts them
+ * (utils/tweet-text.js).
+ */
+
+import { MAX_TWEET_LENGTH, tweetLength, truncateTweet } from '../utils/tweet-text.js';
+
+// Claim verdicts that get their own tweet, and how the tweet names them
+const FLAGGED_VERDICTS = {
+    FALSE: 'False',
+    MIXED: 'Misleading'
+};
+
+const DEFAULTS = {
+    maxClaims: parseInt(process.env.BOT_REPLY_MAX_CLAIMS || '5'),
+    // No default: a link to the operator's localhost is no use in a public reply
+    analyticsUrl: process.env.ANALYTICS_URL || null
+};
+
+// Longest quote of a claim, so the explanation keeps some room
+const MAX_QUOTE_LENGTH = 120;
+// Below this, an explanation is dropped rather than cut to a few words
+const MIN_EXPLANATION_LENGTH = 30;
+
+/**
+ * False and misleading claims of a space's messages, worst score first
+ * @param {Array<Object>} messages - Messages with their claims (storage.messages.listBySpace)
+ * @returns {Array<{ text, verdict, score, explanation, source, speaker }>}
+ */
+export function flaggedClaims(messages = []) {
+    const flagged = [];
+    messages.forEach(message => {
+        (message.claims || []).forEach(claim => {
+            if (!FLAGGED_VERDICTS[claim.verdict]) return;
+            flagged.push({
+                text: claim.text,
+                verdict: claim.verdict,
+                score: claim.score,
+                explanation: claim.explanation || null,
+                source: claim.sources?.[0] || null,
+                speaker: message.speaker_username || null
+            });
+        });
+    });
+    return flagged.sort((a, b) => (a.score ?? 10) - (b.score ?? 10));
+}
+
+/**
+ * Analytics page of a space
+ * @param {string} spaceId
+ * @param {string|null} [base] - ANALYTICS_URL, the page's public address
+ * @returns {string|null} - null when there is no public address
+ */
+export function analyticsPageUrl(spaceId, base = DEFAULTS.analyticsUrl) {
+    if (!base) return null;
+    const url = new URL(base);
+    url.searchParams.set('spaceId', spaceId);
+    return url.toString();
+}
+
+function claimTweet(claim, suffix) {
+    const score = typeof claim.score === 'number' ? ` (${claim.score}/10)` : '';
+    const quote = truncateTweet(claim.text, MAX_QUOTE_LENGTH);
+    const header = `${FLAGGED_VERDICTS[claim.verdict]}${score}: ${claim.speaker ? `${claim.speaker} said ` : ''}"${quote}"`;
+    const source = claim.source ? `\n\nSource: ${claim.source}` : '';
+
+    const room = MAX_TWEET_LENGTH - tweetLength(`${header}\n\n${source}${suffix}`);
+    const explanation = claim.explanation && room >= MIN_EXPLANATION_LENGTH
+        ? `\n\n${truncateTweet(claim.explanation, room)}`
+        : '';
+    return `${header}${explanation}${source}${suffix}`;
+}
+
+/**
+ * The tweets of a reply thread, in posting order, each numbered "i/n" (a
+ * lone summary tweet isn't numbered)
+ * @param {Object} options
+ * @param {string} options.username - Who mentioned the bot; the first tweet addresses them
+ * @param {string} options.summary - Thread summary (analyzeThread().summary)
+ * @param {Array<Object>} [options.claims] - flaggedClaims()
+ * @param {string|null} [options.analyticsUrl] - analyticsPageUrl(); without it there is no final link tweet
+ * @param {number} [options.maxClaims] - Claims with their own tweet (BOT_REPLY_MAX_CLAIMS); the
+ *   rest are left to the analytics page, or only counted when there is none
+ * @returns {Array<string>}
+ */
+export function buildReplyThread({ username, summary, claims = [], analyticsUrl, maxClaims = DEFAULTS.maxClaims }) {
+    const shown = claims.slice(0, Math.max(0, maxClaims));
+    const hidden = claims.length - shown.length;
+    const more = hidden > 0 ? `${hidden} more flagged claim${hidden === 1 ? '' : 's'}` : '';
+    const count = shown.length + (analyticsUrl || more ? 2 : 1);
+    const suffix = index => (count > 1 ? `\n\n${index}/${count}` : '');
+
+    const tweets = [truncateTweet(`@${username} ${summary}`, MAX_TWEET_LENGTH - tweetLength(suffix(1))) + suffix(1)];
+    shown.forEach((claim, i) => tweets.push(claimTweet(claim, suffix(i + 2))));
+
+    if (analyticsUrl) {
+        tweets.push(`Full analysis: ${analyticsUrl}${more ? `\n\n${more} there.` : ''}${suffix(count)}`);
+    } else if (more) {
+        tweets.push(`+${more} not shown.${suffix(count)}`);
+    }
+    return tweets;
+}
+
+export default {
+    flaggedClaims,
+    analyticsPageUrl,
+    buildReplyThread
+};
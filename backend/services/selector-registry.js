@@ -0,0 +1,168 @@
+/**
+ * Selector Registry Service
+ * Selector corrections for the extension's caption scraper (selectors.js in
+ * the extension root), published without republishing the extension, plus
+ * the caption health reports the extension sends back.
+ *
+ * A registry is data only - CSS selectors and the names of heuristics built
+ * into selectors.js - so it can't inject code into the page:
+ *   { version: 2, targets: { captionContainer: [{ id, type: 'css', selector }, { id, type: 'heuristic', name }] } }
+ * Targets it lists replace the extension's built-in strategies for that target.
+ */
+
+// Must match DEFAULT_REGISTRY.targets and HEURISTICS in selectors.js
+export const SELECTOR_TARGETS = [
+    'layersRoot', 'captionContainer', 'captionText', 'captionSpan',
+    'spaceStatusLabel', 'spaceEndSheet', 'spaceEndMask'
+];
+export const SELECTOR_HEURISTICS = ['documentBody', 'leafTextSpans', 'speakerBlocks'];
+export const HEALTH_STATUSES = ['idle', 'ok', 'degraded', 'stale', 'failing'];
+
+const REGISTRY_KEY = 'selector_registry';
+const HEALTH_KEY = 'selector_health';
+const MAX_HEALTH_REPORTS = 100;
+
+const EMPTY_REGISTRY = { version: 0, targets: {} };
+
+async function readJson(state, key, fallback) {
+    const value = await state.get(key);
+    if (!value) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Validate a registry
+ * @param {Object} registry
+ * @returns {Array<string>} - Errors
+ */
+export function validateRegistry(registry) {
+    const errors = [];
+    if (!registry || typeof registry !== 'object') return ['registry must be an object'];
+
+    if (!Number.isInteger(registry.version) || registry.version < 1) {
+        errors.push('version must be a positive integer');
+    }
+    if (!registry.targets || typeof registry.targets !== 'object' || Array.isArray(registry.targets)) {
+        errors.push('targets must be an object');
+        return errors;
+    }
+
+    Object.entries(registry.targets).forEach(([target, strategies]) => {
+        if (!SELECTOR_TARGETS.includes(target)) {
+            errors.push(`unknown target "${target}" (expected one of ${SELECTOR_TARGETS.join(', ')})`);
+            return;
+        }
+        if (!Array.isArray(strategies) || strategies.length === 0) {
+            errors.push(`${target} must be a non-empty array of strategies`);
+            return;
+        }
+        strategies.forEach((strategy, i) => {
+            if (strategy?.type === 'css') {
+                if (typeof strategy.selector !== 'string' || !strategy.selector.trim()) {
+                    errors.push(`${target}[${i}].selector must be a non-empty string`);
+                }
+            } else if (strategy?.type === 'heuristic') {
+                if (!SELECTOR_HEURISTICS.includes(strategy.name)) {
+                    errors.push(`${target}[${i}].name must be one of ${SELECTOR_HEURISTICS.join(', ')}`);
+                }
+            } else {
+                errors.push(`${target}[${i}].type must be css or heuristic`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * The published registry, or { version: 0, targets: {} } when the extension
+ * should use its built-in selectors
+ */
+export async function getRegistry(state) {
+    return readJson(state, REGISTRY_KEY, EMPTY_REGISTRY);
+}
+
+/**
+ * Publish a registry. Its version must be higher than the current one, so
+ * extensions can tell an update from what they already have.
+ * @returns {Promise<{ registry?: Object, errors: Array<string> }>}
+ */
+export async function publishRegistry(state, registry) {
+    const errors = validateRegistry(registry);
+    const current = await getRegistry(state);
+    const currentVersion = Math.max(current.version, current.last_version || 0);
+    if (errors.length === 0 && registry.version <= currentVersion) {
+        errors.push(`version must be greater than the current version ${currentVersion}`);
+    }
+    if (errors.length > 0) return { errors };
+
+    const published = { version: registry.version, targets: registry.targets, published_at: new Date().toISOString() };
+    await state.set(REGISTRY_KEY, JSON.stringify(published));
+    return { registry: published, errors: [] };
+}
+
+/**
+ * Withdraw the published registry; extensions fall back to their built-in selectors
+ */
+export async function clearRegistry(state) {
+    const current = await getRegistry(state);
+    // Keep the version so the next publish still has to go past it
+    const lastVersion = Math.max(current.version, current.last_version || 0);
+    await state.set(REGISTRY_KEY, JSON.stringify({ version: 0, targets: {}, last_version: lastVersion }));
+}
+
+// Health report writes, one at a time: each reads the list and writes it back,
+// so concurrent reports from several tabs would otherwise drop each other
+let healthWrites = Promise.resolve();
+
+/**
+ * Store a health report from an extension, keeping the latest MAX_HEALTH_REPORTS
+ * @returns {Promise<Object>} - The stored report
+ */
+export async function recordHealthReport(state, report, { apiKeyName = null } = {}) {
+    const stored = {
+        status: HEALTH_STATUSES.includes(report.status) ? report.status : 'unknown',
+        detail: typeof report.detail === 'string' ? report.detail.slice(0, 500) : null,
+        page: typeof report.page === 'string' ? report.page.slice(0, 200) : null,
+        registry_version: Number.isInteger(report.registry_version) ? report.registry_version : null,
+        extension_version: typeof report.extension_version === 'string' ? report.extension_version : null,
+        strategies: report.strategies && typeof report.strategies === 'object' ? report.strategies : {},
+        captions_seen: Number.isInteger(report.captions_seen) ? report.captions_seen : null,
+        last_caption_at: report.last_caption_at || null,
+        reported_by: apiKeyName,
+        received_at: new Date().toISOString()
+    };
+
+    const run = healthWrites.catch(() => {}).then(async () => {
+        const reports = await readJson(state, HEALTH_KEY, []);
+        reports.unshift(stored);
+        await state.set(HEALTH_KEY, JSON.stringify(reports.slice(0, MAX_HEALTH_REPORTS)));
+        return stored;
+    });
+    healthWrites = run;
+    return run;
+}
+
+/**
+ * Recent health reports, newest first, with a count per status
+ */
+export async function getHealthSummary(state) {
+    const reports = await readJson(state, HEALTH_KEY, []);
+    const counts = {};
+    reports.forEach(report => {
+        counts[report.status] = (counts[report.status] || 0) + 1;
+    });
+    return { latest: reports[0] || null, counts, reports };
+}
+
+export default {
+    SELECTOR_TARGETS,
+    SELECTOR_HEURISTICS,
+    HEALTH_STATUSES,
+    validateRegistry,
+    getRegistry,
+    publishRegistry,
+    clearRegistry,
+    recordHealthReport,
+    getHealthSummary
+};
@@ -0,0 +1,104 @@
+/**
+ * Space Events Service
+ * In-process pub/sub for live space updates, consumed by the SSE stream at
+ * GET /api/spaces/:id/events. Keeps a short per-space history so clients
+ * reconnecting with Last-Event-ID don't miss events.
+ *
+ * Event ids are "<boot id>-<sequence>". The boot id changes on every restart,
+ * so an id from before a restart is never mistaken for a newer one. A space's
+ * history is dropped a while after it ends, or once it has been idle for long.
+ */
+
+import { EventEmitter } from 'events';
+
+export const SPACE_EVENT_TYPES = [
+    'message-created',
+    'analysis-started',
+    'analysis-completed',
+    'credibility-updated',
+    'space-ended'
+];
+
+const HISTORY_SIZE = 200;
+const ENDED_RETENTION_MS = 5 * 60 * 1000;     // Reconnects still get space-ended
+const IDLE_RETENTION_MS = 6 * 60 * 60 * 1000; // Spaces that were never ended
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected client
+
+const BOOT_ID = Date.now().toString(36);
+const history = new Map(); // spaceId -> { events: [{ id, seq, type, data }], lastPublishedAt, ended }
+let nextSequence = 1;
+
+// Drop the history of spaces that ended, or went quiet, long enough ago
+setInterval(() => {
+    const now = Date.now();
+    history.forEach((entry, spaceId) => {
+        const retention = entry.ended ? ENDED_RETENTION_MS : IDLE_RETENTION_MS;
+        if (now - entry.lastPublishedAt > retention) history.delete(spaceId);
+    });
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Publish an event to everyone subscribed to a space
+ * @param {string} spaceId
+ * @param {string} type - One of SPACE_EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @returns {Object} - The published event
+ */
+export function publishSpaceEvent(spaceId, type, data = {}) {
+    if (!spaceId) return null;
+
+    const seq = nextSequence++;
+    const event = {
+        id: `${BOOT_ID}-${seq}`,
+        seq,
+        type,
+        data: { space_id: spaceId, ...data, timestamp: new Date().toISOString() }
+    };
+
+    const entry = history.get(spaceId) || { events: [], ended: false };
+    entry.events.push(event);
+    entry.events = entry.events.slice(-HISTORY_SIZE);
+    entry.lastPublishedAt = Date.now();
+    if (type === 'space-ended') entry.ended = true;
+    history.set(spaceId, entry);
+
+    emitter.emit(spaceId, event);
+    return event;
+}
+
+/**
+ * Listen for a space's events
+ * @param {string} spaceId
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToSpace(spaceId, listener) {
+    emitter.on(spaceId, listener);
+    return () => emitter.off(spaceId, listener);
+}
+
+/**
+ * Events published after a given id, for reconnecting clients. An id from an
+ * earlier run gets everything since this one started.
+ * @param {string} spaceId
+ * @param {string} lastEventId - e.g. "lq3k9x2a-42"
+ * @returns {Array}
+ */
+export function getEventsSince(spaceId, lastEventId) {
+    const events = history.get(spaceId)?.events || [];
+    const [bootId, seq] = String(lastEventId).split('-');
+    if (bootId !== BOOT_ID) return events;
+    return events.filter(e => e.seq > Number(seq));
+}
+
+/**
+ * Number of connected subscribers for a space
+ */
+export function subscriberCount(spaceId) {
+    return emitter.listenerCount(spaceId);
+}
+
+export default { SPACE_EVENT_TYPES, publishSpaceEvent, subscribeToSpace, getEventsSince, subscriberCount };
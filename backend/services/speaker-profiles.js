@@ -0,0 +1,167 @@
+/**
+ * Speaker Profiles Service
+ * Aggregates every fact-checked claim a speaker made across live spaces,
+ * debates and threads: overall credibility, score trend per space, verdict
+ * distribution, most common topics and worst claims.
+ */
+
+import { CLAIM_VERDICTS } from '../utils/fact-check-schema.js';
+import { textTopics } from '../utils/topics.js';
+import { scoredItems, computeCredibility, resolveStrategy } from './credibility.js';
+
+const TOP_TOPICS = 5;
+const WORST_CLAIMS = 5;
+
+// Trend slope (score points per space) below which a speaker counts as steady
+const TREND_THRESHOLD = 0.25;
+
+// Message verdicts predate claim rows; map them onto claim verdicts
+const MESSAGE_VERDICTS = {
+    True: 'TRUE',
+    False: 'FALSE',
+    Misleading: 'MIXED',
+    Unverified: 'UNVERIFIABLE'
+};
+
+const round1 = value => Math.round(value * 10) / 10;
+const average = scores => scores.length > 0 ? round1(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null;
+
+function parseMetadata(metadata) {
+    if (typeof metadata !== 'string') return metadata || {};
+    try {
+        return JSON.parse(metadata);
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Kind of conversation a space row holds: 'space', 'debate' or 'thread'
+ */
+export function spaceType(space) {
+    return parseMetadata(space?.metadata).type || 'space';
+}
+
+/**
+ * Least-squares slope of the per-space averages, as a direction
+ */
+function trendDirection(points) {
+    if (points.length < 2) return { direction: 'insufficient_data', slope: null };
+
+    const n = points.length;
+    const meanX = (n - 1) / 2;
+    const meanY = points.reduce((sum, p) => sum + p.average_score, 0) / n;
+    let num = 0;
+    let den = 0;
+    points.forEach((p, x) => {
+        num += (x - meanX) * (p.average_score - meanY);
+        den += (x - meanX) ** 2;
+    });
+
+    const slope = num / den;
+    const direction = slope > TREND_THRESHOLD ? 'improving' : slope < -TREND_THRESHOLD ? 'declining' : 'steady';
+    return { direction, slope: Math.round(slope * 100) / 100 };
+}
+
+/**
+ * Build a speaker's profile
+ * @param {Object} storage
+ * @param {Object} speaker - Speaker row
+ * @returns {Promise<Object>}
+ */
+export async function buildSpeakerProfile(storage, speaker) {
+    const messages = await storage.messages.listBySpeaker(speaker.id);
+    const items = scoredItems(messages);
+
+    const spaceIds = [...new Set(messages.map(m => m.space_id))];
+    const spaces = new Map();
+    await Promise.all(spaceIds.map(async id => spaces.set(id, await storage.spaces.get(id))));
+
+    const spaceInfo = id => {
+        const space = spaces.get(id);
+        return { space_id: id, title: space?.title || null, type: spaceType(space) };
+    };
+
+    // Verdict distribution
+    const verdicts = Object.fromEntries(CLAIM_VERDICTS.map(v => [v, 0]));
+    items.forEach(item => {
+        const verdict = MESSAGE_VERDICTS[item.verdict] || item.verdict;
+        if (verdict) verdicts[verdict] = (verdicts[verdict] || 0) + 1;
+    });
+
+    // Per-source totals (live spaces, debates, threads)
+    const bySource = {};
+    items.forEach(item => {
+        const { type } = spaceInfo(item.space_id);
+        bySource[type] = bySource[type] || [];
+        bySource[type].push(item.score);
+    });
+
+    // Trend: one point per space, in the order the speaker appeared in them
+    const bySpace = new Map();
+    items.forEach(item => {
+        if (!bySpace.has(item.space_id)) bySpace.set(item.space_id, { first: item.created_at, scores: [] });
+        bySpace.get(item.space_id).scores.push(item.score);
+    });
+    const points = [...bySpace.entries()]
+        .sort(([, a], [, b]) => String(a.first).localeCompare(String(b.first)))
+        .map(([id, { first, scores }]) => ({
+            ...spaceInfo(id),
+            date: first,
+            claims: scores.length,
+            average_score: average(scores)
+        }));
+
+    // Topics
+    const byTopic = new Map();
+    items.forEach(item => {
+        textTopics(item.text).forEach(topic => {
+            if (!byTopic.has(topic)) byTopic.set(topic, []);
+            byTopic.get(topic).push(item.score);
+        });
+    });
+    const topics = [...byTopic.entries()]
+        .map(([topic, scores]) => ({ topic, claims: scores.length, average_score: average(scores) }))
+        .sort((a, b) => b.claims - a.claims || a.average_score - b.average_score)
+        .slice(0, TOP_TOPICS);
+
+    const worstClaims = [...items]
+        .sort((a, b) => a.score - b.score)
+        .slice(0, WORST_CLAIMS)
+        .map(item => ({
+            claim_id: item.claim_id,
+            message_id: item.message_id,
+            text: item.text,
+            score: item.score,
+            verdict: MESSAGE_VERDICTS[item.verdict] || item.verdict,
+            created_at: item.created_at,
+            ...spaceInfo(item.space_id)
+        }));
+
+    const credibility = computeCredibility(messages, { strategy: resolveStrategy(null) });
+
+    return {
+        speaker: {
+            id: speaker.id,
+            username: speaker.username,
+            display_name: speaker.display_name
+        },
+        totals: {
+            messages: messages.length,
+            claims_scored: items.length,
+            spaces: spaceIds.length,
+            average_score: average(items.map(item => item.score)),
+            credibility_score: items.length > 0 ? credibility.score : null,
+            strategy: credibility.strategy
+        },
+        by_source: Object.fromEntries(Object.entries(bySource).map(([type, scores]) => [
+            type, { claims: scores.length, average_score: average(scores) }
+        ])),
+        verdict_distribution: verdicts,
+        trend: { ...trendDirection(points), points },
+        top_topics: topics,
+        worst_claims: worstClaims
+    };
+}
+
+export default { spaceType, buildSpeakerProfile };
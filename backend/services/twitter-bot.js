@@ -0,0 +1,430 @@
+/**
+ * Twitter Bot Worker
+ * Polls the bot account's mentions and replies to them. A mention inside a
+ * thread gets the thread analyzed (POST /api/threads/analyze) and a reply
+ * thread built from it (services/reply-thread.js); any other mention gets a
+ * short introduction. In a dry run the replies are only recorded in the
+ * status, not posted.
+ *
+ * The credentials live in the backend's environment and never leave it. The
+ * last-seen mention id is the 'twitter_last_seen_id' key of the shared state
+ * store, the same key /api/twitter/state/:key reads and writes, so it can be
+ * inspected or rewound there: every mention up to it has been handled. When a
+ * check can't fetch every new mention (page budget or rate limit), it handles
+ * the newest pages it got and records them in 'twitter_mentions_ahead'; the
+ * next checks fill the gap below them before moving the cursor on. A dry run
+ * keeps its own cursor ('twitter_dry_run_last_seen_id', starting from the live
+ * one), so previewed mentions still get a real reply later. Settings the
+ * extension may change (enabled, check interval, dry run) are kept under
+ * 'twitter_bot_settings'.
+ */
+
+import fetch from 'node-fetch';
+import { XApiClient } from './x-client.js';
+import { buildReplyThread, analyticsPageUrl } from './reply-thread.js';
+import { authorizationHeader } from '../utils/oauth1.js';
+import { tweetLength } from '../utils/tweet-text.js';
+
+export const LAST_SEEN_KEY = 'twitter_last_seen_id';
+const AHEAD_KEY = 'twitter_mentions_ahead';
+const DRY_RUN_LAST_SEEN_KEY = 'twitter_dry_run_last_seen_id';
+const DRY_RUN_AHEAD_KEY = 'twitter_dry_run_mentions_ahead';
+const SETTINGS_KEY = 'twitter_bot_settings';
+// State keys a bot-scoped API key may read and write through /api/twitter/state/:key
+export const CURSOR_KEYS = [LAST_SEEN_KEY, AHEAD_KEY, DRY_RUN_LAST_SEEN_KEY, DRY_RUN_AHEAD_KEY];
+// Mentions answered on the very first check, with no cursor yet: only the latest page
+const FIRST_CHECK_MENTIONS = 10;
+// Upper bound per check; the client's page budget (X_MAX_PAGES) usually stops first
+const MAX_MENTIONS_PER_CHECK = 1000;
+const MAX_RECENT = 20;
+const MIN_INTERVAL_MINUTES = 0.5;
+const MAX_INTERVAL_MINUTES = 60;
+
+// Environment variable for each credential
+const CREDENTIAL_ENV = {
+    apiKey: 'X_API_KEY',
+    apiSecret: 'X_API_SECRET',
+    accessToken: 'X_ACCESS_TOKEN',
+    accessTokenSecret: 'X_ACCESS_TOKEN_SECRET',
+    botUserId: 'X_BOT_USER_ID'
+};
+
+/**
+ * Bot configuration from the environment
+ * @returns {{ credentials: Object, checkIntervalMinutes: number, dryRun: boolean, missing: Array<string> }}
+ *   missing lists the unset variables; the bot can't run until it's empty
+ */
+export function twitterBotConfigFromEnv(env = process.env) {
+    const credentials = {};
+    const missing = [];
+    Object.entries(CREDENTIAL_ENV).forEach(([name, variable]) => {
+        credentials[name] = env[variable] || null;
+        if (!env[variable]) missing.push(variable);
+    });
+
+    return {
+        credentials,
+        checkIntervalMinutes: parseFloat(env.X_CHECK_INTERVAL) || MIN_INTERVAL_MINUTES,
+        dryRun: env.X_BOT_DRY_RUN === 'true',
+        missing
+    };
+}
+
+// Tweet ids are 64-bit: compare them as decimal strings, not Numbers
+export function compareTweetIds(a, b) {
+    if (a.length !== b.length) return a.length - b.length;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export class TwitterBot {
+    /**
+     * @param {Object} options
+     * @param {Object} options.state - Storage state repository (get/set)
+     * @param {Function} options.analyzeThread - async ({ conversationId, triggeringTweetId, triggeringUsername })
+     *   => { spaceId, summary, claims }, as POST /api/threads/analyze
+     * @param {Function} options.completeThread - async (spaceId), as POST /api/threads/:id/complete
+     * @param {Object} [options.config] - See twitterBotConfigFromEnv()
+     * @param {Function} [options.fetchImpl] - fetch() for the bot's X API client
+     */
+    constructor({ state, analyzeThread, completeThread, config = twitterBotConfigFromEnv(), fetchImpl = fetch }) {
+        this.state = state;
+        this.analyzeThread = analyzeThread;
+        this.completeThread = completeThread;
+        this.config = config;
+        // Mentions must be fresh, so nothing is cached
+        this.client = new XApiClient({
+            name: 'bot',
+            authorize: (method, url) => authorizationHeader({ method, url, credentials: config.credentials }),
+            cacheTtlMs: 0,
+            fetchImpl
+        });
+
+        this.settings = {
+            enabled: true,
+            check_interval_minutes: config.checkIntervalMinutes,
+            dry_run: config.dryRun
+        };
+        this.started = false;
+        this.timer = null;
+        this.checking = null;
+        this.deferredUntil = null;
+        this.stats = {
+            last_check_at: null,
+            last_success_at: null,
+            last_error: null,
+            mentions_processed: 0,
+            replies_posted: 0
+        };
+        this.recent = [];
+    }
+
+    get configured() {
+        return this.config.missing.length === 0;
+    }
+
+    /**
+     * Load saved settings and start polling if the bot is configured and enabled
+     */
+    async start() {
+        if (!this.configured) {
+            console.log(`🐦 Twitter bot off: ${this.config.missing.join(', ')} not set`);
+            return;
+        }
+
+        const saved = await this.state.get(SETTINGS_KEY);
+        if (saved) {
+            Object.assign(this.settings, typeof saved === 'string' ? JSON.parse(saved) : saved);
+        }
+
+        this.started = true;
+        if (this.settings.enabled) {
+            console.log(`🐦 Twitter bot polling mentions every ${this.settings.check_interval_minutes} min`);
+            this.schedule(0);
+        } else {
+            console.log('🐦 Twitter bot paused (enable it from the extension or PUT /api/twitter/bot)');
+        }
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule(delayMs = this.settings.check_interval_minutes * 60 * 1000) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.started || !this.settings.enabled) return;
+
+        // Don't poll into an exhausted rate-limit window
+        if (this.deferredUntil) delayMs = Math.max(delayMs, this.deferredUntil - Date.now());
+
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            await this.checkMentions().catch(() => {});
+            this.schedule();
+        }, delayMs);
+    }
+
+    /**
+     * Change the settings the extension controls and persist them
+     * @param {Object} changes - { enabled?, check_interval_minutes?, dry_run? }
+     * @returns {Promise<{ errors: Array<string> }>}
+     */
+    async updateSettings(changes = {}) {
+        const errors = [];
+        const next = { ...this.settings };
+
+        if (changes.enabled !== undefined) {
+            if (typeof changes.enabled !== 'boolean') errors.push('enabled must be a boolean');
+            else next.enabled = changes.enabled;
+        }
+        if (changes.dry_run !== undefined) {
+            if (typeof changes.dry_run !== 'boolean') errors.push('dry_run must be a boolean');
+            else next.dry_run = changes.dry_run;
+        }
+        if (changes.check_interval_minutes !== undefined) {
+            const minutes = changes.check_interval_minutes;
+            if (typeof minutes !== 'number' || !(minutes >= MIN_INTERVAL_MINUTES && minutes <= MAX_INTERVAL_MINUTES)) {
+                errors.push(`check_interval_minutes must be between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`);
+            } else {
+                next.check_interval_minutes = minutes;
+            }
+        }
+        if (errors.length > 0) return { errors };
+
+        this.settings = next;
+        await this.state.set(SETTINGS_KEY, JSON.stringify(this.settings));
+        console.log(`🐦 Twitter bot ${next.enabled ? `enabled (every ${next.check_interval_minutes} min)` : 'paused'}${next.dry_run ? ', dry run' : ''}`);
+
+        if (this.configured && !this.started) {
+            await this.start();
+        } else {
+            this.schedule(0);
+        }
+        return { errors };
+    }
+
+    /**
+     * Status for the extension: no credentials, only which ones are missing
+     */
+    async getStatus() {
+        return {
+            configured: this.configured,
+            missing: this.config.missing,
+            enabled: this.settings.enabled,
+            running: this.configured && this.started && this.settings.enabled,
+            checking: Boolean(this.checking),
+            check_interval_minutes: this.settings.check_interval_minutes,
+            dry_run: this.settings.dry_run,
+            bot_user_id: this.config.credentials.botUserId,
+            last_seen_id: (await this.state.get(LAST_SEEN_KEY)) || null,
+            dry_run_last_seen_id: (await this.state.get(DRY_RUN_LAST_SEEN_KEY)) || null,
+            deferred_until: this.deferredUntil ? new Date(this.deferredUntil).toISOString() : null,
+            ...this.stats,
+            recent: this.recent
+        };
+    }
+
+    /**
+     * Fetch mentions newer than the shared cursor and reply to them, oldest
+     * first. Concurrent calls share the check already running.
+     * @returns {Promise<{ mentions: number, replied: number }>}
+     */
+    checkMentions() {
+        if (!this.configured) {
+            return Promise.reject(new Error(`Twitter bot not configured: ${this.config.missing.join(', ')} not set`));
+        }
+        if (!this.checking) {
+            this.checking = this.runCheck().finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    }
+
+    async runCheck() {
+        this.stats.last_check_at = new Date().toISOString();
+        try {
+            // A dry run moves its own cursor, starting from where the live one is
+            const dryRun = this.settings.dry_run;
+            const lastSeenKey = dryRun ? DRY_RUN_LAST_SEEN_KEY : LAST_SEEN_KEY;
+            const aheadKey = dryRun ? DRY_RUN_AHEAD_KEY : AHEAD_KEY;
+            const lastSeenId = (await this.state.get(lastSeenKey)) || (dryRun ? await this.state.get(LAST_SEEN_KEY) : null);
+            // Mentions already handled above a gap that an earlier check couldn't fetch
+            const savedAhead = await this.state.get(aheadKey);
+            const ahead = savedAhead ? (typeof savedAhead === 'string' ? JSON.parse(savedAhead) : savedAhead) : null;
+
+            // Newest first, so a cut-short result is missing the oldest mentions
+            const data = await this.client.paginate(`/users/${this.config.credentials.botUserId}/mentions`, {
+                params: {
+                    'since_id': lastSeenId || undefined,
+                    'until_id': ahead?.oldest_id,
+                    'user.fields': 'username',
+                    'tweet.fields': 'author_id,conversation_id',
+                    'expansions': 'author_id'
+                },
+                maxResults: lastSeenId ? MAX_MENTIONS_PER_CHECK : FIRST_CHECK_MENTIONS,
+                minPageSize: 5,
+                tokenParam: 'pagination_token'
+            });
+            // The first check starts from the latest page on purpose; otherwise
+            // everything since the cursor must have been fetched
+            const complete = !lastSeenId || !data.meta.next_token;
+
+            const mentions = data.data.sort((a, b) => compareTweetIds(a.id, b.id));
+            const usernames = {};
+            (data.includes.users || []).forEach(user => {
+                usernames[user.id] = user.username;
+            });
+
+            let replied = 0;
+            for (const mention of mentions) {
+                if (await this.processMention(mention, usernames[mention.author_id] || 'unknown', dryRun)) replied++;
+                // The cursor moves on either way, so one bad mention can't block the rest
+                if (complete) await this.state.set(lastSeenKey, mention.id);
+            }
+
+            if (complete && ahead) {
+                // Gap filled: everything up to the mentions handled earlier is done
+                await this.state.set(lastSeenKey, ahead.newest_id);
+                await this.state.set(aheadKey, null);
+            } else if (!complete && mentions.length > 0) {
+                console.log(`🐦 Mentions older than ${mentions[0].id} not fetched yet (${data.meta.truncated}); next check continues there`);
+                await this.state.set(aheadKey, JSON.stringify({
+                    oldest_id: mentions[0].id,
+                    newest_id: ahead?.newest_id || mentions[mentions.length - 1].id
+                }));
+            }
+
+            if (mentions.length > 0) {
+                console.log(`🐦 ${mentions.length} new mention(s), ${replied} replied`);
+            }
+            this.stats.last_success_at = new Date().toISOString();
+            this.stats.last_error = null;
+            this.deferredUntil = null;
+            return { mentions: mentions.length, replied };
+        } catch (error) {
+            console.error('❌ Error checking mentions:', error.message);
+            this.stats.last_error = error.message;
+            if (error.retryAt) this.deferredUntil = error.retryAt;
+            throw error;
+        }
+    }
+
+    /**
+     * Reply to one mention
+     * @param {boolean} dryRun - Only build the replies (fixed for the whole check)
+     * @returns {Promise<boolean>} - Whether a reply was posted (never in a dry run)
+     */
+    async processMention(mention, username, dryRun = this.settings.dry_run) {
+        const isThread = mention.id !== mention.conversation_id;
+        const entry = {
+            tweet_id: mention.id,
+            username,
+            kind: isThread ? 'thread' : 'mention',
+            space_id: null,
+            status: null,
+            error: null,
+            dry_run: dryRun,
+            thread: [],
+            reply_ids: [],
+            at: new Date().toISOString()
+        };
+        console.log(`🐦 Mention ${mention.id} from @${username}${isThread ? ` in thread ${mention.conversation_id}` : ''}`);
+
+        try {
+            if (isThread) {
+                await this.replyWithThreadAnalysis(mention, username, entry);
+            } else {
+                await this.sendReplies([this.introductionReply(username)], mention.id, entry);
+            }
+            entry.status = dryRun ? 'previewed' : 'replied';
+            if (!dryRun) this.stats.replies_posted++;
+        } catch (error) {
+            console.error(`❌ Error replying to mention ${mention.id}:`, error.message);
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+
+        this.stats.mentions_processed++;
+        this.recent.unshift(entry);
+        this.recent.length = Math.min(this.recent.length, MAX_RECENT);
+        return entry.status === 'replied';
+    }
+
+    async replyWithThreadAnalysis(mention, username, entry) {
+        let analysis;
+        try {
+            analysis = await this.analyzeThread({
+                conversationId: mention.conversation_id,
+                triggeringTweetId: mention.id,
+                triggeringUsername: username
+            });
+        } catch (error) {
+            console.error('❌ Thread analysis error:', error.message);
+            await this.sendReplies([`@${username} Sorry, I couldn't analyze this thread. Please try again later.`], mention.id, entry);
+            throw error;
+        }
+
+        entry.space_id = analysis.spaceId;
+        const tweets = buildReplyThread({
+            username,
+            summary: analysis.summary,
+            claims: analysis.claims,
+            analyticsUrl: analyticsPageUrl(analysis.spaceId)
+        });
+
+        try {
+            await this.sendReplies(tweets, mention.id, entry);
+        } finally {
+            // Only once the summary is up: completing triggers the edge function
+            if (entry.reply_ids.length > 0) await this.completeThread(analysis.spaceId);
+        }
+    }
+
+    /**
+     * Post tweets as a chain under a mention, each replying to the one
+     * before; in a dry run only record them
+     */
+    async sendReplies(tweets, inReplyToId, entry) {
+        entry.thread = tweets.map(text => ({ text, length: tweetLength(text) }));
+        if (entry.dry_run) {
+            console.log(`🐦 Dry run, not posting ${tweets.length} tweet(s) to ${inReplyToId}:\n${tweets.join('\n---\n')}`);
+            return;
+        }
+
+        let replyTo = inReplyToId;
+        for (const text of tweets) {
+            try {
+                const result = await this.postReply(text, replyTo);
+                replyTo = result.data.id;
+            } catch (error) {
+                if (entry.reply_ids.length > 0) {
+                    error.message = `Reply thread stopped after ${entry.reply_ids.length} of ${tweets.length} tweets: ${error.message}`;
+                }
+                throw error;
+            }
+            entry.reply_ids.push(replyTo);
+        }
+    }
+
+    introductionReply(username) {
+        return `@${username} Thanks for the mention! I'm Veritas, a fact-checking bot. Mention me in a thread and I'll fact-check it. #FactCheck`;
+    }
+
+    async postReply(text, inReplyToId) {
+        return this.client.request('/tweets', {
+            method: 'POST',
+            body: { text, reply: { in_reply_to_tweet_id: inReplyToId } }
+        });
+    }
+}
+
+export default {
+    LAST_SEEN_KEY,
+    CURSOR_KEYS,
+    TwitterBot,
+    twitterBotConfigFromEnv,
+    compareTweetIds
+};
@@ -3,13 +3,12 @@
  * Provides methods for searching tweets and fetching user timelines
  */
 
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { chatCompletion } from './llm.js';
+import { XApiClient } from './x-client.js';
 
 dotenv.config();
 
-const X_API_BASE = 'https://api.x.com/2';
-
 /**
  * Get the bearer token from environment
  */
@@ -22,53 +21,41 @@ function getBearerToken() {
     return token;
 }
 
+// App-only client: rate-limit budgets, pagination and the response cache
+const xClient = new XApiClient({
+    name: 'app',
+    authorize: () => {
+        const token = getBearerToken();
+        if (!token) {
+            throw new Error('X API bearer token not configured');
+        }
+        return `Bearer ${token}`;
+    }
+});
+
 /**
  * Make an authenticated request to the X API
  */
 async function xApiRequest(endpoint, params = {}) {
-    const token = getBearerToken();
-    if (!token) {
-        throw new Error('X API bearer token not configured');
-    }
-
-    const url = new URL(`${X_API_BASE}${endpoint}`);
-    Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-            url.searchParams.append(key, value);
-        }
-    });
-
-    const response = await fetch(url.toString(), {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        }
-    });
-
-    if (!response.ok) {
-        const errorBody = await response.text();
-        console.error(`X API Error ${response.status}:`, errorBody);
-        throw new Error(`X API error: ${response.status} - ${response.statusText}`);
-    }
-
-    return response.json();
+    return xClient.request(endpoint, { params });
 }
 
 /**
  * Search for recent tweets matching a query
  * @param {string} query - Search query (supports X API operators)
- * @param {number} maxResults - Maximum number of results (10-100)
+ * @param {number} maxResults - Maximum number of results; over 100 follows next_token, up to X_MAX_PAGES pages
  * @returns {Promise<Object>} - Tweet search results
  */
 export async function searchTweets(query, maxResults = 25) {
     try {
-        const result = await xApiRequest('/tweets/search/recent', {
-            query: query,
-            max_results: Math.min(Math.max(maxResults, 10), 100),
-            'tweet.fields': 'created_at,public_metrics,author_id,conversation_id,in_reply_to_user_id,referenced_tweets',
-            'user.fields': 'name,username,verified,public_metrics,profile_image_url',
-            'expansions': 'author_id,referenced_tweets.id,referenced_tweets.id.author_id'
+        const result = await xClient.paginate('/tweets/search/recent', {
+            params: {
+                query: query,
+                'tweet.fields': 'created_at,public_metrics,author_id,conversation_id,in_reply_to_user_id,referenced_tweets',
+                'user.fields': 'name,username,verified,public_metrics,profile_image_url',
+                'expansions': 'author_id,referenced_tweets.id,referenced_tweets.id.author_id'
+            },
+            maxResults
         });
 
         return result;
@@ -81,10 +68,10 @@ export async function searchTweets(query, maxResults = 25) {
 /**
  * Get all tweets in a conversation thread
  * @param {string} conversationId - The conversation ID (usually the original tweet's ID)
- * @param {number} maxResults - Maximum number of results (10-100)
+ * @param {number} maxResults - Maximum number of replies; over 100 follows next_token, up to X_MAX_PAGES pages
  * @returns {Promise<Object>} - Thread tweets with user data
  */
-export async function getThreadTweets(conversationId, maxResults = 100) {
+export async function getThreadTweets(conversationId, maxResults = 300) {
     try {
         console.log(`🧵 Fetching thread with conversation_id: ${conversationId}`);
 
@@ -111,12 +98,14 @@ export async function getThreadTweets(conversationId, maxResults = 100) {
         }
 
         // Then fetch all replies in the conversation
-        const result = await xApiRequest('/tweets/search/recent', {
-            query: `conversation_id:${conversationId}`,
-            max_results: Math.min(Math.max(maxResults, 10), 100),
-            'tweet.fields': 'created_at,public_metrics,author_id,conversation_id,in_reply_to_user_id,referenced_tweets,text',
-            'user.fields': 'name,username,verified,public_metrics,profile_image_url',
-            'expansions': 'author_id,referenced_tweets.id'
+        const result = await xClient.paginate('/tweets/search/recent', {
+            params: {
+                query: `conversation_id:${conversationId}`,
+                'tweet.fields': 'created_at,public_metrics,author_id,conversation_id,in_reply_to_user_id,referenced_tweets,text',
+                'user.fields': 'name,username,verified,public_metrics,profile_image_url',
+                'expansions': 'author_id,referenced_tweets.id'
+            },
+            maxResults
         });
 
         // Build user lookup map
@@ -181,15 +170,19 @@ export async function getUserByUsername(username) {
 /**
  * Get tweets from a user's timeline
  * @param {string} userId - X user ID
- * @param {number} maxResults - Maximum number of results (5-100)
+ * @param {number} maxResults - Maximum number of results; over 100 follows pagination_token, up to X_MAX_PAGES pages
  * @returns {Promise<Object>} - User tweets
  */
 export async function getUserTweets(userId, maxResults = 50) {
     try {
-        const result = await xApiRequest(`/users/${userId}/tweets`, {
-            max_results: Math.min(Math.max(maxResults, 5), 100),
-            'tweet.fields': 'created_at,public_metrics,conversation_id,in_reply_to_user_id',
-            exclude: 'retweets,replies'
+        const result = await xClient.paginate(`/users/${userId}/tweets`, {
+            params: {
+                'tweet.fields': 'created_at,public_metrics,conversation_id,in_reply_to_user_id',
+                exclude: 'retweets,replies'
+            },
+            maxResults,
+            minPageSize: 5,
+            tokenParam: 'pagination_token'
         });
 
         return result;
@@ -306,18 +299,11 @@ async function extractSearchTermsWithGrok(claim) {
     const algoKeywords = extractKeywordsAlgorithmically(claim);
 
     try {
-        const response = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'grok-4-1-fast-reasoning',
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You extract SPECIFIC search terms for finding relevant X posts about a SPECIFIC claim.
+        const { content } = await chatCompletion('fast', {
+            messages: [
+                {
+                    role: 'system',
+                    content: `You extract SPECIFIC search terms for finding relevant X posts about a SPECIFIC claim.
 CRITICAL: The search must find posts ABOUT THIS EXACT CLAIM or directly responding to it, NOT general posts about the topic.
 
 Given a claim, return JSON:
@@ -345,19 +331,16 @@ Output: {
 }
 
 Return ONLY JSON.`
-                    },
-                    {
-                        role: 'user',
-                        content: `Extract search terms: "${claim.substring(0, 500)}"`
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 300
-            })
+                },
+                {
+                    role: 'user',
+                    content: `Extract search terms: "${claim.substring(0, 500)}"`
+                }
+            ],
+            temperature: 0.1,
+            max_tokens: 300
         });
 
-        const data = await response.json();
-        const content = data.choices[0]?.message?.content;
         const jsonMatch = content.match(/\{[\s\S]*\}/);
         if (jsonMatch) {
             const result = JSON.parse(jsonMatch[0]);
@@ -927,12 +910,20 @@ export function isXApiAvailable() {
     return !!getBearerToken();
 }
 
+/**
+ * Rate-limit budgets, cache and counters of the app-only client
+ */
+export function getXApiStatus() {
+    return xClient.getStatus();
+}
+
 export default {
     searchTweets,
     getUserByUsername,
     getUserTweets,
     getTweetsByUsername,
     buildPropagationFromSearch,
-    isXApiAvailable
+    isXApiAvailable,
+    getXApiStatus
 };
 
@@ -0,0 +1,339 @@
+/**
+ * X API Client
+ * The one place X API v2 requests are made. It keeps a rate-limit budget
+ * per endpoint from X's x-rate-limit-* headers, waits for a window to reset
+ * when that's soon, and otherwise fails fast so callers can defer. It also
+ * follows pagination tokens up to a page budget and caches GET responses
+ * for a while, so repeated searches don't spend the monthly read quota.
+ */
+
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Point at mock/x-api-server.js (http://localhost:3102/2) to work offline
+export const X_API_BASE = (process.env.X_API_BASE || 'https://api.x.com/2').replace(/\/+$/, '');
+
+const DEFAULTS = {
+    cacheTtlMs: parseInt(process.env.X_CACHE_TTL_SECONDS || '900') * 1000,
+    maxCacheEntries: parseInt(process.env.X_CACHE_MAX_ENTRIES || '500'),
+    maxWaitMs: parseInt(process.env.X_RATE_LIMIT_MAX_WAIT_SECONDS || '30') * 1000,
+    maxPages: parseInt(process.env.X_MAX_PAGES || '3')
+};
+
+// Used when a 429 comes without x-rate-limit-reset: X's windows are 15 minutes
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Rate-limit bucket for a request: ids and usernames in the path are
+ * replaced, since X counts limits per endpoint
+ * @example endpointKey('GET', '/users/123/mentions') // 'GET /users/:id/mentions'
+ */
+export function endpointKey(method, path) {
+    const template = path
+        .replace(/^\/users\/by\/username\/[^/]+/, '/users/by/username/:username')
+        .replace(/\/\d+(?=\/|$)/g, '/:id');
+    return `${method.toUpperCase()} ${template}`;
+}
+
+function rateLimitedError(endpoint, resetAt) {
+    const error = new Error(`X API rate limit reached for ${endpoint}; resets at ${new Date(resetAt).toISOString()}`);
+    error.status = 429;
+    error.retryAt = resetAt;
+    return error;
+}
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class XApiClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Used in logs and status
+     * @param {Function} options.authorize - (method, url) => Authorization header value; throw if not configured
+     * @param {string} [options.baseUrl=X_API_BASE]
+     * @param {number} [options.cacheTtlMs] - 0 disables the cache (X_CACHE_TTL_SECONDS)
+     * @param {number} [options.maxCacheEntries] - X_CACHE_MAX_ENTRIES
+     * @param {number} [options.maxWaitMs] - Longest wait for a window to reset before failing (X_RATE_LIMIT_MAX_WAIT_SECONDS)
+     * @param {number} [options.maxPages] - Default page budget for paginate() (X_MAX_PAGES)
+     * @param {Function} [options.fetchImpl]
+     * @param {Function} [options.now]
+     * @param {Function} [options.sleep]
+     */
+    constructor({
+        name,
+        authorize,
+        baseUrl = X_API_BASE,
+        cacheTtlMs = DEFAULTS.cacheTtlMs,
+        maxCacheEntries = DEFAULTS.maxCacheEntries,
+        maxWaitMs = DEFAULTS.maxWaitMs,
+        maxPages = DEFAULTS.maxPages,
+        fetchImpl = fetch,
+        now = Date.now,
+        sleep = defaultSleep
+    }) {
+        this.name = name;
+        this.authorize = authorize;
+        this.baseUrl = baseUrl;
+        this.cacheTtlMs = cacheTtlMs;
+        this.maxCacheEntries = maxCacheEntries;
+        this.maxWaitMs = maxWaitMs;
+        this.maxPages = maxPages;
+        this.fetch = fetchImpl;
+        this.now = now;
+        this.sleep = sleep;
+
+        this.budgets = new Map();   // endpoint -> { limit, remaining, resetAt }
+        this.cache = new Map();     // url -> { value, expires }, oldest first
+        this.inFlight = new Map();  // url -> Promise, for identical concurrent GETs
+        this.stats = {
+            requests: 0,
+            cache_hits: 0,
+            waits: 0,
+            rate_limited: 0,
+            tweets_read: 0
+        };
+    }
+
+    buildUrl(path, params = {}) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) url.searchParams.append(key, value);
+        });
+        return url.toString();
+    }
+
+    /**
+     * Take one request from an endpoint's budget, waiting for the window to
+     * reset if it's exhausted and resets within maxWaitMs
+     */
+    async reserve(endpoint) {
+        for (;;) {
+            const budget = this.budgets.get(endpoint);
+            if (!budget || this.now() >= budget.resetAt) return;
+            if (budget.remaining > 0) {
+                budget.remaining--;
+                return;
+            }
+
+            const waitMs = budget.resetAt - this.now();
+            if (waitMs > this.maxWaitMs) throw rateLimitedError(endpoint, budget.resetAt);
+
+            this.stats.waits++;
+            console.log(`⏳ X API ${endpoint} exhausted; waiting ${Math.ceil(waitMs / 1000)}s for the window to reset`);
+            await this.sleep(waitMs);
+        }
+    }
+
+    updateBudget(endpoint, headers) {
+        const limit = headers.get('x-rate-limit-limit');
+        const remaining = headers.get('x-rate-limit-remaining');
+        const reset = headers.get('x-rate-limit-reset');
+        if (remaining === null || reset === null) return;
+
+        this.budgets.set(endpoint, {
+            limit: limit === null ? null : parseInt(limit),
+            remaining: parseInt(remaining),
+            resetAt: parseInt(reset) * 1000
+        });
+    }
+
+    cached(url) {
+        const entry = this.cache.get(url);
+        if (!entry) return undefined;
+        if (entry.expires <= this.now()) {
+            this.cache.delete(url);
+            return undefined;
+        }
+        // Most recently used goes last, so eviction drops the oldest
+        this.cache.delete(url);
+        this.cache.set(url, entry);
+        return entry.value;
+    }
+
+    store(url, value) {
+        this.cache.set(url, { value, expires: this.now() + this.cacheTtlMs });
+        while (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * One X API request
+     * @param {string} path - e.g. '/tweets/search/recent'
+     * @param {Object} [options]
+     * @param {string} [options.method='GET']
+     * @param {Object} [options.params] - Query parameters
+     * @param {Object} [options.body] - JSON body
+     * @param {boolean} [options.cache] - Use the response cache (default: GETs, when cacheTtlMs > 0)
+     * @returns {Promise<Object>} - Parsed JSON. Throws on errors; rate-limit
+     *   errors have status 429 and retryAt (ms)
+     */
+    async request(path, { method = 'GET', params = {}, body, cache = method === 'GET' } = {}) {
+        const url = this.buildUrl(path, params);
+        const useCache = cache && this.cacheTtlMs > 0;
+
+        if (useCache) {
+            const hit = this.cached(url);
+            if (hit !== undefined) {
+                this.stats.cache_hits++;
+                return hit;
+            }
+            if (this.inFlight.has(url)) return this.inFlight.get(url);
+        }
+
+        const pending = this.send(path, method, url, body);
+        if (!useCache) return pending;
+
+        this.inFlight.set(url, pending);
+        try {
+            const value = await pending;
+            this.store(url, value);
+            return value;
+        } finally {
+            this.inFlight.delete(url);
+        }
+    }
+
+    async send(path, method, url, body) {
+        const endpoint = endpointKey(method, path);
+
+        // One retry after a 429, if the window resets within maxWaitMs
+        for (let attempt = 1; ; attempt++) {
+            await this.reserve(endpoint);
+
+            this.stats.requests++;
+            const response = await this.fetch(url, {
+                method,
+                headers: {
+                    'Authorization': this.authorize(method, url),
+                    'Content-Type': 'application/json'
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            this.updateBudget(endpoint, response.headers);
+
+            if (response.status === 429) {
+                this.stats.rate_limited++;
+                const budget = this.budgets.get(endpoint);
+                const resetAt = budget?.resetAt > this.now() ? budget.resetAt : this.now() + DEFAULT_WINDOW_MS;
+                this.budgets.set(endpoint, { limit: budget?.limit ?? null, remaining: 0, resetAt });
+                console.warn(`⚠️ X API 429 on ${endpoint} (${this.name})`);
+                if (attempt < 2) continue;
+                throw rateLimitedError(endpoint, resetAt);
+            }
+
+            if (!response.ok) {
+                const errorBody = await response.text();
+                console.error(`X API Error ${response.status}:`, errorBody);
+                const error = new Error(`X API error: ${response.status} - ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const json = await response.json();
+            if (Array.isArray(json.data)) this.stats.tweets_read += json.data.length;
+            return json;
+        }
+    }
+
+    /**
+     * Fetch up to maxResults items across pages, following meta.next_token.
+     * Stops early at the page budget, or with what it has when a later page
+     * is rate limited (meta.truncated says why).
+     * @param {string} path
+     * @param {Object} options
+     * @param {Object} [options.params]
+     * @param {number} options.maxResults - Items wanted in total
+     * @param {number} [options.minPageSize=10] - The endpoint's smallest max_results
+     * @param {number} [options.maxPageSize=100] - Its largest
+     * @param {string} [options.tokenParam='next_token'] - 'pagination_token' for timelines
+     * @param {number} [options.maxPages] - Page budget (default X_MAX_PAGES)
+     * @returns {Promise<{ data: Array, includes: Object, meta: Object }>}
+     */
+    async paginate(path, {
+        params = {},
+        maxResults,
+        minPageSize = 10,
+        maxPageSize = 100,
+        tokenParam = 'next_token',
+        maxPages = this.maxPages
+    }) {
+        const data = [];
+        const users = new Map();
+        const tweets = new Map();
+        let meta = {};
+        let token;
+        let pages = 0;
+        let truncated = null;
+
+        do {
+            const pageSize = Math.min(maxPageSize, Math.max(minPageSize, maxResults - data.length));
+            let page;
+            try {
+                page = await this.request(path, { params: { ...params, max_results: pageSize, [tokenParam]: token } });
+            } catch (error) {
+                if (pages === 0 || error.status !== 429) throw error;
+                truncated = 'rate_limited';
+                break;
+            }
+
+            pages++;
+            data.push(...(page.data || []));
+            (page.includes?.users || []).forEach(user => users.set(user.id, user));
+            (page.includes?.tweets || []).forEach(tweet => tweets.set(tweet.id, tweet));
+            meta = page.meta || {};
+            token = meta.next_token;
+        } while (token && data.length < maxResults && pages < maxPages);
+
+        if (!truncated && token && data.length < maxResults) truncated = 'page_budget';
+
+        const includes = {};
+        if (users.size > 0) includes.users = [...users.values()];
+        if (tweets.size > 0) includes.tweets = [...tweets.values()];
+
+        const items = data.slice(0, maxResults);
+        return {
+            data: items,
+            includes,
+            meta: {
+                result_count: items.length,
+                newest_id: items[0]?.id,
+                oldest_id: items[items.length - 1]?.id,
+                next_token: token,
+                pages,
+                truncated
+            }
+        };
+    }
+
+    /**
+     * Budgets, cache size and counters, for GET /api/twitter/limits
+     */
+    getStatus() {
+        const budgets = {};
+        this.budgets.forEach((budget, endpoint) => {
+            const current = this.now() < budget.resetAt;
+            budgets[endpoint] = {
+                limit: budget.limit,
+                remaining: current ? budget.remaining : budget.limit,
+                reset_at: new Date(budget.resetAt).toISOString()
+            };
+        });
+
+        return {
+            name: this.name,
+            base_url: this.baseUrl,
+            budgets,
+            cache: { entries: this.cache.size, ttl_seconds: this.cacheTtlMs / 1000 },
+            max_pages: this.maxPages,
+            ...this.stats
+        };
+    }
+}
+
+export default {
+    X_API_BASE,
+    XApiClient,
+    endpointKey
+};
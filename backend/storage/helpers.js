@@ -0,0 +1,70 @@
+/**
+ * Storage Helpers
+ * Shared by every storage implementation.
+ */
+
+import { normalizeClaimText, fingerprintClaim } from '../utils/claim-text.js';
+
+// Claim fields callers may set; everything else is derived from the message
+export const CLAIM_FIELDS = [
+    'text', 'score', 'verdict', 'explanation', 'sources', 'propagation_analysis', 'consistency_analysis',
+    'matched_claim_id', 'match_score', 'verified_at', 'depends_on'
+];
+
+/**
+ * Claim row fields from an analysis claim ({ text, score, verdict, explanation, sources }),
+ * plus any match link set by services/claim-matching.js and the earlier messages
+ * it depends on (services/conversation-context.js)
+ * @param {Object} message - Message row (id, space_id, speaker_id)
+ * @param {Object} claim
+ * @param {number} index - Position of the claim within the message
+ */
+export function claimRow(message, claim, index) {
+    const score = typeof claim.score === 'number' ? claim.score : null;
+    return {
+        message_id: message.id,
+        space_id: message.space_id,
+        speaker_id: message.speaker_id || null,
+        claim_index: index,
+        text: claim.text,
+        score,
+        verdict: claim.verdict ? String(claim.verdict).toUpperCase() : null,
+        explanation: claim.explanation || null,
+        sources: Array.isArray(claim.sources) ? claim.sources : [],
+        fingerprint: fingerprintClaim(claim.text),
+        normalized_text: normalizeClaimText(claim.text),
+        matched_claim_id: claim.matched_claim_id || null,
+        match_score: claim.match_score ?? null,
+        verified_at: score === null ? null : (claim.verified_at || new Date().toISOString()),
+        depends_on: Array.isArray(claim.depends_on) ? claim.depends_on : []
+    };
+}
+
+/**
+ * Keep only the updatable claim fields; new text gets a new fingerprint
+ */
+export function pickClaimFields(fields) {
+    const picked = Object.fromEntries(Object.entries(fields).filter(([key]) => CLAIM_FIELDS.includes(key)));
+    if (typeof picked.text === 'string') {
+        picked.fingerprint = fingerprintClaim(picked.text);
+        picked.normalized_text = normalizeClaimText(picked.text);
+    }
+    return picked;
+}
+
+/**
+ * Attach each message's claims (ordered by claim_index) as message.claims
+ */
+export function attachClaims(messages, claims) {
+    const byMessage = new Map();
+    claims.forEach(claim => {
+        const list = byMessage.get(claim.message_id) || [];
+        list.push(claim);
+        byMessage.set(claim.message_id, list);
+    });
+
+    return messages.map(message => ({
+        ...message,
+        claims: (byMessage.get(message.id) || []).sort((a, b) => a.claim_index - b.claim_index)
+    }));
+}
@@ -0,0 +1,53 @@
+/**
+ * Storage
+ * Repository layer for spaces, speakers, messages, claims and key/value state.
+ * STORAGE_DRIVER picks the implementation:
+ *   - supabase: hosted Supabase project (SUPABASE_URL / SUPABASE_SERVICE_KEY)
+ *   - sqlite:   single-file database at SQLITE_PATH (default backend/data/veritas.db)
+ * When STORAGE_DRIVER is unset, Supabase is used if SUPABASE_URL is configured.
+ */
+
+import { createSupabaseStorage } from './supabase.js';
+import { createSqliteStorage } from './sqlite.js';
+
+const DRIVERS = {
+    supabase: createSupabaseStorage,
+    sqlite: createSqliteStorage
+};
+
+let storage = null;
+
+/**
+ * Driver name from the environment
+ * @returns {string}
+ */
+export function resolveDriver() {
+    if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER.toLowerCase();
+    return process.env.SUPABASE_URL ? 'supabase' : 'sqlite';
+}
+
+/**
+ * Create a storage instance for a driver
+ * @param {string} driver - 'supabase' or 'sqlite'
+ * @param {Object} options - Passed to the driver factory
+ */
+export function createStorage(driver = resolveDriver(), options = {}) {
+    const factory = DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+/**
+ * Shared storage instance, created on first use (after dotenv has loaded)
+ */
+export function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+        console.log(`💾 Storage driver: ${storage.driver}`);
+    }
+    return storage;
+}
+
+export default getStorage;
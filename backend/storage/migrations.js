@@ -0,0 +1,320 @@
+/**
+ * Schema Migrations
+ * Versioned SQL files in backend/migrations/<dialect>/NNN_name.{up,down}.sql,
+ * one directory per dialect (postgres for Supabase, sqlite for the embedded
+ * store). Applied versions are recorded in a schema_migrations table.
+ *
+ * Usage:
+ *   node storage/migrations.js up [--to 002]
+ *   node storage/migrations.js down [--steps 1 | --to 001]
+ *   node storage/migrations.js status
+ *
+ * The driver comes from STORAGE_DRIVER (see storage/index.js). Postgres needs
+ * DATABASE_URL, the project's direct connection string; the Supabase REST
+ * client cannot run DDL.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const DIALECTS = {
+    supabase: 'postgres',
+    postgres: 'postgres',
+    sqlite: 'sqlite'
+};
+
+/**
+ * Read the migration files for a dialect, ordered by version
+ * @param {string} dialect - 'postgres' or 'sqlite'
+ * @param {string} [dir] - Defaults to backend/migrations
+ * @returns {Array<{ version: string, name: string, up: string, down: string|null }>}
+ */
+export function loadMigrations(dialect, dir = MIGRATIONS_DIR) {
+    const dialectDir = path.join(dir, dialect);
+    if (!fs.existsSync(dialectDir)) {
+        throw new Error(`No migrations directory for dialect "${dialect}" (${dialectDir})`);
+    }
+
+    const migrations = new Map();
+    fs.readdirSync(dialectDir).forEach(file => {
+        const match = file.match(FILE_PATTERN);
+        if (!match) return;
+
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) || { version, name, up: null, down: null };
+        migration[direction] = fs.readFileSync(path.join(dialectDir, file), 'utf8');
+        migrations.set(version, migration);
+    });
+
+    const list = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+    list.forEach(migration => {
+        if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    });
+    return list;
+}
+
+/**
+ * Migrations still to apply, in order
+ * @param {Array} migrations - From loadMigrations
+ * @param {Array<string>} applied - Applied versions
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this version
+ */
+export function planMigrate(migrations, applied, { to } = {}) {
+    return migrations.filter(m =>
+        !applied.includes(m.version) && (to === undefined || Number(m.version) <= Number(to))
+    );
+}
+
+/**
+ * Applied migrations to roll back, newest first
+ * @param {Array} migrations - From loadMigrations
+ * @param {Array<string>} applied - Applied versions
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many to roll back
+ * @param {string} [options.to] - Roll back everything after this version ('0' for all); overrides steps
+ */
+export function planRollback(migrations, applied, { steps = 1, to } = {}) {
+    const candidates = migrations
+        .filter(m => applied.includes(m.version))
+        .reverse();
+
+    const plan = to !== undefined
+        ? candidates.filter(m => Number(m.version) > Number(to))
+        : candidates.slice(0, steps);
+
+    plan.forEach(migration => {
+        if (!migration.down) throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file`);
+    });
+    return plan;
+}
+
+/**
+ * Migrator for a better-sqlite3 database. Methods are synchronous so the
+ * SQLite store can bring its schema up to date while opening.
+ * @param {import('better-sqlite3').Database} db
+ */
+export function createSqliteMigrator(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )`);
+
+    const apply = db.transaction((migration, direction) => {
+        db.exec(migration[direction]);
+        if (direction === 'up') {
+            db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                .run(migration.version, migration.name, new Date().toISOString());
+        } else {
+            db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+        }
+    });
+
+    return {
+        dialect: 'sqlite',
+
+        applied() {
+            return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+        },
+
+        apply,
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+/**
+ * Migrator for a Postgres database (including Supabase)
+ * @param {string} connectionString - e.g. DATABASE_URL
+ */
+export async function createPostgresMigrator(connectionString) {
+    if (!connectionString) {
+        throw new Error('DATABASE_URL is required to run Postgres migrations');
+    }
+
+    const { default: pg } = await import('pg');
+    const client = new pg.Client({ connectionString });
+    await client.connect();
+
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`);
+
+    return {
+        dialect: 'postgres',
+
+        async applied() {
+            const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+            return rows;
+        },
+
+        async apply(migration, direction) {
+            await client.query('BEGIN');
+            try {
+                await client.query(migration[direction]);
+                if (direction === 'up') {
+                    await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+                } else {
+                    await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+                }
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
+        },
+
+        async close() {
+            await client.end();
+        }
+    };
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} migrator - From createSqliteMigrator / createPostgresMigrator
+ * @param {Object} [options] - { to, dir }
+ * @returns {Promise<Array>} - Migrations applied
+ */
+export async function migrate(migrator, { to, dir } = {}) {
+    const migrations = loadMigrations(migrator.dialect, dir);
+    const applied = (await migrator.applied()).map(row => row.version);
+    const plan = planMigrate(migrations, applied, { to });
+
+    for (const migration of plan) {
+        console.log(`⬆️  Applying ${migration.version}_${migration.name}`);
+        await migrator.apply(migration, 'up');
+    }
+    return plan;
+}
+
+/**
+ * Roll back applied migrations
+ * @param {Object} migrator
+ * @param {Object} [options] - { steps, to, dir }
+ * @returns {Promise<Array>} - Migrations rolled back
+ */
+export async function rollback(migrator, { steps, to, dir } = {}) {
+    const migrations = loadMigrations(migrator.dialect, dir);
+    const applied = (await migrator.applied()).map(row => row.version);
+    const plan = planRollback(migrations, applied, { steps, to });
+
+    for (const migration of plan) {
+        console.log(`⬇️  Rolling back ${migration.version}_${migration.name}`);
+        await migrator.apply(migration, 'down');
+    }
+    return plan;
+}
+
+/**
+ * Every known migration with its applied state
+ * @param {Object} migrator
+ * @returns {Promise<Array<{ version, name, applied_at }>>}
+ */
+export async function status(migrator, { dir } = {}) {
+    const migrations = loadMigrations(migrator.dialect, dir);
+    const applied = await migrator.applied();
+
+    return migrations.map(({ version, name }) => ({
+        version,
+        name,
+        applied_at: applied.find(row => row.version === version)?.applied_at || null
+    }));
+}
+
+/**
+ * Apply pending SQLite migrations synchronously, for use while opening the store
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array} - Migrations applied
+ */
+export function migrateSqliteSync(db) {
+    const migrator = createSqliteMigrator(db);
+    const applied = migrator.applied().map(row => row.version);
+    const plan = planMigrate(loadMigrations('sqlite'), applied);
+
+    plan.forEach(migration => {
+        console.log(`⬆️  Applying ${migration.version}_${migration.name}`);
+        migrator.apply(migration, 'up');
+    });
+    return plan;
+}
+
+/**
+ * Open a migrator for the configured storage driver
+ * @param {string} driver - STORAGE_DRIVER value
+ */
+export async function openMigrator(driver) {
+    const dialect = DIALECTS[driver];
+    if (!dialect) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(DIALECTS).join(', ')}`);
+    }
+
+    if (dialect === 'postgres') {
+        return createPostgresMigrator(process.env.DATABASE_URL);
+    }
+
+    const { openSqliteDatabase } = await import('./sqlite.js');
+    return createSqliteMigrator(openSqliteDatabase());
+}
+
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const options = {};
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--steps') options.steps = parseInt(rest[++i]);
+        else if (rest[i] === '--to') options.to = rest[++i];
+    }
+    return { command, options };
+}
+
+async function main() {
+    const { default: dotenv } = await import('dotenv');
+    dotenv.config();
+
+    const { resolveDriver } = await import('./index.js');
+    const driver = resolveDriver();
+    const { command, options } = parseArgs(process.argv.slice(2));
+    const migrator = await openMigrator(driver);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(migrator, options);
+            console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+        } else if (command === 'down') {
+            const rolledBack = await rollback(migrator, options);
+            console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+        } else if (command === 'status') {
+            console.log(`💾 ${driver} (${migrator.dialect})`);
+            (await status(migrator)).forEach(m => {
+                console.log(`   ${m.applied_at ? '✔' : '·'} ${m.version}_${m.name}${m.applied_at ? `  applied ${m.applied_at}` : ''}`);
+            });
+        } else {
+            throw new Error(`Unknown command "${command}". Use up, down or status`);
+        }
+    } finally {
+        await migrator.close();
+    }
+}
+
+// Run directly: node storage/migrations.js <up|down|status>
+if (process.argv[1] === __filename) {
+    main().catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export default { loadMigrations, planMigrate, planRollback, migrate, rollback, status, migrateSqliteSync, openMigrator };
@@ -0,0 +1,412 @@
+/**
+ * SQLite Storage
+ * Repository implementation backed by a single-file SQLite database, for
+ * self-hosting and CI. Mirrors the Supabase schema, RPCs and views so both
+ * implementations return the same row shapes. The schema itself lives in
+ * migrations/sqlite and is brought up to date when the database is opened.
+ */
+
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { claimRow, pickClaimFields, attachClaims } from './helpers.js';
+import { migrateSqliteSync } from './migrations.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FILENAME = path.join(__dirname, '..', 'data', 'veritas.db');
+
+// Columns stored as JSON text / 0-1 integers, converted on the way in and out
+const JSON_COLUMNS = ['metadata', 'grok_response_raw', 'propagation_analysis', 'sources', 'consistency_analysis', 'depends_on', 'content_span', 'scopes'];
+const BOOLEAN_COLUMNS = ['is_live', 'summary_generated', 'posted_to_x'];
+
+function toDb(fields) {
+    const row = {};
+    Object.entries(fields).forEach(([column, value]) => {
+        if (value === undefined) return;
+        if (JSON_COLUMNS.includes(column) && value !== null) {
+            row[column] = typeof value === 'string' ? value : JSON.stringify(value);
+        } else if (BOOLEAN_COLUMNS.includes(column) && value !== null) {
+            row[column] = value ? 1 : 0;
+        } else {
+            row[column] = value;
+        }
+    });
+    return row;
+}
+
+function fromDb(row) {
+    if (!row) return null;
+    const result = { ...row };
+    JSON_COLUMNS.forEach(column => {
+        if (typeof result[column] === 'string') {
+            try {
+                result[column] = JSON.parse(result[column]);
+            } catch (e) {
+                // leave non-JSON text as-is
+            }
+        }
+    });
+    BOOLEAN_COLUMNS.forEach(column => {
+        if (column in result && result[column] !== null) result[column] = result[column] === 1;
+    });
+    return result;
+}
+
+/**
+ * Open (creating if needed) the database file, without touching the schema
+ * @param {string} [filename] - Defaults to SQLITE_PATH or backend/data/veritas.db
+ * @returns {import('better-sqlite3').Database}
+ */
+export function openSqliteDatabase(filename = process.env.SQLITE_PATH || DEFAULT_FILENAME) {
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    return db;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.filename] - Database file, defaults to SQLITE_PATH or backend/data/veritas.db
+ * @param {boolean} [options.migrate=true] - Apply pending migrations on open
+ */
+export function createSqliteStorage({
+    filename = process.env.SQLITE_PATH || DEFAULT_FILENAME,
+    migrate = process.env.SQLITE_AUTO_MIGRATE !== 'false'
+} = {}) {
+    const db = openSqliteDatabase(filename);
+    if (migrate) migrateSqliteSync(db);
+
+    const now = () => new Date().toISOString();
+
+    function insertRow(table, fields) {
+        const row = toDb({ id: crypto.randomUUID(), ...fields });
+        const columns = Object.keys(row);
+        db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`).run(row);
+        return fromDb(db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(row.id));
+    }
+
+    function updateRow(table, id, fields) {
+        const row = toDb(fields);
+        const columns = Object.keys(row);
+        if (columns.length === 0) return;
+        db.prepare(`UPDATE ${table} SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @__id`)
+            .run({ ...row, __id: id });
+    }
+
+    const getOrCreateSpeaker = db.transaction((username, displayName) => {
+        const existing = db.prepare('SELECT id FROM speakers WHERE username = ?').get(username);
+        if (existing) {
+            if (displayName) {
+                db.prepare('UPDATE speakers SET display_name = ? WHERE id = ?').run(displayName, existing.id);
+            }
+            return existing.id;
+        }
+        return insertRow('speakers', { username, display_name: displayName }).id;
+    });
+
+    const createMessage = db.transaction(({
+        space_id, speaker_username, speaker_display_name, content, created_at = null, client_message_id = null
+    }) => {
+        const speakerId = getOrCreateSpeaker(speaker_username, speaker_display_name);
+        const { next } = db.prepare('SELECT COALESCE(MAX(sequence_number), 0) + 1 AS next FROM messages WHERE space_id = ?').get(space_id);
+
+        const message = insertRow('messages', {
+            space_id,
+            speaker_id: speakerId,
+            content,
+            sequence_number: next,
+            fact_check_status: 'pending',
+            client_message_id,
+            ...(created_at ? { created_at } : {})
+        });
+        db.prepare('UPDATE spaces SET total_messages = total_messages + 1 WHERE id = ?').run(space_id);
+        return message.id;
+    });
+
+    const spaces = {
+        async create({ title = null, space_url = null, metadata = {} }) {
+            return insertRow('spaces', { title, space_url, metadata }).id;
+        },
+
+        async insert(fields) {
+            return insertRow('spaces', fields);
+        },
+
+        async get(id) {
+            return fromDb(db.prepare('SELECT * FROM spaces WHERE id = ?').get(id));
+        },
+
+        async update(id, fields) {
+            updateRow('spaces', id, fields);
+        },
+
+        // Messages and claims are removed with it (ON DELETE CASCADE)
+        async delete(id) {
+            db.prepare('DELETE FROM spaces WHERE id = ?').run(id);
+        },
+
+        async end(id) {
+            db.prepare('UPDATE spaces SET is_live = 0, ended_at = COALESCE(ended_at, ?) WHERE id = ?').run(now(), id);
+            return true;
+        },
+
+        async findLatestByConversationId(conversationId) {
+            return fromDb(db.prepare(`
+                SELECT id, title, summary_text, metadata FROM spaces
+                WHERE json_extract(metadata, '$.conversation_id') = ?
+                ORDER BY created_at DESC LIMIT 1
+            `).get(conversationId));
+        },
+
+        async getStatistics(id) {
+            return fromDb(db.prepare('SELECT * FROM space_statistics WHERE space_id = ?').get(id));
+        },
+
+        async listStatistics({ limit = 20, offset = 0 } = {}) {
+            return db.prepare('SELECT * FROM space_statistics ORDER BY started_at DESC LIMIT ? OFFSET ?')
+                .all(limit, offset)
+                .map(fromDb);
+        }
+    };
+
+    const speakers = {
+        async getOrCreate(username, displayName = null) {
+            return getOrCreateSpeaker(username, displayName);
+        },
+
+        async get(id) {
+            return fromDb(db.prepare('SELECT * FROM speakers WHERE id = ?').get(id));
+        },
+
+        async findByUsername(username) {
+            return fromDb(db.prepare('SELECT * FROM speakers WHERE username = ?').get(username));
+        },
+
+        async list() {
+            return db.prepare('SELECT * FROM speakers').all().map(fromDb);
+        }
+    };
+
+    const messages = {
+        async create(fields) {
+            return createMessage(fields);
+        },
+
+        async insert(fields) {
+            const message = insertRow('messages', fields);
+            db.prepare('UPDATE spaces SET total_messages = total_messages + 1 WHERE id = ?').run(message.space_id);
+            return message;
+        },
+
+        // A message the extension already sent (see migration 009)
+        async findByClientId(spaceId, clientMessageId) {
+            return fromDb(db.prepare('SELECT * FROM messages_with_speakers WHERE space_id = ? AND client_message_id = ?')
+                .get(spaceId, clientMessageId));
+        },
+
+        async get(id) {
+            const message = fromDb(db.prepare('SELECT * FROM messages_with_speakers WHERE id = ?').get(id));
+            if (!message) return null;
+            return attachClaims([message], await claims.list({ message_id: id, limit: null }))[0];
+        },
+
+        async update(id, fields) {
+            updateRow('messages', id, fields);
+        },
+
+        async listBySpace(spaceId, { status } = {}) {
+            const sql = `SELECT * FROM messages_with_speakers WHERE space_id = ?
+                ${status ? 'AND fact_check_status = ?' : ''} ORDER BY sequence_number ASC`;
+            const rows = db.prepare(sql).all(...(status ? [spaceId, status] : [spaceId])).map(fromDb);
+            return attachClaims(rows, await claims.list({ space_id: spaceId, limit: null }));
+        },
+
+        async listBySpeaker(speakerId) {
+            const rows = db.prepare('SELECT * FROM messages_with_speakers WHERE speaker_id = ? ORDER BY created_at ASC')
+                .all(speakerId)
+                .map(fromDb);
+            return attachClaims(rows, await claims.list({ speaker_id: speakerId, limit: null }));
+        },
+
+        async listPreceding(spaceId, sequenceNumber, { limit = 6 } = {}) {
+            return db.prepare(`SELECT * FROM messages_with_speakers WHERE space_id = ? AND sequence_number < ?
+                ORDER BY sequence_number DESC LIMIT ?`)
+                .all(spaceId, sequenceNumber, limit)
+                .map(fromDb)
+                .reverse();
+        },
+
+        async listByStatus(statuses, { limit = 200 } = {}) {
+            return db.prepare(`SELECT id, content, space_id FROM messages
+                WHERE fact_check_status IN (${statuses.map(() => '?').join(', ')}) LIMIT ?`)
+                .all(...statuses, limit);
+        }
+    };
+
+    // No foreign keys on the match links (see migrations/sqlite/003), so clear them by hand
+    function unlinkClaims(claimIds) {
+        claimIds.forEach(id => {
+            db.prepare('UPDATE claims SET matched_claim_id = NULL WHERE matched_claim_id = ?').run(id);
+            db.prepare('UPDATE messages SET matched_claim_id = NULL WHERE matched_claim_id = ?').run(id);
+        });
+    }
+
+    const replaceClaims = db.transaction((message, claimList) => {
+        unlinkClaims(db.prepare('SELECT id FROM claims WHERE message_id = ?').all(message.id).map(row => row.id));
+        db.prepare('DELETE FROM claims WHERE message_id = ?').run(message.id);
+        claimList.forEach((claim, index) => insertRow('claims', claimRow(message, claim, index)));
+    });
+
+    const deleteClaim = db.transaction(id => {
+        unlinkClaims([id]);
+        return db.prepare('DELETE FROM claims WHERE id = ?').run(id).changes > 0;
+    });
+
+    const claims = {
+        async list({ space_id, message_id, speaker_id, matched_claim_id, verdict, q, min_score, max_score, limit = 100, offset = 0 } = {}) {
+            const where = [];
+            const params = [];
+            const filter = (clause, value) => {
+                if (value === undefined || value === null || value === '') return;
+                where.push(clause);
+                params.push(value);
+            };
+            filter('space_id = ?', space_id);
+            filter('message_id = ?', message_id);
+            filter('speaker_id = ?', speaker_id);
+            filter('matched_claim_id = ?', matched_claim_id);
+            filter('verdict = ?', verdict?.toUpperCase());
+            filter('text LIKE ?', q ? `%${q}%` : null);
+            filter('score >= ?', min_score);
+            filter('score <= ?', max_score);
+
+            const sql = `SELECT * FROM claims_with_speakers
+                ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+                ORDER BY created_at ASC, claim_index ASC
+                ${limit ? 'LIMIT ? OFFSET ?' : ''}`;
+            return db.prepare(sql).all(...params, ...(limit ? [limit, offset] : [])).map(fromDb);
+        },
+
+        async get(id) {
+            return fromDb(db.prepare('SELECT * FROM claims_with_speakers WHERE id = ?').get(id));
+        },
+
+        async findByMessageIndex(messageId, claimIndex) {
+            return fromDb(db.prepare('SELECT * FROM claims_with_speakers WHERE message_id = ? AND claim_index = ?')
+                .get(messageId, claimIndex));
+        },
+
+        async create(messageId, claim) {
+            const message = db.prepare('SELECT id, space_id, speaker_id FROM messages WHERE id = ?').get(messageId);
+            if (!message) return null;
+
+            const { next } = db.prepare('SELECT COALESCE(MAX(claim_index), -1) + 1 AS next FROM claims WHERE message_id = ?').get(messageId);
+            const { id } = insertRow('claims', claimRow(message, claim, next));
+            return claims.get(id);
+        },
+
+        async update(id, fields) {
+            updateRow('claims', id, { ...pickClaimFields(fields), updated_at: now() });
+            return claims.get(id);
+        },
+
+        async delete(id) {
+            return deleteClaim(id);
+        },
+
+        async findCandidates({ fingerprint, keywords = [], excludeMessageId = null, limit = 200 }) {
+            const match = [];
+            const params = [];
+            if (fingerprint) {
+                match.push('fingerprint = ?');
+                params.push(fingerprint);
+            }
+            keywords.forEach(keyword => {
+                match.push('normalized_text LIKE ?');
+                params.push(`%${keyword}%`);
+            });
+            if (match.length === 0) return [];
+
+            return db.prepare(`SELECT * FROM claims_with_speakers
+                WHERE score IS NOT NULL AND (${match.join(' OR ')})
+                ${excludeMessageId ? 'AND message_id != ?' : ''}
+                ORDER BY verified_at DESC LIMIT ?`)
+                .all(...params, ...(excludeMessageId ? [excludeMessageId] : []), limit)
+                .map(fromDb);
+        },
+
+        async listUnfingerprinted(limit = 500) {
+            return db.prepare('SELECT id, text FROM claims WHERE fingerprint IS NULL LIMIT ?').all(limit);
+        },
+
+        async replaceForMessage(messageId, claimList) {
+            const message = db.prepare('SELECT id, space_id, speaker_id FROM messages WHERE id = ?').get(messageId);
+            if (!message) return [];
+
+            replaceClaims(message, claimList);
+            return claims.list({ message_id: messageId, limit: null });
+        }
+    };
+
+    const state = {
+        async get(key) {
+            const row = db.prepare('SELECT value FROM bot_state WHERE key = ?').get(key);
+            return row?.value ?? null;
+        },
+
+        async set(key, value) {
+            db.prepare(`INSERT INTO bot_state (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+                .run(key, value === null || value === undefined || typeof value === 'string' ? value ?? null : JSON.stringify(value), now());
+        }
+    };
+
+    const apiKeys = {
+        async insert(fields) {
+            return insertRow('api_keys', fields);
+        },
+
+        async get(id) {
+            return fromDb(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+        },
+
+        async findByHash(keyHash) {
+            return fromDb(db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash));
+        },
+
+        async list() {
+            return db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC').all().map(fromDb);
+        },
+
+        async update(id, fields) {
+            updateRow('api_keys', id, fields);
+            return apiKeys.get(id);
+        },
+
+        /**
+         * Count one Grok-backed request against a key's day, only while it is under quota
+         * @returns {Promise<number|null>} Requests counted for that day so far, null when the quota is used up
+         */
+        async consumeUsage(keyId, day, quota) {
+            return db.prepare(`INSERT INTO api_key_usage (key_id, day, grok_requests) VALUES (?, ?, 1)
+                ON CONFLICT(key_id, day) DO UPDATE SET grok_requests = grok_requests + 1
+                WHERE grok_requests < ?
+                RETURNING grok_requests`).get(keyId, day, quota)?.grok_requests ?? null;
+        },
+
+        async getUsage(keyId, day) {
+            return db.prepare('SELECT grok_requests FROM api_key_usage WHERE key_id = ? AND day = ?').get(keyId, day)?.grok_requests ?? 0;
+        }
+    };
+
+    return { driver: 'sqlite', db, spaces, speakers, messages, claims, state, apiKeys };
+}
+
+export default createSqliteStorage;
@@ -0,0 +1,364 @@
+/**
+ * Supabase Storage
+ * Repository implementation backed by a hosted Supabase project, using the
+ * create_space / create_message / get_or_create_speaker / end_space RPCs and
+ * the messages_with_speakers / space_statistics / claims_with_speakers views.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { claimRow, pickClaimFields, attachClaims } from './helpers.js';
+
+const NOT_FOUND = 'PGRST116';
+
+/**
+ * Unwrap a Supabase response, treating "no rows" as null
+ */
+function unwrap({ data, error }) {
+    if (error && error.code !== NOT_FOUND) throw error;
+    return data ?? null;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.url] - Defaults to SUPABASE_URL
+ * @param {string} [options.key] - Defaults to SUPABASE_SERVICE_KEY
+ */
+export function createSupabaseStorage({
+    url = process.env.SUPABASE_URL,
+    key = process.env.SUPABASE_SERVICE_KEY
+} = {}) {
+    const supabase = createClient(url, key);
+
+    const spaces = {
+        async create({ title = null, space_url = null, metadata = {} }) {
+            return unwrap(await supabase.rpc('create_space', {
+                p_title: title,
+                p_space_url: space_url,
+                p_metadata: metadata
+            }));
+        },
+
+        async insert(fields) {
+            return unwrap(await supabase.from('spaces').insert(fields).select().single());
+        },
+
+        async get(id) {
+            return unwrap(await supabase.from('spaces').select('*').eq('id', id).single());
+        },
+
+        async update(id, fields) {
+            unwrap(await supabase.from('spaces').update(fields).eq('id', id));
+        },
+
+        // Messages and claims are removed with it (ON DELETE CASCADE)
+        async delete(id) {
+            unwrap(await supabase.from('spaces').delete().eq('id', id));
+        },
+
+        async end(id) {
+            return unwrap(await supabase.rpc('end_space', { p_space_id: id }));
+        },
+
+        async findLatestByConversationId(conversationId) {
+            return unwrap(await supabase
+                .from('spaces')
+                .select('id, title, summary_text, metadata')
+                .eq('metadata->>conversation_id', conversationId)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .single());
+        },
+
+        async getStatistics(id) {
+            return unwrap(await supabase.from('space_statistics').select('*').eq('space_id', id).single());
+        },
+
+        async listStatistics({ limit = 20, offset = 0 } = {}) {
+            return unwrap(await supabase
+                .from('space_statistics')
+                .select('*')
+                .order('started_at', { ascending: false })
+                .range(offset, offset + limit - 1)) || [];
+        }
+    };
+
+    const speakers = {
+        async getOrCreate(username, displayName = null) {
+            return unwrap(await supabase.rpc('get_or_create_speaker', {
+                p_username: username,
+                p_display_name: displayName
+            }));
+        },
+
+        async get(id) {
+            return unwrap(await supabase.from('speakers').select('*').eq('id', id).single());
+        },
+
+        async findByUsername(username) {
+            return unwrap(await supabase.from('speakers').select('*').eq('username', username).single());
+        },
+
+        async list() {
+            return unwrap(await supabase.from('speakers').select('*')) || [];
+        }
+    };
+
+    const messages = {
+        async create({
+            space_id, speaker_username, speaker_display_name = null, content, created_at = null, client_message_id = null
+        }) {
+            return unwrap(await supabase.rpc('create_message', {
+                p_space_id: space_id,
+                p_speaker_username: speaker_username,
+                p_speaker_display_name: speaker_display_name,
+                p_content: content,
+                p_created_at: created_at,
+                p_client_message_id: client_message_id
+            }));
+        },
+
+        // A message the extension already sent (see migration 009)
+        async findByClientId(spaceId, clientMessageId) {
+            return unwrap(await supabase
+                .from('messages_with_speakers')
+                .select('*')
+                .eq('space_id', spaceId)
+                .eq('client_message_id', clientMessageId)
+                .single());
+        },
+
+        async insert(fields) {
+            return unwrap(await supabase.from('messages').insert(fields).select().single());
+        },
+
+        async get(id) {
+            const data = unwrap(await supabase
+                .from('messages')
+                .select('*, speakers!messages_speaker_id_fkey(username, display_name)')
+                .eq('id', id)
+                .single());
+            if (!data) return null;
+
+            // Flatten the joined speaker to match messages_with_speakers
+            const message = {
+                ...data,
+                speaker_username: data.speakers?.username || data.speaker_username,
+                speaker_display_name: data.speakers?.display_name || data.speaker_display_name
+            };
+            delete message.speakers;
+            return attachClaims([message], await claims.list({ message_id: id, limit: null }))[0];
+        },
+
+        async update(id, fields) {
+            unwrap(await supabase.from('messages').update(fields).eq('id', id));
+        },
+
+        async listBySpace(spaceId, { status } = {}) {
+            let query = supabase
+                .from('messages_with_speakers')
+                .select('*')
+                .eq('space_id', spaceId);
+            if (status) query = query.eq('fact_check_status', status);
+
+            const rows = unwrap(await query.order('sequence_number', { ascending: true })) || [];
+            return attachClaims(rows, await claims.list({ space_id: spaceId, limit: null }));
+        },
+
+        async listBySpeaker(speakerId) {
+            const rows = unwrap(await supabase
+                .from('messages_with_speakers')
+                .select('*')
+                .eq('speaker_id', speakerId)
+                .order('created_at', { ascending: true })) || [];
+            return attachClaims(rows, await claims.list({ speaker_id: speakerId, limit: null }));
+        },
+
+        async listPreceding(spaceId, sequenceNumber, { limit = 6 } = {}) {
+            const rows = unwrap(await supabase
+                .from('messages_with_speakers')
+                .select('*')
+                .eq('space_id', spaceId)
+                .lt('sequence_number', sequenceNumber)
+                .order('sequence_number', { ascending: false })
+                .limit(limit)) || [];
+            return rows.reverse();
+        },
+
+        async listByStatus(statuses, { limit = 200 } = {}) {
+            return unwrap(await supabase
+                .from('messages')
+                .select('id, content, space_id')
+                .in('fact_check_status', statuses)
+                .limit(limit)) || [];
+        }
+    };
+
+    const messageForClaims = async messageId => unwrap(await supabase
+        .from('messages')
+        .select('id, space_id, speaker_id')
+        .eq('id', messageId)
+        .single());
+
+    const claims = {
+        async list({ space_id, message_id, speaker_id, matched_claim_id, verdict, q, min_score, max_score, limit = 100, offset = 0 } = {}) {
+            let query = supabase.from('claims_with_speakers').select('*');
+            if (space_id) query = query.eq('space_id', space_id);
+            if (message_id) query = query.eq('message_id', message_id);
+            if (speaker_id) query = query.eq('speaker_id', speaker_id);
+            if (matched_claim_id) query = query.eq('matched_claim_id', matched_claim_id);
+            if (verdict) query = query.eq('verdict', verdict.toUpperCase());
+            if (q) query = query.ilike('text', `%${q}%`);
+            if (min_score !== undefined && min_score !== null) query = query.gte('score', min_score);
+            if (max_score !== undefined && max_score !== null) query = query.lte('score', max_score);
+
+            query = query
+                .order('created_at', { ascending: true })
+                .order('claim_index', { ascending: true });
+            if (limit) query = query.range(offset, offset + limit - 1);
+
+            return unwrap(await query) || [];
+        },
+
+        async get(id) {
+            return unwrap(await supabase.from('claims_with_speakers').select('*').eq('id', id).single());
+        },
+
+        async findByMessageIndex(messageId, claimIndex) {
+            return unwrap(await supabase
+                .from('claims_with_speakers')
+                .select('*')
+                .eq('message_id', messageId)
+                .eq('claim_index', claimIndex)
+                .single());
+        },
+
+        async create(messageId, claim) {
+            const message = await messageForClaims(messageId);
+            if (!message) return null;
+
+            const last = unwrap(await supabase
+                .from('claims')
+                .select('claim_index')
+                .eq('message_id', messageId)
+                .order('claim_index', { ascending: false })
+                .limit(1)
+                .single());
+
+            const row = unwrap(await supabase
+                .from('claims')
+                .insert(claimRow(message, claim, last ? last.claim_index + 1 : 0))
+                .select('id')
+                .single());
+            return claims.get(row.id);
+        },
+
+        async update(id, fields) {
+            unwrap(await supabase
+                .from('claims')
+                .update({ ...pickClaimFields(fields), updated_at: new Date().toISOString() })
+                .eq('id', id));
+            return claims.get(id);
+        },
+
+        async delete(id) {
+            const deleted = unwrap(await supabase.from('claims').delete().eq('id', id).select('id')) || [];
+            return deleted.length > 0;
+        },
+
+        async findCandidates({ fingerprint, keywords = [], excludeMessageId = null, limit = 200 }) {
+            // Keywords are normalized tokens (no commas or parentheses), safe inside an or() filter
+            const match = [
+                ...(fingerprint ? [`fingerprint.eq.${fingerprint}`] : []),
+                ...keywords.map(keyword => `normalized_text.ilike.*${keyword}*`)
+            ];
+            if (match.length === 0) return [];
+
+            let query = supabase
+                .from('claims_with_speakers')
+                .select('*')
+                .not('score', 'is', null)
+                .or(match.join(','));
+            if (excludeMessageId) query = query.neq('message_id', excludeMessageId);
+
+            return unwrap(await query.order('verified_at', { ascending: false }).limit(limit)) || [];
+        },
+
+        async listUnfingerprinted(limit = 500) {
+            return unwrap(await supabase.from('claims').select('id, text').is('fingerprint', null).limit(limit)) || [];
+        },
+
+        async replaceForMessage(messageId, claimList) {
+            const message = await messageForClaims(messageId);
+            if (!message) return [];
+
+            unwrap(await supabase.from('claims').delete().eq('message_id', messageId));
+            if (claimList.length > 0) {
+                unwrap(await supabase
+                    .from('claims')
+                    .insert(claimList.map((claim, index) => claimRow(message, claim, index))));
+            }
+            return claims.list({ message_id: messageId, limit: null });
+        }
+    };
+
+    const state = {
+        async get(key) {
+            const data = unwrap(await supabase.from('bot_state').select('value').eq('key', key).single());
+            return data?.value ?? null;
+        },
+
+        async set(key, value) {
+            unwrap(await supabase
+                .from('bot_state')
+                .upsert({
+                    key,
+                    value,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'key' }));
+        }
+    };
+
+    const apiKeys = {
+        async insert(fields) {
+            return unwrap(await supabase.from('api_keys').insert(fields).select().single());
+        },
+
+        async get(id) {
+            return unwrap(await supabase.from('api_keys').select('*').eq('id', id).single());
+        },
+
+        async findByHash(keyHash) {
+            return unwrap(await supabase.from('api_keys').select('*').eq('key_hash', keyHash).single());
+        },
+
+        async list() {
+            return unwrap(await supabase.from('api_keys').select('*').order('created_at', { ascending: false })) || [];
+        },
+
+        async update(id, fields) {
+            return unwrap(await supabase.from('api_keys').update(fields).eq('id', id).select().single());
+        },
+
+        /**
+         * Count one Grok-backed request against a key's day, only while it is under quota
+         * @returns {Promise<number|null>} Requests counted for that day so far, null when the quota is used up
+         */
+        async consumeUsage(keyId, day, quota) {
+            return unwrap(await supabase.rpc('consume_api_key_usage', { p_key_id: keyId, p_day: day, p_quota: quota }));
+        },
+
+        async getUsage(keyId, day) {
+            const data = unwrap(await supabase
+                .from('api_key_usage')
+                .select('grok_requests')
+                .eq('key_id', keyId)
+                .eq('day', day)
+                .single());
+            return data?.grok_requests ?? 0;
+        }
+    };
+
+    return { driver: 'supabase', spaces, speakers, messages, claims, state, apiKeys };
+}
+
+export default createSupabaseStorage;
@@ -0,0 +1,51 @@
+/**
+ * Grok daily quota, counted atomically in an in-memory SQLite store
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteStorage } from '../storage/sqlite.js';
+import { createApiKey, consumeGrokQuota, usageDay } from '../services/api-keys.js';
+
+let storage;
+
+before(() => {
+    storage = createSqliteStorage({ filename: ':memory:' });
+});
+
+async function newKey(name) {
+    const { record } = await createApiKey(storage, { name, scopes: ['write'] });
+    return record;
+}
+
+test('requests are allowed up to the quota and refused after it', async () => {
+    const record = await newKey('quota');
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await consumeGrokQuota(storage, record, 3));
+
+    assert.deepEqual(results.map(r => r.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(r => r.used), [1, 2, 3, 3]);
+    assert.equal(await storage.apiKeys.getUsage(record.id, usageDay()), 3);
+});
+
+test('concurrent requests cannot overshoot the quota', async () => {
+    const record = await newKey('concurrent');
+    const results = await Promise.all(Array.from({ length: 10 }, () => consumeGrokQuota(storage, record, 4)));
+
+    assert.equal(results.filter(r => r.allowed).length, 4);
+    assert.equal(await storage.apiKeys.getUsage(record.id, usageDay()), 4);
+});
+
+test('no quota and the bootstrap key are never counted', async () => {
+    const record = await newKey('unlimited');
+    assert.deepEqual(await consumeGrokQuota(storage, record, 0), { allowed: true, quota: 0, used: 0 });
+    assert.deepEqual(await consumeGrokQuota(storage, { id: 'bootstrap', bootstrap: true }, 1), { allowed: true, quota: 1, used: 0 });
+    assert.equal(await storage.apiKeys.getUsage(record.id, usageDay()), 0);
+});
+
+test('each key has its own count', async () => {
+    const [first, second] = [await newKey('first'), await newKey('second')];
+    await consumeGrokQuota(storage, first, 1);
+    assert.equal((await consumeGrokQuota(storage, first, 1)).allowed, false);
+    assert.equal((await consumeGrokQuota(storage, second, 1)).allowed, true);
+});
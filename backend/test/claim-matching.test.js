@@ -0,0 +1,46 @@
+/**
+ * Claim matching against an in-memory SQLite store
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteStorage } from '../storage/sqlite.js';
+import { findMatchingClaim } from '../services/claim-matching.js';
+
+const options = { enabled: true, threshold: 0.8, maxAgeHours: 168 };
+let storage;
+let messageId;
+
+before(async () => {
+    storage = createSqliteStorage({ filename: ':memory:' });
+    const spaceId = await storage.spaces.create({ title: 'Matching' });
+    messageId = await storage.messages.create({ space_id: spaceId, speaker_username: 'alice', content: 'Taxes went up for the middle class' });
+    await storage.claims.create(messageId, { text: 'Taxes went up for the middle class', score: 2, verdict: 'FALSE' });
+});
+
+test('a repeated claim matches the earlier one', async () => {
+    const match = await findMatchingClaim(storage, 'Taxes went UP for the middle class!', options);
+    assert.ok(match);
+    assert.equal(match.claim.verdict, 'FALSE');
+    assert.equal(match.fresh, true);
+});
+
+test('the negated claim does not', async () => {
+    assert.equal(await findMatchingClaim(storage, 'Taxes did not go up for the middle class', options), null);
+});
+
+test('a message is not matched against its own claims', async () => {
+    assert.equal(await findMatchingClaim(storage, 'Taxes went up for the middle class', { ...options, excludeMessageId: messageId }), null);
+});
+
+test('exact only matches the same normalized text', async () => {
+    const text = 'Taxes went up for the middle class, and fast';
+    assert.ok(await findMatchingClaim(storage, text, { ...options, threshold: 0.5 }));
+    assert.equal(await findMatchingClaim(storage, text, { ...options, threshold: 0.5, exact: true }), null);
+    assert.ok(await findMatchingClaim(storage, 'taxes went up for the middle class.', { ...options, exact: true }));
+});
+
+test('an old verdict is found but not fresh', async () => {
+    const match = await findMatchingClaim(storage, 'Taxes went up for the middle class', { ...options, maxAgeHours: 0 });
+    assert.equal(match.fresh, false);
+});
@@ -0,0 +1,36 @@
+/**
+ * Claim text: similarity must keep apart claims that only share their words
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { claimSimilarity, fingerprintClaim, normalizeClaimText } from '../utils/claim-text.js';
+
+test('a claim and its negation never match', () => {
+    assert.equal(claimSimilarity('The economy grew by 3 percent last year', 'The economy did not grow by 3 percent last year'), 0);
+    assert.equal(claimSimilarity('Unemployment was at a record low', "Unemployment wasn't at a record low"), 0);
+});
+
+test('contractions read the same as the words they stand for', () => {
+    assert.equal(claimSimilarity('Unemployment was not at a record low', "Unemployment wasn't at a record low"), 1);
+    assert.equal(claimSimilarity('We cannot afford it', "We can't afford it"), 1);
+});
+
+test('a double negative keeps the polarity of the plain claim', () => {
+    assert.ok(claimSimilarity('Taxes went up', 'It is not true that taxes never went up') > 0);
+});
+
+test('different numbers never match', () => {
+    assert.equal(claimSimilarity('Crime rose by 10 percent', 'Crime rose by 20 percent'), 0);
+});
+
+test('word order counts', () => {
+    assert.equal(claimSimilarity('Taxes went up for the middle class', 'Taxes went up for the middle class'), 1);
+    assert.ok(claimSimilarity('Russia invaded Ukraine', 'Ukraine invaded Russia') < 0.8);
+    assert.notEqual(fingerprintClaim('Russia invaded Ukraine'), fingerprintClaim('Ukraine invaded Russia'));
+});
+
+test('case and punctuation do not', () => {
+    assert.equal(normalizeClaimText('Taxes went UP!'), normalizeClaimText('taxes went up'));
+    assert.equal(fingerprintClaim('Taxes went UP!'), fingerprintClaim('taxes went up'));
+});
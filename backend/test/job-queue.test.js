@@ -0,0 +1,122 @@
+/**
+ * Job queue: retries with backoff, dead letters and restoring a snapshot
+ */
+
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue, backoffDelay } from '../services/job-queue.js';
+
+// The queue logs every retry and dead letter; keep the test output to the results
+before(() => ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {})));
+
+function memoryStore(snapshot = null) {
+    return {
+        saved: snapshot,
+        async load() {
+            return this.saved;
+        },
+        async save(next) {
+            this.saved = JSON.parse(JSON.stringify(next));
+        }
+    };
+}
+
+test('backoff doubles up to the maximum', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempts => backoffDelay(attempts, 100, 500)), [100, 200, 400, 500, 500]);
+});
+
+test('a failing job is retried until it succeeds', async () => {
+    let calls = 0;
+    const queue = new JobQueue({
+        name: 'retry',
+        baseDelayMs: 5,
+        handler: async () => {
+            calls++;
+            if (calls < 3) throw new Error(`failure ${calls}`);
+            return 'done';
+        }
+    });
+
+    queue.enqueue('job-1', {});
+    assert.equal(await queue.waitFor('job-1'), 'done');
+    assert.equal(calls, 3);
+    assert.deepEqual(queue.getStatus().totals, { completed: 1, retried: 2, dead_lettered: 0 });
+});
+
+test('a job that keeps failing is dead-lettered and can be retried', async () => {
+    const deadLettered = [];
+    let fail = true;
+    const queue = new JobQueue({
+        name: 'dead',
+        maxAttempts: 2,
+        baseDelayMs: 5,
+        handler: async payload => {
+            if (fail) throw new Error('still down');
+            return payload.n;
+        },
+        onDeadLetter: async job => deadLettered.push(job.id)
+    });
+
+    queue.enqueue('job-1', { n: 7 });
+    await assert.rejects(queue.waitFor('job-1'), /still down/);
+    assert.deepEqual(deadLettered, ['job-1']);
+    assert.equal(queue.getStatus().dead_letters[0].attempts, 2);
+
+    fail = false;
+    assert.ok(queue.retryDeadLetter('job-1'));
+    assert.equal(queue.getStatus().dead_lettered, 0);
+    assert.equal(await queue.waitFor('job-1'), 7);
+});
+
+test('restore re-queues jobs that were running and keeps dead letters', async () => {
+    const store = memoryStore({
+        jobs: [
+            { id: 'running', payload: { n: 1 }, status: 'running', attempts: 1, next_run_at: new Date(0).toISOString() },
+            { id: 'queued', payload: { n: 2 }, status: 'queued', attempts: 0, next_run_at: new Date(0).toISOString() }
+        ],
+        dead_letters: [{ id: 'dead', payload: { n: 3 }, status: 'dead', attempts: 4 }]
+    });
+    const handled = [];
+    let done;
+    const finished = new Promise(resolve => { done = resolve; });
+    const queue = new JobQueue({
+        name: 'restore',
+        store,
+        handler: async payload => {
+            handled.push(payload.n);
+            if (handled.length === 2) setImmediate(done);
+        }
+    });
+
+    // Restored jobs start as soon as they are loaded, before waitFor could be called
+    assert.equal(await queue.restore(), 2);
+    await finished;
+
+    assert.deepEqual(handled.sort(), [1, 2]);
+    assert.equal(queue.getStatus().dead_letters[0].id, 'dead');
+    await queue.saving;
+    assert.deepEqual(store.saved.jobs, []);
+    assert.equal(store.saved.dead_letters[0].id, 'dead');
+});
+
+test('a restored job keeps its attempt count', async () => {
+    const store = memoryStore({ jobs: [{ id: 'job-1', payload: {}, status: 'retrying', attempts: 3, next_run_at: new Date(0).toISOString() }] });
+    let calls = 0;
+    let deadLettered;
+    const dead = new Promise(resolve => { deadLettered = resolve; });
+    const queue = new JobQueue({
+        name: 'restore-attempts',
+        store,
+        maxAttempts: 4,
+        handler: async () => {
+            calls++;
+            throw new Error('down');
+        },
+        onDeadLetter: async job => deadLettered(job)
+    });
+
+    await queue.restore();
+    assert.equal((await dead).id, 'job-1');
+    assert.equal(calls, 1);
+    assert.equal(queue.getStatus().dead_letters[0].attempts, 4);
+});
@@ -0,0 +1,35 @@
+/**
+ * Reply threads: numbering, the 280-character limit and claims left out
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReplyThread } from '../services/reply-thread.js';
+import { MAX_TWEET_LENGTH, tweetLength } from '../utils/tweet-text.js';
+
+const claims = Array.from({ length: 4 }, (_, i) => ({ text: `Claim ${i}`, verdict: 'FALSE', score: i, explanation: 'x'.repeat(400) }));
+
+test('every tweet is numbered and fits', () => {
+    const tweets = buildReplyThread({ username: 'alice', summary: 'y'.repeat(400), claims, maxClaims: 5, analyticsUrl: null });
+    assert.equal(tweets.length, 5);
+    tweets.forEach((tweet, i) => {
+        assert.ok(tweet.endsWith(`${i + 1}/5`));
+        assert.ok(tweetLength(tweet) <= MAX_TWEET_LENGTH);
+    });
+});
+
+test('claims beyond the limit go to the analytics link', () => {
+    const tweets = buildReplyThread({ username: 'alice', summary: 'Mixed', claims, maxClaims: 2, analyticsUrl: 'https://example.com/analytics?spaceId=1' });
+    assert.equal(tweets.length, 4);
+    assert.match(tweets[3], /^Full analysis: https:\/\/example\.com\S+\n\n2 more flagged claims there\.\n\n4\/4$/);
+});
+
+test('without an analytics link they are counted in a last tweet', () => {
+    const tweets = buildReplyThread({ username: 'alice', summary: 'Mixed', claims, maxClaims: 3, analyticsUrl: null });
+    assert.equal(tweets.length, 5);
+    assert.equal(tweets[4], '+1 more flagged claim not shown.\n\n5/5');
+});
+
+test('a lone summary is not numbered', () => {
+    assert.deepEqual(buildReplyThread({ username: 'alice', summary: 'Nothing flagged', claims: [], analyticsUrl: null }), ['@alice Nothing flagged']);
+});
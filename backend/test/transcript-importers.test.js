@@ -0,0 +1,57 @@
+/**
+ * Transcript importers: subtitle files and diarized JSON to timed cues
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSrt, parseVtt, parseDiarizedJson } from '../transcript-importers.js';
+
+test('parseSrt reads numbered cues and keeps multi-line text', () => {
+    const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:04,500\r\nHello there\r\nsecond line\r\n\r\n2\r\n00:00:05,000 --> 00:00:06,000\r\n<i>Next</i>\r\n';
+    assert.deepEqual(parseSrt(srt), [
+        { start: 1, end: 4.5, speaker: null, text: 'Hello there\nsecond line' },
+        { start: 5, end: 6, speaker: null, text: 'Next' }
+    ]);
+});
+
+test('parseSrt skips blocks without a timing line', () => {
+    assert.deepEqual(parseSrt('just some text\n\nmore text'), []);
+});
+
+test('parseVtt takes speakers from voice spans and skips the header and notes', () => {
+    const vtt = [
+        'WEBVTT',
+        'NOTE recorded live',
+        '00:01.000 --> 00:04.000\n<v Jane Doe>Taxes went up</v>',
+        'cue-2\n00:00:05.000 --> 00:00:07.000 align:start\n<v.loud John>No</v><v Jane Doe>Yes',
+        '00:00:08.000 --> 00:00:09.000\nUnattributed'
+    ].join('\n\n');
+    assert.deepEqual(parseVtt(vtt), [
+        { start: 1, end: 4, speaker: 'Jane Doe', text: 'Taxes went up' },
+        { start: 5, end: 7, speaker: 'John', text: 'No' },
+        { start: 5, end: 7, speaker: 'Jane Doe', text: 'Yes' },
+        { start: 8, end: 9, speaker: null, text: 'Unattributed' }
+    ]);
+});
+
+test('parseDiarizedJson reads segment arrays and names diarization ids', () => {
+    assert.deepEqual(parseDiarizedJson('[{"speaker":"SPEAKER_00","start":1,"end":2,"text":" Hi "},{"speaker":"B","start":2,"end":3,"text":""}]'), [
+        { start: 1, end: 2, speaker: 'SPEAKER 00', text: 'Hi' }
+    ]);
+    assert.deepEqual(parseDiarizedJson({ segments: [{ speaker: 0, start: 0, end: 1, text: 'Zero' }] }), [
+        { start: 0, end: 1, speaker: 'Speaker 0', text: 'Zero' }
+    ]);
+});
+
+test('parseDiarizedJson scales AssemblyAI milliseconds and joins Rev.ai elements', () => {
+    assert.deepEqual(parseDiarizedJson({ utterances: [{ speaker: 'A', start: 1000, end: 2500, text: 'hi' }] }), [
+        { start: 1, end: 2.5, speaker: 'Speaker A', text: 'hi' }
+    ]);
+    const rev = { monologues: [{ speaker_name: 'Bob', elements: [{ value: 'Hi', ts: 1, end_ts: 1.5 }, { value: ' there' }, { value: '.', ts: 2, end_ts: 2.2 }] }] };
+    assert.deepEqual(parseDiarizedJson(rev), [{ start: 1, end: 2.2, speaker: 'Bob', text: 'Hi there.' }]);
+});
+
+test('parseDiarizedJson rejects invalid and unrecognized JSON', () => {
+    assert.throws(() => parseDiarizedJson('{bad'), /not valid JSON/);
+    assert.throws(() => parseDiarizedJson({ foo: 1 }), /Unrecognized JSON transcript/);
+});
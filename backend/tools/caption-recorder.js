@@ -0,0 +1,178 @@
+/**
+ * Caption Recorder
+ * Records the DOM mutations of a live X Space's captions to a JSON file that
+ * tools/caption-replay.js feeds back through content-simple.js.
+ *
+ * This runs in the browser, not in Node. On a Space page with captions
+ * turned on, paste this file into the DevTools console, then:
+ *   veritasRecorder.start()                  // records #layers (or { root: 'body' })
+ *   ...let the Space run...
+ *   veritasRecorder.stop('my-recording')     // downloads my-recording.json
+ *
+ * Save the file in backend/fixtures/captions/ and run
+ * `npm run replay:captions -- --update fixtures/captions/my-recording.json`
+ * to record what the content script currently sends as the expected output.
+ * Recordings contain real names and speech, so scrub them before committing.
+ *
+ * Format: the root's HTML at start, then one batch per MutationObserver
+ * callback. Nodes are numbered in document order (the root is 1) and every
+ * added subtree gets fresh consecutive ids, so ops refer to nodes by id:
+ *   { op: 'add', parent, index, id, html | text }   index among recorded siblings
+ *   { op: 'remove', id }
+ *   { op: 'text', id, value }
+ *   { op: 'attr', id, name, value }                 value null = removed
+ */
+
+(function (global) {
+    const FORMAT = 'veritas-caption-recording';
+    const OVERLAY_ID = 'veritas-overlay';
+
+    // The overlay is ours, not X's, so it's left out of recordings
+    const isOverlay = node => node.nodeType === 1 && node.id === OVERLAY_ID;
+    const isRecordable = node => [1, 3, 8].includes(node.nodeType) && !isOverlay(node);
+
+    let ids = new WeakMap();
+    let nextId = 1;
+    let recording = null;
+    let observer = null;
+
+    function number(node) {
+        ids.set(node, nextId++);
+        node.childNodes.forEach(child => {
+            if (isRecordable(child)) number(child);
+        });
+    }
+
+    function recordedSiblings(parent) {
+        return Array.from(parent.childNodes).filter(isRecordable);
+    }
+
+    function serialize(node) {
+        if (node.nodeType === 3) return { text: node.data };
+        if (node.nodeType === 8) return { comment: node.data };
+        const clone = node.cloneNode(true);
+        clone.querySelectorAll(`#${OVERLAY_ID}`).forEach(overlay => overlay.remove());
+        return { html: clone.outerHTML };
+    }
+
+    function handleMutations(mutations) {
+        const root = recording.rootNode;
+        const ops = [];
+
+        // Removals first: replay applies ops in order
+        const removed = new Set();
+        mutations.forEach(mutation => {
+            mutation.removedNodes.forEach(node => {
+                if (ids.has(node) && !removed.has(node)) {
+                    removed.add(node);
+                    ops.push({ op: 'remove', id: ids.get(node) });
+                    ids.delete(node);
+                }
+            });
+        });
+
+        // Additions still in the tree, minus those inside another added node
+        // (its HTML already includes them), in document order
+        const added = new Set();
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (isRecordable(node) && node.isConnected && root.contains(node) && node !== root) added.add(node);
+            });
+        });
+        const topLevel = Array.from(added)
+            .filter(node => {
+                for (let parent = node.parentNode; parent && parent !== root; parent = parent.parentNode) {
+                    if (added.has(parent) || isOverlay(parent)) return false;
+                }
+                return true;
+            })
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+        topLevel.forEach(node => {
+            if (!ids.has(node.parentNode)) return;
+            const op = {
+                op: 'add',
+                parent: ids.get(node.parentNode),
+                index: recordedSiblings(node.parentNode).indexOf(node),
+                id: nextId,
+                ...serialize(node)
+            };
+            number(node);
+            ops.push(op);
+        });
+
+        // Text and attribute changes, final value per node
+        const changes = new Map();
+        mutations.forEach(mutation => {
+            const id = ids.get(mutation.target);
+            if (!id || added.has(mutation.target)) return;
+            if (mutation.type === 'characterData') {
+                changes.set(`text:${id}`, { op: 'text', id, value: mutation.target.data });
+            } else if (mutation.type === 'attributes') {
+                const value = mutation.target.getAttribute(mutation.attributeName);
+                changes.set(`attr:${id}:${mutation.attributeName}`, { op: 'attr', id, name: mutation.attributeName, value });
+            }
+        });
+        ops.push(...changes.values());
+
+        if (ops.length > 0) {
+            recording.batches.push({ t: Math.round(performance.now() - recording.startedAt), ops });
+        }
+    }
+
+    function start({ root = '#layers' } = {}) {
+        if (observer) throw new Error('Already recording; call veritasRecorder.stop() first');
+
+        const rootNode = document.querySelector(root) || document.body;
+        const selector = rootNode === document.body ? 'body' : root;
+        ids = new WeakMap();
+        nextId = 1;
+        number(rootNode);
+
+        const snapshot = rootNode.cloneNode(true);
+        snapshot.querySelectorAll(`#${OVERLAY_ID}`).forEach(overlay => overlay.remove());
+
+        recording = {
+            rootNode,
+            startedAt: performance.now(),
+            data: {
+                format: FORMAT,
+                version: 1,
+                recorded_at: new Date().toISOString(),
+                url: location.href,
+                user_agent: navigator.userAgent,
+                root: { selector, html: selector === 'body' ? snapshot.innerHTML : snapshot.outerHTML }
+            },
+            batches: []
+        };
+
+        observer = new MutationObserver(handleMutations);
+        observer.observe(rootNode, { childList: true, subtree: true, characterData: true, attributes: true });
+        console.log(`Veritas recorder: recording ${selector}`);
+    }
+
+    /**
+     * Stop recording and download the file
+     * @param {string} [name] - File name without .json
+     * @returns {Object} - The recording
+     */
+    function stop(name = `captions-${Date.now()}`) {
+        if (!observer) throw new Error('Not recording');
+        handleMutations(observer.takeRecords());
+        observer.disconnect();
+        observer = null;
+
+        const data = { ...recording.data, name, batches: recording.batches, expected: null };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        console.log(`Veritas recorder: ${data.batches.length} batches saved to ${name}.json`);
+        return data;
+    }
+
+    global.veritasRecorder = { start, stop };
+})(window);
@@ -0,0 +1,371 @@
+/**
+ * Caption Replay Harness
+ * Replays caption recordings (made with tools/caption-recorder.js) through
+ * the extension's content scripts in jsdom, and checks the speaker-grouped
+ * messages they send to /api/messages/create against each recording's
+ * `expected` output.
+ *
+ * config.js, selectors.js and content-simple.js run unmodified, loaded the way
+ * the manifest loads them. chrome.*, fetch and EventSource are replaced with
+ * in-memory fakes; the fake backend accepts every space and message.
+ *
+ * Usage:
+ *   npm run replay:captions                                  # every file in fixtures/captions
+ *   npm run replay:captions -- fixtures/captions/foo.json    # one recording
+ *   npm run replay:captions -- --update                      # save current output as expected
+ *   npm run replay:captions -- --verbose                     # show the content scripts' logs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+export const RECORDINGS_DIR = path.join(__dirname, '..', 'fixtures', 'captions');
+
+// In manifest.json order; space-end-detector.js doesn't touch captions
+const CONTENT_SCRIPTS = ['config.js', 'selectors.js', 'content-simple.js'];
+const RECORDING_FORMAT = 'veritas-caption-recording';
+const DEFAULT_URL = 'https://x.com/i/spaces/1replay';
+const OVERLAY_ID = 'veritas-overlay';
+
+/**
+ * Read and check a recording file
+ * @param {string} file
+ * @returns {Object}
+ */
+export function loadRecording(file) {
+    let recording;
+    try {
+        recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Invalid recording ${path.basename(file)}: ${e.message}`);
+    }
+    if (recording.format !== RECORDING_FORMAT) {
+        throw new Error(`Invalid recording ${path.basename(file)}: format must be "${RECORDING_FORMAT}"`);
+    }
+    if (!recording.root?.html || !Array.isArray(recording.batches)) {
+        throw new Error(`Invalid recording ${path.basename(file)}: root.html and batches are required`);
+    }
+    return recording;
+}
+
+// chrome.storage area: promise or callback style, like the real API
+function createStorageArea(area, listeners) {
+    const data = {};
+    const reply = (value, callback) => {
+        if (callback) callback(value);
+        return Promise.resolve(value);
+    };
+
+    return {
+        get(keys, callback) {
+            const names = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+            const result = {};
+            names.forEach(name => {
+                if (name in data) result[name] = structuredClone(data[name]);
+            });
+            return reply(result, callback);
+        },
+        set(items, callback) {
+            const changes = {};
+            Object.entries(items).forEach(([name, value]) => {
+                changes[name] = { oldValue: data[name], newValue: value };
+                data[name] = structuredClone(value);
+            });
+            listeners.forEach(listener => listener(changes, area));
+            return reply(undefined, callback);
+        },
+        remove(keys, callback) {
+            [].concat(keys).forEach(name => delete data[name]);
+            return reply(undefined, callback);
+        }
+    };
+}
+
+function createChromeStub(runtimeMessages) {
+    const listeners = [];
+    const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+
+    return {
+        storage: {
+            local: createStorageArea('local', listeners),
+            sync: createStorageArea('sync', listeners),
+            onChanged: { addListener: listener => listeners.push(listener) }
+        },
+        runtime: {
+            lastError: undefined,
+            getManifest: () => manifest,
+            sendMessage(message, callback) {
+                runtimeMessages.push(message);
+                // background.js isn't loaded; grant the outbox lease the way it would
+                const response = message.type === 'OUTBOX_LEASE' ? { acquired: message.action === 'acquire' } : undefined;
+                if (callback) callback(response);
+                return Promise.resolve(response);
+            },
+            onMessage: { addListener() {} }
+        }
+    };
+}
+
+/**
+ * In-memory backend behind the content script's fetch() calls
+ */
+function createFakeBackend() {
+    const requests = [];
+    const messages = [];
+
+    const json = body => ({ ok: true, status: 200, json: async () => body });
+
+    async function fetch(url, options = {}) {
+        const { pathname } = new URL(url);
+        const route = pathname.replace(/^\/api/, '');
+        const method = (options.method || 'GET').toUpperCase();
+        const body = options.body ? JSON.parse(options.body) : null;
+        requests.push({ method, path: route, body });
+
+        if (method === 'POST' && route === '/spaces/create') {
+            return json({ success: true, space_id: 'replay-space' });
+        }
+        if (method === 'POST' && route === '/messages/create') {
+            messages.push({ speaker_username: body.speaker_username, content: body.content });
+            return json({ success: true, message_id: `replay-message-${messages.length}` });
+        }
+        if (method === 'GET' && route.startsWith('/messages/')) {
+            return json({ success: true, data: { fact_check_status: 'pending' } });
+        }
+        return json({ success: true });
+    }
+
+    return { fetch, requests, messages };
+}
+
+class FakeEventSource {
+    constructor(url) {
+        this.url = url;
+    }
+
+    addEventListener() {}
+
+    close() {}
+}
+
+const isRecordable = node => [1, 3, 8].includes(node.nodeType) && !(node.nodeType === 1 && node.id === OVERLAY_ID);
+
+// Same numbering as the recorder: document order, skipping the overlay
+function numberNodes(node, nodes, nextId) {
+    nodes.set(nextId, node);
+    let id = nextId + 1;
+    node.childNodes.forEach(child => {
+        if (isRecordable(child)) id = numberNodes(child, nodes, id);
+    });
+    return id;
+}
+
+function createNode(document, op) {
+    if ('text' in op) return document.createTextNode(op.text);
+    if ('comment' in op) return document.createComment(op.comment);
+    const template = document.createElement('template');
+    template.innerHTML = op.html;
+    return document.importNode(template.content.firstChild, true);
+}
+
+function applyOp(document, nodes, op, warnings) {
+    if (op.op === 'add') {
+        const parent = nodes.get(op.parent);
+        if (!parent) {
+            warnings.push(`add: parent ${op.parent} not found`);
+            return;
+        }
+        const node = createNode(document, op);
+        const siblings = Array.from(parent.childNodes).filter(isRecordable);
+        parent.insertBefore(node, siblings[op.index] || null);
+        numberNodes(node, nodes, op.id);
+        return;
+    }
+
+    const node = nodes.get(op.id);
+    if (!node) {
+        warnings.push(`${op.op}: node ${op.id} not found`);
+        return;
+    }
+
+    if (op.op === 'remove') {
+        node.remove();
+        nodes.delete(op.id);
+    } else if (op.op === 'text') {
+        node.data = op.value;
+    } else if (op.op === 'attr') {
+        try {
+            if (op.value === null) node.removeAttribute(op.name);
+            else node.setAttribute(op.name, op.value);
+        } catch (e) {
+            warnings.push(`attr: ${op.name} on node ${op.id}: ${e.message}`);
+        }
+    } else {
+        warnings.push(`unknown op "${op.op}"`);
+    }
+}
+
+// Let MutationObserver callbacks and the fetch() promise chains they start finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Replay a recording through the content scripts
+ * @param {Object} recording
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose=false] - Print the content scripts' console output
+ * @returns {Promise<{ messages: Array, pending: Object|null, health: Object, requests: Array, warnings: Array }>}
+ *   messages are the /api/messages/create bodies; pending is the group still
+ *   being spoken when the recording ends, which the content script hasn't sent
+ */
+export async function replayRecording(recording, { verbose = false } = {}) {
+    const virtualConsole = new VirtualConsole();
+    if (verbose) {
+        virtualConsole.forwardTo(console);
+    } else {
+        virtualConsole.on('error', (...args) => console.error('   [content]', ...args));
+        virtualConsole.on('jsdomError', error => console.error('   [jsdom]', error.message));
+    }
+
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: recording.url || DEFAULT_URL,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    const { document } = window;
+
+    // The recorded root, with the same node ids as in the recording
+    document.body.innerHTML = recording.root.html;
+    const root = recording.root.selector === 'body' ? document.body : document.body.firstElementChild;
+    const nodes = new Map();
+    numberNodes(root, nodes, 1);
+
+    const backend = createFakeBackend();
+    const runtimeMessages = [];
+    window.chrome = createChromeStub(runtimeMessages);
+    window.fetch = backend.fetch;
+    window.Headers = Headers;
+    window.EventSource = FakeEventSource;
+
+    // Run as scripts, not eval(), so top-level lets are shared between them
+    const context = dom.getInternalVMContext();
+    for (const script of CONTENT_SCRIPTS) {
+        const filename = path.join(EXTENSION_DIR, script);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+    }
+    await settle();
+
+    const warnings = [];
+    for (const batch of recording.batches) {
+        batch.ops.forEach(op => applyOp(document, nodes, op, warnings));
+        await settle();
+    }
+    await settle();
+
+    // Top-level lets in classic scripts share the window's global scope
+    const pending = new vm.Script(
+        'currentSpeaker && currentSpeakerText.length > 0'
+        + ' ? { speaker_username: currentSpeaker, content: currentSpeakerText.join(" ") } : null'
+    ).runInContext(context);
+    const health = window.VeritasSelectors.evaluateHealth();
+    window.close();
+
+    return {
+        messages: backend.messages,
+        pending,
+        health: { status: health.status, strategies: health.strategies },
+        requests: backend.requests,
+        warnings
+    };
+}
+
+function compare(expected, actual) {
+    const differences = [];
+    const length = Math.max(expected.messages.length, actual.messages.length);
+    for (let i = 0; i < length; i++) {
+        const want = expected.messages[i];
+        const got = actual.messages[i];
+        if (JSON.stringify(want) !== JSON.stringify(got)) {
+            differences.push(`message ${i + 1}:\n       expected ${JSON.stringify(want)}\n       actual   ${JSON.stringify(got)}`);
+        }
+    }
+    if (JSON.stringify(expected.pending ?? null) !== JSON.stringify(actual.pending)) {
+        differences.push(`pending:\n       expected ${JSON.stringify(expected.pending ?? null)}\n       actual   ${JSON.stringify(actual.pending)}`);
+    }
+    return differences;
+}
+
+function parseArgs(argv) {
+    const files = argv.filter(arg => !arg.startsWith('--'));
+    return {
+        files: files.length > 0
+            ? files.map(file => path.resolve(file))
+            : fs.readdirSync(RECORDINGS_DIR).filter(file => file.endsWith('.json')).sort().map(file => path.join(RECORDINGS_DIR, file)),
+        update: argv.includes('--update'),
+        verbose: argv.includes('--verbose')
+    };
+}
+
+async function main() {
+    const { files, update, verbose } = parseArgs(process.argv.slice(2));
+    let failed = 0;
+
+    for (const file of files) {
+        const recording = loadRecording(file);
+        const name = path.basename(file, '.json');
+        const result = await replayRecording(recording, { verbose });
+        const actual = { messages: result.messages, pending: result.pending };
+
+        result.warnings.forEach(warning => console.warn(`   ⚠️ ${name}: ${warning}`));
+
+        if (update) {
+            recording.expected = actual;
+            fs.writeFileSync(file, JSON.stringify(recording, null, 2) + '\n');
+            console.log(`✏️  ${name}: saved ${actual.messages.length} message(s) as expected`);
+            continue;
+        }
+
+        if (!recording.expected) {
+            failed++;
+            console.log(`✗ ${name}: no expected output (run with --update after checking the replay)`);
+            continue;
+        }
+
+        const differences = compare(recording.expected, actual);
+        if (differences.length > 0) {
+            failed++;
+            console.log(`✗ ${name}`);
+            differences.forEach(difference => console.log(`     ${difference}`));
+        } else {
+            console.log(`✓ ${name}: ${actual.messages.length} message(s), captions ${result.health.status} (${Object.values(result.health.strategies).join(', ')})`);
+        }
+    }
+
+    if (failed > 0) {
+        console.log(`\n❌ ${failed} of ${files.length} recording(s) failed`);
+        process.exit(1);
+    }
+    console.log(`\n✅ ${files.length} recording(s) replayed`);
+}
+
+// Run directly: node tools/caption-replay.js [files...] [--update] [--verbose]
+if (process.argv[1] === __filename) {
+    main().catch(error => {
+        console.error('❌ Caption replay failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export default {
+    RECORDINGS_DIR,
+    loadRecording,
+    replayRecording
+};
@@ -0,0 +1,257 @@
+/**
+ * Transcript Importers
+ * Turn subtitle and caption files into timed cues for DebateParser.parseCues():
+ *   srt  - SubRip ("00:00:01,000 --> 00:00:04,000")
+ *   vtt  - WebVTT, including <v Speaker> voice tags
+ *   json - diarized transcripts: an array of segments, { segments }, AssemblyAI
+ *          { utterances } (milliseconds), Deepgram { results: { utterances } }
+ *          and Rev.ai { monologues }
+ *   text - plain "NAME: text" transcripts, parsed by DebateParser.parseTranscript()
+ *
+ * A cue is { start, end, speaker, text }: times in seconds (or null), speaker
+ * when the format names one (or null, so the text may carry a "NAME:" label).
+ */
+
+export const TRANSCRIPT_FORMATS = ['text', 'srt', 'vtt', 'json'];
+
+const CUE_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+
+/**
+ * Seconds from "HH:MM:SS,mmm", "MM:SS.mmm", "HH:MM:SS" or a number
+ * @returns {number|null}
+ */
+export function parseTimestamp(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const parts = value.trim().replace(',', '.').split(':');
+    if (parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * "HH:MM:SS" for a number of seconds
+ */
+export function formatTimestamp(seconds) {
+    if (typeof seconds !== 'number') return null;
+    const whole = Math.floor(seconds);
+    return [Math.floor(whole / 3600), Math.floor(whole / 60) % 60, whole % 60]
+        .map(n => String(n).padStart(2, '0'))
+        .join(':');
+}
+
+// Markup inside cue text: <i>, <c.yellow>, <00:00:01.000>, {\an8}
+function stripMarkup(text) {
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ');
+}
+
+function blocks(text) {
+    return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/).map(block => block.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a SubRip (.srt) file
+ * @param {string} text
+ * @returns {Array} cues
+ */
+export function parseSrt(text) {
+    const cues = [];
+    blocks(text).forEach(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+        if (timingIndex === -1) return;
+
+        const [, start, end] = CUE_TIMING.exec(lines[timingIndex]);
+        const body = lines.slice(timingIndex + 1).map(stripMarkup).join('\n').trim();
+        if (body) {
+            cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), speaker: null, text: body });
+        }
+    });
+    return cues;
+}
+
+/**
+ * Parse a WebVTT (.vtt) file. A cue with several <v> voice spans becomes one
+ * cue per span, all with the cue's timing.
+ * @param {string} text
+ * @returns {Array} cues
+ */
+export function parseVtt(text) {
+    const cues = [];
+    blocks(text).forEach(block => {
+        if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block)) return;
+
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+        if (timingIndex === -1) return;
+
+        const [, start, end] = CUE_TIMING.exec(lines[timingIndex]);
+        const timing = { start: parseTimestamp(start), end: parseTimestamp(end) };
+        const body = lines.slice(timingIndex + 1).join('\n');
+
+        // <v Speaker>text</v>, <v.loud Speaker>text - the closing tag is optional
+        const voices = [...body.matchAll(/<v(?:\.[^\s>]+)*\s+([^>]+)>([\s\S]*?)(?:<\/v>|(?=<v[\s.])|$)/g)];
+        if (voices.length > 0) {
+            voices.forEach(([, speaker, span]) => {
+                const content = stripMarkup(span).trim();
+                if (content) cues.push({ ...timing, speaker: speaker.trim(), text: content });
+            });
+            return;
+        }
+
+        const content = stripMarkup(body).trim();
+        if (content) cues.push({ ...timing, speaker: null, text: content });
+    });
+    return cues;
+}
+
+const SPEAKER_FIELDS = ['speaker_name', 'speaker', 'speaker_label', 'label', 'name'];
+const TEXT_FIELDS = ['text', 'transcript', 'content', 'value'];
+const START_FIELDS = ['start', 'start_time', 'startTime', 'from', 'ts'];
+const END_FIELDS = ['end', 'end_time', 'endTime', 'to', 'end_ts'];
+
+const firstField = (object, fields) => fields.map(field => object[field]).find(value => value !== undefined && value !== null);
+
+// "SPEAKER_00", "A" and 0 are diarization ids, not names
+function speakerLabel(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const label = String(value).replace(/_/g, ' ').trim();
+    return /^([A-Z]|\d+)$/.test(label) ? `Speaker ${label}` : label;
+}
+
+function segmentCue(segment, scale) {
+    if (!segment || typeof segment !== 'object') return null;
+
+    let text = firstField(segment, TEXT_FIELDS);
+    if (text === undefined && Array.isArray(segment.words)) {
+        text = segment.words.map(word => firstField(word, ['word', 'text', 'punctuated_word'])).filter(Boolean).join(' ');
+    }
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const time = value => {
+        const seconds = parseTimestamp(value);
+        return seconds === null ? null : seconds * scale;
+    };
+    return {
+        start: time(firstField(segment, START_FIELDS)),
+        end: time(firstField(segment, END_FIELDS)),
+        speaker: speakerLabel(firstField(segment, SPEAKER_FIELDS)),
+        text: text.trim()
+    };
+}
+
+// Rev.ai monologue: { speaker, speaker_name?, elements: [{ type, value, ts, end_ts }] }
+function monologueCue(monologue) {
+    const elements = Array.isArray(monologue?.elements) ? monologue.elements : [];
+    const timed = elements.filter(element => typeof element.ts === 'number');
+    const text = elements.map(element => element.value || '').join('').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    return {
+        start: timed.length > 0 ? timed[0].ts : null,
+        end: timed.length > 0 ? timed[timed.length - 1].end_ts ?? null : null,
+        speaker: speakerLabel(monologue.speaker_name ?? monologue.speaker),
+        text
+    };
+}
+
+/**
+ * Parse a diarized transcript (a JSON string or an already-parsed value)
+ * @param {string|Object|Array} input
+ * @returns {Array} cues
+ */
+export function parseDiarizedJson(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (e) {
+            throw new Error(`Transcript is not valid JSON: ${e.message}`);
+        }
+    }
+
+    let cues;
+    if (Array.isArray(data)) {
+        cues = data.map(segment => segmentCue(segment, 1));
+    } else if (Array.isArray(data?.monologues)) {
+        cues = data.monologues.map(monologueCue);
+    } else if (Array.isArray(data?.utterances)) {
+        // AssemblyAI reports times in milliseconds
+        cues = data.utterances.map(utterance => segmentCue(utterance, 0.001));
+    } else if (Array.isArray(data?.results?.utterances)) {
+        cues = data.results.utterances.map(utterance => segmentCue(utterance, 1));
+    } else if (Array.isArray(data?.segments)) {
+        cues = data.segments.map(segment => segmentCue(segment, 1));
+    } else {
+        throw new Error('Unrecognized JSON transcript: expected an array of segments, segments, utterances or monologues');
+    }
+
+    return cues.filter(Boolean);
+}
+
+/**
+ * Guess a transcript's format from its content
+ * @param {string|Object|Array} input
+ * @returns {string} One of TRANSCRIPT_FORMATS
+ */
+export function detectFormat(input) {
+    if (typeof input !== 'string') return 'json';
+
+    const text = input.replace(/^\uFEFF/, '').trimStart();
+    if (/^WEBVTT\b/.test(text)) return 'vtt';
+    if (/^[[{]/.test(text)) {
+        try {
+            JSON.parse(text);
+            return 'json';
+        } catch (e) {
+            // "[00:01:02] NAME: ..." also starts with a bracket
+        }
+    }
+    if (/^\d+\s*\n\s*(?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3}\s*-->/.test(text.replace(/\r\n?/g, '\n'))) return 'srt';
+    return 'text';
+}
+
+/**
+ * Import a transcript in any supported format
+ * @param {string|Object|Array} input
+ * @param {Object} [options]
+ * @param {string} [options.format='auto'] - 'auto' or one of TRANSCRIPT_FORMATS
+ * @returns {{ format: string, cues: Array|null }} - cues is null for plain text
+ */
+export function importTranscript(input, { format = 'auto' } = {}) {
+    const resolved = format === 'auto' ? detectFormat(input) : format;
+    if (!TRANSCRIPT_FORMATS.includes(resolved)) {
+        throw new Error(`format must be auto or one of ${TRANSCRIPT_FORMATS.join(', ')}`);
+    }
+    if (resolved !== 'json' && typeof input !== 'string') {
+        throw new Error(`A ${resolved} transcript must be a string`);
+    }
+
+    switch (resolved) {
+        case 'srt':
+            return { format: resolved, cues: parseSrt(input) };
+        case 'vtt':
+            return { format: resolved, cues: parseVtt(input) };
+        case 'json':
+            return { format: resolved, cues: parseDiarizedJson(input) };
+        default:
+            return { format: resolved, cues: null };
+    }
+}
+
+export default {
+    TRANSCRIPT_FORMATS,
+    parseTimestamp,
+    formatTimestamp,
+    parseSrt,
+    parseVtt,
+    parseDiarizedJson,
+    detectFormat,
+    importTranscript
+};
@@ -0,0 +1,145 @@
+/**
+ * Claim Text
+ * Normalization, fingerprints and similarity for matching the same claim
+ * across spaces, debates and threads.
+ */
+
+import crypto from 'crypto';
+
+// Words that carry no factual content; dropped before comparing claims
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from',
+    'is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does', 'did',
+    'that', 'this', 'these', 'those', 'it', 'its', 'as', 'than', 'then', 'so', 'very', 'just',
+    'i', 'we', 'you', 'they', 'he', 'she', 'our', 'their', 'my', 'your', 'his', 'her',
+    'think', 'believe', 'know', 'say', 'said', 'says', 'actually', 'really', 'basically', 'literally',
+    'about', 'over', 'some', 'any', 'all', 'there', 'here', 'what', 'which', 'who', 'will', 'would'
+]);
+
+// Words that negate a claim. They are kept as tokens, and two claims only
+// match when both are negated or neither is ("rose" vs "never rose").
+const NEGATIONS = new Set(['not', 'no', 'never', 'nor', 'neither', 'none', 'nobody', 'nothing']);
+
+// Spelled-out numbers and units, so "three years" matches "3 years"
+const NUMBER_WORDS = {
+    one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+    seven: '7', eight: '8', nine: '9', ten: '10', eleven: '11', twelve: '12',
+    pct: 'percent'
+};
+
+/**
+ * Strip plural endings so "jobs" and "job" compare equal
+ */
+function stem(word) {
+    if (/^\d/.test(word) || word.length <= 3) return word;
+    if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (word.endsWith('es') && /(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Normalized token list for a claim: lowercase, no punctuation or
+ * stopwords, numbers without thousands separators, "%" as "percent"
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function claimTokens(text) {
+    if (!text) return [];
+
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\b(?:cannot|can['’]t)\b/g, 'can not')
+        .replace(/\bwon['’]t\b/g, 'will not')
+        .replace(/n['’]t\b/g, ' not')
+        .replace(/(\d),(?=\d{3}\b)/g, '$1')
+        .replace(/%/g, ' percent ')
+        .replace(/\$/g, ' dollar ')
+        .replace(/(\d)\.(?!\d)/g, '$1 ')
+        .replace(/[^a-z0-9.\s]/g, ' ')
+        .replace(/(^|\s)\.|\.(\s|$)/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(word => NUMBER_WORDS[word] || stem(word));
+}
+
+/**
+ * Normalized claim text, tokens joined by spaces
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeClaimText(text) {
+    return claimTokens(text).join(' ');
+}
+
+/**
+ * Fingerprint of the normalized text: claims with the same content words in
+ * the same order share a fingerprint ("Tesla was founded by Elon Musk" and
+ * "Elon Musk was founded by Tesla" don't)
+ * @param {string} text
+ * @returns {string|null} - sha1 hex, or null for text with no content words
+ */
+export function fingerprintClaim(text) {
+    const tokens = claimTokens(text);
+    if (tokens.length === 0) return null;
+    return crypto.createHash('sha1').update(tokens.join(' ')).digest('hex');
+}
+
+/**
+ * Whether a claim is negated: an odd number of negation words
+ * @param {Array<string>} tokens - claimTokens()
+ * @returns {boolean}
+ */
+function isNegated(tokens) {
+    return tokens.filter(t => NEGATIONS.has(t)).length % 2 === 1;
+}
+
+/**
+ * Normalized tokens plus each pair of neighbouring tokens, so word order counts
+ */
+function termSet(tokens) {
+    const terms = new Set(tokens);
+    tokens.slice(1).forEach((token, i) => terms.add(`${tokens[i]} ${token}`));
+    return terms;
+}
+
+/**
+ * Similarity of two claims from 0 to 1 (Jaccard over normalized tokens and
+ * their bigrams). Claims citing different numbers, or where only one is
+ * negated, are never similar: "3.5 percent" and "4.5 percent" are different
+ * claims however alike the wording, and so are "rose" and "never rose".
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function claimSimilarity(a, b) {
+    const tokensA = claimTokens(a);
+    const tokensB = claimTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+    if (isNegated(tokensA) !== isNegated(tokensB)) return 0;
+
+    const numbers = tokens => [...new Set(tokens)].filter(t => /^\d/.test(t)).sort().join(' ');
+    if (numbers(tokensA) !== numbers(tokensB)) return 0;
+
+    const termsA = termSet(tokensA);
+    const termsB = termSet(tokensB);
+    const shared = [...termsA].filter(t => termsB.has(t)).length;
+    return shared / (termsA.size + termsB.size - shared);
+}
+
+/**
+ * The most distinctive words of a claim, for narrowing candidate lookups
+ * @param {string} text
+ * @param {number} [count=3]
+ * @returns {Array<string>}
+ */
+export function claimKeywords(text, count = 3) {
+    return [...new Set(claimTokens(text))]
+        .filter(t => !/^\d/.test(t) && t.length > 3)
+        .sort((a, b) => b.length - a.length)
+        .slice(0, count);
+}
+
+export default { claimTokens, normalizeClaimText, fingerprintClaim, claimSimilarity, claimKeywords };
@@ -0,0 +1,249 @@
+/**
+ * Fact-Check Schema
+ * Validates and repairs the JSON the fact-check prompt asks the model for:
+ *   { claims: [{ text, score, verdict, explanation, sources, depends_on? }], truth_score, summary }
+ * depends_on lists the numbers of earlier context messages a claim relies on.
+ */
+
+export const CLAIM_VERDICTS = ['TRUE', 'FALSE', 'MIXED', 'UNVERIFIABLE'];
+
+/**
+ * Find the end of the JSON object/array starting at `start`
+ * @returns {number} - Index of the matching closer, or -1 if the text ends first
+ */
+function findMatchingClose(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{' || ch === '[') depth++;
+        else if (ch === '}' || ch === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Close a truncated JSON document: terminate an open string, drop a dangling
+ * key or trailing comma, then append the missing closers
+ */
+function closePartialJson(text) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const ch of text) {
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{') stack.push('}');
+        else if (ch === '[') stack.push(']');
+        else if (ch === '}' || ch === ']') stack.pop();
+    }
+
+    let closed = text;
+    if (inString) closed += '"';
+    closed = closed
+        .replace(/,\s*"[^"]*"\s*:\s*$/, '')   // dangling "key":
+        .replace(/,\s*"[^"]*"\s*$/, (m) => stack[stack.length - 1] === '}' ? '' : m) // dangling "key"
+        .replace(/[,:]\s*$/, '');
+
+    return closed + stack.reverse().join('');
+}
+
+/**
+ * Comma positions outside strings, used to cut a partial document back to
+ * its last complete value
+ */
+function commaPositions(text) {
+    const positions = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === ',') positions.push(i);
+    }
+    return positions;
+}
+
+/**
+ * Parse model output as JSON, repairing common failure modes:
+ * fenced code blocks, prose before/after the object, and truncated output
+ * @param {string} text - Raw model output
+ * @returns {{ value: any, repairs: string[] } | { value: null, repairs: string[], error: string }}
+ */
+export function repairJson(text) {
+    const repairs = [];
+
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { value: null, repairs, error: 'Empty response' };
+    }
+
+    let candidate = text.trim();
+
+    try {
+        return { value: JSON.parse(candidate), repairs };
+    } catch (e) {
+        // fall through to repairs
+    }
+
+    const fence = candidate.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fence) {
+        candidate = fence[1].trim();
+        repairs.push('code_fence');
+    }
+
+    const start = candidate.search(/[{[]/);
+    if (start === -1) {
+        return { value: null, repairs, error: 'No JSON object found in response' };
+    }
+
+    const end = findMatchingClose(candidate, start);
+    if (start > 0 || (end !== -1 && end < candidate.length - 1)) {
+        repairs.push('surrounding_prose');
+    }
+
+    if (end !== -1) {
+        candidate = candidate.substring(start, end + 1);
+        try {
+            return { value: JSON.parse(candidate), repairs };
+        } catch (e) {
+            return { value: null, repairs, error: `Invalid JSON: ${e.message}` };
+        }
+    }
+
+    // Truncated: close what is open, cutting back to earlier commas if needed
+    candidate = candidate.substring(start);
+    repairs.push('partial_json');
+
+    const cuts = [candidate.length, ...commaPositions(candidate).reverse()];
+    for (const cut of cuts.slice(0, 50)) {
+        try {
+            return { value: JSON.parse(closePartialJson(candidate.substring(0, cut))), repairs };
+        } catch (e) {
+            // try an earlier cut
+        }
+    }
+
+    return { value: null, repairs, error: 'Could not repair truncated JSON' };
+}
+
+function isScore(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 1 && value <= 10;
+}
+
+/**
+ * Validate a parsed fact-check result
+ * Verdicts are upper-cased in place; nothing else is altered
+ * @param {any} result - Parsed model output
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export function validateFactCheck(result) {
+    const errors = [];
+
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        return ['response must be a JSON object'];
+    }
+
+    if (!Array.isArray(result.claims)) {
+        errors.push('claims must be an array');
+    } else {
+        result.claims.forEach((claim, idx) => {
+            const path = `claims[${idx}]`;
+            if (!claim || typeof claim !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof claim.text !== 'string' || claim.text.trim() === '') {
+                errors.push(`${path}.text must be a non-empty string`);
+            }
+            if (!isScore(claim.score)) {
+                errors.push(`${path}.score must be a number from 1 to 10`);
+            }
+            if (typeof claim.verdict === 'string') {
+                claim.verdict = claim.verdict.trim().toUpperCase();
+            }
+            if (!CLAIM_VERDICTS.includes(claim.verdict)) {
+                errors.push(`${path}.verdict must be one of ${CLAIM_VERDICTS.join(', ')}`);
+            }
+            if (typeof claim.explanation !== 'string') {
+                errors.push(`${path}.explanation must be a string`);
+            }
+            if (!Array.isArray(claim.sources)) {
+                errors.push(`${path}.sources must be an array`);
+            } else if (claim.sources.some(url => typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+                errors.push(`${path}.sources must contain only http(s) URLs`);
+            }
+            if (claim.depends_on !== undefined && claim.depends_on !== null &&
+                (!Array.isArray(claim.depends_on) || claim.depends_on.some(ref => !Number.isInteger(ref)))) {
+                errors.push(`${path}.depends_on must be an array of context message numbers`);
+            }
+        });
+    }
+
+    const hasClaims = Array.isArray(result.claims) && result.claims.length > 0;
+    if (hasClaims && !isScore(result.truth_score)) {
+        errors.push('truth_score must be a number from 1 to 10 when claims are present');
+    }
+    if (!hasClaims && result.truth_score !== null) {
+        errors.push('truth_score must be null when there are no claims');
+    }
+
+    if (typeof result.summary !== 'string') {
+        errors.push('summary must be a string');
+    }
+
+    return errors;
+}
+
+/**
+ * Repair and validate a raw fact-check response
+ * @param {string} text - Raw model output
+ * @returns {{ result: Object|null, errors: string[], repairs: string[] }}
+ */
+export function parseFactCheck(text) {
+    const { value, repairs, error } = repairJson(text);
+    if (error) {
+        return { result: null, errors: [error], repairs };
+    }
+
+    const errors = validateFactCheck(value);
+    return { result: errors.length === 0 ? value : null, errors, repairs };
+}
+
+/**
+ * Follow-up message asking the model to fix its previous response
+ * @param {string[]} errors - Validation errors from parseFactCheck
+ * @returns {string}
+ */
+export function buildCorrectionPrompt(errors) {
+    return `Your previous response did not match the required OUTPUT FORMAT:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return ONLY the corrected JSON object. No markdown, no code fences, no text before or after it.`;
+}
+
+export default { CLAIM_VERDICTS, repairJson, validateFactCheck, parseFactCheck, buildCorrectionPrompt };
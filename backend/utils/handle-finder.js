@@ -1,5 +1,5 @@
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { chatCompletion } from '../services/llm.js';
 
 dotenv.config();
 
@@ -66,37 +66,22 @@ export async function findTwitterHandle(speakerName) {
         }
 
         // Use Grok API to find the handle (Grok has knowledge of public figures' handles)
-        const response = await fetch(`${process.env.GROK_API_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.GROK_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'grok-3-mini-fast',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a helpful assistant that knows Twitter/X handles of public figures, celebrities, and content creators. Return ONLY the handle with @ symbol, nothing else. If unsure, return NOT_FOUND.'
-                    },
-                    {
-                        role: 'user',
-                        content: `What is the Twitter/X handle for ${speakerName}?`
-                    }
-                ],
-                temperature: 0, // Zero temperature for deterministic factual response
-                max_tokens: 30 // We only need the handle
-            })
+        const { content: rawHandle } = await chatCompletion('lookup', {
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You are a helpful assistant that knows Twitter/X handles of public figures, celebrities, and content creators. Return ONLY the handle with @ symbol, nothing else. If unsure, return NOT_FOUND.'
+                },
+                {
+                    role: 'user',
+                    content: `What is the Twitter/X handle for ${speakerName}?`
+                }
+            ],
+            temperature: 0, // Zero temperature for deterministic factual response
+            max_tokens: 30 // We only need the handle
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`❌ Grok API error ${response.status}:`, errorText);
-            throw new Error(`Grok API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        const content = data.choices[0]?.message?.content?.trim();
+        const content = rawHandle?.trim();
 
         console.log(`🤖 Grok response: ${content}`);
 
@@ -0,0 +1,72 @@
+/**
+ * OAuth 1.0a
+ * HMAC-SHA1 request signing for X API calls made as a user (posting replies,
+ * reading the bot's mentions), which the app-only bearer token can't do.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * RFC 3986 percent-encoding, as OAuth 1.0a requires
+ * @param {string} value
+ * @returns {string}
+ */
+export function percentEncode(value) {
+    return encodeURIComponent(String(value))
+        .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * Authorization header for a request. Query parameters are signed; JSON
+ * bodies are not part of the signature.
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {string} options.url - Full URL, query string included
+ * @param {Object} options.credentials - { apiKey, apiSecret, accessToken, accessTokenSecret }
+ * @param {string} [options.nonce] - Fixed nonce, for reproducing a signature
+ * @param {string} [options.timestamp] - Fixed timestamp in seconds, likewise
+ * @returns {string} - 'OAuth oauth_consumer_key="...", ...'
+ */
+export function authorizationHeader({
+    method,
+    url,
+    credentials,
+    nonce = crypto.randomBytes(16).toString('hex'),
+    timestamp = Math.floor(Date.now() / 1000).toString()
+}) {
+    const { apiKey, apiSecret, accessToken, accessTokenSecret } = credentials;
+    const parsed = new URL(url);
+
+    const oauthParams = {
+        oauth_consumer_key: apiKey,
+        oauth_token: accessToken,
+        oauth_signature_method: 'HMAC-SHA1',
+        oauth_timestamp: timestamp,
+        oauth_nonce: nonce,
+        oauth_version: '1.0'
+    };
+
+    const signed = [...Object.entries(oauthParams), ...parsed.searchParams.entries()]
+        .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+        .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+
+    const baseString = [
+        method.toUpperCase(),
+        percentEncode(`${parsed.origin}${parsed.pathname}`),
+        percentEncode(signed)
+    ].join('&');
+    const signingKey = `${percentEncode(apiSecret)}&${percentEncode(accessTokenSecret)}`;
+    const signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+    const header = Object.entries({ ...oauthParams, oauth_signature: signature })
+        .map(([key, value]) => `${percentEncode(key)}="${percentEncode(value)}"`)
+        .join(', ');
+    return `OAuth ${header}`;
+}
+
+export default {
+    percentEncode,
+    authorizationHeader
+};
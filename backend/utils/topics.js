@@ -0,0 +1,28 @@
+/**
+ * Topic Tagging
+ * Keyword buckets for grouping claims by subject. They match the topic lanes
+ * of the analytics timeline (analytics.js renderTimeline).
+ */
+
+export const TOPICS = [
+    { name: 'Health', pattern: /\b(vaccine|vaccines|autism|covid|virus|doctor|health|medicine|herd|immunity|pandemic|shot|dose|medical)\b/ },
+    { name: 'Social', pattern: /\b(gender|pay|gap|women|men|wage|sex|equality|rights|feminism|cents|dollar|earning)\b/ },
+    { name: 'Politics', pattern: /\b(border|immigration|wall|migrants|aliens|crossing|mexico|trump|biden|election|vote|policy)\b/ },
+    { name: 'Economy', pattern: /\b(economy|jobs|inflation|tax|money|cost|price|market|trade|tariff|finance|wealth)\b/ },
+    { name: 'Technology', pattern: /\b(ai|artificial|intelligence|tech|technology|robot|robotics|autonomous|vehicle|car|drive|driverless|lidar|vision|camera|sensor|neural|network|software|hardware|tesla|musk|optimus)\b/ }
+];
+
+export const GENERAL_TOPIC = 'General';
+
+/**
+ * Topics a piece of text touches, or [GENERAL_TOPIC] when none match
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function textTopics(text) {
+    const lower = (text || '').toLowerCase();
+    const found = TOPICS.filter(({ pattern }) => pattern.test(lower)).map(({ name }) => name);
+    return found.length > 0 ? found : [GENERAL_TOPIC];
+}
+
+export default { TOPICS, GENERAL_TOPIC, textTopics };
@@ -0,0 +1,94 @@
+/**
+ * Tweet Text
+ * Length and truncation as X counts characters: every URL is shortened to a
+ * 23-character t.co link, and characters outside the Latin, punctuation and
+ * common symbol ranges (CJK, emoji) count twice.
+ */
+
+export const MAX_TWEET_LENGTH = 280;
+export const URL_LENGTH = 23;
+
+const URL_PATTERN = /https?:\/\/\S+/g;
+const ELLIPSIS = '…';
+
+// Code point ranges X weighs as one character; everything else weighs two
+const LIGHT_RANGES = [
+    [0, 4351],
+    [8192, 8205],
+    [8208, 8223],
+    [8242, 8247]
+];
+
+function charWeight(char) {
+    const code = char.codePointAt(0);
+    return LIGHT_RANGES.some(([start, end]) => code >= start && code <= end) ? 1 : 2;
+}
+
+function textLength(text) {
+    let length = 0;
+    for (const char of text.normalize('NFC')) length += charWeight(char);
+    return length;
+}
+
+/**
+ * Split text into plain and URL segments: 'see https://x.co now' ->
+ * [{ text: 'see ' }, { text: 'https://x.co', url: true }, { text: ' now' }]
+ */
+function segments(text) {
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(URL_PATTERN)) {
+        if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+        parts.push({ text: match[0], url: true });
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last) });
+    return parts;
+}
+
+/**
+ * Tweet length as X counts it
+ * @param {string} text
+ * @returns {number}
+ */
+export function tweetLength(text) {
+    return segments(text).reduce((sum, part) => sum + (part.url ? URL_LENGTH : textLength(part.text)), 0);
+}
+
+/**
+ * Cut text to fit maxLength, ending with an ellipsis. URLs are kept whole
+ * or dropped, never cut.
+ * @param {string} text
+ * @param {number} [maxLength=MAX_TWEET_LENGTH]
+ * @returns {string}
+ */
+export function truncateTweet(text, maxLength = MAX_TWEET_LENGTH) {
+    if (tweetLength(text) <= maxLength) return text;
+
+    const budget = maxLength - textLength(ELLIPSIS); // X counts it as two
+    let result = '';
+    let length = 0;
+    fill:
+    for (const part of segments(text)) {
+        if (part.url) {
+            if (length + URL_LENGTH > budget) break;
+            result += part.text;
+            length += URL_LENGTH;
+            continue;
+        }
+        for (const char of part.text.normalize('NFC')) {
+            const weight = charWeight(char);
+            if (length + weight > budget) break fill;
+            result += char;
+            length += weight;
+        }
+    }
+    return `${result.trimEnd()}${ELLIPSIS}`;
+}
+
+export default {
+    MAX_TWEET_LENGTH,
+    URL_LENGTH,
+    tweetLength,
+    truncateTweet
+};
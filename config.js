@@ -0,0 +1,162 @@
+// Shared backend configuration for every Veritas script
+// Loaded as a classic script: importScripts() in background.js, a <script> tag
+// before each extension page's own script, and first in the content_scripts list.
+//
+// The backend base URL comes from the active named profile (local, staging,
+// prod, or any profile added on the options page), saved in chrome.storage.sync.
+// Each profile's API key is kept in chrome.storage.local so it stays on this
+// install, and is sent with every request made through apiFetch().
+
+(function (global) {
+  const STORAGE_KEY = 'backendConfig';
+  const API_KEYS_STORAGE_KEY = 'backendApiKeys';
+  const DEFAULT_URL = 'http://localhost:3000';
+
+  const DEFAULT_CONFIG = {
+    activeProfile: 'local',
+    profiles: {
+      local: DEFAULT_URL,
+      staging: '',
+      prod: ''
+    }
+  };
+
+  let cached = null;
+
+  // "https://staging.example.com/api/" -> "https://staging.example.com"
+  function normalizeUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '').replace(/\/api$/, '');
+  }
+
+  function isValidUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async function getConfig() {
+    if (cached) return cached;
+
+    const result = await chrome.storage.sync.get([STORAGE_KEY]);
+    const keys = await chrome.storage.local.get([API_KEYS_STORAGE_KEY]);
+    const stored = result[STORAGE_KEY] || {};
+    cached = {
+      activeProfile: stored.activeProfile || DEFAULT_CONFIG.activeProfile,
+      profiles: { ...DEFAULT_CONFIG.profiles, ...(stored.profiles || {}) },
+      apiKeys: keys[API_KEYS_STORAGE_KEY] || {}
+    };
+    return cached;
+  }
+
+  /**
+   * Save profiles, their API keys and the active profile name
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async function saveConfig({ activeProfile, profiles, apiKeys = {} }) {
+    const cleaned = {};
+    for (const [name, url] of Object.entries(profiles || {})) {
+      const key = String(name).trim().toLowerCase();
+      if (!/^[a-z0-9_-]+$/.test(key)) {
+        return { success: false, error: `Invalid profile name "${name}" (letters, numbers, - and _ only)` };
+      }
+      const normalized = normalizeUrl(url);
+      if (normalized && !isValidUrl(normalized)) {
+        return { success: false, error: `Invalid URL for ${key}: ${url}` };
+      }
+      cleaned[key] = normalized;
+    }
+
+    if (!cleaned[activeProfile]) {
+      return { success: false, error: `Profile "${activeProfile}" has no URL` };
+    }
+
+    const cleanedKeys = {};
+    for (const [name, key] of Object.entries(apiKeys)) {
+      const trimmed = String(key || '').trim();
+      const profile = String(name).trim().toLowerCase();
+      if (trimmed && profile in cleaned) cleanedKeys[profile] = trimmed;
+    }
+
+    await chrome.storage.sync.set({ [STORAGE_KEY]: { activeProfile, profiles: cleaned } });
+    await chrome.storage.local.set({ [API_KEYS_STORAGE_KEY]: cleanedKeys });
+    cached = null;
+    return { success: true };
+  }
+
+  /**
+   * The active profile; falls back to local when its URL is missing
+   * @returns {Promise<{ name: string, url: string, apiKey: string|null }>}
+   */
+  async function getActiveProfile() {
+    const config = await getConfig();
+    const url = config.profiles[config.activeProfile];
+    const name = url ? config.activeProfile : 'local';
+    return {
+      name,
+      url: url || config.profiles.local || DEFAULT_URL,
+      apiKey: config.apiKeys[name] || null
+    };
+  }
+
+  async function getBackendUrl() {
+    return (await getActiveProfile()).url;
+  }
+
+  /**
+   * Full URL of a backend API path: apiUrl('/health') -> "<base>/api/health"
+   */
+  async function apiUrl(path) {
+    return `${await getBackendUrl()}/api${path}`;
+  }
+
+  /**
+   * fetch() a backend API path with the active profile's API key:
+   * apiFetch('/spaces/create', { method: 'POST', ... })
+   */
+  async function apiFetch(path, options = {}) {
+    const { url, apiKey } = await getActiveProfile();
+    const headers = new Headers(options.headers || {});
+    if (apiKey) headers.set('X-API-Key', apiKey);
+    return fetch(`${url}/api${path}`, { ...options, headers });
+  }
+
+  /**
+   * URL of an event stream path with the API key in the query string,
+   * since EventSource can't send headers
+   */
+  async function eventsUrl(path) {
+    const { url, apiKey } = await getActiveProfile();
+    const query = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+    return `${url}/api${path}${query}`;
+  }
+
+  // Pick up changes made on the options page in every open script. Pages
+  // opened outside the extension (e.g. analytics.html served by the backend)
+  // have no chrome.storage
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if ((area === 'sync' && changes[STORAGE_KEY]) || (area === 'local' && changes[API_KEYS_STORAGE_KEY])) {
+        cached = null;
+      }
+    });
+  }
+
+  global.VeritasConfig = {
+    STORAGE_KEY,
+    API_KEYS_STORAGE_KEY,
+    DEFAULT_URL,
+    DEFAULT_CONFIG,
+    normalizeUrl,
+    isValidUrl,
+    getConfig,
+    saveConfig,
+    getActiveProfile,
+    getBackendUrl,
+    apiUrl,
+    apiFetch,
+    eventsUrl
+  };
+})(globalThis);
@@ -1,5 +1,6 @@
 // Veritas - Auto-saves to backend WITH overlay UI
-const BACKEND_URL = 'http://localhost:3000/api';
+// Backend URLs come from the active profile (config.js, loaded before this script)
+// DOM lookups go through the selector registry (selectors.js, also loaded before)
 
 // Track state
 let isMonitoring = false;
@@ -9,8 +10,11 @@ let currentSpeakerText = [];
 let lastKnownUsername = null;
 let processedCaptions = new Set();
 let displayedMessages = []; // Messages shown in overlay
-let pollingMessageIds = new Set(); // Track messages being polled to prevent duplicates
+let pendingAnalyses = new Map(); // messageId -> { speaker, content } awaiting a result
+let earlyResults = new Map(); // messageId -> { message, receivedAt }, results that beat the create response
+let spaceEvents = null; // EventSource for the current space
 let liveMessageElement = null; // Current live message element being updated
+let spaceCreation = null; // In-flight /spaces/create request
 // Track speaker scores for stats display
 let speakerScores = {}; // { 'username': { displayName: '', scores: [], avgScore: 0 } }
 
@@ -60,6 +64,7 @@ function createOverlay() {
           <div class="stat-value" id="speaker-2-score">-</div>
         </div>
       </div>
+      <div class="veritas-outbox" id="veritas-outbox" style="display: none;"></div>
       <div class="veritas-claims" id="veritas-claims">
         <p class="placeholder">WAITING FOR CAPTIONS...</p>
       </div>
@@ -520,247 +525,513 @@ function getSpaceTweetUrl() {
   return window.location.href;
 }
 
+// Create a space on the backend; throws when the backend can't be reached
+async function createSpace(spaceUrl, startedAt = new Date().toISOString()) {
+  const response = await VeritasConfig.apiFetch('/spaces/create', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      title: 'X Space',
+      space_url: spaceUrl,
+      metadata: { started_at: startedAt }
+    })
+  });
+
+  console.log('Veritas DEBUG: Response status:', response.status);
+  const data = await response.json();
+  console.log('Veritas DEBUG: Response data:', data);
+  if (!data.success || !data.space_id) {
+    throw new Error(data.error || `Space creation failed (${response.status})`);
+  }
+  return data.space_id;
+}
+
 // Create space automatically on first caption
 async function ensureSpaceExists() {
   if (currentSpace) return currentSpace.id;
+  if (spaceCreation) return spaceCreation;
 
-  try {
-    console.log('Veritas DEBUG: Creating space at', `${BACKEND_URL}/spaces/create`);
-    const spaceUrl = getSpaceTweetUrl();
+  spaceCreation = (async () => {
+    try {
+      console.log('Veritas DEBUG: Creating space at', await VeritasConfig.apiUrl('/spaces/create'));
+      const spaceUrl = getSpaceTweetUrl();
+      const spaceId = await createSpace(spaceUrl);
 
-    const response = await fetch(`${BACKEND_URL}/spaces/create`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+      currentSpace = {
+        id: spaceId,
         title: 'X Space',
-        space_url: spaceUrl,
-        metadata: { started_at: new Date().toISOString() }
-      })
-    });
+        url: spaceUrl
+      };
 
-    console.log('Veritas DEBUG: Response status:', response.status);
-    const data = await response.json();
-    console.log('Veritas DEBUG: Response data:', data);
+      // Store space ID for space-end-detector
+      chrome.storage.local.set({ currentSpaceId: currentSpace.id }, () => {
+        console.log('✓ Veritas: Space ID stored for end detection:', currentSpace.id);
+      });
 
-    currentSpace = {
-      id: data.space_id,
-      title: 'X Space',
-      url: spaceUrl
-    };
+      console.log('✓ Veritas: Space created:', currentSpace.id);
+      return currentSpace.id;
+    } catch (error) {
+      console.error('Veritas: Error creating space:', error);
+      console.error('Veritas DEBUG: Error details:', error.message, error.stack);
+      return null;
+    } finally {
+      spaceCreation = null;
+    }
+  })();
+  return spaceCreation;
+}
 
-    // Store space ID for space-end-detector
-    chrome.storage.local.set({ currentSpaceId: currentSpace.id }, () => {
-      console.log('✓ Veritas: Space ID stored for end detection:', currentSpace.id);
-    });
+// =====================================================
+// OFFLINE OUTBOX
+// Finalized messages wait in chrome.storage.local until the backend has
+// them, so captions survive a backend outage or a closed tab. They're sent
+// one at a time, oldest first, with the time they were captured. Each has a
+// client_message_id, so a resend after a lost response isn't stored twice.
+// A rejected API key stops sending until the key or backend is changed.
+// =====================================================
+
+const OUTBOX_STORAGE_KEY = 'captionOutbox';
+const OUTBOX_LEASE_MS = 30 * 1000;
+const OUTBOX_MIN_RETRY_MS = 2 * 1000;
+const OUTBOX_MAX_RETRY_MS = 60 * 1000;
+
+const outboxOwner = crypto.randomUUID();
+let outboxWrites = Promise.resolve(); // Serializes read-modify-write of the outbox
+let outboxFlushing = false;
+let outboxRetryTimer = null;
+let outboxRetryMs = 0;
+let outboxAuthError = null; // Set when the backend rejects the API key
+
+// Read the outbox, let update() return a new list, and save it
+function updateOutbox(update) {
+  const run = outboxWrites.then(async () => {
+    const result = await chrome.storage.local.get([OUTBOX_STORAGE_KEY]);
+    const entries = result[OUTBOX_STORAGE_KEY] || [];
+    const next = update(entries);
+    if (next !== entries) {
+      await chrome.storage.local.set({ [OUTBOX_STORAGE_KEY]: next });
+    }
+    return next;
+  });
+  outboxWrites = run.catch(() => {});
+  return run;
+}
 
-    console.log('✓ Veritas: Space created:', currentSpace.id);
-    return currentSpace.id;
+// Queue a finalized message for the backend (the overlay already shows it)
+async function saveMessageToBackendWithoutFinalize(speaker, content, capturedAt = new Date().toISOString()) {
+  try {
+    const entries = await updateOutbox(entries => [...entries, {
+      client_message_id: crypto.randomUUID(),
+      space_id: currentSpace ? currentSpace.id : null,
+      page_url: window.location.href,
+      speaker_username: speaker,
+      content,
+      captured_at: capturedAt,
+      attempts: 0
+    }]);
+    updateOutboxBadge(entries.length);
   } catch (error) {
-    console.error('Veritas: Error creating space:', error);
-    console.error('Veritas DEBUG: Error details:', error.message, error.stack);
-    return null;
+    console.error('Veritas: Error queueing message:', error);
+    return;
   }
+
+  flushOutbox();
 }
 
-// Send message to backend (without finalizing - already done)
-async function saveMessageToBackendWithoutFinalize(speaker, content) {
+// One tab flushes at a time; the lease expires if that tab goes away. The
+// background worker compare-and-sets it, so two tabs can't both take it.
+async function acquireOutboxLease() {
+  const response = await chrome.runtime.sendMessage({
+    type: 'OUTBOX_LEASE', action: 'acquire', owner: outboxOwner, ttlMs: OUTBOX_LEASE_MS
+  });
+  return Boolean(response && response.acquired);
+}
+
+async function releaseOutboxLease() {
+  await chrome.runtime.sendMessage({ type: 'OUTBOX_LEASE', action: 'release', owner: outboxOwner });
+}
+
+// Space for a queued message; messages captured before the space could be
+// created get one now (this page's, or a new one for a page since closed)
+async function resolveOutboxSpace(entry) {
+  if (entry.space_id) return entry.space_id;
+
+  const spaceId = entry.page_url === window.location.href
+    ? await ensureSpaceExists()
+    : await createSpace(entry.page_url, entry.captured_at);
+  if (!spaceId) return null;
+
+  await updateOutbox(entries => entries.map(e => (
+    !e.space_id && e.page_url === entry.page_url ? { ...e, space_id: spaceId } : e
+  )));
+  return spaceId;
+}
+
+/**
+ * Send one queued message
+ * @returns {Promise<{ status: 'sent'|'retry'|'drop'|'auth', retryAfterMs?: number, error?: string }>}
+ */
+async function sendOutboxEntry(entry) {
   try {
-    const spaceId = await ensureSpaceExists();
-    if (!spaceId) {
-      console.error('Veritas: No space ID, cannot save message');
-      return;
-    }
+    const spaceId = await resolveOutboxSpace(entry);
+    if (!spaceId) return { status: 'retry' };
 
-    const response = await fetch(`${BACKEND_URL}/messages/create`, {
+    const response = await VeritasConfig.apiFetch('/messages/create', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         space_id: spaceId,
-        speaker_username: speaker,
-        content: content
+        speaker_username: entry.speaker_username,
+        content: entry.content,
+        captured_at: entry.captured_at,
+        client_message_id: entry.client_message_id
       })
     });
 
+    // A missing, revoked or under-scoped key won't fix itself; stop until it's changed
+    if (response.status === 401 || response.status === 403) {
+      const data = await response.json().catch(() => ({}));
+      console.error(`Veritas: Backend rejected the API key (${response.status}), message stays queued:`, data.error);
+      return { status: 'auth', error: data.error || `HTTP ${response.status}` };
+    }
+
+    // Backend trouble and rate limits clear up; keep the message
+    if (response.status >= 500 || [408, 429].includes(response.status)) {
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      console.warn(`Veritas: Backend returned ${response.status}, message stays queued`);
+      return { status: 'retry', retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null };
+    }
+
     const data = await response.json();
     console.log('Veritas DEBUG: Backend response:', data);
+    if (!response.ok || !data.success) {
+      console.error('Veritas: Backend rejected queued message, dropping it:', data.error);
+      return { status: 'drop' };
+    }
 
-    if (data.success) {
-      console.log(`✓ Veritas: Message saved & queued for analysis`);
+    console.log(`✓ Veritas: Message saved & queued for analysis`);
+    connectSpaceEvents(spaceId);
 
-      // Poll for analysis results
-      if (data.message_id) {
-        console.log('Veritas DEBUG: Starting polling for message_id:', data.message_id);
-        pollForAnalysis(data.message_id, speaker, content);
-      } else {
-        console.log('Veritas DEBUG: No message_id in response!', data);
+    // Wait for analysis results on the event stream
+    if (data.message_id) {
+      console.log('Veritas DEBUG: Watching for analysis of message_id:', data.message_id);
+      watchForAnalysis(data.message_id, entry.speaker_username, entry.content);
+    } else {
+      console.log('Veritas DEBUG: No message_id in response!', data);
+    }
+    return { status: 'sent' };
+  } catch (error) {
+    console.warn('Veritas: Backend unreachable, message stays queued:', error.message);
+    return { status: 'retry' };
+  }
+}
+
+// Retry with exponential backoff, or when the backend says to
+function scheduleOutboxRetry(retryAfterMs) {
+  outboxRetryMs = Math.min(outboxRetryMs ? outboxRetryMs * 2 : OUTBOX_MIN_RETRY_MS, OUTBOX_MAX_RETRY_MS);
+  const delay = retryAfterMs || outboxRetryMs;
+  console.log(`Veritas: Retrying queued messages in ${Math.round(delay / 1000)}s`);
+
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = setTimeout(flushOutbox, delay);
+}
+
+// Send queued messages in order until the outbox is empty or the backend fails
+async function flushOutbox() {
+  if (outboxFlushing || outboxAuthError) return;
+  outboxFlushing = true;
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = null;
+
+  try {
+    let entries = await updateOutbox(entries => entries);
+    updateOutboxBadge(entries.length);
+    if (entries.length === 0) return;
+
+    while (entries.length > 0) {
+      // Renewed before every send; another tab may have taken an expired lease
+      if (!(await acquireOutboxLease())) {
+        scheduleOutboxRetry(OUTBOX_LEASE_MS);
+        return;
+      }
+
+      const entry = entries[0];
+      const result = await sendOutboxEntry(entry);
+
+      if (result.status === 'auth') {
+        outboxAuthError = result.error;
+        updateOutboxBadge(entries.length);
+        await releaseOutboxLease();
+        return;
       }
+
+      if (result.status === 'retry') {
+        await updateOutbox(current => current.map(e => (
+          e.client_message_id === entry.client_message_id ? { ...e, attempts: e.attempts + 1 } : e
+        )));
+        scheduleOutboxRetry(result.retryAfterMs);
+        return;
+      }
+
+      outboxRetryMs = 0;
+      entries = await updateOutbox(current => current.filter(e => e.client_message_id !== entry.client_message_id));
+      updateOutboxBadge(entries.length);
     }
+
+    await releaseOutboxLease();
   } catch (error) {
-    console.error('Veritas: Error saving message:', error);
+    console.error('Veritas: Error flushing outbox:', error);
+    scheduleOutboxRetry();
+  } finally {
+    outboxFlushing = false;
   }
 }
 
-// Poll for analysis results
-async function pollForAnalysis(messageId, speaker, content) {
-  // Check if already polling for this message
-  if (pollingMessageIds.has(messageId)) {
-    console.log('Veritas DEBUG: Already polling for message', messageId, '- skipping duplicate');
+// "3 WAITING TO SYNC" under the speaker stats
+function updateOutboxBadge(count) {
+  const badge = document.getElementById('veritas-outbox');
+  if (!badge) return;
+
+  const paused = outboxAuthError ? ' - API KEY REJECTED, CHECK SETTINGS' : '';
+  badge.textContent = `${count} ${count === 1 ? 'MESSAGE' : 'MESSAGES'} WAITING TO SYNC${paused}`;
+  badge.title = outboxAuthError || '';
+  badge.style.display = count > 0 ? 'block' : 'none';
+}
+
+// Other tabs queue and flush too
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[OUTBOX_STORAGE_KEY]) {
+    updateOutboxBadge((changes[OUTBOX_STORAGE_KEY].newValue || []).length);
+  }
+
+  // A new key or backend may be accepted; try again
+  const configChanged = (area === 'sync' && changes[VeritasConfig.STORAGE_KEY]) ||
+    (area === 'local' && changes[VeritasConfig.API_KEYS_STORAGE_KEY]);
+  if (configChanged && outboxAuthError) {
+    outboxAuthError = null;
+    flushOutbox();
+  }
+});
+
+window.addEventListener('online', () => flushOutbox());
+
+// Live analysis results arrive over the space's SSE stream
+async function connectSpaceEvents(spaceId) {
+  if (spaceEvents && spaceEvents.spaceId === spaceId) return;
+  const eventsUrl = await VeritasConfig.eventsUrl(`/spaces/${spaceId}/events`);
+  // Another call may have connected while the URL was loading
+  if (spaceEvents && spaceEvents.spaceId === spaceId) return;
+  if (spaceEvents) spaceEvents.close();
+  earlyResults.clear();
+
+  console.log('Veritas DEBUG: Subscribing to events for space', spaceId);
+  spaceEvents = new EventSource(eventsUrl);
+  spaceEvents.spaceId = spaceId;
+
+  // On (re)connect, catch up on anything that finished while we weren't listening
+  spaceEvents.addEventListener('open', () => {
+    console.log('Veritas DEBUG: Event stream connected');
+    pendingAnalyses.forEach((_, messageId) => fetchAnalysisOnce(messageId));
+  });
+
+  spaceEvents.addEventListener('analysis-completed', (event) => {
+    const message = JSON.parse(event.data);
+    console.log('Veritas DEBUG: analysis-completed', message.message_id, message.fact_check_status);
+    handleAnalysisResult(message.message_id, message);
+  });
+
+  spaceEvents.addEventListener('space-ended', () => {
+    console.log('Veritas DEBUG: Space ended, closing event stream');
+    spaceEvents.close();
+    spaceEvents = null;
+    earlyResults.clear();
+  });
+
+  spaceEvents.addEventListener('error', () => {
+    console.log('Veritas DEBUG: Event stream interrupted, browser will reconnect');
+  });
+}
+
+// Wait for a message's analysis result
+function watchForAnalysis(messageId, speaker, content) {
+  if (pendingAnalyses.has(messageId)) {
+    console.log('Veritas DEBUG: Already watching message', messageId, '- skipping duplicate');
     return;
   }
 
-  // Add to tracking set
-  pollingMessageIds.add(messageId);
+  pendingAnalyses.set(messageId, { speaker, content });
 
-  let attempts = 0;
-  const maxAttempts = 60; // 60 seconds max for Grok 4 reasoning model
+  // The result may have arrived before the create response did
+  if (earlyResults.has(messageId)) {
+    handleAnalysisResult(messageId, earlyResults.get(messageId).message);
+  }
+}
 
-  console.log('Veritas DEBUG: Starting poll for message', messageId);
+// Every result for the space arrives here, most for other tabs' messages, so
+// only recent ones are kept: a create response is never far behind its result
+const EARLY_RESULT_TTL_MS = 60 * 1000;
+const MAX_EARLY_RESULTS = 50;
 
-  const poll = setInterval(async () => {
-    attempts++;
+function keepEarlyResult(messageId, message) {
+  const now = Date.now();
+  earlyResults.forEach((entry, id) => {
+    if (now - entry.receivedAt > EARLY_RESULT_TTL_MS) earlyResults.delete(id);
+  });
+  earlyResults.set(messageId, { message, receivedAt: now });
 
-    try {
-      const response = await fetch(`${BACKEND_URL}/messages/${messageId}`);
-      const result = await response.json();
-
-      // Backend returns { success: true, data: <message> }
-      const message = result.data;
-
-      console.log('Veritas DEBUG: Poll attempt', attempts, 'status:', message?.fact_check_status);
-
-      if (message && (message.fact_check_status === 'completed' || message.fact_check_status === 'failed')) {
-        clearInterval(poll);
-        pollingMessageIds.delete(messageId); // Remove from tracking
-
-        if (message.fact_check_status === 'failed') {
-          console.log('Veritas DEBUG: Analysis failed for message', messageId);
-          // Remove the "Analyzing" indicator but don't show score
-          const messageIndex = displayedMessages.findIndex(
-            m => m.username === speaker && m.content === content && m.truthScore === null
-          );
-          if (messageIndex !== -1 && displayedMessages[messageIndex].element) {
-            const element = displayedMessages[messageIndex].element;
-            const liveIndicator = element.querySelector('.live-indicator');
-            if (liveIndicator) liveIndicator.remove();
-
-            // Add failed indicator
-            const failedDiv = document.createElement('div');
-            failedDiv.className = 'score-skip';
-            failedDiv.textContent = 'ANALYSIS FAILED';
-            failedDiv.style.color = '#ff4444';
-            element.appendChild(failedDiv);
-            element.classList.remove('analyzing');
-            element.classList.add('completed');
-          }
-          return;
-        }
+  // Oldest first (Map insertion order)
+  while (earlyResults.size > MAX_EARLY_RESULTS) {
+    earlyResults.delete(earlyResults.keys().next().value);
+  }
+}
 
-        console.log('Veritas DEBUG: Analysis completed!', message);
+// One-off fetch used after (re)connecting the event stream
+async function fetchAnalysisOnce(messageId) {
+  try {
+    const response = await VeritasConfig.apiFetch(`/messages/${messageId}`);
+    const result = await response.json();
+    const message = result.data;
 
-        // Update the overlay with results
-        const messageIndex = displayedMessages.findIndex(
-          m => m.username === speaker && m.content === content && m.truthScore === null
-        );
+    if (message && (message.fact_check_status === 'completed' || message.fact_check_status === 'failed')) {
+      handleAnalysisResult(messageId, message);
+    }
+  } catch (error) {
+    console.error('Veritas: Error fetching analysis:', error);
+  }
+}
 
-        console.log('Veritas DEBUG: Found message at index', messageIndex);
+function handleAnalysisResult(messageId, message) {
+  const pending = pendingAnalyses.get(messageId);
+  if (!pending) {
+    keepEarlyResult(messageId, message);
+    return;
+  }
 
-        if (messageIndex !== -1 && displayedMessages[messageIndex].element) {
-          const msg = displayedMessages[messageIndex];
-          msg.truthScore = message.truth_score;
-          msg.explanation = message.grok_explanation;
-          msg.rawResponse = message.grok_response_raw;
+  pendingAnalyses.delete(messageId);
+  earlyResults.delete(messageId);
+  renderAnalysisResult(message, pending.speaker, pending.content);
+}
 
-          // Debug: Log the raw response structure
-          console.log('Veritas DEBUG: grok_response_raw:', message.grok_response_raw);
+// Render a completed or failed analysis into the overlay
+function renderAnalysisResult(message, speaker, content) {
+  if (message.fact_check_status === 'failed') {
+    console.log('Veritas DEBUG: Analysis failed for message', message.message_id || message.id);
+    // Remove the "Analyzing" indicator but don't show score
+    const messageIndex = displayedMessages.findIndex(
+      m => m.username === speaker && m.content === content && m.truthScore === null
+    );
+    if (messageIndex !== -1 && displayedMessages[messageIndex].element) {
+      const element = displayedMessages[messageIndex].element;
+      const liveIndicator = element.querySelector('.live-indicator');
+      if (liveIndicator) liveIndicator.remove();
+
+      // Add failed indicator
+      const failedDiv = document.createElement('div');
+      failedDiv.className = 'score-skip';
+      failedDiv.textContent = 'ANALYSIS FAILED';
+      failedDiv.style.color = '#ff4444';
+      element.appendChild(failedDiv);
+      element.classList.remove('analyzing');
+      element.classList.add('completed');
+    }
+    return;
+  }
 
-          // Update the element
-          const element = msg.element;
-          const liveIndicator = element.querySelector('.live-indicator');
-          if (liveIndicator) liveIndicator.remove();
+  console.log('Veritas DEBUG: Analysis completed!', message);
 
-          // Remove any existing score elements before adding new one
-          const existingScore = element.querySelector('.truth-score, .score-skip');
-          if (existingScore) {
-            console.log('Veritas DEBUG: Removing existing score element before update');
-            existingScore.remove();
-          }
+  // Update the overlay with results
+  const messageIndex = displayedMessages.findIndex(
+    m => m.username === speaker && m.content === content && m.truthScore === null
+  );
 
-          // Add completed animation
-          element.classList.remove('analyzing');
-          element.classList.add('completed');
-
-          if (message.truth_score !== null && message.truth_score !== undefined) {
-            // Has truth score - show clickable pill
-            console.log(`Veritas DEBUG: Adding truth score ${message.truth_score} to element`);
-            let scoreClass = 'score-very-low';
-            if (message.truth_score >= 7) scoreClass = 'score-high';
-            else if (message.truth_score >= 5) scoreClass = 'score-medium';
-            else if (message.truth_score >= 3) scoreClass = 'score-low';
-
-            const scoreDiv = document.createElement('div');
-            scoreDiv.className = `truth-score ${scoreClass} clickable`;
-            scoreDiv.innerHTML = `<span class="score-number">${message.truth_score}</span><span class="score-total">/10</span>`;
-
-            // Store explanation in data attribute
-            scoreDiv.dataset.explanation = message.grok_explanation || 'No explanation available';
-            scoreDiv.dataset.score = message.truth_score;
-            scoreDiv.dataset.speaker = msg.displayName;
-            scoreDiv.dataset.content = msg.content;
-
-            // Add click handler to show detail view
-            scoreDiv.addEventListener('click', () => {
-              showDetailView(msg.displayName, msg.username, msg.content, message.truth_score, message.grok_explanation, message.grok_response_raw);
-            });
+  console.log('Veritas DEBUG: Found message at index', messageIndex);
 
-            element.appendChild(scoreDiv);
-            console.log(`Veritas DEBUG: Successfully added truth score ${message.truth_score} to element`);
+  if (messageIndex !== -1 && displayedMessages[messageIndex].element) {
+    const msg = displayedMessages[messageIndex];
+    msg.truthScore = message.truth_score;
+    msg.explanation = message.grok_explanation;
+    msg.rawResponse = message.grok_response_raw;
 
-            // Track speaker score for stats
-            if (!speakerScores[msg.username]) {
-              speakerScores[msg.username] = {
-                displayName: msg.displayName,
-                scores: [],
-                avgScore: 0
-              };
-            }
-            speakerScores[msg.username].scores.push(message.truth_score);
-            // Calculate average
-            const scores = speakerScores[msg.username].scores;
-            speakerScores[msg.username].avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
+    // Debug: Log the raw response structure
+    console.log('Veritas DEBUG: grok_response_raw:', message.grok_response_raw);
 
-            updateStats();
-          } else {
-            // No score - could be opinion, too short, or no factual claims
-            console.log('Veritas DEBUG: No truth score for message');
-            const skipDiv = document.createElement('div');
-            skipDiv.className = 'score-skip';
-
-            // Check message length to determine appropriate message
-            const messageLength = msg.content ? msg.content.length : 0;
-            if (messageLength > 100) {
-              // Long message with no score = likely opinion or no factual claims
-              skipDiv.textContent = 'OPINION/NO CLAIMS';
-              skipDiv.title = 'This appears to be an opinion or contains no verifiable factual claims';
-            } else {
-              // Short message
-              skipDiv.textContent = 'TOO SHORT TO ANALYZE';
-              skipDiv.title = 'Message is too short for meaningful fact-checking';
-            }
+    // Update the element
+    const element = msg.element;
+    const liveIndicator = element.querySelector('.live-indicator');
+    if (liveIndicator) liveIndicator.remove();
 
-            element.appendChild(skipDiv);
-          }
-        }
-      } else if (attempts >= maxAttempts) {
-        clearInterval(poll);
-        pollingMessageIds.delete(messageId); // Remove from tracking
-        console.log('Veritas: Analysis timeout for message', messageId);
+    // Remove any existing score elements before adding new one
+    const existingScore = element.querySelector('.truth-score, .score-skip');
+    if (existingScore) {
+      console.log('Veritas DEBUG: Removing existing score element before update');
+      existingScore.remove();
+    }
+
+    // Add completed animation
+    element.classList.remove('analyzing');
+    element.classList.add('completed');
+
+    if (message.truth_score !== null && message.truth_score !== undefined) {
+      // Has truth score - show clickable pill
+      console.log(`Veritas DEBUG: Adding truth score ${message.truth_score} to element`);
+      let scoreClass = 'score-very-low';
+      if (message.truth_score >= 7) scoreClass = 'score-high';
+      else if (message.truth_score >= 5) scoreClass = 'score-medium';
+      else if (message.truth_score >= 3) scoreClass = 'score-low';
+
+      const scoreDiv = document.createElement('div');
+      scoreDiv.className = `truth-score ${scoreClass} clickable`;
+      scoreDiv.innerHTML = `<span class="score-number">${message.truth_score}</span><span class="score-total">/10</span>`;
+
+      // Store explanation in data attribute
+      scoreDiv.dataset.explanation = message.grok_explanation || 'No explanation available';
+      scoreDiv.dataset.score = message.truth_score;
+      scoreDiv.dataset.speaker = msg.displayName;
+      scoreDiv.dataset.content = msg.content;
+
+      // Add click handler to show detail view
+      scoreDiv.addEventListener('click', () => {
+        showDetailView(msg.displayName, msg.username, msg.content, message.truth_score, message.grok_explanation, message.grok_response_raw);
+      });
+
+      element.appendChild(scoreDiv);
+      console.log(`Veritas DEBUG: Successfully added truth score ${message.truth_score} to element`);
+
+      // Track speaker score for stats
+      if (!speakerScores[msg.username]) {
+        speakerScores[msg.username] = {
+          displayName: msg.displayName,
+          scores: [],
+          avgScore: 0
+        };
       }
-    } catch (error) {
-      console.error('Veritas: Error polling for analysis:', error);
-      clearInterval(poll);
-      pollingMessageIds.delete(messageId); // Remove from tracking
+      speakerScores[msg.username].scores.push(message.truth_score);
+      // Calculate average
+      const scores = speakerScores[msg.username].scores;
+      speakerScores[msg.username].avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
+
+      updateStats();
+    } else {
+      // No score - could be opinion, too short, or no factual claims
+      console.log('Veritas DEBUG: No truth score for message');
+      const skipDiv = document.createElement('div');
+      skipDiv.className = 'score-skip';
+
+      // Check message length to determine appropriate message
+      const messageLength = msg.content ? msg.content.length : 0;
+      if (messageLength > 100) {
+        // Long message with no score = likely opinion or no factual claims
+        skipDiv.textContent = 'OPINION/NO CLAIMS';
+        skipDiv.title = 'This appears to be an opinion or contains no verifiable factual claims';
+      } else {
+        // Short message
+        skipDiv.textContent = 'TOO SHORT TO ANALYZE';
+        skipDiv.title = 'Message is too short for meaningful fact-checking';
+      }
+
+      element.appendChild(skipDiv);
     }
-  }, 1000); // Poll every second
+  }
 }
 
 // Monitor for captions
@@ -774,25 +1045,14 @@ function startMonitoring() {
     mutations.forEach((mutation) => {
       mutation.addedNodes.forEach((node) => {
         if (node.nodeType === 1) {
-          const layersContainer = document.getElementById('layers');
+          const layersContainer = VeritasSelectors.query('layersRoot');
           if (!layersContainer || !layersContainer.contains(node)) {
             console.log('Veritas DEBUG: Node not in layers container');
             return;
           }
 
-          // Find caption containers
-          let captionContainers = [];
-          if (node.classList && node.classList.contains('r-13awgt0') && node.classList.contains('r-1lzbym2')) {
-            console.log('Veritas DEBUG: Found caption container via classList');
-            captionContainers.push(node);
-          }
-          if (node.querySelectorAll) {
-            const containers = node.querySelectorAll('div.css-175oi2r.r-13awgt0.r-1lzbym2');
-            if (containers.length > 0) {
-              console.log('Veritas DEBUG: Found', containers.length, 'caption containers via querySelectorAll');
-            }
-            captionContainers.push(...containers);
-          }
+          // Find caption containers (the node itself or its descendants)
+          const captionContainers = VeritasSelectors.findWithin(node, 'captionContainer');
 
           if (captionContainers.length > 0) {
             console.log('Veritas DEBUG: Processing', captionContainers.length, 'caption containers');
@@ -800,12 +1060,12 @@ function startMonitoring() {
 
           // Extract captions
           captionContainers.forEach(container => {
-            const captionDivs = container.querySelectorAll('div.css-146c3p1[dir="ltr"]');
+            const captionDivs = VeritasSelectors.queryAll('captionText', container);
             console.log('Veritas DEBUG: Found', captionDivs.length, 'caption divs in container');
 
             captionDivs.forEach(captionDiv => {
               // Get ALL spans in this caption div
-              const allSpans = captionDiv.querySelectorAll('span.css-1jxf684');
+              const allSpans = VeritasSelectors.queryAll('captionSpan', captionDiv);
               if (allSpans.length === 0) {
                 console.log('Veritas DEBUG: No caption spans found');
                 return;
@@ -863,6 +1123,7 @@ function startMonitoring() {
 
                 // Process caption
                 processedCaptions.add(text);
+                VeritasSelectors.recordCaption();
                 addCaptionToGroup(text, username, displayName);
               });
             });
@@ -877,6 +1138,9 @@ function startMonitoring() {
     subtree: true
   });
 
+  // Warn (and tell the backend) when captions stop being detected
+  VeritasSelectors.startHealthCheck();
+
   console.log('Veritas: MutationObserver started');
 }
 
@@ -902,7 +1166,7 @@ function isDisplayName(text, captionDiv) {
   if (hasCommonWords) return false;
 
   // Check if there's a username (@handle) in the same caption div
-  const allSpans = captionDiv.querySelectorAll('span.css-1jxf684');
+  const allSpans = VeritasSelectors.queryAll('captionSpan', captionDiv);
   const usernameSpans = Array.from(allSpans).filter(span => {
     const spanText = span.textContent.trim();
     return spanText.startsWith('@') && !spanText.includes(' ');
@@ -918,7 +1182,7 @@ function isDisplayName(text, captionDiv) {
 
 // Find username in container
 function findUsername(container) {
-  const allSpans = container.querySelectorAll('span.css-1jxf684');
+  const allSpans = VeritasSelectors.queryAll('captionSpan', container);
   for (const span of allSpans) {
     const spanText = span.textContent.trim();
     if (spanText.startsWith('@') && !spanText.includes(' ')) {
@@ -930,7 +1194,7 @@ function findUsername(container) {
 
 // Find display name in container (e.g., "Adam Bhaloo", "Test")
 function findDisplayName(container) {
-  const allSpans = container.querySelectorAll('span.css-1jxf684');
+  const allSpans = VeritasSelectors.queryAll('captionSpan', container);
   const displayNamePattern = /^[A-Z][A-Za-z'\-\s]{0,30}$/;
 
   for (const span of allSpans) {
@@ -961,8 +1225,9 @@ function isUIText(text) {
   });
 }
 
-// Track current speaker's display name
+// Track current speaker's display name, and when they started speaking
 let currentDisplayName = null;
+let currentSpeakerStartedAt = null;
 
 // Group captions by speaker
 function addCaptionToGroup(text, username, displayName) {
@@ -981,12 +1246,13 @@ function addCaptionToGroup(text, username, displayName) {
       finalizeLiveMessage(currentDisplayName, currentSpeaker, fullText);
 
       // THEN: Save to backend (async, won't block)
-      saveMessageToBackendWithoutFinalize(currentSpeaker, fullText);
+      saveMessageToBackendWithoutFinalize(currentSpeaker, fullText, currentSpeakerStartedAt);
     }
 
     // Start new group
     currentSpeaker = username;
     currentDisplayName = displayName;
+    currentSpeakerStartedAt = new Date().toISOString();
     currentSpeakerText = [text];
     console.log('Veritas DEBUG: Started new group for', displayName, username);
     console.log('Veritas DEBUG: Current pending message:', text);
@@ -1010,11 +1276,14 @@ window.veritasFlush = function () {
   if (currentSpeaker && currentSpeakerText.length > 0) {
     const fullText = currentSpeakerText.join(' ');
     console.log(`Veritas: Manually flushing ${currentSpeaker}: "${fullText}"`);
-    saveMessageToBackend(currentSpeaker, fullText);
+    saveMessageToBackendWithoutFinalize(currentSpeaker, fullText, currentSpeakerStartedAt);
     currentSpeakerText = [];
   } else {
     console.log('Veritas: No pending message to flush');
   }
 };
 
+// Send anything left queued by an earlier page (see OFFLINE OUTBOX)
+flushOutbox();
+
 console.log('Veritas: Ready. Overlay visible, auto-saving to backend.');
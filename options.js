@@ -0,0 +1,180 @@
+// Backend Settings (options page)
+// Named backend profiles and their API keys, stored through VeritasConfig (config.js)
+
+const BUILT_IN_PROFILES = Object.keys(VeritasConfig.DEFAULT_CONFIG.profiles);
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const config = await VeritasConfig.getConfig();
+  renderProfiles(config.profiles, config.activeProfile, config.apiKeys);
+
+  document.getElementById('addProfile').addEventListener('click', addProfile);
+  document.getElementById('saveProfiles').addEventListener('click', saveProfiles);
+  document.getElementById('testProfile').addEventListener('click', testProfile);
+});
+
+function renderProfiles(profiles, activeProfile, apiKeys = {}) {
+  const container = document.getElementById('profiles');
+  container.innerHTML = '';
+
+  Object.entries(profiles).forEach(([name, url]) => {
+    const row = document.createElement('div');
+    row.className = 'profile-row';
+    row.dataset.profile = name;
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'activeProfile';
+    radio.value = name;
+    radio.checked = name === activeProfile;
+
+    const label = document.createElement('div');
+    label.className = 'profile-name';
+    label.textContent = name;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'input profile-url';
+    input.value = url;
+    input.placeholder = name === 'local' ? VeritasConfig.DEFAULT_URL : 'https://backend.example.com';
+
+    const keyInput = document.createElement('input');
+    keyInput.type = 'password';
+    keyInput.className = 'input profile-key';
+    keyInput.value = apiKeys[name] || '';
+    keyInput.placeholder = 'API key (vk_...)';
+    keyInput.autocomplete = 'off';
+
+    row.append(radio, label, input, keyInput);
+
+    if (!BUILT_IN_PROFILES.includes(name)) {
+      const remove = document.createElement('button');
+      remove.className = 'remove-profile';
+      remove.textContent = '×';
+      remove.title = `Remove ${name}`;
+      remove.addEventListener('click', () => row.remove());
+      row.appendChild(remove);
+    }
+
+    container.appendChild(row);
+  });
+}
+
+// Profiles as currently shown on the page
+function readForm() {
+  const profiles = {};
+  const apiKeys = {};
+  document.querySelectorAll('.profile-row').forEach(row => {
+    profiles[row.dataset.profile] = row.querySelector('.profile-url').value.trim();
+    apiKeys[row.dataset.profile] = row.querySelector('.profile-key').value.trim();
+  });
+  const checked = document.querySelector('input[name="activeProfile"]:checked');
+  return { activeProfile: checked ? checked.value : 'local', profiles, apiKeys };
+}
+
+function addProfile() {
+  const name = document.getElementById('newProfileName').value.trim().toLowerCase();
+  const url = document.getElementById('newProfileUrl').value.trim();
+  const apiKey = document.getElementById('newProfileKey').value.trim();
+  const form = readForm();
+
+  if (!/^[a-z0-9_-]+$/.test(name)) {
+    showStatus('Profile names use letters, numbers, - and _ only', 'error');
+    return;
+  }
+  if (form.profiles[name] !== undefined) {
+    showStatus(`Profile "${name}" already exists`, 'error');
+    return;
+  }
+
+  renderProfiles({ ...form.profiles, [name]: url }, form.activeProfile, { ...form.apiKeys, [name]: apiKey });
+  document.getElementById('newProfileName').value = '';
+  document.getElementById('newProfileUrl').value = '';
+  document.getElementById('newProfileKey').value = '';
+}
+
+// Hosts other than localhost need an optional host permission before the
+// background worker can reach them
+function originsToRequest(profiles) {
+  return Object.values(profiles)
+    .map(url => VeritasConfig.normalizeUrl(url))
+    .filter(url => VeritasConfig.isValidUrl(url) && new URL(url).hostname !== 'localhost')
+    .map(url => `${new URL(url).origin}/*`);
+}
+
+async function saveProfiles() {
+  const form = readForm();
+
+  // Must be requested straight from the click, before anything else is awaited
+  const origins = originsToRequest(form.profiles);
+  let granted = true;
+  if (origins.length > 0) {
+    try {
+      granted = await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.error('Error requesting host permissions:', error);
+      granted = false;
+    }
+  }
+
+  const result = await VeritasConfig.saveConfig(form);
+  if (!result.success) {
+    showStatus(result.error, 'error');
+    return;
+  }
+
+  const config = await VeritasConfig.getConfig();
+  renderProfiles(config.profiles, config.activeProfile, config.apiKeys);
+
+  if (granted) {
+    showStatus(`Saved. Active profile: ${config.activeProfile}`, 'success');
+  } else {
+    showStatus('Saved, but host access was not granted; background requests to that backend may fail', 'warning');
+  }
+}
+
+async function testProfile() {
+  const form = readForm();
+  const url = VeritasConfig.normalizeUrl(form.profiles[form.activeProfile]);
+
+  if (!VeritasConfig.isValidUrl(url)) {
+    showStatus(`Profile "${form.activeProfile}" needs a valid URL`, 'error');
+    return;
+  }
+
+  showStatus(`Testing ${url}...`, 'warning');
+  try {
+    const response = await fetch(`${url}/api/health`);
+    const data = await response.json();
+    if (data.status !== 'ok') {
+      showStatus(`✗ ${form.activeProfile} backend responded but is unhealthy`, 'error');
+      return;
+    }
+
+    // The key typed on the page, which may not be saved yet
+    const apiKey = form.apiKeys[form.activeProfile];
+    const keyResponse = await fetch(`${url}/api/auth/key`, {
+      headers: apiKey ? { 'X-API-Key': apiKey } : {}
+    });
+    const keyData = await keyResponse.json();
+    if (!keyResponse.ok) {
+      showStatus(`✗ ${form.activeProfile} backend is healthy, but ${keyData.error || 'the API key was rejected'}`, 'error');
+    } else if (keyData.auth === 'off') {
+      showStatus(`✓ ${form.activeProfile} backend is healthy (API keys not required)`, 'success');
+    } else {
+      showStatus(`✓ ${form.activeProfile} backend is healthy; key "${keyData.api_key.name}" has ${keyData.api_key.scopes.join(', ')}`, 'success');
+    }
+  } catch (error) {
+    console.error('Test error:', error);
+    showStatus(`✗ Cannot reach ${url}`, 'error');
+  }
+}
+
+function showStatus(message, type) {
+  const statusIndicator = document.getElementById('statusIndicator');
+  const statusDot = document.getElementById('statusDot');
+  const statusText = document.getElementById('statusText');
+
+  statusIndicator.style.display = 'flex';
+  statusText.textContent = message;
+  statusDot.className = `status-dot ${type}`;
+}
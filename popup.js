@@ -5,13 +5,27 @@ document.addEventListener('DOMContentLoaded', async () => {
   const backendStatus = document.getElementById('backendStatus');
   const backendDot = document.getElementById('backendDot');
 
+  // Active backend profile; click it to open the backend settings
+  const backendProfile = document.getElementById('backendProfile');
+  const profile = await VeritasConfig.getActiveProfile();
+  backendProfile.textContent = profile.name;
+  backendProfile.title = `${profile.url} (click to change)`;
+  backendProfile.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
   try {
-    const response = await fetch('http://localhost:3000/api/health');
+    const response = await VeritasConfig.apiFetch('/health');
     const data = await response.json();
 
     if (data.status === 'ok') {
-      backendStatus.textContent = 'CONNECTED';
-      backendDot.classList.add('active');
+      // Health is public; make sure the profile's API key is accepted too
+      const keyResponse = await VeritasConfig.apiFetch('/auth/key');
+      if (keyResponse.ok) {
+        backendStatus.textContent = 'CONNECTED';
+        backendDot.classList.add('active');
+      } else {
+        backendStatus.textContent = profile.apiKey ? 'KEY REJECTED' : 'NO API KEY';
+        backendDot.classList.add('warning');
+      }
     } else {
       backendStatus.textContent = 'UNHEALTHY';
       backendDot.classList.add('warning');
@@ -21,18 +35,42 @@ document.addEventListener('DOMContentLoaded', async () => {
     backendDot.classList.add('error');
   }
 
+  // Caption scraping health, reported by selectors.js in the X tab
+  const captionsStatus = document.getElementById('captionsStatus');
+  const captionsDot = document.getElementById('captionsDot');
+  const { selectorHealth } = await chrome.storage.local.get(['selectorHealth']);
+  if (selectorHealth) {
+    const dotClass = { ok: 'active', degraded: 'warning', stale: 'warning', failing: 'error' }[selectorHealth.status];
+    captionsStatus.textContent = selectorHealth.status.toUpperCase();
+    captionsStatus.title = `${selectorHealth.detail} (${selectorHealth.checked_at})`;
+    if (dotClass) captionsDot.classList.add(dotClass);
+  }
+
   // Check Twitter bot status
   const twitterStatus = document.getElementById('twitterStatus');
   const twitterDot = document.getElementById('twitterDot');
+  twitterStatus.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('twitter-config.html') });
+  });
 
   try {
+    // Runs in the backend; see twitter-config.html
     const response = await chrome.runtime.sendMessage({ type: 'GET_TWITTER_STATUS' });
-
-    if (response.enabled) {
+    if (!response.success) throw new Error(response.error);
+    const { bot } = response;
+
+    if (bot.running && bot.last_error) {
+      twitterStatus.textContent = 'ERROR';
+      twitterStatus.title = bot.last_error;
+      twitterDot.classList.add('error');
+    } else if (bot.running && bot.dry_run) {
+      twitterStatus.textContent = 'DRY RUN';
+      twitterDot.classList.add('warning');
+    } else if (bot.running) {
       twitterStatus.textContent = 'ACTIVE';
       twitterDot.classList.add('active');
     } else {
-      twitterStatus.textContent = 'DISABLED';
+      twitterStatus.textContent = bot.configured ? 'PAUSED' : 'DISABLED';
       twitterDot.classList.add('warning');
     }
   } catch (error) {
@@ -61,7 +99,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       try {
         // Query the backend to see if this thread has been analyzed
-        const response = await fetch(`http://localhost:3000/api/threads/lookup/${tweetId}`);
+        const response = await VeritasConfig.apiFetch(`/threads/lookup/${tweetId}`);
         const data = await response.json();
 
         if (data.success && data.found) {
@@ -1,9 +1,13 @@
 // Process Debate Script - External file for CSP compliance
 let processing = false;
+// Transcript and options of the preview on screen; analysis only starts for what was previewed
+let previewedInput = null;
 
 // Event listener instead of inline onclick (CSP compliant)
 document.addEventListener('DOMContentLoaded', function () {
     document.getElementById('processBtn').addEventListener('click', processDebate);
+    document.getElementById('previewBtn').addEventListener('click', previewSpeakers);
+    document.getElementById('transcriptFile').addEventListener('change', loadTranscriptFile);
 
     // Allow Ctrl+Enter to submit
     document.getElementById('transcript').addEventListener('keydown', function (e) {
@@ -13,6 +17,117 @@ document.addEventListener('DOMContentLoaded', function () {
     });
 });
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// Alias map from "RAW LABEL = Speaker Name" lines
+function readAliases() {
+    const aliases = {};
+    document.getElementById('aliases').value.split('\n').forEach(line => {
+        const idx = line.indexOf('=');
+        if (idx === -1) return;
+        const label = line.slice(0, idx).trim();
+        const name = line.slice(idx + 1).trim();
+        if (label && name) aliases[label] = name;
+    });
+    return aliases;
+}
+
+// Load a caption or transcript file into the textarea; its extension picks the format
+async function loadTranscriptFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    document.getElementById('transcript').value = await file.text();
+    const extension = file.name.split('.').pop().toLowerCase();
+    const formats = { txt: 'text', srt: 'srt', vtt: 'vtt', json: 'json' };
+    document.getElementById('format').value = formats[extension] || 'auto';
+}
+
+// Parser options shared by preview and analysis; an empty ignore field keeps the server default
+function parserOptions() {
+    const options = {
+        format: document.getElementById('format').value,
+        aliases: readAliases(),
+        chunk_overlap: parseInt(document.getElementById('chunkOverlap').value, 10)
+    };
+    const ignore = document.getElementById('ignore').value.trim();
+    if (ignore) options.ignore = ignore;
+    return options;
+}
+
+function currentInput(transcript) {
+    return JSON.stringify({ transcript, ...parserOptions() });
+}
+
+async function fetchPreview(transcript) {
+    const input = currentInput(transcript);
+    const response = await VeritasConfig.apiFetch('/debate/preview-transcript', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transcript, ...parserOptions() })
+    });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to preview transcript');
+    }
+    previewedInput = input;
+    return data;
+}
+
+function renderPreview(data) {
+    const preview = document.getElementById('preview');
+    const speakers = data.speakers.length > 0
+        ? data.speakers.map(s => `
+            <div class="preview-speaker">
+                ${escapeHtml(s.name)} • ${s.turns} TURNS
+                <span class="preview-labels">(${s.labels.map(escapeHtml).join(', ')})</span>
+            </div>`).join('')
+        : '<div class="preview-muted">NO SPEAKERS DETECTED</div>';
+    const ignored = data.ignored.length > 0
+        ? data.ignored.map(i => `${escapeHtml(i.name)} (${i.turns})`).join(', ')
+        : 'NONE';
+    const rejected = data.rejected.length > 0
+        ? data.rejected.map(r => `${escapeHtml(r.label)} (${r.turns})`).join(', ')
+        : 'NONE';
+
+    preview.className = 'active';
+    preview.innerHTML = `
+        <div class="preview-group">
+            <div class="preview-heading">DETECTED SPEAKERS • ${data.total_messages} MESSAGES • ${escapeHtml(data.format.toUpperCase())}</div>
+            ${speakers}
+        </div>
+        <div class="preview-group">
+            <div class="preview-heading">IGNORED</div>
+            <div class="preview-muted">${ignored}</div>
+        </div>
+        <div class="preview-group">
+            <div class="preview-heading">TREATED AS TEXT (ADD AN ALIAS TO MAKE ONE A SPEAKER)</div>
+            <div class="preview-muted">${rejected}</div>
+        </div>
+    `;
+}
+
+async function previewSpeakers() {
+    const transcript = document.getElementById('transcript').value.trim();
+    if (!transcript) {
+        alert('Please paste the debate transcript');
+        return;
+    }
+
+    try {
+        renderPreview(await fetchPreview(transcript));
+    } catch (error) {
+        console.error('Preview error:', error);
+        const preview = document.getElementById('preview');
+        preview.className = 'active';
+        preview.innerHTML = `<span style="color: #f91880;">ERROR: ${escapeHtml(error.message)}</span>`;
+    }
+}
+
 async function processDebate() {
     if (processing) return;
 
@@ -22,6 +137,20 @@ async function processDebate() {
         return;
     }
 
+    // Moderators and hosts are detected like any other speaker, so the speakers
+    // are shown first and analysis waits for a second press
+    if (previewedInput !== currentInput(transcript)) {
+        await previewSpeakers();
+        if (previewedInput === currentInput(transcript)) {
+            const status = document.getElementById('status');
+            status.className = 'active';
+            status.innerHTML = `
+                <div>CHECK THE DETECTED SPEAKERS ABOVE. ADD MODERATORS AND HOSTS TO IGNORE (THIS REPLACES THE DEFAULT LIST), THEN PRESS PROCESS AGAIN.</div>
+            `;
+        }
+        return;
+    }
+
     console.log('Starting debate processing...');
     console.log('Transcript length:', transcript.length, 'characters');
 
@@ -64,33 +193,18 @@ async function processDebate() {
         console.log('Step 1: Creating debate space...');
         const createStartTime = Date.now();
 
-        // Extract participants dynamically from transcript
-        // Look for patterns like "SPEAKER NAME:" or "Name:" at start of lines
-        // Allow optional leading whitespace and Mixed Case (e.g. "Speaker A:")
-        const speakerRegex = /^\s*([A-Z][a-zA-Z0-9\s\.]+):/gm;
-        // Helper to Title Case names
-        const toTitleCase = (str) => {
-            return str.toLowerCase().split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-        };
-
-        const foundSpeakers = new Set();
-        let match;
-        while ((match = speakerRegex.exec(transcript)) !== null) {
-            const name = match[1].trim();
-            if (name.length > 2 && name !== 'SPEAKER' && name !== 'MODERATOR') {
-                foundSpeakers.add(toTitleCase(name));
-            }
-        }
+        // Participants are the speakers the server detects in the transcript
+        const preview = await fetchPreview(transcript);
+        renderPreview(preview);
 
-        // Default if none found (fallback)
-        let participants = Array.from(foundSpeakers).map(name => ({ name }));
-        if (participants.length === 0) {
-            participants = [{ name: 'Speaker 1' }, { name: 'Speaker 2' }];
+        if (preview.speakers.length === 0) {
+            throw new Error('No speakers detected - check the transcript format or add aliases');
         }
+        const participants = preview.speakers.map(s => ({ name: s.name }));
 
         console.log('Identified participants:', participants);
 
-        const createResponse = await fetch('http://localhost:3000/api/debate/create-debate-space', {
+        const createResponse = await VeritasConfig.apiFetch('/debate/create-debate-space', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
@@ -124,13 +238,14 @@ async function processDebate() {
         console.log('Sending transcript to Grok for analysis...');
         const analyzeStartTime = Date.now();
 
-        const analyzeResponse = await fetch('http://localhost:3000/api/debate/analyze-transcript', {
+        const analyzeResponse = await VeritasConfig.apiFetch('/debate/analyze-transcript', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 transcript: transcript,
                 space_id: spaceId,
-                auto_fact_check: true
+                auto_fact_check: true,
+                ...parserOptions()
             })
         });
 
@@ -230,7 +345,7 @@ async function processWithGrok(spaceId) {
     grokStatus.innerHTML = '<br>PROCESSING WITH GROK...<br><span style="color: #ffd700;">This may take a few minutes...</span>';
 
     try {
-        const response = await fetch(`http://localhost:3000/api/debate/process-debate-with-grok/${spaceId}`, {
+        const response = await VeritasConfig.apiFetch(`/debate/process-debate-with-grok/${spaceId}`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' }
         });
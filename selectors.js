@@ -0,0 +1,347 @@
+// Selector registry for scraping X's Space UI
+// Loaded as a classic content script after config.js, before content-simple.js
+// and space-end-detector.js.
+//
+// X's class names (css-175oi2r, r-13awgt0, ...) are generated and change with
+// every redeploy, so each element we look for is a named target with several
+// strategies, tried in order: the classes observed today, then data-testid and
+// ARIA hooks, then structural heuristics. Fallback matches must also pass the
+// target's sanity check, so a loose selector can't feed page chrome in as captions.
+//
+// The data-testid / ARIA candidates are best guesses at stable hooks. Corrections
+// are published from the backend (GET /api/selectors); the background worker
+// caches them in chrome.storage.local and every open tab picks them up. Remote
+// registries are data only: CSS selectors and the names of heuristics below.
+//
+// A health check reports when captions stop being detected (see checkHealth).
+
+(function (global) {
+  const STORAGE_KEY = 'selectorRegistry';
+  const HEALTH_STORAGE_KEY = 'selectorHealth';
+  const STALE_MS = 2 * 60 * 1000; // no captions for this long = stale
+  const HEALTH_INTERVAL_MS = 15 * 1000;
+
+  const HANDLE_PATTERN = /^@\w{1,15}$/;
+
+  const DEFAULT_REGISTRY = {
+    version: 1,
+    targets: {
+      layersRoot: [
+        { id: 'layers-id', type: 'css', selector: '#layers' },
+        { id: 'document-body', type: 'heuristic', name: 'documentBody' }
+      ],
+      captionContainer: [
+        { id: 'caption-classes', type: 'css', selector: 'div.css-175oi2r.r-13awgt0.r-1lzbym2' },
+        { id: 'caption-testid', type: 'css', selector: '[data-testid="caption"], [data-testid="captions"], [data-testid="SpaceCaption"]' },
+        { id: 'caption-aria-live', type: 'css', selector: '[aria-live="polite"], [aria-live="assertive"], [role="log"]' },
+        { id: 'caption-speaker-blocks', type: 'heuristic', name: 'speakerBlocks' }
+      ],
+      captionText: [
+        { id: 'caption-text-classes', type: 'css', selector: 'div.css-146c3p1[dir="ltr"]' },
+        { id: 'caption-text-dir', type: 'css', selector: 'div[dir="ltr"], div[dir="auto"]' }
+      ],
+      captionSpan: [
+        { id: 'caption-span-classes', type: 'css', selector: 'span.css-1jxf684' },
+        { id: 'caption-leaf-spans', type: 'heuristic', name: 'leafTextSpans' }
+      ],
+      spaceStatusLabel: [
+        { id: 'status-span-classes', type: 'css', selector: 'span.css-1jxf684' },
+        { id: 'status-leaf-spans', type: 'heuristic', name: 'leafTextSpans' }
+      ],
+      spaceEndSheet: [
+        { id: 'sheet-testid', type: 'css', selector: '[data-testid="sheetDialog"]' },
+        { id: 'sheet-dialog-role', type: 'css', selector: '[role="dialog"]' }
+      ],
+      spaceEndMask: [
+        { id: 'mask-testid', type: 'css', selector: '[data-testid="mask"]' }
+      ]
+    }
+  };
+
+  function leafTextSpans(root) {
+    return Array.from(root.querySelectorAll('span'))
+      .filter(span => span.children.length === 0 && span.textContent.trim());
+  }
+
+  // Caption text rather than a display name ("Dana Reyes") or a label ("Host"):
+  // punctuation or four or more words, and some lowercase
+  function isSentenceLike(text) {
+    return (/[.,!?;:]/.test(text) || text.split(/\s+/).length >= 4) && /[a-z]/.test(text);
+  }
+
+  // Structural heuristics, referenced by name from the registry
+  const HEURISTICS = {
+    documentBody: () => (document.body ? [document.body] : []),
+
+    leafTextSpans,
+
+    // Smallest ancestor of an @handle that also holds sentence-like text:
+    // the block X renders for one speaker's captions
+    speakerBlocks(root) {
+      const blocks = new Set();
+      leafTextSpans(root)
+        .filter(span => HANDLE_PATTERN.test(span.textContent.trim()))
+        .forEach(handle => {
+          let current = handle.parentElement;
+          for (let depth = 0; current && depth < 6; depth++, current = current.parentElement) {
+            const hasSentence = leafTextSpans(current)
+              .some(span => span !== handle && isSentenceLike(span.textContent.trim()));
+            if (hasSentence) {
+              blocks.add(current);
+              return;
+            }
+          }
+        });
+      return Array.from(blocks);
+    }
+  };
+
+  // Fallback matches must pass these before they are trusted
+  const SANITY_CHECKS = {
+    captionContainer: element => leafTextSpans(element).some(span => HANDLE_PATTERN.test(span.textContent.trim())),
+    spaceEndSheet: element => element.textContent.length < 2000
+  };
+
+  let registry = DEFAULT_REGISTRY;
+  const usage = {}; // target -> { id, index, at }
+  const health = {
+    status: 'idle',
+    captionsSeen: 0,
+    lastCaptionAt: null,
+    containerFirstSeenAt: null,
+    timer: null
+  };
+
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Built-in registry with a remote one's targets laid over it. Unknown
+   * targets, invalid selectors and unknown heuristics are dropped.
+   */
+  function mergeRegistry(remote) {
+    if (!remote || typeof remote !== 'object' || !remote.targets) return DEFAULT_REGISTRY;
+
+    const targets = { ...DEFAULT_REGISTRY.targets };
+    Object.entries(remote.targets).forEach(([target, strategies]) => {
+      if (!DEFAULT_REGISTRY.targets[target] || !Array.isArray(strategies)) {
+        console.warn('Veritas: Ignoring selector target', target);
+        return;
+      }
+      const valid = strategies.filter(strategy => {
+        if (strategy.type === 'css') return typeof strategy.selector === 'string' && isValidSelector(strategy.selector);
+        if (strategy.type === 'heuristic') return Object.prototype.hasOwnProperty.call(HEURISTICS, strategy.name);
+        return false;
+      });
+      if (valid.length < strategies.length) {
+        console.warn(`Veritas: Dropped ${strategies.length - valid.length} invalid ${target} selector(s)`);
+      }
+      if (valid.length > 0) targets[target] = valid;
+    });
+
+    return { version: remote.version, targets };
+  }
+
+  function runStrategy(strategy, root) {
+    if (strategy.type === 'heuristic') return HEURISTICS[strategy.name](root);
+    return Array.from(root.querySelectorAll(strategy.selector));
+  }
+
+  function strategiesFor(target) {
+    const strategies = registry.targets[target];
+    if (!strategies) throw new Error(`Unknown selector target: ${target}`);
+    return strategies;
+  }
+
+  function record(target, strategy, index) {
+    usage[target] = { id: strategy.id || strategy.selector || strategy.name, index, at: Date.now() };
+  }
+
+  /**
+   * Every element matching a target under root, from the first strategy that
+   * finds any
+   * @param {string} target - e.g. 'captionContainer'
+   * @param {ParentNode} [root=document]
+   * @returns {Element[]}
+   */
+  function queryAll(target, root = document) {
+    const strategies = strategiesFor(target);
+    for (let index = 0; index < strategies.length; index++) {
+      let matches = runStrategy(strategies[index], root);
+      if (index > 0 && SANITY_CHECKS[target]) matches = matches.filter(SANITY_CHECKS[target]);
+      if (matches.length > 0) {
+        record(target, strategies[index], index);
+        return matches;
+      }
+    }
+    return [];
+  }
+
+  function query(target, root = document) {
+    return queryAll(target, root)[0] || null;
+  }
+
+  /**
+   * Matches for a target within a newly added node, including the node itself
+   * @param {Element} node
+   * @param {string} target
+   * @returns {Element[]}
+   */
+  function findWithin(node, target) {
+    const strategies = strategiesFor(target);
+    for (let index = 0; index < strategies.length; index++) {
+      const strategy = strategies[index];
+      let matches;
+      if (strategy.type === 'css') {
+        matches = Array.from(node.querySelectorAll(strategy.selector));
+        if (node.matches(strategy.selector)) matches.unshift(node);
+      } else {
+        matches = HEURISTICS[strategy.name](node).filter(element => node.contains(element));
+      }
+      if (index > 0 && SANITY_CHECKS[target]) matches = matches.filter(SANITY_CHECKS[target]);
+      if (matches.length > 0) {
+        record(target, strategy, index);
+        if (target === 'captionContainer' && !health.containerFirstSeenAt) health.containerFirstSeenAt = Date.now();
+        return matches;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Nearest ancestor (or the element itself) matching a target
+   */
+  function closest(element, target) {
+    const strategies = strategiesFor(target);
+    for (let index = 0; index < strategies.length; index++) {
+      const strategy = strategies[index];
+      if (strategy.type !== 'css') continue;
+      const match = element.closest(strategy.selector);
+      if (match && (index === 0 || !SANITY_CHECKS[target] || SANITY_CHECKS[target](match))) {
+        record(target, strategy, index);
+        return match;
+      }
+    }
+    return null;
+  }
+
+  // Call when a caption was extracted, to keep the health check current
+  function recordCaption() {
+    health.captionsSeen++;
+    health.lastCaptionAt = Date.now();
+  }
+
+  function captionFallbacks() {
+    return ['layersRoot', 'captionContainer', 'captionText', 'captionSpan']
+      .filter(target => usage[target] && usage[target].index > 0);
+  }
+
+  /**
+   * Current caption health:
+   *   idle     - no captions yet and no caption UI found
+   *   ok       - captions detected with the primary selectors
+   *   degraded - captions detected, but only through fallback strategies
+   *   stale    - captions were detected, then none for STALE_MS
+   *   failing  - caption containers found for STALE_MS, but no caption text
+   */
+  function evaluateHealth() {
+    const now = Date.now();
+    const fallbacks = captionFallbacks();
+    let status;
+    let detail;
+
+    if (health.captionsSeen === 0) {
+      const failing = health.containerFirstSeenAt && now - health.containerFirstSeenAt > STALE_MS;
+      status = failing ? 'failing' : 'idle';
+      detail = failing ? 'Caption containers found, but no caption text could be extracted' : 'Waiting for captions';
+    } else if (now - health.lastCaptionAt > STALE_MS) {
+      status = 'stale';
+      detail = `No captions detected for ${Math.round((now - health.lastCaptionAt) / 1000)}s`;
+    } else if (fallbacks.length > 0) {
+      status = 'degraded';
+      detail = `Using fallback selectors for ${fallbacks.join(', ')}`;
+    } else {
+      status = 'ok';
+      detail = 'Captions detected with the primary selectors';
+    }
+
+    return {
+      status,
+      detail,
+      page: location.pathname,
+      registry_version: registry.version,
+      extension_version: chrome.runtime.getManifest().version,
+      strategies: Object.fromEntries(Object.entries(usage).map(([target, u]) => [target, u.id])),
+      captions_seen: health.captionsSeen,
+      last_caption_at: health.lastCaptionAt ? new Date(health.lastCaptionAt).toISOString() : null,
+      checked_at: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Evaluate health and report status changes to the background worker
+   * (which stores the report for the popup and forwards it to the backend)
+   */
+  function checkHealth() {
+    const report = evaluateHealth();
+    if (report.status === health.status) return report;
+
+    health.status = report.status;
+    if (['degraded', 'stale', 'failing'].includes(report.status)) {
+      console.warn(`Veritas: Caption health ${report.status}: ${report.detail}`, report.strategies);
+    } else {
+      console.log(`Veritas: Caption health ${report.status}`);
+    }
+
+    try {
+      chrome.runtime.sendMessage({ type: 'SELECTOR_HEALTH', report }, () => void chrome.runtime.lastError);
+    } catch (error) {
+      // Extension reloaded; this tab's content script is orphaned
+    }
+    return report;
+  }
+
+  function startHealthCheck() {
+    if (health.timer) return;
+    health.timer = setInterval(checkHealth, HEALTH_INTERVAL_MS);
+  }
+
+  function getRegistry() {
+    return registry;
+  }
+
+  // Remote registry cached by the background worker
+  chrome.storage.local.get([STORAGE_KEY], result => {
+    registry = mergeRegistry(result[STORAGE_KEY]);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[STORAGE_KEY]) {
+      registry = mergeRegistry(changes[STORAGE_KEY].newValue);
+      console.log('Veritas: Selector registry updated to version', registry.version);
+    }
+  });
+
+  global.VeritasSelectors = {
+    STORAGE_KEY,
+    HEALTH_STORAGE_KEY,
+    DEFAULT_REGISTRY,
+    HEURISTICS: Object.keys(HEURISTICS),
+    mergeRegistry,
+    queryAll,
+    query,
+    findWithin,
+    closest,
+    recordCaption,
+    evaluateHealth,
+    checkHealth,
+    startHealthCheck,
+    getRegistry
+  };
+})(globalThis);
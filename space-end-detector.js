@@ -1,5 +1,6 @@
 // Space End Detector
 // Monitors X Spaces for "Ended" status and triggers Supabase update
+// DOM lookups go through the selector registry (selectors.js)
 
 let isMonitoringSpaceEnd = false;
 let spaceEndDetected = false;
@@ -37,15 +38,15 @@ function checkForSpaceEnd() {
 
     if (!isSpacePage) return;
 
-    const endedSpans = document.querySelectorAll('span.css-1jxf684');
+    const endedSpans = VeritasSelectors.queryAll('spaceStatusLabel');
     console.log(`   Found ${endedSpans.length} potential spans`);
 
     for (const span of endedSpans) {
         const text = span.textContent.trim();
 
         if (text === 'Ended') {
-            const sheetDialog = span.closest('[data-testid="sheetDialog"]');
-            const maskDialog = span.closest('[data-testid="mask"]');
+            const sheetDialog = VeritasSelectors.closest(span, 'spaceEndSheet');
+            const maskDialog = VeritasSelectors.closest(span, 'spaceEndMask');
             const parentDiv = span.parentElement;
             const parentStyle = parentDiv ? window.getComputedStyle(parentDiv) : null;
             const isGrayColor = parentStyle && parentStyle.color.includes('113, 118, 123');
@@ -119,7 +120,7 @@ async function handleSpaceEnd() {
 
         try {
             // Call backend to mark space as ended
-            const response = await fetch('http://localhost:3000/api/spaces/end', {
+            const response = await VeritasConfig.apiFetch('/spaces/end', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1,182 +1,129 @@
-// Twitter Bot Configuration Script
+// Twitter Bot Status Script
+// The bot runs in the backend (services/twitter-bot.js); this page shows its
+// status and changes the settings it exposes, through background.js
+
+let botStatus = null;
 
 document.addEventListener('DOMContentLoaded', async () => {
-  // Load existing configuration
-  await loadConfiguration();
   await updateStatus();
 
   // Event listeners
-  document.getElementById('saveConfig').addEventListener('click', saveConfiguration);
-  document.getElementById('testConfig').addEventListener('click', testConfiguration);
-  document.getElementById('disableBot').addEventListener('click', disableBot);
+  document.getElementById('saveSettings').addEventListener('click', saveSettings);
+  document.getElementById('checkNow').addEventListener('click', checkNow);
+  document.getElementById('toggleBot').addEventListener('click', toggleBot);
   document.getElementById('backToMain').addEventListener('click', () => window.close());
-
-  // Auto-save on input changes (with debounce)
-  let saveTimeout;
-  document.querySelectorAll('.input').forEach(input => {
-    input.addEventListener('input', () => {
-      clearTimeout(saveTimeout);
-      saveTimeout = setTimeout(saveConfiguration, 1000); // Auto-save after 1 second of no changes
-    });
-  });
 });
 
-async function loadConfiguration() {
+async function updateStatus() {
   try {
-    const result = await chrome.storage.sync.get(['twitterBotConfig']);
-    const config = result.twitterBotConfig || {};
-
-    // Populate form fields
-    document.getElementById('apiKey').value = config.API_KEY || '';
-    document.getElementById('apiSecret').value = config.API_SECRET || '';
-    document.getElementById('accessToken').value = config.ACCESS_TOKEN || '';
-    document.getElementById('accessTokenSecret').value = config.ACCESS_TOKEN_SECRET || '';
-    document.getElementById('botUserId').value = config.BOT_USER_ID || '';
-    document.getElementById('checkInterval').value = config.CHECK_INTERVAL || 2;
-
-    console.log('Configuration loaded');
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TWITTER_STATUS' });
+    if (!response.success) throw new Error(response.error);
+
+    renderStatus(response.bot);
   } catch (error) {
-    console.error('Error loading configuration:', error);
-    showStatus('Error loading saved configuration', 'error');
+    console.error('Error checking status:', error);
+    showStatus(`✗ Cannot reach the backend: ${error.message}`, 'error');
   }
 }
 
-async function saveConfiguration() {
-  try {
-    const config = {
-      API_KEY: document.getElementById('apiKey').value.trim(),
-      API_SECRET: document.getElementById('apiSecret').value.trim(),
-      ACCESS_TOKEN: document.getElementById('accessToken').value.trim(),
-      ACCESS_TOKEN_SECRET: document.getElementById('accessTokenSecret').value.trim(),
-      BOT_USER_ID: document.getElementById('botUserId').value.trim(),
-      CHECK_INTERVAL: parseInt(document.getElementById('checkInterval').value) || 2
-    };
-
-    // Validate required fields
-    const requiredFields = ['API_KEY', 'API_SECRET', 'ACCESS_TOKEN', 'ACCESS_TOKEN_SECRET', 'BOT_USER_ID'];
-    const missingFields = requiredFields.filter(field => !config[field]);
-
-    if (missingFields.length > 0) {
-      showStatus(`Missing required fields: ${missingFields.join(', ')}`, 'error');
-      return;
-    }
-
-    // Save to Chrome storage
-    await chrome.storage.sync.set({ twitterBotConfig: config });
-
-    // Send update message to background script
-    const response = await chrome.runtime.sendMessage({
-      type: 'UPDATE_TWITTER_CONFIG',
-      config: config
+function renderStatus(bot) {
+  botStatus = bot;
+
+  document.getElementById('botCredentials').textContent = bot.configured
+    ? `Set (bot user ${bot.bot_user_id})`
+    : `Missing ${bot.missing.join(', ')}`;
+  document.getElementById('botState').textContent = (bot.checking
+    ? 'Checking mentions'
+    : bot.running ? 'Polling' : bot.enabled ? 'Not running' : 'Paused') + (bot.dry_run ? ' (dry run)' : '');
+  document.getElementById('botLastCheck').textContent = formatTime(bot.last_check_at);
+  document.getElementById('botLastSeen').textContent = bot.last_seen_id || 'none';
+  document.getElementById('botReplies').textContent = `${bot.replies_posted} of ${bot.mentions_processed} mention(s)`;
+  document.getElementById('botLastError').textContent = bot.last_error || 'none';
+
+  document.getElementById('checkInterval').value = bot.check_interval_minutes;
+  document.getElementById('dryRun').checked = bot.dry_run;
+  document.getElementById('toggleBot').textContent = bot.enabled ? 'Pause Bot' : 'Resume Bot';
+  document.getElementById('toggleBot').className = bot.enabled ? 'button danger' : 'button primary';
+
+  const recent = document.getElementById('recentMentions');
+  if (bot.recent.length > 0) {
+    recent.className = '';
+    recent.innerHTML = '';
+    bot.recent.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = entry.status === 'failed' ? 'recent-item failed' : 'recent-item';
+      item.textContent = `${formatTime(entry.at)} · @${entry.username} · ${entry.kind} · ${entry.status}${entry.error ? `: ${entry.error}` : ''}`;
+
+      // Dry runs show the thread that would have been posted
+      if (entry.status === 'previewed') {
+        entry.thread.forEach(tweet => {
+          const preview = document.createElement('div');
+          preview.className = 'recent-tweet';
+          preview.textContent = `${tweet.text}\n(${tweet.length}/280)`;
+          item.appendChild(preview);
+        });
+      }
+      recent.appendChild(item);
     });
+  }
 
-    if (response.success) {
-      showStatus('Configuration saved and bot enabled!', 'success');
-    } else {
-      showStatus(`Error: ${response.message}`, 'error');
-    }
-
-    // Update status
-    setTimeout(updateStatus, 1000);
-
-  } catch (error) {
-    console.error('Error saving configuration:', error);
-    showStatus('Error saving configuration', 'error');
+  if (!bot.configured) {
+    showStatus('○ Bot off: credentials not set in backend/.env', 'warning');
+  } else if (!bot.enabled) {
+    showStatus('○ Bot paused', 'warning');
+  } else if (bot.dry_run) {
+    showStatus('○ Dry run: replies are previewed, not posted', 'warning');
+  } else if (bot.last_error) {
+    showStatus(`✗ Last check failed: ${bot.last_error}`, 'error');
+  } else {
+    showStatus(`✓ Bot active (last check: ${formatTime(bot.last_check_at)})`, 'success');
   }
 }
 
-async function testConfiguration() {
-  showStatus('Testing connection...', 'warning');
-
+async function updateBot(settings, message) {
   try {
-    // Get current config
-    const config = {
-      API_KEY: document.getElementById('apiKey').value.trim(),
-      API_SECRET: document.getElementById('apiSecret').value.trim(),
-      ACCESS_TOKEN: document.getElementById('accessToken').value.trim(),
-      ACCESS_TOKEN_SECRET: document.getElementById('accessTokenSecret').value.trim(),
-      BOT_USER_ID: document.getElementById('botUserId').value.trim()
-    };
-
-    // Validate fields
-    const requiredFields = ['API_KEY', 'API_SECRET', 'ACCESS_TOKEN', 'ACCESS_TOKEN_SECRET', 'BOT_USER_ID'];
-    const missingFields = requiredFields.filter(field => !config[field]);
-
-    if (missingFields.length > 0) {
-      showStatus(`Cannot test: Missing fields: ${missingFields.join(', ')}`, 'error');
-      return;
-    }
-
-    // Test by trying to fetch user mentions (simplified test)
-    const testUrl = `https://api.twitter.com/2/users/${config.BOT_USER_ID}/mentions?max_results=5`;
-
-    const response = await fetch(testUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${config.ACCESS_TOKEN}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (response.ok) {
-      showStatus('✓ Connection successful! Bot can access Twitter API', 'success');
-    } else if (response.status === 401) {
-      showStatus('✗ Authentication failed. Check your credentials', 'error');
-    } else if (response.status === 403) {
-      showStatus('✗ Permission denied. Check app permissions', 'error');
-    } else {
-      showStatus(`✗ API error: ${response.status} ${response.statusText}`, 'error');
-    }
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_TWITTER_BOT', settings });
+    if (!response.success) throw new Error(response.error);
 
+    renderStatus(response.bot);
+    showStatus(message, 'success');
   } catch (error) {
-    console.error('Test error:', error);
-    showStatus('✗ Network error. Check your internet connection', 'error');
+    console.error('Error updating bot:', error);
+    showStatus(`✗ ${error.message}`, 'error');
   }
 }
 
-async function disableBot() {
-  try {
-    // Clear configuration
-    await chrome.storage.sync.remove(['twitterBotConfig']);
+async function saveSettings() {
+  const minutes = parseFloat(document.getElementById('checkInterval').value);
+  const dryRun = document.getElementById('dryRun').checked;
+  await updateBot(
+    { check_interval_minutes: minutes, dry_run: dryRun },
+    `✓ Checking every ${minutes} minute(s)${dryRun ? ', dry run' : ''}`
+  );
+}
 
-    // Send disable message to background script
-    await chrome.runtime.sendMessage({
-      type: 'UPDATE_TWITTER_CONFIG',
-      config: {}
-    });
+async function toggleBot() {
+  const enabled = !(botStatus && botStatus.enabled);
+  await updateBot({ enabled }, enabled ? '✓ Bot resumed' : '○ Bot paused');
+}
 
-    // Clear form
-    document.querySelectorAll('.input').forEach(input => {
-      if (input.type === 'number') {
-        input.value = 2;
-      } else {
-        input.value = '';
-      }
-    });
+async function checkNow() {
+  showStatus('Checking mentions...', 'warning');
 
-    showStatus('Bot disabled and configuration cleared', 'warning');
-    setTimeout(updateStatus, 1000);
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CHECK_TWITTER_MENTIONS' });
+    if (!response.success) throw new Error(response.error);
 
+    await updateStatus();
+    showStatus(`✓ ${response.mentions} new mention(s), ${response.replied} replied`, 'success');
   } catch (error) {
-    console.error('Error disabling bot:', error);
-    showStatus('Error disabling bot', 'error');
+    console.error('Check error:', error);
+    showStatus(`✗ ${error.message}`, 'error');
   }
 }
 
-async function updateStatus() {
-  try {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_TWITTER_STATUS' });
-
-    if (response.enabled) {
-      showStatus(`✓ Bot active (last check: ${response.lastSeenId || 'never'})`, 'success');
-    } else {
-      showStatus('○ Bot disabled', 'warning');
-    }
-
-  } catch (error) {
-    console.error('Error checking status:', error);
-    showStatus('✗ Cannot connect to background script', 'error');
-  }
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : 'never';
 }
 
 function showStatus(message, type) {
@@ -192,11 +139,4 @@ function showStatus(message, type) {
 
   // Add appropriate class
   statusDot.classList.add(type);
-
-  // Auto-hide success messages after 3 seconds
-  if (type === 'success') {
-    setTimeout(() => {
-      statusIndicator.style.display = 'none';
-    }, 3000);
-  }
-}
\ No newline at end of file
+}